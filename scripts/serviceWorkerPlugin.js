@@ -0,0 +1,33 @@
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+
+const TEMPLATE_PATH = fileURLToPath(new URL('../src/serviceWorker/sw.js', import.meta.url))
+
+// Emits dist/sw.js from the template with the hashed bundle files to precache.
+// The version is derived from those file names, so any code change produces
+// a new worker and a new shell cache.
+export default function serviceWorkerPlugin() {
+  let apiBaseUrl = ''
+
+  return {
+    name: 'app-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      apiBaseUrl = config.env.VITE_API_BASE_URL ?? ''
+    },
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle)
+        .filter((fileName) => !fileName.endsWith('.map') && fileName !== 'index.html')
+        .sort()
+        .map((fileName) => `/${fileName}`)
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+
+      const source = readFileSync(TEMPLATE_PATH, 'utf8')
+        .replace('self.__PRECACHE_MANIFEST__', JSON.stringify({ version, files }))
+        .replace('self.__API_BASE_URL__', JSON.stringify(apiBaseUrl))
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
@@ -17,10 +17,26 @@ import FreelancerProfileEdit from './pages/settings/FreelancerProfileEdit.jsx'
 import FreelancerServicesCreate from './pages/settings/FreelancerServicesCreate.jsx'
 import FreelancerServicesView from './pages/settings/FreelancerServicesView.jsx'
 import FreelancerSchedulePage from './pages/settings/FreelancerSchedulePage.jsx'
+import FreelancerPortfolioPage from './pages/settings/FreelancerPortfolioPage.jsx'
 import AddressesList from './pages/addresses/AddressesList.jsx'
 import AddressDetails from './pages/addresses/AddressDetails.jsx'
 import PublicFreelancers from './pages/freelancers/PublicFreelancers.jsx'
 import PublicFreelancerDetail from './pages/freelancers/PublicFreelancerDetail.jsx'
+import BookingWizard from './pages/bookings/BookingWizard.jsx'
+import CustomerBookings from './pages/bookings/CustomerBookings.jsx'
+import BookingDetail from './pages/bookings/BookingDetail.jsx'
+import Inbox from './pages/inbox/Inbox.jsx'
+import ConversationThread from './pages/inbox/ConversationThread.jsx'
+import StartConversation from './pages/inbox/StartConversation.jsx'
+import LeaveReview from './pages/reviews/LeaveReview.jsx'
+import SavedFreelancers from './pages/favourites/SavedFreelancers.jsx'
+import AdminVerificationQueue from './pages/admin/AdminVerificationQueue.jsx'
+import AdminFreelancerReview from './pages/admin/AdminFreelancerReview.jsx'
+import AdminUserLookup from './pages/admin/AdminUserLookup.jsx'
+import OfflineSync from './components/OfflineSync.jsx'
+import RealtimeSync from './components/RealtimeSync.jsx'
+import AppUpdateBanner from './components/AppUpdateBanner.jsx'
+import NotificationBell from './components/notifications/NotificationBell.jsx'
 
 function Home() {
   return (
@@ -90,6 +106,22 @@ function App() {
           <Link to="/freelancers" className="btn btn-ghost">
             Freelancers
           </Link>
+          {user?.role === 'customer' && (
+            <Link to="/bookings" className="btn btn-ghost">
+              Bookings
+            </Link>
+          )}
+          {(user?.role === 'customer' || user?.role === 'freelancer') && (
+            <Link to="/inbox" className="btn btn-ghost">
+              Inbox
+            </Link>
+          )}
+          {user?.role === 'admin' && (
+            <Link to="/admin" className="btn btn-ghost">
+              Admin
+            </Link>
+          )}
+          {user && <NotificationBell />}
           {user ? (
             <div className="profile-menu" ref={dropdownRef}>
               <button
@@ -118,6 +150,9 @@ function App() {
           )}
         </div>
       </nav>
+      <OfflineSync />
+      <RealtimeSync />
+      <AppUpdateBanner />
       <main>
         <Routes>
           <Route path="/" element={<Home />} />
@@ -129,6 +164,14 @@ function App() {
           <Route path="/dashboard/freelancer" element={<FreelancerDashboard />} />
           <Route path="/freelancers" element={<PublicFreelancers />} />
           <Route path="/freelancers/:id" element={<PublicFreelancerDetail />} />
+          <Route path="/freelancers/:id/book" element={<BookingWizard />} />
+          <Route path="/freelancers/:id/message" element={<StartConversation />} />
+          <Route path="/saved" element={<SavedFreelancers />} />
+          <Route path="/bookings" element={<CustomerBookings />} />
+          <Route path="/bookings/:bookingId" element={<BookingDetail />} />
+          <Route path="/bookings/:bookingId/review" element={<LeaveReview />} />
+          <Route path="/inbox" element={<Inbox />} />
+          <Route path="/inbox/:conversationId" element={<ConversationThread />} />
           <Route path="/addresses" element={<AddressesList />} />
           <Route path="/freelancer/form" element={<FreelancerForm />} />
           <Route
@@ -179,6 +222,17 @@ function App() {
                 : <Navigate to="/login" replace />
             }
           />
+          <Route
+            path="/settings/freelancer-portfolio"
+            element={
+              user
+                ? <FreelancerPortfolioPage />
+                : <Navigate to="/login" replace />
+            }
+          />
+          <Route path="/admin" element={<AdminVerificationQueue />} />
+          <Route path="/admin/freelancers/:id" element={<AdminFreelancerReview />} />
+          <Route path="/admin/users" element={<AdminUserLookup />} />
           <Route path="/addresses/new" element={<CreateAddress />} />
           <Route path="/addresses/:id" element={<AddressDetails />} />
           <Route path="*" element={<Navigate to="/" replace />} />
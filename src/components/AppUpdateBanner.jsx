@@ -0,0 +1,44 @@
+import { useEffect, useState } from "react";
+import { applyServiceWorkerUpdate, registerServiceWorker } from "../utils/serviceWorker";
+
+const AppUpdateBanner = () => {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+  const [isApplying, setIsApplying] = useState(false);
+
+  useEffect(() => registerServiceWorker({ onUpdateReady: setWaitingWorker }), []);
+
+  if (!waitingWorker) {
+    return null;
+  }
+
+  const handleReload = () => {
+    setIsApplying(true);
+    applyServiceWorkerUpdate(waitingWorker);
+  };
+
+  return (
+    <div className="app-update-banner" role="status" aria-live="polite">
+      <p>A new version of E8GHT is available.</p>
+      <div className="app-update-banner__actions">
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={handleReload}
+          disabled={isApplying}
+        >
+          {isApplying ? "Updating…" : "Reload"}
+        </button>
+        <button
+          type="button"
+          className="btn btn-ghost"
+          onClick={() => setWaitingWorker(null)}
+          disabled={isApplying}
+        >
+          Later
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AppUpdateBanner;
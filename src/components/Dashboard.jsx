@@ -26,6 +26,7 @@ const statusMessageMap = {
   "redirecting-onboarding": "Redirecting you to onboarding...",
   "redirecting-customer": "Sending you to your customer dashboard...",
   "redirecting-freelancer": "Sending you to your freelancer dashboard...",
+  "redirecting-admin": "Sending you to the admin console...",
   "redirecting-login": "Redirecting to sign in...",
   "unknown-role": "We couldn't determine your dashboard. Redirecting to sign in...",
   error: "Something went wrong. Redirecting to sign in...",
@@ -35,6 +36,7 @@ const redirectStatuses = new Set([
   "redirecting-onboarding",
   "redirecting-customer",
   "redirecting-freelancer",
+  "redirecting-admin",
   "redirecting-login",
   "unknown-role",
   "error",
@@ -202,6 +204,16 @@ export default function Dashboard() {
           userRef.current = resolvedUser;
         }
 
+        const roleValue = resolvedUser?.role;
+        const role =
+          typeof roleValue === "string" ? roleValue.trim().toLowerCase() : roleValue;
+
+        if (role === "admin") {
+          updateStatus("redirecting-admin");
+          log("Queued redirect to admin console", { replace: true });
+          return;
+        }
+
         const completedOnboarding = isOnboarded(resolvedUser);
 
         log("Evaluating onboarding completion", {
@@ -214,10 +226,6 @@ export default function Dashboard() {
           return;
         }
 
-        const roleValue = resolvedUser?.role;
-        const role =
-          typeof roleValue === "string" ? roleValue.trim().toLowerCase() : roleValue;
-
         log("Evaluating user role", { role });
 
         if (role === "freelancer") {
@@ -261,6 +269,7 @@ export default function Dashboard() {
       "redirecting-onboarding": "/onboarding",
       "redirecting-customer": "/dashboard/customer",
       "redirecting-freelancer": "/dashboard/freelancer",
+      "redirecting-admin": "/admin",
       "redirecting-login": "/login",
       "unknown-role": "/login",
       error: "/login",
@@ -1,20 +1,40 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { Navigate, useNavigate } from "react-router-dom";
 import { useAuth } from "../hooks/useAuth.jsx";
 import { useAuthenticatedFetch } from "../hooks/useAuthenticatedFetch.jsx";
 import { useToast } from "../hooks/useToast.jsx";
+import { useFreelancerSchedule } from "../hooks/useFreelancerSchedule.jsx";
+import { useOnboardingDraft } from "../hooks/useOnboardingDraft.jsx";
 import {
+  PUBLIC_PROFILE_LOCKED_MESSAGE,
   URL_FIELD_CONFIG,
   createEmptyFreelancerFormValues,
   mapFormValuesToPayload,
   validateFreelancerForm,
 } from "./freelancer/formHelpers.js";
+import { ERROR_KINDS, PROFILE_ERROR_KINDS, describeApiError } from "../utils/apiErrors";
 import { extractFreelancerProfile } from "../utils/freelancer";
 import FreelancerServicesForm from "./FreelancerServicesForm.jsx";
 import FreelancerScheduleForm from "./FreelancerScheduleForm.jsx";
+import DocumentUploadField from "./freelancer/DocumentUploadField.jsx";
+import { ONBOARDING_STEPS, hasDraftContent } from "./freelancer/onboardingDraft.js";
+import {
+  canEditDocument,
+  getDocumentLockMessage,
+  getVerificationState,
+  isVerificationApproved,
+} from "./freelancer/verificationHelpers.js";
 
 const FREELANCER_FORM_LOG_PREFIX = "[FreelancerForm]";
 
+const formatDraftTimestamp = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+};
+
 const logger = {
   info: (...args) => {
     console.log(FREELANCER_FORM_LOG_PREFIX, ...args);
@@ -27,16 +47,6 @@ const logger = {
   },
 };
 
-const deriveErrorMessage = (candidate, fallback) => {
-  if (candidate == null) {
-    return fallback;
-  }
-  if (typeof candidate === "string" && candidate.trim().length > 0) {
-    return candidate;
-  }
-  return fallback;
-};
-
 export default function FreelancerForm() {
   const {
     user,
@@ -52,18 +62,110 @@ export default function FreelancerForm() {
   const [fetchError, setFetchError] = useState(null);
   const [formValues, setFormValues] = useState(() => createEmptyFreelancerFormValues());
   const [formErrors, setFormErrors] = useState({});
+  const [uploadingFields, setUploadingFields] = useState([]);
   const [submitError, setSubmitError] = useState(null);
   const [submitStatus, setSubmitStatus] = useState("idle");
   const [activeStep, setActiveStep] = useState(1);
   const [hasCreatedProfile, setHasCreatedProfile] = useState(false);
   const [servicesSubmitStatus, setServicesSubmitStatus] = useState("idle");
   const [servicesSubmitError, setServicesSubmitError] = useState(null);
+  const { saveSchedule, isSaving: isScheduleSaving } = useFreelancerSchedule({
+    load: false,
+  });
+  const {
+    savedDraft,
+    status: draftStatus,
+    startDraft,
+    saveStep,
+    saveActiveStep,
+    clearDraft,
+  } = useOnboardingDraft({ userId: user?.id ?? null });
+  // "pending" until the user answers the resume prompt (or there is nothing
+  // to resume); autosave stays off while pending.
+  const [draftDecision, setDraftDecision] = useState("pending");
+  const [resumedServices, setResumedServices] = useState(null);
+  const [resumedSchedule, setResumedSchedule] = useState(null);
 
   const isFreelancer = user?.role === "freelancer";
   const isSubmitting = submitStatus === "submitting";
+  const verificationState = useMemo(
+    () => (freelancerProfile ? getVerificationState(freelancerProfile) : null),
+    [freelancerProfile]
+  );
+  const canPublish =
+    isVerificationApproved(verificationState) || Boolean(freelancerProfile?.is_public);
   const fetchGenerationRef = useRef(0);
   const isMountedRef = useRef(true);
 
+  const hasSavedDraft = hasDraftContent(savedDraft);
+  const isDraftPromptVisible =
+    draftDecision === "pending" && draftStatus === "ready" && hasSavedDraft;
+  // A draft past the profile step belongs to an existing profile, so the
+  // usual "profile exists → dashboard" redirect waits for the user's answer.
+  const isAwaitingDraftResume =
+    draftDecision === "pending" &&
+    (draftStatus === "loading" ||
+      (hasSavedDraft && savedDraft.activeStep > ONBOARDING_STEPS.profile));
+  const isAwaitingDraftResumeRef = useRef(isAwaitingDraftResume);
+  isAwaitingDraftResumeRef.current = isAwaitingDraftResume;
+
+  useEffect(() => {
+    if (draftDecision === "pending" && draftStatus === "ready" && !hasSavedDraft) {
+      startDraft();
+      setDraftDecision("fresh");
+    }
+  }, [draftDecision, draftStatus, hasSavedDraft, startDraft]);
+
+  useEffect(() => {
+    saveStep("profile", formValues);
+  }, [formValues, saveStep]);
+
+  useEffect(() => {
+    saveActiveStep(activeStep);
+  }, [activeStep, saveActiveStep]);
+
+  const handleServicesDraftChange = useCallback(
+    (services) => saveStep("services", services),
+    [saveStep]
+  );
+
+  const handleScheduleDraftChange = useCallback(
+    (schedule) => saveStep("schedule", schedule),
+    [saveStep]
+  );
+
+  const handleResumeDraft = () => {
+    const resumeStep =
+      savedDraft.activeStep > ONBOARDING_STEPS.profile && freelancerProfile
+        ? savedDraft.activeStep
+        : ONBOARDING_STEPS.profile;
+    logger.info("Resuming onboarding draft", {
+      savedStep: savedDraft.activeStep,
+      resumeStep,
+    });
+    startDraft(savedDraft);
+    if (savedDraft.steps.profile) {
+      setFormValues({
+        ...createEmptyFreelancerFormValues(),
+        ...savedDraft.steps.profile,
+      });
+    }
+    setResumedServices(savedDraft.steps.services);
+    setResumedSchedule(savedDraft.steps.schedule);
+    if (resumeStep > ONBOARDING_STEPS.profile) {
+      setHasCreatedProfile(true);
+    }
+    setActiveStep(resumeStep);
+    setDraftDecision("resumed");
+  };
+
+  const handleDiscardDraft = () => {
+    logger.info("Discarding onboarding draft");
+    clearDraft();
+    startDraft();
+    setDraftDecision("fresh");
+  };
+
   useEffect(() => {
     isMountedRef.current = true;
     logger.info("FreelancerForm component mounted");
@@ -163,7 +265,9 @@ export default function FreelancerForm() {
             });
             setFreelancerProfile(profile);
             setFreelancerProfileStatus("ready");
-            navigate("/dashboard/freelancer", { replace: true });
+            if (!isAwaitingDraftResumeRef.current) {
+              navigate("/dashboard/freelancer", { replace: true });
+            }
             return;
           }
 
@@ -256,6 +360,21 @@ export default function FreelancerForm() {
     }));
   };
 
+  const handleDocumentChange = (name, url) => {
+    logger.info("Document uploaded", { fieldName: name, url });
+    setFormValues((previous) => ({
+      ...previous,
+      [name]: url,
+    }));
+  };
+
+  const handleUploadingChange = useCallback((name, isUploading) => {
+    setUploadingFields((previous) => {
+      const withoutField = previous.filter((field) => field !== name);
+      return isUploading ? [...withoutField, name] : withoutField;
+    });
+  }, []);
+
   const handleSubmit = async (event) => {
     logger.info("Submit event received");
     event.preventDefault();
@@ -268,7 +387,7 @@ export default function FreelancerForm() {
     setFormErrors({});
     logger.info("Cleared previous submit errors");
 
-    const validationErrors = validateFreelancerForm(formValues);
+    const validationErrors = validateFreelancerForm(formValues, { canPublish });
     const validationErrorKeys = Object.keys(validationErrors);
     logger.info("Form validation complete", {
       hasErrors: validationErrorKeys.length > 0,
@@ -324,18 +443,20 @@ export default function FreelancerForm() {
       });
       return;
     } catch (error) {
-      const statusCode =
-        error?.status ??
-        error?.response?.status ??
-        error?.payload?.status ??
-        null;
+      const { kind, status: statusCode, message, isAuthError } = describeApiError(error, {
+        fallbackMessage:
+          "Unable to create freelancer profile. Please review the information and try again.",
+        messages: {
+          [ERROR_KINDS.conflict]: "A freelancer profile already exists for this account.",
+        },
+      });
 
       logger.error("Freelancer profile submission failed", {
         statusCode,
         error,
       });
 
-      if (statusCode === 401 || statusCode === 403) {
+      if (isAuthError) {
         logger.warn("Submission unauthorized; resetting auth state");
         setFreelancerProfile(null);
         setFreelancerProfileStatus("unauthorized");
@@ -343,17 +464,17 @@ export default function FreelancerForm() {
         return;
       }
 
-      if (statusCode === 404) {
+      if (kind === ERROR_KINDS.notFound) {
         logger.warn("Submission response 404; marking profile as missing");
         setFreelancerProfile(null);
         setFreelancerProfileStatus("missing");
-      } else if (statusCode === 409) {
+      } else if (kind === ERROR_KINDS.conflict) {
         logger.warn(
           "Submission response conflict (409); marking status as error"
         );
         setFreelancerProfile(null);
         setFreelancerProfileStatus("error");
-      } else if (statusCode && statusCode >= 500) {
+      } else if (kind === ERROR_KINDS.server) {
         logger.error("Submission response server error", { statusCode });
         setFreelancerProfile(null);
         setFreelancerProfileStatus("error");
@@ -366,18 +487,6 @@ export default function FreelancerForm() {
         setFreelancerProfileStatus("missing");
       }
 
-      const backendMessage =
-        error?.payload?.error ??
-        error?.payload?.message ??
-        error?.message ??
-        null;
-      const message = deriveErrorMessage(
-        backendMessage,
-        statusCode === 409
-          ? "A freelancer profile already exists for this account."
-          : "Unable to create freelancer profile. Please review the information and try again."
-      );
-
       setSubmitError(message);
       toast?.error?.({
         message,
@@ -440,7 +549,8 @@ export default function FreelancerForm() {
         {
           method: "POST",
           body: JSON.stringify(servicesPayload),
-        }
+        },
+        { offlineLabel: "New services" }
       );
 
       const createdServices = Array.isArray(responsePayload?.services)
@@ -462,18 +572,27 @@ export default function FreelancerForm() {
       });
       setActiveStep(3);
     } catch (error) {
-      const statusCode =
-        error?.status ??
-        error?.response?.status ??
-        error?.payload?.status ??
-        null;
+      const { kind, status: statusCode, message, isAuthError, profileStatus } = describeApiError(
+        error,
+        {
+          fallbackMessage:
+            "Unable to save your services. Please review the details and try again.",
+        }
+      );
+
+      if (kind === ERROR_KINDS.offline) {
+        logger.warn("Freelancer services queued while offline");
+        toast?.info?.({ title: "Services saved offline", message });
+        setActiveStep(3);
+        return;
+      }
 
       logger.error("Freelancer services submission failed", {
         statusCode,
         error,
       });
 
-      if (statusCode === 401 || statusCode === 403) {
+      if (isAuthError) {
         setFreelancerProfile(null);
         setFreelancerProfileStatus("unauthorized");
         setFreelancerServices(null);
@@ -481,25 +600,10 @@ export default function FreelancerForm() {
         return;
       }
 
-      if (statusCode === 404) {
-        setFreelancerProfileStatus("missing");
-      } else if (statusCode === 409) {
-        setFreelancerProfileStatus("error");
-      } else if (statusCode && statusCode >= 500) {
-        setFreelancerProfileStatus("error");
+      if (PROFILE_ERROR_KINDS.has(kind)) {
+        setFreelancerProfileStatus(profileStatus);
       }
 
-      const backendMessage =
-        error?.payload?.error ??
-        error?.payload?.message ??
-        error?.message ??
-        null;
-
-      const message = deriveErrorMessage(
-        backendMessage,
-        "Unable to save your services. Please review the details and try again."
-      );
-
       setServicesSubmitError(message);
       toast?.error?.({
         message,
@@ -518,11 +622,46 @@ export default function FreelancerForm() {
     }
   };
 
+  const handleScheduleSubmit = async (schedulesPayload) => {
+    logger.info("Schedule submit event received", {
+      activeStep,
+      daysCount: Array.isArray(schedulesPayload) ? schedulesPayload.length : null,
+    });
+
+    const result = await saveSchedule(schedulesPayload);
+
+    if (result.queued) {
+      // The queued request replays on reconnect, so the draft is spent.
+      logger.warn("Freelancer schedule queued while offline");
+      clearDraft();
+      toast?.info?.({ title: "Schedule saved offline", message: result.message });
+      navigate("/dashboard/freelancer", { replace: true });
+      return result;
+    }
+
+    if (!result.ok) {
+      logger.error("Freelancer schedule submission failed", {
+        message: result.message,
+      });
+      return result;
+    }
+
+    logger.info("Freelancer schedule submission succeeded");
+    clearDraft();
+    toast?.success?.({
+      title: "Schedule saved",
+      message: "Your freelancer profile is ready to accept bookings.",
+    });
+    navigate("/dashboard/freelancer", { replace: true });
+    return result;
+  };
+
   useEffect(() => {
     if (
       freelancerProfileStatus === "ready" &&
       freelancerProfile &&
-      !hasCreatedProfile
+      !hasCreatedProfile &&
+      !isAwaitingDraftResume
     ) {
       logger.info(
         "Detected ready freelancer profile in status effect; navigating to dashboard",
@@ -537,6 +676,7 @@ export default function FreelancerForm() {
     freelancerProfile,
     navigate,
     hasCreatedProfile,
+    isAwaitingDraftResume,
   ]);
 
   if (!user) {
@@ -557,7 +697,8 @@ export default function FreelancerForm() {
   if (
     freelancerProfileStatus === "ready" &&
     freelancerProfile &&
-    !hasCreatedProfile
+    !hasCreatedProfile &&
+    !isAwaitingDraftResume
   ) {
     logger.info(
       "Freelancer profile already ready in render; redirecting to dashboard"
@@ -567,7 +708,8 @@ export default function FreelancerForm() {
 
   if (
     freelancerProfileStatus === "loading" ||
-    freelancerProfileStatus === "unknown"
+    freelancerProfileStatus === "unknown" ||
+    draftStatus === "loading"
   ) {
     logger.info("Freelancer profile check in progress; showing loading state", {
       status: freelancerProfileStatus,
@@ -612,21 +754,35 @@ export default function FreelancerForm() {
         <p className="page-subtitle">{stepSubtitle}</p>
       </header>
 
-      {isScheduleStep ? (
+      {isDraftPromptVisible ? (
+        <div className="notice info draft-resume-notice" role="status">
+          <p>
+            You have an unfinished onboarding draft
+            {formatDraftTimestamp(savedDraft.updatedAt)
+              ? ` saved ${formatDraftTimestamp(savedDraft.updatedAt)}`
+              : ""}
+            . Would you like to pick up where you left off?
+          </p>
+          <div className="form-footer">
+            <button type="button" className="btn btn-primary" onClick={handleResumeDraft}>
+              Resume where you left off
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={handleDiscardDraft}>
+              Start over
+            </button>
+          </div>
+        </div>
+      ) : isScheduleStep ? (
         <>
           <p>
             Your services are published. Set up your weekly availability so
             clients know when they can book you.
           </p>
           <FreelancerScheduleForm
-            onSubmit={(payload) => {
-              console.log("[FreelancerForm] Schedule saved", { payload });
-              toast?.info?.({
-                title: "Schedule saved",
-                message:
-                  "Schedule data logged to the console. Connect this to your API when ready.",
-              });
-            }}
+            initialSchedule={resumedSchedule}
+            onSubmit={handleScheduleSubmit}
+            onValuesChange={handleScheduleDraftChange}
+            disabled={isScheduleSaving}
           />
         </>
       ) : isServicesStep ? (
@@ -639,7 +795,9 @@ export default function FreelancerForm() {
             <p className="notice error">{servicesSubmitError}</p>
           )}
           <FreelancerServicesForm
+            initialServices={resumedServices}
             onSubmit={handleServicesSubmit}
+            onValuesChange={handleServicesDraftChange}
             isSubmitting={isServicesSubmitting}
           />
         </>
@@ -679,9 +837,16 @@ export default function FreelancerForm() {
                   name="isPublic"
                   checked={formValues.isPublic}
                   onChange={handleFieldChange}
+                  disabled={!canPublish && !formValues.isPublic}
                 />
                 <span>Make my freelancer profile public</span>
               </label>
+              {!canPublish && (
+                <p className="field-hint">{PUBLIC_PROFILE_LOCKED_MESSAGE}</p>
+              )}
+              {formErrors.isPublic && (
+                <p className="field-error">{formErrors.isPublic}</p>
+              )}
             </fieldset>
 
             <div className="field">
@@ -729,26 +894,31 @@ export default function FreelancerForm() {
               />
             </div>
 
-            {URL_FIELD_CONFIG.map(({ name, label }) => (
-              <div className="field" key={name}>
-                <label htmlFor={name}>{label}</label>
-                <input
-                  id={name}
+            {URL_FIELD_CONFIG.map(({ name, label, hint, purpose, capture }) => {
+              const isEditable = canEditDocument(verificationState, name);
+              return (
+                <DocumentUploadField
+                  key={name}
                   name={name}
-                  type="url"
+                  label={label}
+                  hint={isEditable ? hint : getDocumentLockMessage(verificationState)}
+                  reviewNote={verificationState?.documents[name]?.reason}
+                  purpose={purpose}
+                  capture={capture}
                   value={formValues[name]}
-                  onChange={handleFieldChange}
-                  placeholder="https://example.com/resource"
-                  inputMode="url"
+                  error={formErrors[name]}
+                  disabled={disableProfileForm || !isEditable}
+                  onChange={handleDocumentChange}
+                  onUploadingChange={handleUploadingChange}
                 />
-                {formErrors[name] && (
-                  <p className="field-error">{formErrors[name]}</p>
-                )}
-              </div>
-            ))}
+              );
+            })}
 
             <div className="actions">
-              <button type="submit" disabled={disableProfileForm}>
+              <button
+                type="submit"
+                disabled={disableProfileForm || uploadingFields.length > 0}
+              >
                 {isSubmitting ? "Submitting…" : "Save and continue"}
               </button>
             </div>
@@ -0,0 +1,380 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  createEmptyBreak,
+  createExceptionsPayload,
+  createScheduleException,
+  validateScheduleExceptions,
+} from "./freelancer/scheduleHelpers.js";
+
+const cloneExceptions = (exceptions) =>
+  (Array.isArray(exceptions) ? exceptions : []).map((exception) => ({
+    ...exception,
+    breaks: exception.breaks.map((breakPeriod) => ({ ...breakPeriod })),
+  }));
+
+const ExceptionCard = ({
+  exception,
+  index,
+  onChange,
+  onRemove,
+  onAddBreak,
+  onRemoveBreak,
+  onBreakChange,
+  errors,
+}) => {
+  const idPrefix = `exception-${index}`;
+
+  return (
+    <article className="schedule-card">
+      <header className="schedule-card__header">
+        <h3>{exception.reason.trim() || `Exception ${index + 1}`}</h3>
+        <label className="toggle">
+          <input
+            type="checkbox"
+            checked={!exception.isClosed}
+            onChange={(event) =>
+              onChange(index, {
+                isClosed: !event.target.checked,
+                endDate: event.target.checked ? exception.startDate : exception.endDate,
+              })
+            }
+          />
+          <span>Custom hours</span>
+        </label>
+      </header>
+
+      <div className="schedule-card__body">
+        <div className="field">
+          <label htmlFor={`${idPrefix}-start-date`}>
+            {exception.isClosed ? "From" : "Date"}
+          </label>
+          <input
+            id={`${idPrefix}-start-date`}
+            type="date"
+            value={exception.startDate}
+            onChange={(event) =>
+              onChange(index, {
+                startDate: event.target.value,
+                ...(exception.isClosed &&
+                exception.endDate &&
+                exception.endDate >= event.target.value
+                  ? {}
+                  : { endDate: event.target.value }),
+              })
+            }
+          />
+        </div>
+        {exception.isClosed ? (
+          <div className="field">
+            <label htmlFor={`${idPrefix}-end-date`}>To</label>
+            <input
+              id={`${idPrefix}-end-date`}
+              type="date"
+              value={exception.endDate}
+              min={exception.startDate || undefined}
+              onChange={(event) => onChange(index, { endDate: event.target.value })}
+            />
+          </div>
+        ) : (
+          <>
+            <div className="field">
+              <label htmlFor={`${idPrefix}-start`}>Start time</label>
+              <input
+                id={`${idPrefix}-start`}
+                type="time"
+                value={exception.startTime}
+                onChange={(event) => onChange(index, { startTime: event.target.value })}
+              />
+            </div>
+            <div className="field">
+              <label htmlFor={`${idPrefix}-end`}>End time</label>
+              <input
+                id={`${idPrefix}-end`}
+                type="time"
+                value={exception.endTime}
+                onChange={(event) => onChange(index, { endTime: event.target.value })}
+              />
+            </div>
+          </>
+        )}
+        <div className="field">
+          <label htmlFor={`${idPrefix}-reason`}>Reason (optional)</label>
+          <input
+            id={`${idPrefix}-reason`}
+            type="text"
+            value={exception.reason}
+            maxLength={80}
+            placeholder={exception.isClosed ? "Eid holiday" : "Extra evening hours"}
+            onChange={(event) => onChange(index, { reason: event.target.value })}
+          />
+        </div>
+      </div>
+      {errors?.dateRange && <p className="field-error">{errors.dateRange}</p>}
+      {errors?.timeRange && <p className="field-error">{errors.timeRange}</p>}
+
+      {!exception.isClosed && (
+        <section className="schedule-card__breaks">
+          <header>
+            <h4>Breaks</h4>
+            <button type="button" onClick={() => onAddBreak(index)}>
+              Add break
+            </button>
+          </header>
+
+          {exception.breaks.length === 0 ? (
+            <p className="schedule-card__empty">No breaks added yet.</p>
+          ) : (
+            <ul className="break-list">
+              {exception.breaks.map((breakPeriod, breakIndex) => (
+                <li key={breakIndex}>
+                  <div className="field">
+                    <label htmlFor={`${idPrefix}-break-${breakIndex}-start`}>From</label>
+                    <input
+                      id={`${idPrefix}-break-${breakIndex}-start`}
+                      type="time"
+                      value={breakPeriod.startTime}
+                      onChange={(event) =>
+                        onBreakChange(index, breakIndex, "startTime", event.target.value)
+                      }
+                    />
+                  </div>
+                  <div className="field">
+                    <label htmlFor={`${idPrefix}-break-${breakIndex}-end`}>To</label>
+                    <input
+                      id={`${idPrefix}-break-${breakIndex}-end`}
+                      type="time"
+                      value={breakPeriod.endTime}
+                      onChange={(event) =>
+                        onBreakChange(index, breakIndex, "endTime", event.target.value)
+                      }
+                    />
+                  </div>
+                  <button
+                    type="button"
+                    className="break-remove"
+                    onClick={() => onRemoveBreak(index, breakIndex)}
+                  >
+                    Remove
+                  </button>
+                  {errors?.breaks?.[breakIndex]?.range && (
+                    <p className="field-error">{errors.breaks[breakIndex].range}</p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      <button type="button" className="break-remove" onClick={() => onRemove(index)}>
+        Remove exception
+      </button>
+    </article>
+  );
+};
+
+const FreelancerScheduleExceptionsForm = ({
+  initialExceptions,
+  onSubmit,
+  disabled = false,
+}) => {
+  const [exceptions, setExceptions] = useState(() =>
+    cloneExceptions(initialExceptions)
+  );
+  const [errors, setErrors] = useState({});
+  const [submissionNotice, setSubmissionNotice] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const baselineExceptionsRef = useRef(cloneExceptions(initialExceptions));
+
+  useEffect(() => {
+    baselineExceptionsRef.current = cloneExceptions(initialExceptions);
+    setExceptions(cloneExceptions(initialExceptions));
+    setErrors({});
+    setSubmissionNotice(null);
+  }, [initialExceptions]);
+
+  const updateException = (index, updater) => {
+    setExceptions((previous) =>
+      previous.map((exception, exceptionIndex) =>
+        exceptionIndex === index ? updater(exception) : exception
+      )
+    );
+    setErrors((previous) => {
+      if (!previous[index]) {
+        return previous;
+      }
+      const next = { ...previous };
+      delete next[index];
+      return next;
+    });
+  };
+
+  const handleChange = (index, changes) => {
+    updateException(index, (exception) => ({
+      ...exception,
+      ...changes,
+      breaks: changes.isClosed ? [] : exception.breaks,
+    }));
+  };
+
+  const handleAddBreak = (index) => {
+    updateException(index, (exception) => ({
+      ...exception,
+      breaks: [...exception.breaks, createEmptyBreak()],
+    }));
+  };
+
+  const handleRemoveBreak = (index, breakIndex) => {
+    updateException(index, (exception) => ({
+      ...exception,
+      breaks: exception.breaks.filter((_, currentIndex) => currentIndex !== breakIndex),
+    }));
+  };
+
+  const handleBreakChange = (index, breakIndex, field, value) => {
+    updateException(index, (exception) => ({
+      ...exception,
+      breaks: exception.breaks.map((breakPeriod, currentIndex) =>
+        currentIndex === breakIndex ? { ...breakPeriod, [field]: value } : breakPeriod
+      ),
+    }));
+  };
+
+  const handleAddException = () => {
+    setExceptions((previous) => [...previous, createScheduleException()]);
+    setSubmissionNotice(null);
+  };
+
+  const handleRemoveException = (index) => {
+    setExceptions((previous) =>
+      previous.filter((_, exceptionIndex) => exceptionIndex !== index)
+    );
+    setErrors({});
+  };
+
+  const handleReset = () => {
+    setExceptions(cloneExceptions(baselineExceptionsRef.current));
+    setErrors({});
+    setSubmissionNotice(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (isSubmitting) {
+      return;
+    }
+    setSubmissionNotice(null);
+    const validationErrors = validateScheduleExceptions(exceptions);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      setSubmissionNotice({
+        type: "error",
+        text: "Please fix the highlighted errors.",
+      });
+      return;
+    }
+    setErrors({});
+
+    const payload = createExceptionsPayload(exceptions);
+    if (payload.length === 0 && baselineExceptionsRef.current.length === 0) {
+      setSubmissionNotice({
+        type: "info",
+        text: "No exceptions added. Nothing to submit.",
+      });
+      return;
+    }
+
+    if (!onSubmit) {
+      console.log("Freelancer schedule exceptions submission", {
+        exceptions: payload,
+      });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await onSubmit(payload);
+      if (result?.ok === false) {
+        setSubmissionNotice({
+          type: "error",
+          text: result.message ?? "We couldn't save your exceptions. Please try again.",
+        });
+        return;
+      }
+      baselineExceptionsRef.current = cloneExceptions(exceptions);
+      setSubmissionNotice({
+        type: "success",
+        text: "Exceptions saved.",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <section className="freelancer-schedule-form">
+      <header>
+        <h2>Holidays and one-off hours</h2>
+        <p>
+          Block dates when you are away, or set different hours for a single
+          day. These dates replace your weekly availability.
+        </p>
+      </header>
+
+      <form onSubmit={handleSubmit} noValidate>
+        <aside className="schedule-copy">
+          <button type="button" onClick={handleAddException}>
+            Add exception
+          </button>
+          <button type="button" className="btn-ghost" onClick={handleReset}>
+            Reset exceptions
+          </button>
+        </aside>
+
+        {exceptions.length === 0 ? (
+          <p className="schedule-card__empty">
+            No exceptions yet. Your weekly schedule applies to every date.
+          </p>
+        ) : (
+          <div className="schedule-grid">
+            {exceptions.map((exception, index) => (
+              <ExceptionCard
+                key={index}
+                exception={exception}
+                index={index}
+                onChange={handleChange}
+                onRemove={handleRemoveException}
+                onAddBreak={handleAddBreak}
+                onRemoveBreak={handleRemoveBreak}
+                onBreakChange={handleBreakChange}
+                errors={errors[index]}
+              />
+            ))}
+          </div>
+        )}
+
+        <footer className="form-footer">
+          <button
+            type="submit"
+            className="btn-primary"
+            disabled={disabled || isSubmitting}
+          >
+            {isSubmitting ? "Saving…" : "Save exceptions"}
+          </button>
+          <p className="schedule-summary">
+            {exceptions.length > 0
+              ? `${exceptions.length} exception${exceptions.length === 1 ? "" : "s"}`
+              : "Weekly schedule only."}
+          </p>
+        </footer>
+        {submissionNotice && (
+          <p className={`notice ${submissionNotice.type}`}>
+            {submissionNotice.text}
+          </p>
+        )}
+      </form>
+    </section>
+  );
+};
+
+export default FreelancerScheduleExceptionsForm;
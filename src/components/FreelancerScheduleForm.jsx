@@ -1,133 +1,13 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-
-const DAYS_OF_WEEK = [
-  { value: 0, label: "Sunday" },
-  { value: 1, label: "Monday" },
-  { value: 2, label: "Tuesday" },
-  { value: 3, label: "Wednesday" },
-  { value: 4, label: "Thursday" },
-  { value: 5, label: "Friday" },
-  { value: 6, label: "Saturday" },
-];
-
-const DEFAULT_START_TIME = "09:00";
-const DEFAULT_END_TIME = "17:00";
-
-const createEmptyBreak = () => ({
-  startTime: "",
-  endTime: "",
-});
-
-const createDaySchedule = (dayOfWeek) => ({
-  dayOfWeek,
-  isActive: false,
-  startTime: DEFAULT_START_TIME,
-  endTime: DEFAULT_END_TIME,
-  breaks: [],
-});
-
-const cloneDaySchedule = (day, overrides = {}) => ({
-  dayOfWeek:
-    overrides.dayOfWeek !== undefined ? overrides.dayOfWeek : day.dayOfWeek,
-  isActive: overrides.isActive ?? day.isActive,
-  startTime: overrides.startTime ?? day.startTime,
-  endTime: overrides.endTime ?? day.endTime,
-  breaks: (overrides.breaks ?? day.breaks).map((breakPeriod) => ({
-    startTime: breakPeriod.startTime,
-    endTime: breakPeriod.endTime,
-  })),
-});
-
-const isTimeRangeValid = (start, end) => {
-  if (!start || !end) {
-    return false;
-  }
-  return start < end;
-};
-
-const isBreakWithinDay = (breakPeriod, day) => {
-  if (!isTimeRangeValid(breakPeriod.startTime, breakPeriod.endTime)) {
-    return false;
-  }
-  if (!isTimeRangeValid(day.startTime, day.endTime)) {
-    return false;
-  }
-  return (
-    breakPeriod.startTime >= day.startTime &&
-    breakPeriod.endTime <= day.endTime
-  );
-};
-
-const validateSchedule = (schedule) => {
-  const errors = {};
-  schedule.forEach((day) => {
-    if (!day.isActive) {
-      return;
-    }
-
-    const dayErrors = {};
-    if (!isTimeRangeValid(day.startTime, day.endTime)) {
-      dayErrors.timeRange = "Start time must be before end time.";
-    }
-
-    const breakErrors = day.breaks.map((breakPeriod) => {
-      const breakError = {};
-      if (!isTimeRangeValid(breakPeriod.startTime, breakPeriod.endTime)) {
-        breakError.range = "Break start time must be before end time.";
-      } else if (!isBreakWithinDay(breakPeriod, day)) {
-        breakError.range = "Break must be within your availability window.";
-      }
-      return breakError;
-    });
-
-    const hasBreakErrors = breakErrors.some(
-      (breakError) => Object.keys(breakError).length > 0
-    );
-
-    if (Object.keys(dayErrors).length > 0 || hasBreakErrors) {
-      errors[day.dayOfWeek] = {
-        ...dayErrors,
-        breaks: breakErrors,
-      };
-    }
-  });
-
-  return errors;
-};
-
-const createSubmissionPayload = (schedule) =>
-  schedule
-    .filter((day) => day.isActive)
-    .map((day) => ({
-      day_of_week: day.dayOfWeek,
-      start_time: day.startTime,
-      end_time: day.endTime,
-      breaks: day.breaks
-        .filter((breakPeriod) =>
-          isTimeRangeValid(breakPeriod.startTime, breakPeriod.endTime)
-        )
-        .map((breakPeriod) => ({
-          start_time: breakPeriod.startTime,
-          end_time: breakPeriod.endTime,
-        })),
-    }));
-
-const normaliseSchedule = (initialSchedule) => {
-  if (Array.isArray(initialSchedule) && initialSchedule.length === 7) {
-    return initialSchedule.map((day) => ({
-      ...createDaySchedule(day.dayOfWeek),
-      ...day,
-      breaks: Array.isArray(day.breaks)
-        ? day.breaks.map((breakPeriod) => ({
-            startTime: breakPeriod.startTime ?? "",
-            endTime: breakPeriod.endTime ?? "",
-          }))
-        : [],
-    }));
-  }
-
-  return DAYS_OF_WEEK.map((day) => createDaySchedule(day.value));
-};
+import {
+  DAYS_OF_WEEK,
+  cloneDaySchedule,
+  createEmptyBreak,
+  createSubmissionPayload,
+  getDayLabel,
+  normaliseSchedule,
+  validateSchedule,
+} from "./freelancer/scheduleHelpers.js";
 
 const DayScheduleCard = ({
   day,
@@ -141,7 +21,7 @@ const DayScheduleCard = ({
   return (
     <article className="schedule-card">
       <header className="schedule-card__header">
-        <h3>{DAYS_OF_WEEK.find((entry) => entry.value === day.dayOfWeek)?.label}</h3>
+        <h3>{getDayLabel(day.dayOfWeek)}</h3>
         <label className="toggle">
           <input
             type="checkbox"
@@ -260,7 +140,12 @@ const DayScheduleCard = ({
   );
 };
 
-const FreelancerScheduleForm = ({ initialSchedule, onSubmit }) => {
+const FreelancerScheduleForm = ({
+  initialSchedule,
+  onSubmit,
+  onValuesChange,
+  disabled = false,
+}) => {
   const [schedule, setSchedule] = useState(() =>
     normaliseSchedule(initialSchedule)
   );
@@ -268,6 +153,7 @@ const FreelancerScheduleForm = ({ initialSchedule, onSubmit }) => {
   const [copyFromDay, setCopyFromDay] = useState(0);
   const [copyToDay, setCopyToDay] = useState(1);
   const [submissionNotice, setSubmissionNotice] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
   const baselineScheduleRef = useRef(normaliseSchedule(initialSchedule));
 
   useEffect(() => {
@@ -278,6 +164,10 @@ const FreelancerScheduleForm = ({ initialSchedule, onSubmit }) => {
     setSubmissionNotice(null);
   }, [initialSchedule]);
 
+  useEffect(() => {
+    onValuesChange?.(schedule);
+  }, [onValuesChange, schedule]);
+
   const activeDayCount = useMemo(
     () => schedule.filter((day) => day.isActive).length,
     [schedule]
@@ -480,8 +370,11 @@ const FreelancerScheduleForm = ({ initialSchedule, onSubmit }) => {
     setSubmissionNotice(null);
   };
 
-  const handleSubmit = (event) => {
+  const handleSubmit = async (event) => {
     event.preventDefault();
+    if (isSubmitting) {
+      return;
+    }
     setSubmissionNotice(null);
     const validationErrors = validateSchedule(schedule);
     const hasErrors = Object.keys(validationErrors).length > 0;
@@ -496,24 +389,56 @@ const FreelancerScheduleForm = ({ initialSchedule, onSubmit }) => {
     setErrors({});
 
     const payload = createSubmissionPayload(schedule);
-    if (onSubmit) {
-      onSubmit(payload);
-    } else {
+    const hadActiveDays = baselineScheduleRef.current.some((day) => day.isActive);
+    if (payload.length === 0 && !hadActiveDays) {
+      setSubmissionNotice({
+        type: "info",
+        text: "No days selected. Nothing to submit.",
+      });
+      return;
+    }
+
+    if (!onSubmit) {
       console.log("Freelancer schedule submission", {
         schedules: payload,
       });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await onSubmit(payload);
+      if (result?.queued) {
+        baselineScheduleRef.current = schedule.map((day) =>
+          cloneDaySchedule(day, { dayOfWeek: day.dayOfWeek })
+        );
+        setSubmissionNotice({ type: "info", text: result.message });
+        return;
+      }
+      if (result?.ok === false) {
+        setSubmissionNotice({
+          type: "error",
+          text: result.message ?? "We couldn't save your schedule. Please try again.",
+        });
+        return;
+      }
+      baselineScheduleRef.current = schedule.map((day) =>
+        cloneDaySchedule(day, { dayOfWeek: day.dayOfWeek })
+      );
+      setSubmissionNotice(
+        payload.length > 0
+          ? {
+              type: "success",
+              text: "Schedule saved.",
+            }
+          : {
+              type: "info",
+              text: "Schedule cleared. Clients can't book you until you add availability.",
+            }
+      );
+    } finally {
+      setIsSubmitting(false);
     }
-    setSubmissionNotice(
-      payload.length > 0
-        ? {
-            type: "success",
-            text: "Schedule saved locally. Check the console for the payload.",
-          }
-        : {
-            type: "info",
-            text: "No days selected. Nothing to submit.",
-          }
-    );
   };
 
   return (
@@ -580,8 +505,12 @@ const FreelancerScheduleForm = ({ initialSchedule, onSubmit }) => {
         </div>
 
         <footer className="form-footer">
-          <button type="submit" className="btn-primary">
-            Save schedule
+          <button
+            type="submit"
+            className="btn-primary"
+            disabled={disabled || isSubmitting}
+          >
+            {isSubmitting ? "Saving…" : "Save schedule"}
           </button>
           <p className="schedule-summary">
             {activeDayCount > 0
@@ -207,19 +207,22 @@ const ServiceCard = ({
   onRemove,
   disableRemove,
   errors,
+  heading,
 }) => {
   const pricing = service.pricing === "range" ? "range" : "fixed";
   return (
     <article className="service-card">
       <header className="service-card__header">
-        <h3>Service {index + 1}</h3>
-        <button
-          type="button"
-          onClick={() => onRemove(index)}
-          disabled={disableRemove}
-        >
-          Remove
-        </button>
+        <h3>{heading ?? `Service ${index + 1}`}</h3>
+        {onRemove && (
+          <button
+            type="button"
+            onClick={() => onRemove(index)}
+            disabled={disableRemove}
+          >
+            Remove
+          </button>
+        )}
       </header>
 
       <div className="field">
@@ -399,6 +402,7 @@ const FreelancerServicesForm = ({
   initialServices,
   onSubmit,
   onBack,
+  onValuesChange,
   isSubmitting = false,
 }) => {
   const [services, setServices] = useState(() =>
@@ -411,6 +415,10 @@ const FreelancerServicesForm = ({
     setServices(ensureServiceArray(initialServices));
   }, [initialServices]);
 
+  useEffect(() => {
+    onValuesChange?.(services);
+  }, [onValuesChange, services]);
+
   const canAddMore = services.length < MAX_SERVICES;
   const disableRemove = services.length <= MIN_SERVICES;
 
@@ -547,6 +555,6 @@ const FreelancerServicesForm = ({
 
 export default FreelancerServicesForm;
 
-export { SERVICE_CATEGORIES, validateServices };
+export { SERVICE_CATEGORIES, ServiceCard, validateServices };
 
 
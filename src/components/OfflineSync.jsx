@@ -0,0 +1,240 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useAuth } from "../hooks/useAuth.jsx";
+import { useAuthenticatedFetch } from "../hooks/useAuthenticatedFetch.jsx";
+import { useOnlineStatus } from "../hooks/useOnlineStatus.jsx";
+import { useToast } from "../hooks/useToast.jsx";
+import { NetworkError, createApiError, getErrorMessage } from "../utils/apiErrors";
+import { tryParseJson } from "../utils/http";
+import {
+  listQueuedRequests,
+  removeQueuedRequest,
+  subscribeToQueue,
+  updateQueuedRequest,
+} from "../utils/offlineQueue";
+
+const RETRY_DELAY_MS = 30 * 1000;
+const REPLAY_LOCK_NAME = "offline-queue-replay";
+
+// Statuses worth retrying later; anything else in the 4xx range means the
+// backend rejected the change and replaying it again won't help.
+const isRetryableStatus = (status) =>
+  status === 401 || status === 408 || status === 429 || status >= 500;
+
+const pluraliseChanges = (count) => (count === 1 ? "1 change" : `${count} changes`);
+
+const withReplayLock = (callback) =>
+  typeof navigator !== "undefined" && navigator.locks?.request
+    ? navigator.locks.request(REPLAY_LOCK_NAME, callback)
+    : callback();
+
+const OfflineSync = () => {
+  const { user } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const isOnline = useOnlineStatus();
+  const toast = useToast();
+
+  const [pendingCount, setPendingCount] = useState(0);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [retryIndex, setRetryIndex] = useState(0);
+  const failedAttemptsRef = useRef(0);
+  const isSyncingRef = useRef(false);
+  const statusToastIdRef = useRef(null);
+
+  const hasUser = Boolean(user);
+  const owner = user?.id != null ? String(user.id) : null;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const refreshCount = async () => {
+      try {
+        const entries = hasUser ? await listQueuedRequests(owner) : [];
+        if (!cancelled) {
+          setPendingCount(entries.length);
+        }
+      } catch (error) {
+        console.warn("[OfflineSync] Failed to read offline queue", error);
+      }
+    };
+
+    refreshCount();
+    const unsubscribe = subscribeToQueue(refreshCount);
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [hasUser, owner]);
+
+  const replayEntry = useCallback(
+    async (entry) => {
+      const response = await authenticatedFetch(entry.endpoint, {
+        method: entry.method,
+        headers: entry.headers,
+        body: entry.body ?? undefined,
+      });
+
+      if (response.ok) {
+        await removeQueuedRequest(entry.id);
+        return { status: "synced" };
+      }
+
+      const error = createApiError({
+        status: response.status,
+        payload: await tryParseJson(response),
+        response,
+      });
+
+      if (isRetryableStatus(response.status)) {
+        await updateQueuedRequest({
+          ...entry,
+          attempts: entry.attempts + 1,
+          lastError: error.message,
+        });
+        return { status: "retry" };
+      }
+
+      await removeQueuedRequest(entry.id);
+      return {
+        status: "rejected",
+        message: getErrorMessage(error, "The server rejected this change."),
+      };
+    },
+    [authenticatedFetch]
+  );
+
+  const syncQueue = useCallback(async () => {
+    if (isSyncingRef.current) {
+      return;
+    }
+    isSyncingRef.current = true;
+    setIsSyncing(true);
+
+    let synced = 0;
+    let remaining = 0;
+    const rejected = [];
+
+    try {
+      await withReplayLock(async () => {
+        const entries = await listQueuedRequests(owner);
+        remaining = entries.length;
+
+        for (const entry of entries) {
+          let result;
+          try {
+            result = await replayEntry(entry);
+          } catch (error) {
+            if (!(error instanceof NetworkError)) {
+              console.error("[OfflineSync] Failed to replay request", { entry, error });
+            }
+            break;
+          }
+
+          if (result.status === "retry") {
+            break;
+          }
+
+          remaining -= 1;
+          if (result.status === "synced") {
+            synced += 1;
+          } else {
+            rejected.push({ label: entry.label, message: result.message });
+          }
+        }
+      });
+    } catch (error) {
+      console.warn("[OfflineSync] Offline queue replay failed", error);
+    } finally {
+      isSyncingRef.current = false;
+      setIsSyncing(false);
+    }
+
+    if (synced > 0) {
+      toast?.success?.({
+        title: "Offline changes synced",
+        message: `${pluraliseChanges(synced)} saved while offline ${
+          synced === 1 ? "has" : "have"
+        } been sent.`,
+      });
+    }
+
+    rejected.forEach(({ label, message }) => {
+      toast?.error?.({
+        title: label ? `Couldn't sync: ${label}` : "Couldn't sync an offline change",
+        message,
+        duration: 0,
+      });
+    });
+
+    if (remaining > 0) {
+      failedAttemptsRef.current += 1;
+      setRetryIndex((previous) => previous + 1);
+    } else {
+      failedAttemptsRef.current = 0;
+    }
+  }, [owner, replayEntry, toast]);
+
+  useEffect(() => {
+    if (isOnline) {
+      failedAttemptsRef.current = 0;
+    }
+  }, [isOnline]);
+
+  useEffect(() => {
+    if (!isOnline || !hasUser || pendingCount === 0) {
+      return undefined;
+    }
+
+    const timerId = window.setTimeout(
+      syncQueue,
+      failedAttemptsRef.current === 0 ? 0 : RETRY_DELAY_MS
+    );
+
+    return () => {
+      window.clearTimeout(timerId);
+    };
+  }, [hasUser, isOnline, pendingCount, retryIndex, syncQueue]);
+
+  useEffect(() => {
+    let nextToast = null;
+
+    if (!isOnline) {
+      nextToast = {
+        type: "warning",
+        title: "You're offline",
+        message:
+          pendingCount > 0
+            ? `${pluraliseChanges(pendingCount)} waiting to sync.`
+            : "Changes you save will be kept on this device until you reconnect.",
+      };
+    } else if (pendingCount > 0 && hasUser) {
+      nextToast = {
+        type: "info",
+        title: isSyncing ? "Syncing offline changes" : "Offline changes pending",
+        message: isSyncing
+          ? `Sending ${pluraliseChanges(pendingCount)}…`
+          : `${pluraliseChanges(pendingCount)} will be sent shortly.`,
+      };
+    }
+
+    if (!nextToast) {
+      if (statusToastIdRef.current) {
+        toast?.dismiss?.(statusToastIdRef.current);
+        statusToastIdRef.current = null;
+      }
+      return;
+    }
+
+    if (statusToastIdRef.current) {
+      toast?.update?.(statusToastIdRef.current, nextToast);
+      return;
+    }
+
+    statusToastIdRef.current =
+      toast?.push?.({ ...nextToast, duration: 0, dismissible: false }) ?? null;
+  }, [hasUser, isOnline, isSyncing, pendingCount, toast]);
+
+  return null;
+};
+
+export default OfflineSync;
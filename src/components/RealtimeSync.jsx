@@ -0,0 +1,124 @@
+import { useEffect, useRef } from "react";
+import { useAuth } from "../hooks/useAuth.jsx";
+import { useAuthenticatedFetch } from "../hooks/useAuthenticatedFetch.jsx";
+import { useNotifications } from "../hooks/useNotifications.jsx";
+import { extractFreelancerProfile } from "../utils/freelancer";
+import {
+  REALTIME_EVENTS,
+  createRealtimeConnection,
+  isRealtimeEnabled,
+  publishRealtimeEvent,
+} from "../utils/realtime";
+
+// Applies server-pushed events to AuthProvider state and the notification
+// centre, so dashboards update without polling or refetching.
+const RealtimeSync = () => {
+  const {
+    accessToken,
+    user,
+    setUser,
+    freelancerProfile,
+    setFreelancerProfile,
+    setFreelancerProfileStatus,
+    recordBookingEvent,
+  } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const { addNotification } = useNotifications();
+
+  const connectionRef = useRef(null);
+  const accessTokenRef = useRef(accessToken);
+  const handleEventRef = useRef(null);
+  const refreshSessionRef = useRef(null);
+
+  const userId = user?.id != null ? String(user.id) : null;
+  const hasToken = Boolean(accessToken);
+
+  useEffect(() => {
+    accessTokenRef.current = accessToken;
+    refreshSessionRef.current = authenticatedFetch.refreshSession;
+
+    handleEventRef.current = (event) => {
+      const { type, data } = event;
+      publishRealtimeEvent(event);
+
+      if (data?.notification) {
+        addNotification(data.notification);
+      }
+
+      switch (type) {
+        case REALTIME_EVENTS.notification:
+          addNotification(data);
+          return;
+        case REALTIME_EVENTS.bookingCreated:
+        case REALTIME_EVENTS.bookingCancelled:
+          recordBookingEvent(type, data?.booking ?? data);
+          return;
+        case REALTIME_EVENTS.verificationUpdated:
+        case REALTIME_EVENTS.freelancerProfileUpdated: {
+          if (user?.role !== "freelancer" || !freelancerProfile) {
+            return;
+          }
+          const changes = extractFreelancerProfile(data);
+          if (changes) {
+            setFreelancerProfile({ ...freelancerProfile, ...changes });
+            setFreelancerProfileStatus("ready");
+          }
+          return;
+        }
+        case REALTIME_EVENTS.userUpdated: {
+          const changes = data?.user ?? data;
+          if (user && changes && typeof changes === "object") {
+            setUser({ ...user, ...changes });
+          }
+          return;
+        }
+        case REALTIME_EVENTS.messageCreated:
+          // Picked up by the inbox pages through subscribeToRealtimeEvents.
+          return;
+        default:
+          console.log("[RealtimeSync] ignoring unknown event", { type });
+      }
+    };
+  }, [
+    accessToken,
+    addNotification,
+    authenticatedFetch,
+    freelancerProfile,
+    recordBookingEvent,
+    setFreelancerProfile,
+    setFreelancerProfileStatus,
+    setUser,
+    user,
+  ]);
+
+  useEffect(() => {
+    if (!isRealtimeEnabled() || !userId || !hasToken || typeof window === "undefined") {
+      return undefined;
+    }
+
+    const connection = createRealtimeConnection({
+      token: accessTokenRef.current,
+      onEvent: (event) => handleEventRef.current?.(event),
+      onStatusChange: ({ status, transport }) => {
+        console.log("[RealtimeSync] connection status", { status, transport });
+      },
+      onAuthError: () => refreshSessionRef.current?.(),
+    });
+    connectionRef.current = connection;
+
+    return () => {
+      connection.close();
+      connectionRef.current = null;
+    };
+  }, [hasToken, userId]);
+
+  useEffect(() => {
+    if (accessToken) {
+      connectionRef.current?.updateToken(accessToken);
+    }
+  }, [accessToken]);
+
+  return null;
+};
+
+export default RealtimeSync;
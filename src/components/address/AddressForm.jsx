@@ -1,6 +1,7 @@
 import { useCallback, useMemo, useState } from "react";
 import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
 import { useToast } from "../../hooks/useToast.jsx";
+import { ERROR_KINDS, describeApiError } from "../../utils/apiErrors";
 import {
   ADDRESS_TYPES,
   clampPrecision,
@@ -103,10 +104,14 @@ export default function AddressForm({
     setSubmitting(true);
 
     try {
-      const response = await authenticatedFetch.requestJson("/users/me/addresses", {
-        method: "POST",
-        body: JSON.stringify(requestBody),
-      });
+      const response = await authenticatedFetch.requestJson(
+        "/users/me/addresses",
+        {
+          method: "POST",
+          body: JSON.stringify(requestBody),
+        },
+        { offlineLabel: `Address "${requestBody.address_label}"` }
+      );
 
       const addressPayload = response?.address ?? response ?? null;
       if (!addressPayload || typeof addressPayload !== "object") {
@@ -136,19 +141,22 @@ export default function AddressForm({
         await onSuccess(addressPayload);
       }
     } catch (error) {
-      console.error("Failed to create address", error);
+      if (error?.kind === ERROR_KINDS.offline) {
+        toast.info({ title: "Address saved offline", message: error.message });
+        resetForm();
+        return;
+      }
 
-      const status = error?.status ?? null;
-      const payloadMessage =
-        error?.payload?.error ?? error?.payload?.message ?? error?.payload?.detail ?? null;
+      console.error("Failed to create address", error);
 
       toast.error({
         title: "Could not save address",
-        message:
-          payloadMessage ??
-          (status === 401
-            ? "Your session expired. Please sign in again."
-            : "Please try again or contact support if the issue persists."),
+        message: describeApiError(error, {
+          fallbackMessage: "Please try again or contact support if the issue persists.",
+          messages: {
+            [ERROR_KINDS.unauthorized]: "Your session expired. Please sign in again.",
+          },
+        }).message,
       });
     } finally {
       setSubmitting(false);
@@ -1,6 +1,7 @@
 import { useCallback, useEffect, useMemo, useState } from "react";
 import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
 import { useToast } from "../../hooks/useToast.jsx";
+import { ERROR_KINDS, describeApiError } from "../../utils/apiErrors";
 import {
   ADDRESS_TYPES,
   clampPrecision,
@@ -238,17 +239,14 @@ export default function EditAddressForm({ address, onSuccess, className = "form
       }
     } catch (error) {
       console.error("Failed to update address", error);
-      const status = error?.status ?? null;
-      const payloadMessage =
-        error?.payload?.error ?? error?.payload?.message ?? error?.payload?.detail ?? null;
-
       toast.error({
         title: "Could not update address",
-        message:
-          payloadMessage ??
-          (status === 401
-            ? "Your session expired. Please sign in again."
-            : "Please try again or contact support if the issue persists."),
+        message: describeApiError(error, {
+          fallbackMessage: "Please try again or contact support if the issue persists.",
+          messages: {
+            [ERROR_KINDS.unauthorized]: "Your session expired. Please sign in again.",
+          },
+        }).message,
       });
     } finally {
       setSubmitting(false);
@@ -1,5 +1,19 @@
 export const STORAGE_KEY = "default:address";
 
+export const readStoredDefaultAddress = () => {
+  if (typeof window === "undefined") {
+    return null;
+  }
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (error) {
+    console.warn("Failed to read default address from local storage", error);
+    return null;
+  }
+};
+
 export const ADDRESS_TYPES = [
   { value: "house", label: "House" },
   { value: "apartment", label: "Apartment" },
@@ -0,0 +1,23 @@
+import { NavLink } from "react-router-dom";
+
+const ADMIN_LINKS = [
+  { to: "/admin", label: "Verification queue", end: true },
+  { to: "/admin/users", label: "User lookup", end: false },
+];
+
+const AdminNav = () => (
+  <nav className="admin-nav" aria-label="Admin sections">
+    {ADMIN_LINKS.map(({ to, label, end }) => (
+      <NavLink
+        key={to}
+        to={to}
+        end={end}
+        className={({ isActive }) => `btn ${isActive ? "btn-primary" : "btn-ghost"}`}
+      >
+        {label}
+      </NavLink>
+    ))}
+  </nav>
+);
+
+export default AdminNav;
@@ -0,0 +1,15 @@
+import { BOOKING_STATUS_META, BOOKING_STATUSES } from "./bookingHelpers.js";
+
+const BookingStatusBadge = ({ status }) => {
+  const meta = BOOKING_STATUS_META[status] ?? BOOKING_STATUS_META[BOOKING_STATUSES.unknown];
+
+  return (
+    <span
+      className={`inline-flex items-center rounded-full px-3 py-1 text-xs font-semibold uppercase tracking-[0.08em] ${meta.className}`}
+    >
+      {meta.label}
+    </span>
+  );
+};
+
+export default BookingStatusBadge;
@@ -0,0 +1,647 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../../hooks/useAuth.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { useFreelancerOrders } from "../../hooks/useFreelancerOrders.jsx";
+import { useFreelancerSchedule } from "../../hooks/useFreelancerSchedule.jsx";
+import { useFreelancerScheduleExceptions } from "../../hooks/useFreelancerScheduleExceptions.jsx";
+import { useToast } from "../../hooks/useToast.jsx";
+import { ERROR_KINDS, describeApiError } from "../../utils/apiErrors";
+import { extractFreelancerProfile } from "../../utils/freelancer";
+import { getAvailableSlots, isWithinSchedule } from "../../utils/availability.js";
+import { electTabLeader } from "../../utils/authChannel";
+import {
+  formatBookingDate,
+  formatBookingTimeRange,
+  getBookingDayKey,
+  normaliseDailyLimit,
+} from "./bookingHelpers.js";
+
+const AUTO_ACCEPT_LEADER_ROLE = "orders:auto-accept";
+const PROPOSAL_WINDOW_DAYS = 14;
+const MAX_RESPONSE_LENGTH = 500;
+
+const DECLINE_PRESETS = [
+  "I'm fully booked at that time.",
+  "This service isn't available at that location.",
+  "I'm unavailable on that day.",
+];
+
+const ACTION_ERROR_MESSAGES = {
+  [ERROR_KINDS.conflict]:
+    "This request changed or clashes with another booking. Refresh and try again.",
+  [ERROR_KINDS.notFound]: "This request is no longer available.",
+};
+
+const getDurationSeconds = (booking) =>
+  booking.startTime && booking.endTime
+    ? Math.round((booking.endTime.getTime() - booking.startTime.getTime()) / 1000)
+    : null;
+
+const overlaps = (a, b) =>
+  Boolean(a.startTime && a.endTime && b.startTime && b.endTime) &&
+  a.startTime < b.endTime &&
+  a.endTime > b.startTime;
+
+const OrderRulesForm = ({ dailyLimit, autoAccept }) => {
+  const { freelancerProfile, setFreelancerProfile } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const toast = useToast();
+  const [limitInput, setLimitInput] = useState(dailyLimit != null ? String(dailyLimit) : "");
+  const [autoAcceptInput, setAutoAcceptInput] = useState(autoAccept);
+  const [status, setStatus] = useState("idle");
+
+  useEffect(() => {
+    setLimitInput(dailyLimit != null ? String(dailyLimit) : "");
+    setAutoAcceptInput(autoAccept);
+  }, [autoAccept, dailyLimit]);
+
+  const nextLimit = normaliseDailyLimit(limitInput);
+  const isDirty = nextLimit !== dailyLimit || autoAcceptInput !== autoAccept;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus("submitting");
+    const changes = {
+      daily_booking_limit: nextLimit,
+      auto_accept_bookings: autoAcceptInput,
+    };
+
+    try {
+      const payload = await authenticatedFetch.requestJson("/users/me/freelancer/", {
+        method: "PATCH",
+        body: JSON.stringify(changes),
+      });
+      const updatedProfile = extractFreelancerProfile(payload);
+      setFreelancerProfile(
+        updatedProfile && "daily_booking_limit" in updatedProfile
+          ? updatedProfile
+          : { ...freelancerProfile, ...changes }
+      );
+      toast?.success?.({ title: "Order rules saved" });
+    } catch (saveError) {
+      toast?.error?.({
+        message: describeApiError(saveError, {
+          fallbackMessage: "We couldn't save your order rules. Please try again.",
+        }).message,
+      });
+    } finally {
+      setStatus("idle");
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="flex flex-wrap items-end gap-4 rounded-2xl bg-slate-50 p-4 text-sm text-slate-700"
+    >
+      <label className="grid gap-1">
+        <span className="font-semibold text-slate-900">Daily limit</span>
+        <input
+          type="number"
+          min="1"
+          step="1"
+          inputMode="numeric"
+          value={limitInput}
+          onChange={(event) => setLimitInput(event.target.value)}
+          placeholder="No limit"
+          className="w-28 rounded-xl border border-slate-200 px-3 py-2"
+        />
+      </label>
+      <label className="flex items-center gap-2 py-2">
+        <input
+          type="checkbox"
+          checked={autoAcceptInput}
+          onChange={(event) => setAutoAcceptInput(event.target.checked)}
+        />
+        <span>Auto-accept requests inside my published schedule</span>
+      </label>
+      <button
+        type="submit"
+        disabled={!isDirty || status === "submitting"}
+        className="rounded-full bg-slate-900 px-4 py-2 font-semibold text-white transition hover:bg-slate-700 disabled:cursor-not-allowed disabled:bg-slate-300"
+      >
+        {status === "submitting" ? "Saving…" : "Save rules"}
+      </button>
+      <p className="w-full text-xs text-slate-500">
+        Auto-accept runs in this browser while your dashboard is open. Requests that arrive while
+        it&apos;s closed wait here for you.
+      </p>
+    </form>
+  );
+};
+
+const ProposeTimeForm = ({ booking, schedule, exceptions, confirmed, isFullDay, onSubmit, onClose, busy }) => {
+  const [dateKey, setDateKey] = useState(null);
+  const [time, setTime] = useState(null);
+  const [message, setMessage] = useState("");
+
+  const availableDays = useMemo(() => {
+    const now = new Date();
+    const lastDay = new Date(now);
+    lastDay.setDate(now.getDate() + PROPOSAL_WINDOW_DAYS - 1);
+    return getAvailableSlots({
+      schedule,
+      serviceDurationSeconds: getDurationSeconds(booking),
+      bookings: confirmed,
+      exceptions,
+      from: now,
+      to: lastDay,
+      now,
+    }).filter((day) => !isFullDay(day.dateKey));
+  }, [booking, confirmed, exceptions, isFullDay, schedule]);
+
+  const selectedDay = availableDays.find((day) => day.dateKey === dateKey) ?? null;
+  const selectedSlot = selectedDay?.slots.find((slot) => slot.time === time) ?? null;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (selectedSlot) {
+      onSubmit({ start: selectedSlot.start, end: selectedSlot.end, message: message.trim() });
+    }
+  };
+
+  if (!schedule) {
+    return (
+      <p className="rounded-2xl bg-slate-50 p-4 text-sm text-slate-600">
+        Publish your <Link to="/settings/freelancer-schedule" className="font-semibold underline">schedule</Link>{" "}
+        to propose other times.
+      </p>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 rounded-2xl bg-slate-50 p-4">
+      {availableDays.length === 0 ? (
+        <p className="text-sm text-slate-600">
+          You have no free slots in the next {PROPOSAL_WINDOW_DAYS} days for this service.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {availableDays.map((day) => (
+              <button
+                key={day.dateKey}
+                type="button"
+                onClick={() => {
+                  setDateKey(day.dateKey);
+                  setTime(null);
+                }}
+                aria-pressed={day.dateKey === dateKey}
+                className={`rounded-full border px-3 py-1 text-sm font-medium transition ${
+                  day.dateKey === dateKey
+                    ? "border-slate-900 bg-slate-900 text-white"
+                    : "border-slate-200 bg-white text-slate-700 hover:border-slate-400"
+                }`}
+              >
+                {day.date.toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short" })}
+              </button>
+            ))}
+          </div>
+          {selectedDay ? (
+            <div className="grid grid-cols-3 gap-2 sm:grid-cols-6">
+              {selectedDay.slots.map((slot) => (
+                <button
+                  key={slot.time}
+                  type="button"
+                  onClick={() => setTime(slot.time)}
+                  aria-pressed={slot.time === time}
+                  className={`rounded-xl border px-2 py-1 text-sm font-semibold transition ${
+                    slot.time === time
+                      ? "border-violet-500 bg-violet-500 text-white"
+                      : "border-slate-200 bg-white text-slate-700 hover:border-violet-300"
+                  }`}
+                >
+                  {slot.time}
+                </button>
+              ))}
+            </div>
+          ) : null}
+        </>
+      )}
+      <label className="grid gap-1 text-sm text-slate-700">
+        <span className="font-semibold text-slate-900">Message (optional)</span>
+        <textarea
+          value={message}
+          onChange={(event) => setMessage(event.target.value)}
+          maxLength={MAX_RESPONSE_LENGTH}
+          rows={2}
+          className="rounded-xl border border-slate-200 bg-white p-2"
+        />
+      </label>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="submit"
+          disabled={!selectedSlot || busy}
+          className="rounded-full bg-slate-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-slate-700 disabled:cursor-not-allowed disabled:bg-slate-300"
+        >
+          {busy ? "Sending…" : "Send proposal"}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-full border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700"
+        >
+          Back
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const DeclineForm = ({ onSubmit, onClose, busy }) => {
+  const [reason, setReason] = useState("");
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (reason.trim()) {
+      onSubmit(reason.trim());
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 rounded-2xl border border-rose-200 bg-rose-50 p-4">
+      <div className="flex flex-wrap gap-2">
+        {DECLINE_PRESETS.map((preset) => (
+          <button
+            key={preset}
+            type="button"
+            onClick={() => setReason(preset)}
+            className="rounded-full border border-rose-200 bg-white px-3 py-1 text-xs font-medium text-rose-700 hover:bg-rose-100"
+          >
+            {preset}
+          </button>
+        ))}
+      </div>
+      <label className="grid gap-1 text-sm text-rose-800">
+        <span className="font-semibold">Reason (shared with the customer)</span>
+        <textarea
+          value={reason}
+          onChange={(event) => setReason(event.target.value)}
+          maxLength={MAX_RESPONSE_LENGTH}
+          rows={2}
+          required
+          className="rounded-xl border border-rose-200 bg-white p-2 text-slate-700"
+        />
+      </label>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="submit"
+          disabled={!reason.trim() || busy}
+          className="rounded-full bg-rose-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-rose-500 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {busy ? "Declining…" : "Decline request"}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-full border border-rose-200 bg-white px-4 py-2 text-sm font-semibold text-rose-700"
+        >
+          Back
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const OrderRequestCard = ({
+  booking,
+  dayCount,
+  dailyLimit,
+  busy,
+  onAccept,
+  onDecline,
+  onPropose,
+  proposeProps,
+}) => {
+  const [mode, setMode] = useState("idle");
+  const isAtCapacity = dailyLimit != null && dayCount >= dailyLimit;
+
+  return (
+    <li className="flex flex-col gap-4 rounded-2xl border border-slate-200 bg-white p-5 shadow-sm">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="space-y-1">
+          <p className="text-lg font-semibold text-slate-900">{booking.serviceTitle}</p>
+          <p className="text-sm text-slate-600">
+            {booking.customerName} · {formatBookingDate(booking.startTime)}
+            {booking.startTime ? ` · ${formatBookingTimeRange(booking.startTime, booking.endTime)}` : ""}
+          </p>
+          {booking.notes ? <p className="text-sm italic text-slate-500">“{booking.notes}”</p> : null}
+        </div>
+        {dailyLimit != null ? (
+          <span
+            className={`rounded-full px-3 py-1 text-xs font-semibold ${
+              isAtCapacity ? "bg-rose-100 text-rose-700" : "bg-slate-100 text-slate-600"
+            }`}
+          >
+            {dayCount} of {dailyLimit} booked that day
+          </span>
+        ) : null}
+      </div>
+
+      {mode === "idle" ? (
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => onAccept(booking)}
+            disabled={busy || isAtCapacity}
+            title={isAtCapacity ? "You've reached your daily limit for this day." : undefined}
+            className="rounded-full bg-emerald-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-emerald-500 disabled:cursor-not-allowed disabled:bg-slate-300"
+          >
+            {busy ? "Working…" : "Accept"}
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode("proposing")}
+            disabled={busy}
+            className="rounded-full border border-slate-900 px-4 py-2 text-sm font-semibold text-slate-900 transition hover:bg-slate-900 hover:text-white"
+          >
+            Propose another time
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode("declining")}
+            disabled={busy}
+            className="rounded-full border border-rose-300 px-4 py-2 text-sm font-semibold text-rose-700 transition hover:bg-rose-50"
+          >
+            Decline
+          </button>
+        </div>
+      ) : null}
+
+      {isAtCapacity && mode === "idle" ? (
+        <p className="text-sm text-rose-700">
+          You&apos;ve reached your daily limit on this day. Propose another time or raise your limit.
+        </p>
+      ) : null}
+
+      {mode === "declining" ? (
+        <DeclineForm busy={busy} onClose={() => setMode("idle")} onSubmit={(reason) => onDecline(booking, reason)} />
+      ) : null}
+
+      {mode === "proposing" ? (
+        <ProposeTimeForm
+          {...proposeProps}
+          booking={booking}
+          busy={busy}
+          onClose={() => setMode("idle")}
+          onSubmit={(proposal) => onPropose(booking, proposal)}
+        />
+      ) : null}
+    </li>
+  );
+};
+
+const OrderRequestsQueue = () => {
+  const { freelancerProfile } = useAuth();
+  const toast = useToast();
+  const { requests, confirmed, dailyCounts, status, error, reload, respond } =
+    useFreelancerOrders();
+  const { schedule, status: scheduleStatus } = useFreelancerSchedule();
+  const { exceptions, status: exceptionsStatus } = useFreelancerScheduleExceptions();
+  const [busyIds, setBusyIds] = useState(() => new Set());
+  const attemptedAutoAcceptRef = useRef(new Set());
+  const [isAutoAcceptTab, setIsAutoAcceptTab] = useState(false);
+
+  const dailyLimit = normaliseDailyLimit(freelancerProfile?.daily_booking_limit);
+  const autoAccept = Boolean(freelancerProfile?.auto_accept_bookings);
+  const hasSchedule = scheduleStatus === "ready" && exceptionsStatus === "ready";
+
+  const getDayCount = useCallback(
+    (booking) => dailyCounts[getBookingDayKey(booking)] ?? 0,
+    [dailyCounts]
+  );
+
+  const isFullDay = useCallback(
+    (dateKey) => dailyLimit != null && (dailyCounts[dateKey] ?? 0) >= dailyLimit,
+    [dailyCounts, dailyLimit]
+  );
+
+  const setBusy = (bookingId, isBusy) => {
+    setBusyIds((previous) => {
+      const next = new Set(previous);
+      if (isBusy) {
+        next.add(bookingId);
+      } else {
+        next.delete(bookingId);
+      }
+      return next;
+    });
+  };
+
+  const runAction = async (booking, action, body, successToast) => {
+    setBusy(booking.id, true);
+    try {
+      await respond(booking, action, body);
+      toast?.success?.(successToast);
+    } catch (actionError) {
+      const { kind, message } = describeApiError(actionError, {
+        fallbackMessage: "We couldn't update this request. Please try again.",
+        messages: ACTION_ERROR_MESSAGES,
+      });
+      toast?.error?.({ message });
+      if (kind === ERROR_KINDS.conflict || kind === ERROR_KINDS.notFound) {
+        reload();
+      }
+    } finally {
+      setBusy(booking.id, false);
+    }
+  };
+
+  const handleAccept = (booking) => {
+    if (dailyLimit != null && getDayCount(booking) >= dailyLimit) {
+      toast?.error?.({ message: "You've reached your daily limit for that day." });
+      return;
+    }
+    runAction(booking, "accept", {}, {
+      title: "Booking confirmed",
+      message: `${booking.customerName} has been notified.`,
+    });
+  };
+
+  const handleDecline = (booking, reason) => {
+    runAction(booking, "decline", { reason }, {
+      title: "Request declined",
+      message: `We've let ${booking.customerName} know.`,
+    });
+  };
+
+  const handlePropose = (booking, { start, end, message }) => {
+    runAction(
+      booking,
+      "propose",
+      { start_time: start.toISOString(), end_time: end.toISOString(), message: message || null },
+      {
+        title: "New time proposed",
+        message: `${booking.customerName} can accept it from their bookings.`,
+      }
+    );
+  };
+
+  // Only one open tab runs auto-accept, so tabs don't race to accept the
+  // same requests.
+  useEffect(() => {
+    if (!autoAccept) {
+      return undefined;
+    }
+    const stopElection = electTabLeader(AUTO_ACCEPT_LEADER_ROLE, setIsAutoAcceptTab);
+    return () => {
+      stopElection();
+      setIsAutoAcceptTab(false);
+    };
+  }, [autoAccept]);
+
+  // Auto-accept runs while the dashboard is open: each pending request that
+  // fits the published hours and the daily limit is accepted once. Requests
+  // that don't fit stay in the queue for a manual decision.
+  useEffect(() => {
+    if (!autoAccept || !isAutoAcceptTab || status !== "ready" || !hasSchedule || !schedule) {
+      return;
+    }
+
+    const now = new Date();
+    const counts = { ...dailyCounts };
+    // Requests that clash with a confirmed booking, or with one accepted
+    // earlier in this pass, stay in the queue for a manual decision.
+    const held = [...confirmed];
+    const eligible = requests.filter((booking) => {
+      if (attemptedAutoAcceptRef.current.has(booking.id)) {
+        return false;
+      }
+      attemptedAutoAcceptRef.current.add(booking.id);
+      const dayKey = getBookingDayKey(booking);
+      const fits =
+        booking.startTime > now &&
+        isWithinSchedule({
+          schedule,
+          exceptions: exceptions ?? [],
+          start: booking.startTime,
+          end: booking.endTime,
+        }) &&
+        (dailyLimit == null || (counts[dayKey] ?? 0) < dailyLimit) &&
+        !held.some((other) => overlaps(booking, other));
+      if (fits) {
+        counts[dayKey] = (counts[dayKey] ?? 0) + 1;
+        held.push(booking);
+      }
+      return fits;
+    });
+
+    if (eligible.length === 0) {
+      return;
+    }
+
+    const acceptAll = async () => {
+      let accepted = 0;
+      for (const booking of eligible) {
+        try {
+          await respond(booking, "accept");
+          accepted += 1;
+        } catch (acceptError) {
+          console.warn("[OrderRequestsQueue] Auto-accept failed", { id: booking.id, acceptError });
+        }
+      }
+      if (accepted > 0) {
+        toast?.info?.({
+          title: "Requests auto-accepted",
+          message: `${accepted} request${accepted === 1 ? " was" : "s were"} inside your schedule and confirmed.`,
+        });
+      }
+    };
+
+    acceptAll();
+  }, [
+    autoAccept,
+    confirmed,
+    dailyCounts,
+    dailyLimit,
+    exceptions,
+    hasSchedule,
+    isAutoAcceptTab,
+    requests,
+    respond,
+    schedule,
+    status,
+    toast,
+  ]);
+
+  const proposeProps = {
+    schedule: hasSchedule ? schedule : null,
+    exceptions: exceptions ?? [],
+    confirmed,
+    isFullDay,
+  };
+
+  return (
+    <section className="flex flex-col gap-5 rounded-3xl border border-slate-200 bg-white/95 p-6 shadow-lg shadow-slate-200/60">
+      <header className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h2 className="text-2xl font-semibold text-slate-900">Incoming requests</h2>
+          <p className="text-sm text-slate-600">
+            Accept, decline or suggest another time. Customers hear back straight away.
+          </p>
+        </div>
+        {status === "ready" ? (
+          <span className="self-start rounded-full bg-slate-900 px-4 py-1 text-sm font-semibold text-white sm:self-center">
+            {requests.length} pending
+          </span>
+        ) : null}
+      </header>
+
+      <OrderRulesForm dailyLimit={dailyLimit} autoAccept={autoAccept} />
+
+      {autoAccept && !isAutoAcceptTab ? (
+        <p className="rounded-2xl bg-slate-50 px-4 py-2 text-sm text-slate-600">
+          Auto-accept is handled by another open tab, or starts here in a few seconds.
+        </p>
+      ) : null}
+
+      {freelancerProfile && !freelancerProfile.is_accepting_orders ? (
+        <p className="rounded-2xl bg-amber-50 px-4 py-2 text-sm text-amber-800">
+          You&apos;re not accepting new orders, but requests already sent still need a reply.
+        </p>
+      ) : null}
+
+      {status === "loading" ? <p className="text-sm text-slate-600">Loading requests…</p> : null}
+
+      {status === "error" ? (
+        <div className="flex flex-wrap items-center gap-3 rounded-2xl border border-rose-200 bg-rose-50 px-4 py-3 text-sm text-rose-700">
+          <p>
+            {describeApiError(error, {
+              fallbackMessage: "We couldn't load your booking requests.",
+            }).message}
+          </p>
+          <button type="button" onClick={reload} className="font-semibold underline">
+            Try again
+          </button>
+        </div>
+      ) : null}
+
+      {status === "ready" && requests.length === 0 ? (
+        <p className="rounded-2xl border border-dashed border-slate-200 p-6 text-center text-sm text-slate-500">
+          No pending requests. New ones appear here as soon as customers book.
+        </p>
+      ) : null}
+
+      {status === "ready" && requests.length > 0 ? (
+        <ul className="flex flex-col gap-4">
+          {requests.map((booking) => (
+            <OrderRequestCard
+              key={booking.id}
+              booking={booking}
+              dayCount={getDayCount(booking)}
+              dailyLimit={dailyLimit}
+              busy={busyIds.has(booking.id)}
+              onAccept={handleAccept}
+              onDecline={handleDecline}
+              onPropose={handlePropose}
+              proposeProps={proposeProps}
+            />
+          ))}
+        </ul>
+      ) : null}
+    </section>
+  );
+};
+
+export default OrderRequestsQueue;
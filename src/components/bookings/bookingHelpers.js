@@ -0,0 +1,312 @@
+import { toDateKey } from "../../utils/availability.js";
+
+export const BOOKINGS_ENDPOINT = "/users/me/bookings";
+export const BOOKINGS_PAGE_SIZE = 20;
+
+export const getBookingEndpoint = (bookingId) =>
+  `${BOOKINGS_ENDPOINT}/${encodeURIComponent(bookingId)}`;
+export const getBookingCancelEndpoint = (bookingId) => `${getBookingEndpoint(bookingId)}/cancel`;
+export const getBookingRescheduleEndpoint = (bookingId) =>
+  `${getBookingEndpoint(bookingId)}/reschedule`;
+
+export const getBookingsEndpoint = ({ pageId, pageSize = BOOKINGS_PAGE_SIZE }) => {
+  const params = new URLSearchParams({
+    page_id: String(pageId),
+    page_size: String(pageSize),
+  });
+  return `${BOOKINGS_ENDPOINT}?${params.toString()}`;
+};
+
+export const FREELANCER_BOOKINGS_ENDPOINT = "/users/me/freelancer/bookings";
+export const FREELANCER_BOOKINGS_PAGE_SIZE = 100;
+
+export const getFreelancerBookingsEndpoint = ({ from }) => {
+  const params = new URLSearchParams({
+    page_id: "1",
+    page_size: String(FREELANCER_BOOKINGS_PAGE_SIZE),
+    from: from.toISOString(),
+  });
+  return `${FREELANCER_BOOKINGS_ENDPOINT}?${params.toString()}`;
+};
+
+// `action` is one of "accept", "decline" or "propose".
+export const getFreelancerBookingActionEndpoint = (bookingId, action) =>
+  `${FREELANCER_BOOKINGS_ENDPOINT}/${encodeURIComponent(bookingId)}/${action}`;
+
+// Public busy intervals for a freelancer: start/end pairs of their held
+// bookings, without any customer details.
+export const getFreelancerBusyEndpoint = (freelancerId, { from, to }) => {
+  const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+  return `/freelancers/${encodeURIComponent(freelancerId)}/busy?${params.toString()}`;
+};
+
+export const extractBusyIntervals = (payload) => {
+  const list = Array.isArray(payload) ? payload : payload?.busy ?? payload?.items ?? [];
+  return (Array.isArray(list) ? list : []).filter(
+    (interval) => interval && typeof interval === "object"
+  );
+};
+
+// Confirmed bookings can't be cancelled or moved inside this window unless
+// the backend sends its own policy flags.
+export const CHANGE_NOTICE_HOURS = 24;
+const MILLISECONDS_PER_HOUR = 60 * 60 * 1000;
+
+export const BOOKING_STATUSES = {
+  requested: "requested",
+  confirmed: "confirmed",
+  inProgress: "in_progress",
+  completed: "completed",
+  cancelled: "cancelled",
+  // Anything the backend sends that we don't recognise (e.g. "expired").
+  // It is neither upcoming nor changeable.
+  unknown: "unknown",
+};
+
+export const BOOKING_STATUS_META = {
+  [BOOKING_STATUSES.requested]: {
+    label: "Requested",
+    className: "bg-amber-100 text-amber-700",
+  },
+  [BOOKING_STATUSES.confirmed]: {
+    label: "Confirmed",
+    className: "bg-sky-100 text-sky-700",
+  },
+  [BOOKING_STATUSES.inProgress]: {
+    label: "In progress",
+    className: "bg-violet-100 text-violet-700",
+  },
+  [BOOKING_STATUSES.completed]: {
+    label: "Completed",
+    className: "bg-emerald-100 text-emerald-700",
+  },
+  [BOOKING_STATUSES.cancelled]: {
+    label: "Cancelled",
+    className: "bg-slate-200 text-slate-600",
+  },
+  [BOOKING_STATUSES.unknown]: {
+    label: "Closed",
+    className: "bg-slate-100 text-slate-500",
+  },
+};
+
+const STATUS_ALIASES = {
+  pending: BOOKING_STATUSES.requested,
+  accepted: BOOKING_STATUSES.confirmed,
+  "in-progress": BOOKING_STATUSES.inProgress,
+  started: BOOKING_STATUSES.inProgress,
+  canceled: BOOKING_STATUSES.cancelled,
+  declined: BOOKING_STATUSES.cancelled,
+  rejected: BOOKING_STATUSES.cancelled,
+};
+
+const ACTIVE_STATUSES = new Set([
+  BOOKING_STATUSES.requested,
+  BOOKING_STATUSES.confirmed,
+  BOOKING_STATUSES.inProgress,
+]);
+
+export const LOCATION_LABELS = {
+  on_premise: "At the freelancer's location",
+  door_step: "At your address",
+};
+
+export const normaliseBookingStatus = (value) => {
+  const status = typeof value === "string" ? value.trim().toLowerCase() : "";
+  if (BOOKING_STATUS_META[status]) {
+    return status;
+  }
+  return STATUS_ALIASES[status] ?? BOOKING_STATUSES.unknown;
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const toNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+
+const toOptionalBoolean = (value) => (typeof value === "boolean" ? value : null);
+
+export const normaliseBooking = (candidate) => {
+  if (!candidate || typeof candidate !== "object" || candidate.id == null) {
+    return null;
+  }
+
+  const service = candidate.service ?? {};
+  const freelancer = candidate.freelancer ?? {};
+  const freelancerId = candidate.freelancer_id ?? freelancer.id ?? null;
+  const serviceId = candidate.service_id ?? service.id ?? null;
+  const addressId = candidate.address_id ?? candidate.address?.id ?? null;
+  const customer = candidate.customer ?? {};
+
+  return {
+    id: String(candidate.id),
+    status: normaliseBookingStatus(candidate.status),
+    startTime: toDate(candidate.start_time),
+    endTime: toDate(candidate.end_time),
+    freelancerId: freelancerId != null ? String(freelancerId) : null,
+    freelancerName:
+      toNonEmptyString(freelancer.full_name) ??
+      toNonEmptyString(candidate.freelancer_name) ??
+      "Freelancer",
+    customerName:
+      toNonEmptyString(customer.full_name) ??
+      toNonEmptyString(candidate.customer_name) ??
+      "Customer",
+    serviceId: serviceId != null ? String(serviceId) : null,
+    serviceTitle:
+      toNonEmptyString(service.title) ??
+      toNonEmptyString(candidate.service_title) ??
+      toNonEmptyString(service.service_category_name) ??
+      "Service",
+    location: candidate.location ?? service.location ?? null,
+    addressId: addressId != null ? String(addressId) : null,
+    address: candidate.address && typeof candidate.address === "object" ? candidate.address : null,
+    price: typeof candidate.price === "number" ? candidate.price : service.fixed_price ?? null,
+    notes: toNonEmptyString(candidate.notes),
+    cancellationReason: toNonEmptyString(candidate.cancellation_reason),
+    proposedStartTime: toDate(candidate.proposed_start_time),
+    proposedEndTime: toDate(candidate.proposed_end_time),
+    proposalMessage: toNonEmptyString(candidate.proposal_message),
+    isReviewed:
+      Boolean(candidate.is_reviewed) ||
+      (Array.isArray(candidate.reviewed_service_ids) && candidate.reviewed_service_ids.length > 0),
+    canCancel: toOptionalBoolean(candidate.can_cancel),
+    canReschedule: toOptionalBoolean(candidate.can_reschedule),
+    createdAt: toDate(candidate.created_at),
+  };
+};
+
+export const extractBookings = (payload) => {
+  const list = Array.isArray(payload) ? payload : payload?.bookings ?? payload?.items ?? [];
+  return (Array.isArray(list) ? list : []).map(normaliseBooking).filter(Boolean);
+};
+
+export const extractBooking = (payload) => normaliseBooking(payload?.booking ?? payload);
+
+export const isUpcomingBooking = (booking, now = new Date()) =>
+  ACTIVE_STATUSES.has(booking.status) && (booking.endTime ?? booking.startTime ?? now) >= now;
+
+export const splitBookings = (bookings, now = new Date()) => {
+  const upcoming = [];
+  const past = [];
+  bookings.forEach((booking) => {
+    (isUpcomingBooking(booking, now) ? upcoming : past).push(booking);
+  });
+  const time = (booking) => booking.startTime?.getTime() ?? 0;
+  upcoming.sort((a, b) => time(a) - time(b));
+  past.sort((a, b) => time(b) - time(a));
+  return { upcoming, past };
+};
+
+// Every booking the freelancer has taken on counts towards its day, including
+// ones already finished; only open requests and cancellations don't.
+const CAPACITY_STATUSES = new Set([
+  BOOKING_STATUSES.confirmed,
+  BOOKING_STATUSES.inProgress,
+  BOOKING_STATUSES.completed,
+]);
+
+// Capacity-counting bookings per calendar day.
+export const countBookingsByDay = (bookings) =>
+  bookings.reduce((counts, booking) => {
+    if (booking.startTime && CAPACITY_STATUSES.has(booking.status)) {
+      const key = toDateKey(booking.startTime);
+      counts[key] = (counts[key] ?? 0) + 1;
+    }
+    return counts;
+  }, {});
+
+export const getBookingDayKey = (booking) =>
+  booking.startTime ? toDateKey(booking.startTime) : null;
+
+// A missing or non-positive limit means no cap.
+export const normaliseDailyLimit = (value) => {
+  const limit = Number.parseInt(value, 10);
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+};
+
+const hoursUntil = (date, now) =>
+  date ? (date.getTime() - now.getTime()) / MILLISECONDS_PER_HOUR : -Infinity;
+
+// Returns whether the customer may change the booking and, when not, why.
+// Backend flags win; otherwise requests can be cancelled until they start and
+// confirmed bookings need CHANGE_NOTICE_HOURS of notice.
+export const getBookingPolicy = (booking, now = new Date()) => {
+  const hoursLeft = hoursUntil(booking.startTime, now);
+  const isChangeable =
+    booking.status === BOOKING_STATUSES.requested || booking.status === BOOKING_STATUSES.confirmed;
+  const lateNotice = `Changes need at least ${CHANGE_NOTICE_HOURS} hours' notice. Message your freelancer instead.`;
+
+  const decide = (flag, allowed, lateReason) => {
+    if (flag != null) {
+      return { allowed: flag, reason: flag ? null : "This booking can no longer be changed online." };
+    }
+    if (!isChangeable) {
+      return { allowed: false, reason: "Only requested or confirmed bookings can be changed." };
+    }
+    if (hoursLeft <= 0) {
+      return { allowed: false, reason: "This booking has already started." };
+    }
+    return allowed ? { allowed: true, reason: null } : { allowed: false, reason: lateReason };
+  };
+
+  const hasNotice = hoursLeft >= CHANGE_NOTICE_HOURS;
+
+  return {
+    cancel: decide(
+      booking.canCancel,
+      booking.status === BOOKING_STATUSES.requested || hasNotice,
+      lateNotice
+    ),
+    reschedule: decide(booking.canReschedule, hasNotice, lateNotice),
+  };
+};
+
+export const getRebookPath = (booking) =>
+  booking.freelancerId
+    ? `/freelancers/${booking.freelancerId}/book${
+        booking.serviceId ? `?service=${encodeURIComponent(booking.serviceId)}` : ""
+      }`
+    : null;
+
+export const getReschedulePath = (booking) => {
+  if (!booking.freelancerId || !booking.serviceId) {
+    return null;
+  }
+  const params = new URLSearchParams({ service: booking.serviceId, reschedule: booking.id });
+  return `/freelancers/${booking.freelancerId}/book?${params.toString()}`;
+};
+
+export const formatAddress = (address) =>
+  [
+    address?.address_line_1,
+    address?.address_line_2,
+    address?.town,
+    address?.governorate,
+    address?.country,
+  ]
+    .map((value) => (typeof value === "string" ? value.trim() : ""))
+    .filter(Boolean)
+    .join(", ");
+
+export const formatBookingDate = (date) =>
+  date
+    ? date.toLocaleDateString(undefined, {
+        weekday: "short",
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+      })
+    : "Date to be confirmed";
+
+export const formatBookingTimeRange = (start, end) => {
+  if (!start) {
+    return "";
+  }
+  const options = { hour: "2-digit", minute: "2-digit" };
+  const startLabel = start.toLocaleTimeString(undefined, options);
+  return end ? `${startLabel} – ${end.toLocaleTimeString(undefined, options)}` : startLabel;
+};
@@ -0,0 +1,36 @@
+import { useFavourites } from "../../hooks/useFavourites.jsx";
+
+const SIZE_CLASSES = {
+  sm: "h-10 w-10 text-lg",
+  md: "h-12 w-12 text-xl",
+};
+
+const FavouriteButton = ({ freelancer, size = "md", className = "" }) => {
+  const { isAvailable, isFavourite, toggleFavourite } = useFavourites();
+
+  if (!isAvailable || freelancer?.id == null) {
+    return null;
+  }
+
+  const saved = isFavourite(freelancer.id);
+  const name = freelancer.full_name ?? "this freelancer";
+
+  return (
+    <button
+      type="button"
+      onClick={() => toggleFavourite(freelancer)}
+      aria-pressed={saved}
+      aria-label={saved ? `Remove ${name} from saved freelancers` : `Save ${name}`}
+      title={saved ? "Saved" : "Save"}
+      className={`grid place-items-center rounded-full border bg-white leading-none shadow-sm transition focus:outline-none focus-visible:ring-2 focus-visible:ring-rose-400 focus-visible:ring-offset-2 ${
+        saved
+          ? "border-rose-200 text-rose-500 hover:bg-rose-50"
+          : "border-slate-200 text-slate-400 hover:border-rose-200 hover:text-rose-400"
+      } ${SIZE_CLASSES[size] ?? SIZE_CLASSES.md} ${className}`}
+    >
+      <span aria-hidden="true">{saved ? "♥" : "♡"}</span>
+    </button>
+  );
+};
+
+export default FavouriteButton;
@@ -0,0 +1,89 @@
+export const FAVOURITES_ENDPOINT = "/users/me/favourites";
+export const getFavouriteEndpoint = (freelancerId) =>
+  `${FAVOURITES_ENDPOINT}/${encodeURIComponent(freelancerId)}`;
+
+// Signed-out visitors save to this key; it is merged into the account and
+// cleared on the next customer login.
+export const ANONYMOUS_FAVOURITES_KEY = "favourites:anonymous";
+
+const SNAPSHOT_KEYS = [
+  "id",
+  "full_name",
+  "avatar_url",
+  "bio",
+  "services",
+  "is_accepting_orders",
+  "average_rating",
+  "review_count",
+];
+
+// Enough of the freelancer to render the saved list without refetching each
+// profile; the server copy replaces it on the next sync.
+export const createFreelancerSnapshot = (freelancer) => {
+  if (!freelancer || typeof freelancer !== "object") {
+    return null;
+  }
+  return SNAPSHOT_KEYS.reduce((snapshot, key) => {
+    if (freelancer[key] !== undefined) {
+      snapshot[key] = freelancer[key];
+    }
+    return snapshot;
+  }, {});
+};
+
+export const normaliseFavourite = (candidate) => {
+  if (!candidate || typeof candidate !== "object") {
+    return null;
+  }
+
+  // Accepts `{ freelancer_id, freelancer, created_at }` or a bare freelancer.
+  const freelancer = candidate.freelancer ?? (candidate.full_name !== undefined ? candidate : null);
+  const freelancerId = candidate.freelancer_id ?? candidate.freelancerId ?? freelancer?.id;
+  if (freelancerId == null) {
+    return null;
+  }
+
+  return {
+    freelancerId: String(freelancerId),
+    freelancer: createFreelancerSnapshot(freelancer),
+    savedAt: candidate.created_at ?? candidate.savedAt ?? null,
+  };
+};
+
+export const extractFavourites = (payload) => {
+  const list = Array.isArray(payload) ? payload : payload?.favourites ?? payload?.items ?? [];
+  return (Array.isArray(list) ? list : []).map(normaliseFavourite).filter(Boolean);
+};
+
+export const readAnonymousFavourites = () => {
+  if (typeof window === "undefined") {
+    return [];
+  }
+
+  try {
+    const raw = window.localStorage.getItem(ANONYMOUS_FAVOURITES_KEY);
+    return raw ? extractFavourites(JSON.parse(raw)) : [];
+  } catch (error) {
+    console.warn("Failed to read saved freelancers", error);
+    return [];
+  }
+};
+
+export const writeAnonymousFavourites = (favourites) => {
+  if (typeof window === "undefined") {
+    return;
+  }
+
+  try {
+    if (favourites.length === 0) {
+      window.localStorage.removeItem(ANONYMOUS_FAVOURITES_KEY);
+      return;
+    }
+    const serialised = JSON.stringify({ items: favourites });
+    if (window.localStorage.getItem(ANONYMOUS_FAVOURITES_KEY) !== serialised) {
+      window.localStorage.setItem(ANONYMOUS_FAVOURITES_KEY, serialised);
+    }
+  } catch (error) {
+    console.warn("Failed to save freelancers locally", error);
+  }
+};
@@ -0,0 +1,249 @@
+import { useEffect, useRef, useState } from "react";
+import { useDocumentUpload } from "../../hooks/useDocumentUpload.jsx";
+import { getErrorMessage, getErrorStatus } from "../../utils/apiErrors";
+import { compressImage, validateImageFile } from "../../utils/images.js";
+
+const UPLOAD_STAGE_LABELS = {
+  compressing: "Preparing image…",
+  uploading: "Uploading…",
+};
+
+const UPLOAD_STATUS_MESSAGES = {
+  413: "This image is too large to upload.",
+  415: "This file type isn't supported.",
+};
+
+const deriveUploadError = (error) =>
+  getErrorMessage(
+    error,
+    UPLOAD_STATUS_MESSAGES[getErrorStatus(error)] ?? "The upload failed. Please try again."
+  );
+
+const DocumentUploadField = ({
+  name,
+  label,
+  hint,
+  reviewNote,
+  purpose,
+  capture = "environment",
+  value,
+  error,
+  disabled = false,
+  onChange,
+  onUploadingChange,
+}) => {
+  const uploadDocument = useDocumentUpload();
+  const fileInputRef = useRef(null);
+  const cameraInputRef = useRef(null);
+  const lastFileRef = useRef(null);
+
+  const [stage, setStage] = useState("idle");
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [uploadError, setUploadError] = useState("");
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  useEffect(
+    () => () => {
+      if (previewUrl) {
+        URL.revokeObjectURL(previewUrl);
+      }
+    },
+    [previewUrl]
+  );
+
+  const isBusy = stage === "compressing" || stage === "uploading";
+
+  useEffect(() => {
+    onUploadingChange?.(name, isBusy);
+  }, [isBusy, name, onUploadingChange]);
+
+  const startUpload = async (file) => {
+    const validationError = validateImageFile(file);
+    if (validationError) {
+      setUploadError(validationError);
+      return;
+    }
+
+    lastFileRef.current = file;
+    setUploadError("");
+    setStage("compressing");
+
+    try {
+      const compressed = await compressImage(file);
+      setPreviewUrl(URL.createObjectURL(compressed));
+      setUploadProgress(null);
+      setStage("uploading");
+      const url = await uploadDocument(compressed, {
+        purpose,
+        onProgress: setUploadProgress,
+      });
+      setStage("done");
+      onChange(name, url);
+    } catch (uploadFailure) {
+      console.error("[DocumentUploadField] Upload failed", {
+        field: name,
+        uploadFailure,
+      });
+      // Drop the local preview so a failed upload doesn't look saved; the
+      // previously stored file (if any) shows again.
+      setPreviewUrl(null);
+      setStage("idle");
+      setUploadError(deriveUploadError(uploadFailure));
+    }
+  };
+
+  const handleFileInput = (event) => {
+    const [file] = event.target.files ?? [];
+    event.target.value = "";
+    if (file) {
+      startUpload(file);
+    }
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    if (!disabled && !isBusy) {
+      setIsDragging(true);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    if (disabled || isBusy) {
+      return;
+    }
+    const [file] = event.dataTransfer?.files ?? [];
+    if (file) {
+      startUpload(file);
+    }
+  };
+
+  const handleRetry = () => {
+    if (lastFileRef.current) {
+      startUpload(lastFileRef.current);
+    }
+  };
+
+  const handleRemove = () => {
+    lastFileRef.current = null;
+    setPreviewUrl(null);
+    setStage("idle");
+    setUploadError("");
+    onChange(name, "");
+  };
+
+  const imageSource = previewUrl ?? (value || null);
+  const stageLabel = UPLOAD_STAGE_LABELS[stage] ?? null;
+  const progressPercent =
+    stage === "uploading" && uploadProgress != null ? Math.round(uploadProgress * 100) : null;
+  const message = uploadError || error;
+  const zoneClassName = [
+    "document-upload__zone",
+    isDragging ? "document-upload__zone--dragging" : "",
+    message ? "document-upload__zone--invalid" : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  return (
+    <div className="field document-upload">
+      <label htmlFor={name}>{label}</label>
+      {hint ? <p className="field-hint">{hint}</p> : null}
+      {reviewNote ? <p className="notice error document-upload__note">{reviewNote}</p> : null}
+
+      <div
+        className={zoneClassName}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        {imageSource ? (
+          <img src={imageSource} alt={`${label} preview`} className="document-upload__preview" />
+        ) : (
+          <p className="document-upload__placeholder">
+            Drag an image here, or use one of the options below.
+          </p>
+        )}
+
+        {stageLabel ? (
+          <div className="document-upload__progress" role="status">
+            {progressPercent != null ? (
+              <progress max="100" value={progressPercent} />
+            ) : (
+              <progress />
+            )}
+            <span>
+              {stageLabel}
+              {progressPercent != null ? ` ${progressPercent}%` : ""}
+            </span>
+          </div>
+        ) : null}
+
+        <div className="document-upload__actions">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={disabled || isBusy}
+          >
+            {imageSource ? "Replace file" : "Choose file"}
+          </button>
+          <button
+            type="button"
+            className="btn btn-ghost"
+            onClick={() => cameraInputRef.current?.click()}
+            disabled={disabled || isBusy}
+          >
+            Take photo
+          </button>
+          {uploadError && lastFileRef.current ? (
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleRetry}
+              disabled={disabled || isBusy}
+            >
+              Retry upload
+            </button>
+          ) : null}
+          {value && !isBusy ? (
+            <button
+              type="button"
+              className="btn btn-ghost"
+              onClick={handleRemove}
+              disabled={disabled}
+            >
+              Remove
+            </button>
+          ) : null}
+        </div>
+
+        <input
+          ref={fileInputRef}
+          id={name}
+          name={name}
+          type="file"
+          accept="image/*"
+          onChange={handleFileInput}
+          disabled={disabled || isBusy}
+          hidden
+        />
+        <input
+          ref={cameraInputRef}
+          type="file"
+          accept="image/*"
+          capture={capture}
+          onChange={handleFileInput}
+          disabled={disabled || isBusy}
+          hidden
+        />
+      </div>
+
+      {message ? <p className="field-error">{message}</p> : null}
+    </div>
+  );
+};
+
+export default DocumentUploadField;
@@ -3,13 +3,22 @@ import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
 import { useToast } from "../../hooks/useToast.jsx";
 import { useAuth } from "../../hooks/useAuth.jsx";
 import {
+  PUBLIC_PROFILE_LOCKED_MESSAGE,
   URL_FIELD_CONFIG,
   createEmptyFreelancerFormValues,
   mapFormValuesToPayload,
   mapFreelancerToFormValues,
   validateFreelancerForm,
 } from "./formHelpers.js";
+import DocumentUploadField from "./DocumentUploadField.jsx";
+import {
+  canEditDocument,
+  getDocumentLockMessage,
+  getVerificationState,
+  isVerificationApproved,
+} from "./verificationHelpers.js";
 import { extractFreelancerProfile } from "../../utils/freelancer";
+import { ERROR_KINDS, describeApiError } from "../../utils/apiErrors";
 
 const LOG_PREFIX = "[FreelancerProfileEditForm]";
 
@@ -85,6 +94,14 @@ export default function FreelancerProfileEditForm({
   );
   const [formErrors, setFormErrors] = useState({});
   const [touchedFields, setTouchedFields] = useState({});
+  const [uploadingFields, setUploadingFields] = useState([]);
+
+  const verificationState = useMemo(
+    () => getVerificationState(freelancer),
+    [freelancer]
+  );
+  const canPublish =
+    isVerificationApproved(verificationState) || Boolean(freelancer?.is_public);
   const [submitting, setSubmitting] = useState(false);
 
   const baselineValuesRef = useRef(
@@ -133,6 +150,25 @@ export default function FreelancerProfileEditForm({
     }));
   }, []);
 
+  const handleDocumentChange = useCallback((name, url) => {
+    logger.info("Document uploaded", { field: name, url });
+    setFormValues((previous) => ({
+      ...previous,
+      [name]: url,
+    }));
+    setTouchedFields((previous) => ({
+      ...previous,
+      [name]: true,
+    }));
+  }, []);
+
+  const handleUploadingChange = useCallback((name, isUploading) => {
+    setUploadingFields((previous) => {
+      const withoutField = previous.filter((field) => field !== name);
+      return isUploading ? [...withoutField, name] : withoutField;
+    });
+  }, []);
+
   const handleSubmit = useCallback(
     async (event) => {
       event.preventDefault();
@@ -144,7 +180,7 @@ export default function FreelancerProfileEditForm({
       logger.info("Submission initiated");
       setFormErrors({});
 
-      const validationErrors = validateFreelancerForm(formValues);
+      const validationErrors = validateFreelancerForm(formValues, { canPublish });
       if (Object.keys(validationErrors).length > 0) {
         logger.warn("Validation failed; aborting submission", {
           validationErrors,
@@ -220,28 +256,19 @@ export default function FreelancerProfileEditForm({
         }
       } catch (error) {
         logger.error("Failed to update freelancer profile", { error });
-        const statusCode =
-          error?.status ??
-          error?.response?.status ??
-          error?.payload?.status ??
-          null;
-        const payloadMessage =
-          error?.payload?.error ??
-          error?.payload?.message ??
-          error?.payload?.detail ??
-          error?.message ??
-          null;
+        const { message, isAuthError } = describeApiError(error, {
+          fallbackMessage: "Please try again or contact support if the issue persists.",
+          messages: {
+            [ERROR_KINDS.unauthorized]: "Your session expired. Please sign in again.",
+          },
+        });
 
         toast.error({
           title: "Could not update profile",
-          message:
-            payloadMessage ??
-            (statusCode === 401
-              ? "Your session expired. Please sign in again."
-              : "Please try again or contact support if the issue persists."),
+          message,
         });
 
-        if (statusCode === 401 || statusCode === 403) {
+        if (isAuthError) {
           setFreelancerProfile(null);
           setFreelancerProfileStatus("unauthorized");
         }
@@ -251,6 +278,7 @@ export default function FreelancerProfileEditForm({
     },
     [
       authenticatedFetch,
+      canPublish,
       formValues,
       freelancer,
       onSuccess,
@@ -283,9 +311,16 @@ export default function FreelancerProfileEditForm({
             checked={Boolean(formValues.isPublic)}
             onChange={handleFieldChange}
             onBlur={handleFieldBlur}
+            disabled={!canPublish && !formValues.isPublic}
           />
           <span>Make my freelancer profile public</span>
         </label>
+        {!canPublish ? (
+          <p className="field-hint">{PUBLIC_PROFILE_LOCKED_MESSAGE}</p>
+        ) : null}
+        {formErrors.isPublic ? (
+          <p className="field-error">{formErrors.isPublic}</p>
+        ) : null}
       </fieldset>
 
       <div className="field">
@@ -344,32 +379,32 @@ export default function FreelancerProfileEditForm({
         />
       </div>
 
-      {URL_FIELD_CONFIG.map(({ name, label }) => (
-        <div className="field" key={name}>
-          <label htmlFor={name}>{label}</label>
-          <input
-            id={name}
+      {URL_FIELD_CONFIG.map(({ name, label, hint, purpose, capture }) => {
+        const isEditable = canEditDocument(verificationState, name);
+        return (
+          <DocumentUploadField
+            key={name}
             name={name}
-            type="url"
+            label={label}
+            hint={isEditable ? hint : getDocumentLockMessage(verificationState)}
+            reviewNote={verificationState.documents[name]?.reason}
+            purpose={purpose}
+            capture={capture}
             value={formValues[name]}
-            onChange={handleFieldChange}
-            onBlur={handleFieldBlur}
-            placeholder="https://example.com/resource"
-            inputMode="url"
-            className={
-              touchedFields[name] && formErrors[name]
-                ? "input input-invalid"
-                : "input"
-            }
+            error={touchedFields[name] ? formErrors[name] : null}
+            disabled={disableForm || !isEditable}
+            onChange={handleDocumentChange}
+            onUploadingChange={handleUploadingChange}
           />
-          {touchedFields[name] && formErrors[name] ? (
-            <p className="field-error">{formErrors[name]}</p>
-          ) : null}
-        </div>
-      ))}
+        );
+      })}
 
       <div className="actions">
-        <button type="submit" className="btn btn-primary" disabled={disableForm}>
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={disableForm || uploadingFields.length > 0}
+        >
           {submitting
             ? "Saving changes…"
             : hasChanges
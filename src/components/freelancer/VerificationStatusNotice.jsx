@@ -0,0 +1,48 @@
+import { Link } from "react-router-dom";
+import { URL_FIELD_CONFIG } from "./formHelpers.js";
+import {
+  VERIFICATION_COPY,
+  needsVerificationAction,
+} from "./verificationHelpers.js";
+
+const VerificationStatusNotice = ({ state, showAction = false }) => {
+  if (!state) {
+    return null;
+  }
+
+  const copy = VERIFICATION_COPY[state.status] ?? VERIFICATION_COPY.pending;
+  const rejectedDocuments = URL_FIELD_CONFIG.filter(({ name }) =>
+    state.rejectedFields.includes(name)
+  );
+
+  return (
+    <div className={`notice ${copy.tone} verification-notice`} role="status">
+      <p className="verification-notice__title">
+        Identity verification: <strong>{copy.label}</strong>
+      </p>
+      <p>{copy.description}</p>
+      {state.reason ? (
+        <p>
+          <strong>Reviewer note:</strong> {state.reason}
+        </p>
+      ) : null}
+      {rejectedDocuments.length > 0 ? (
+        <ul className="verification-notice__documents">
+          {rejectedDocuments.map(({ name, label }) => (
+            <li key={name}>
+              {label}
+              {state.documents[name]?.reason ? ` — ${state.documents[name].reason}` : ""}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      {showAction && needsVerificationAction(state) ? (
+        <Link to="/settings/freelancer-profile" className="btn btn-secondary">
+          Upload documents
+        </Link>
+      ) : null}
+    </div>
+  );
+};
+
+export default VerificationStatusNotice;
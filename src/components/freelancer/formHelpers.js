@@ -4,26 +4,41 @@ const isRecord = (value) =>
 export const URL_FIELD_CONFIG = [
   {
     name: "cprFrontUrl",
-    label: "CPR front image URL",
+    label: "CPR card (front)",
     payloadKey: "cpr_front_url",
+    purpose: "cpr_front",
+    capture: "environment",
+    hint: "Photograph the front of your CPR card on a flat, well-lit surface.",
   },
   {
     name: "cprBackUrl",
-    label: "CPR back image URL",
+    label: "CPR card (back)",
     payloadKey: "cpr_back_url",
+    purpose: "cpr_back",
+    capture: "environment",
+    hint: "Make sure the chip and barcode are clearly visible.",
   },
   {
     name: "passportUrl",
-    label: "Passport image URL",
+    label: "Passport photo page",
     payloadKey: "passport_url",
+    purpose: "passport",
+    capture: "environment",
+    hint: "Include the full page with the machine-readable lines at the bottom.",
   },
   {
     name: "selfiePhotoUrl",
-    label: "Selfie photo URL",
+    label: "Selfie photo",
     payloadKey: "selfie_photo_url",
+    purpose: "selfie",
+    capture: "user",
+    hint: "Face the camera directly without sunglasses or a hat.",
   },
 ];
 
+export const PUBLIC_PROFILE_LOCKED_MESSAGE =
+  "You can make your profile public once your identity has been verified.";
+
 export const INITIAL_FORM_VALUES = {
   isAcceptingOrders: false,
   isPublic: false,
@@ -129,9 +144,13 @@ export const mapFormValuesToPayload = (values) => {
   return payload;
 };
 
-export const validateFreelancerForm = (values) => {
+export const validateFreelancerForm = (values, { canPublish = true } = {}) => {
   const errors = {};
 
+  if (values.isPublic && !canPublish) {
+    errors.isPublic = PUBLIC_PROFILE_LOCKED_MESSAGE;
+  }
+
   const years = Number.parseInt(values.yearsOfExperience, 10);
   if (Number.isNaN(years) || years < 0) {
     errors.yearsOfExperience = "Years of experience must be zero or greater.";
@@ -145,7 +164,7 @@ export const validateFreelancerForm = (values) => {
   URL_FIELD_CONFIG.forEach(({ name }) => {
     const raw = normaliseOptionalString(values[name]);
     if (raw && !isValidUrlString(raw)) {
-      errors[name] = "Please enter a valid http(s) URL.";
+      errors[name] = "This document link looks invalid. Please upload it again.";
     }
   });
 
@@ -0,0 +1,111 @@
+// Bump when the draft shape changes; drafts saved under an older version are
+// dropped instead of being fed into forms that no longer understand them.
+export const ONBOARDING_DRAFT_VERSION = 1;
+export const ONBOARDING_DRAFT_ENDPOINT = "/users/me/freelancer/onboarding-draft";
+
+const DRAFT_STORAGE_PREFIX = "freelancer:onboarding-draft:";
+
+export const ONBOARDING_STEPS = {
+  profile: 1,
+  services: 2,
+  schedule: 3,
+};
+
+// Server drafts are opt-in until the backend endpoint is available everywhere.
+export const isServerDraftSyncEnabled = () =>
+  import.meta.env.VITE_ONBOARDING_DRAFT_SYNC === "true";
+
+const getStorageKey = (userId) => `${DRAFT_STORAGE_PREFIX}${userId}`;
+
+export const createOnboardingDraft = (userId) => ({
+  version: ONBOARDING_DRAFT_VERSION,
+  userId: String(userId),
+  activeStep: ONBOARDING_STEPS.profile,
+  updatedAt: null,
+  steps: {
+    profile: null,
+    services: null,
+    schedule: null,
+  },
+});
+
+export const normaliseOnboardingDraft = (candidate, userId) => {
+  const draft = candidate?.draft ?? candidate;
+  if (
+    !draft ||
+    typeof draft !== "object" ||
+    draft.version !== ONBOARDING_DRAFT_VERSION ||
+    String(draft.userId) !== String(userId)
+  ) {
+    return null;
+  }
+
+  const activeStep = Object.values(ONBOARDING_STEPS).includes(draft.activeStep)
+    ? draft.activeStep
+    : ONBOARDING_STEPS.profile;
+
+  return {
+    ...createOnboardingDraft(userId),
+    activeStep,
+    updatedAt: typeof draft.updatedAt === "string" ? draft.updatedAt : null,
+    steps: {
+      profile: draft.steps?.profile ?? null,
+      services: Array.isArray(draft.steps?.services) ? draft.steps.services : null,
+      schedule: Array.isArray(draft.steps?.schedule) ? draft.steps.schedule : null,
+    },
+  };
+};
+
+export const hasDraftContent = (draft) =>
+  Boolean(draft) && Object.values(draft.steps).some((value) => value != null);
+
+export const pickNewestDraft = (...drafts) =>
+  drafts
+    .filter(hasDraftContent)
+    .sort((left, right) => (right.updatedAt ?? "").localeCompare(left.updatedAt ?? ""))[0] ??
+  null;
+
+export const readLocalOnboardingDraft = (userId) => {
+  if (typeof window === "undefined" || userId == null) {
+    return null;
+  }
+
+  try {
+    const raw = window.localStorage.getItem(getStorageKey(userId));
+    if (!raw) {
+      return null;
+    }
+    const draft = normaliseOnboardingDraft(JSON.parse(raw), userId);
+    if (!draft) {
+      window.localStorage.removeItem(getStorageKey(userId));
+    }
+    return draft;
+  } catch (error) {
+    console.warn("Failed to read onboarding draft", error);
+    return null;
+  }
+};
+
+export const writeLocalOnboardingDraft = (draft) => {
+  if (typeof window === "undefined" || !draft) {
+    return;
+  }
+
+  try {
+    window.localStorage.setItem(getStorageKey(draft.userId), JSON.stringify(draft));
+  } catch (error) {
+    console.warn("Failed to save onboarding draft", error);
+  }
+};
+
+export const clearLocalOnboardingDraft = (userId) => {
+  if (typeof window === "undefined" || userId == null) {
+    return;
+  }
+
+  try {
+    window.localStorage.removeItem(getStorageKey(userId));
+  } catch (error) {
+    console.warn("Failed to clear onboarding draft", error);
+  }
+};
@@ -0,0 +1,363 @@
+export const DAYS_OF_WEEK = [
+  { value: 0, label: "Sunday" },
+  { value: 1, label: "Monday" },
+  { value: 2, label: "Tuesday" },
+  { value: 3, label: "Wednesday" },
+  { value: 4, label: "Thursday" },
+  { value: 5, label: "Friday" },
+  { value: 6, label: "Saturday" },
+];
+
+export const DEFAULT_START_TIME = "09:00";
+export const DEFAULT_END_TIME = "17:00";
+
+export const getDayLabel = (dayOfWeek) =>
+  DAYS_OF_WEEK.find((entry) => entry.value === dayOfWeek)?.label ?? "";
+
+export const createEmptyBreak = () => ({
+  startTime: "",
+  endTime: "",
+});
+
+export const createDaySchedule = (dayOfWeek) => ({
+  dayOfWeek,
+  isActive: false,
+  startTime: DEFAULT_START_TIME,
+  endTime: DEFAULT_END_TIME,
+  breaks: [],
+});
+
+export const cloneDaySchedule = (day, overrides = {}) => ({
+  dayOfWeek:
+    overrides.dayOfWeek !== undefined ? overrides.dayOfWeek : day.dayOfWeek,
+  isActive: overrides.isActive ?? day.isActive,
+  startTime: overrides.startTime ?? day.startTime,
+  endTime: overrides.endTime ?? day.endTime,
+  breaks: (overrides.breaks ?? day.breaks).map((breakPeriod) => ({
+    startTime: breakPeriod.startTime,
+    endTime: breakPeriod.endTime,
+  })),
+});
+
+export const isTimeRangeValid = (start, end) => {
+  if (!start || !end) {
+    return false;
+  }
+  return start < end;
+};
+
+export const isBreakWithinDay = (breakPeriod, day) => {
+  if (!isTimeRangeValid(breakPeriod.startTime, breakPeriod.endTime)) {
+    return false;
+  }
+  if (!isTimeRangeValid(day.startTime, day.endTime)) {
+    return false;
+  }
+  return (
+    breakPeriod.startTime >= day.startTime &&
+    breakPeriod.endTime <= day.endTime
+  );
+};
+
+export const validateSchedule = (schedule) => {
+  const errors = {};
+  schedule.forEach((day) => {
+    if (!day.isActive) {
+      return;
+    }
+
+    const dayErrors = {};
+    if (!isTimeRangeValid(day.startTime, day.endTime)) {
+      dayErrors.timeRange = "Start time must be before end time.";
+    }
+
+    const breakErrors = day.breaks.map((breakPeriod) => {
+      const breakError = {};
+      if (!isTimeRangeValid(breakPeriod.startTime, breakPeriod.endTime)) {
+        breakError.range = "Break start time must be before end time.";
+      } else if (!isBreakWithinDay(breakPeriod, day)) {
+        breakError.range = "Break must be within your availability window.";
+      }
+      return breakError;
+    });
+
+    const hasBreakErrors = breakErrors.some(
+      (breakError) => Object.keys(breakError).length > 0
+    );
+
+    if (Object.keys(dayErrors).length > 0 || hasBreakErrors) {
+      errors[day.dayOfWeek] = {
+        ...dayErrors,
+        breaks: breakErrors,
+      };
+    }
+  });
+
+  return errors;
+};
+
+export const createSubmissionPayload = (schedule) =>
+  schedule
+    .filter((day) => day.isActive)
+    .map((day) => ({
+      day_of_week: day.dayOfWeek,
+      start_time: day.startTime,
+      end_time: day.endTime,
+      breaks: day.breaks
+        .filter((breakPeriod) =>
+          isTimeRangeValid(breakPeriod.startTime, breakPeriod.endTime)
+        )
+        .map((breakPeriod) => ({
+          start_time: breakPeriod.startTime,
+          end_time: breakPeriod.endTime,
+        })),
+    }));
+
+export const normaliseSchedule = (initialSchedule) => {
+  if (Array.isArray(initialSchedule) && initialSchedule.length === 7) {
+    return initialSchedule.map((day) => ({
+      ...createDaySchedule(day.dayOfWeek),
+      ...day,
+      breaks: Array.isArray(day.breaks)
+        ? day.breaks.map((breakPeriod) => ({
+            startTime: breakPeriod.startTime ?? "",
+            endTime: breakPeriod.endTime ?? "",
+          }))
+        : [],
+    }));
+  }
+
+  return DAYS_OF_WEEK.map((day) => createDaySchedule(day.value));
+};
+
+// The API may return "HH:MM:SS" or full timestamps; time inputs only accept "HH:MM".
+export const toTimeInputValue = (value) => {
+  if (typeof value !== "string") {
+    return "";
+  }
+  const match = value.trim().match(/(?:^|T)(\d{1,2}):(\d{2})/);
+  if (!match) {
+    return "";
+  }
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+};
+
+export const extractSchedules = (payload) => {
+  if (Array.isArray(payload)) {
+    return payload;
+  }
+
+  if (!payload || typeof payload !== "object") {
+    return [];
+  }
+
+  for (const candidate of [
+    payload.schedules,
+    payload.schedule,
+    payload.data?.schedules,
+    payload.freelancer?.schedules,
+  ]) {
+    if (Array.isArray(candidate)) {
+      return candidate;
+    }
+  }
+
+  return [];
+};
+
+const parseDayOfWeek = (value) => {
+  const parsed =
+    typeof value === "number" ? value : Number.parseInt(value ?? "", 10);
+  return Number.isInteger(parsed) && parsed >= 0 && parsed <= 6
+    ? parsed
+    : null;
+};
+
+export const mapSchedulesToFormSchedule = (schedules) => {
+  const rowsByDay = new Map();
+
+  (Array.isArray(schedules) ? schedules : []).forEach((row) => {
+    const dayOfWeek = parseDayOfWeek(row?.day_of_week ?? row?.dayOfWeek);
+    if (dayOfWeek == null) {
+      return;
+    }
+    rowsByDay.set(dayOfWeek, row);
+  });
+
+  return normaliseSchedule(
+    DAYS_OF_WEEK.map(({ value }) => {
+      const row = rowsByDay.get(value);
+      if (!row) {
+        return createDaySchedule(value);
+      }
+
+      const breaks = Array.isArray(row.breaks) ? row.breaks : [];
+
+      return {
+        dayOfWeek: value,
+        isActive: row.is_active ?? row.isActive ?? true,
+        startTime:
+          toTimeInputValue(row.start_time ?? row.startTime) ||
+          DEFAULT_START_TIME,
+        endTime:
+          toTimeInputValue(row.end_time ?? row.endTime) || DEFAULT_END_TIME,
+        breaks: breaks.map((breakPeriod) => ({
+          startTime: toTimeInputValue(
+            breakPeriod?.start_time ?? breakPeriod?.startTime
+          ),
+          endTime: toTimeInputValue(
+            breakPeriod?.end_time ?? breakPeriod?.endTime
+          ),
+        })),
+      };
+    })
+  );
+};
+
+// Date-specific exceptions use "YYYY-MM-DD" strings so plain string
+// comparison orders them the same way as the calendar.
+export const createScheduleException = (date = "") => ({
+  startDate: date,
+  endDate: date,
+  isClosed: true,
+  startTime: DEFAULT_START_TIME,
+  endTime: DEFAULT_END_TIME,
+  breaks: [],
+  reason: "",
+});
+
+const isDateValue = (value) =>
+  typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const getExceptionEndDate = (exception) =>
+  isDateValue(exception.endDate) ? exception.endDate : exception.startDate;
+
+export const validateScheduleExceptions = (exceptions) => {
+  const errors = {};
+
+  exceptions.forEach((exception, index) => {
+    const exceptionErrors = {};
+    const endDate = getExceptionEndDate(exception);
+
+    if (!isDateValue(exception.startDate)) {
+      exceptionErrors.dateRange = "Pick the date this exception starts.";
+    } else if (endDate < exception.startDate) {
+      exceptionErrors.dateRange = "End date must be on or after the start date.";
+    } else if (!exception.isClosed && endDate !== exception.startDate) {
+      exceptionErrors.dateRange = "Custom hours can only be set for a single date.";
+    } else {
+      const overlapping = exceptions.findIndex(
+        (other, otherIndex) =>
+          otherIndex !== index &&
+          isDateValue(other.startDate) &&
+          other.startDate <= endDate &&
+          getExceptionEndDate(other) >= exception.startDate
+      );
+      if (overlapping !== -1) {
+        exceptionErrors.dateRange = "This overlaps another exception.";
+      }
+    }
+
+    const breakErrors = exception.isClosed
+      ? []
+      : exception.breaks.map((breakPeriod) => {
+          const breakError = {};
+          if (!isTimeRangeValid(breakPeriod.startTime, breakPeriod.endTime)) {
+            breakError.range = "Break start time must be before end time.";
+          } else if (!isBreakWithinDay(breakPeriod, exception)) {
+            breakError.range = "Break must be within the hours for this date.";
+          }
+          return breakError;
+        });
+
+    if (!exception.isClosed && !isTimeRangeValid(exception.startTime, exception.endTime)) {
+      exceptionErrors.timeRange = "Start time must be before end time.";
+    }
+
+    const hasBreakErrors = breakErrors.some(
+      (breakError) => Object.keys(breakError).length > 0
+    );
+
+    if (Object.keys(exceptionErrors).length > 0 || hasBreakErrors) {
+      errors[index] = {
+        ...exceptionErrors,
+        breaks: breakErrors,
+      };
+    }
+  });
+
+  return errors;
+};
+
+export const createExceptionsPayload = (exceptions) =>
+  exceptions.map((exception) => ({
+    start_date: exception.startDate,
+    end_date: getExceptionEndDate(exception),
+    is_closed: exception.isClosed,
+    start_time: exception.isClosed ? null : exception.startTime,
+    end_time: exception.isClosed ? null : exception.endTime,
+    breaks: exception.isClosed
+      ? []
+      : exception.breaks
+          .filter((breakPeriod) =>
+            isTimeRangeValid(breakPeriod.startTime, breakPeriod.endTime)
+          )
+          .map((breakPeriod) => ({
+            start_time: breakPeriod.startTime,
+            end_time: breakPeriod.endTime,
+          })),
+    reason: exception.reason.trim() || null,
+  }));
+
+const toDateInputValue = (value) => {
+  if (typeof value !== "string") {
+    return "";
+  }
+  const match = value.trim().match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : "";
+};
+
+export const extractScheduleExceptions = (payload) => {
+  if (Array.isArray(payload)) {
+    return payload;
+  }
+
+  if (!payload || typeof payload !== "object") {
+    return [];
+  }
+
+  for (const candidate of [
+    payload.exceptions,
+    payload.schedule_exceptions,
+    payload.data?.exceptions,
+  ]) {
+    if (Array.isArray(candidate)) {
+      return candidate;
+    }
+  }
+
+  return [];
+};
+
+export const mapExceptionsToForm = (rows) =>
+  (Array.isArray(rows) ? rows : [])
+    .map((row) => {
+      const startDate = toDateInputValue(row?.start_date ?? row?.startDate ?? row?.date);
+      const breaks = Array.isArray(row?.breaks) ? row.breaks : [];
+      const isClosed = row?.is_closed ?? row?.isClosed ?? true;
+      return {
+        startDate,
+        endDate: toDateInputValue(row?.end_date ?? row?.endDate) || startDate,
+        isClosed,
+        startTime:
+          toTimeInputValue(row?.start_time ?? row?.startTime) || DEFAULT_START_TIME,
+        endTime: toTimeInputValue(row?.end_time ?? row?.endTime) || DEFAULT_END_TIME,
+        breaks: breaks.map((breakPeriod) => ({
+          startTime: toTimeInputValue(breakPeriod?.start_time ?? breakPeriod?.startTime),
+          endTime: toTimeInputValue(breakPeriod?.end_time ?? breakPeriod?.endTime),
+        })),
+        reason: typeof row?.reason === "string" ? row.reason : "",
+      };
+    })
+    .filter((exception) => exception.startDate)
+    .sort((first, second) => first.startDate.localeCompare(second.startDate));
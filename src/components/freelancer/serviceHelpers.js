@@ -0,0 +1,38 @@
+const toInputValue = (value) =>
+  value == null || value === "" ? "" : String(value);
+
+export const mapServiceToFormValues = (service) => {
+  const durationSeconds = Number(service?.service_duration_seconds);
+  const pricing =
+    service?.pricing === "range" ||
+    (service?.fixed_price == null && service?.min_price != null)
+      ? "range"
+      : "fixed";
+
+  return {
+    serviceCategoryId: toInputValue(service?.service_category_id),
+    title: service?.title ?? "",
+    description: service?.description ?? "",
+    pricing,
+    fixedPrice: pricing === "fixed" ? toInputValue(service?.fixed_price) : "",
+    minPrice: pricing === "range" ? toInputValue(service?.min_price) : "",
+    maxPrice: pricing === "range" ? toInputValue(service?.max_price) : "",
+    durationMinutes: Number.isFinite(durationSeconds)
+      ? String(Math.round(durationSeconds / 60))
+      : "60",
+    productsUsed: Array.isArray(service?.products_used)
+      ? service.products_used.join(", ")
+      : "",
+    location: service?.location === "door_step" ? "door_step" : "on_premise",
+  };
+};
+
+export const extractServicePayload = (payload) => {
+  if (!payload || typeof payload !== "object") {
+    return null;
+  }
+  if (payload.service && typeof payload.service === "object") {
+    return payload.service;
+  }
+  return payload.id != null ? payload : null;
+};
@@ -0,0 +1,201 @@
+import { URL_FIELD_CONFIG } from "./formHelpers.js";
+
+export const VERIFICATION_STATUSES = {
+  unsubmitted: "unsubmitted",
+  pending: "pending",
+  approved: "approved",
+  rejected: "rejected",
+  resubmissionRequested: "resubmission_requested",
+};
+
+export const VERIFICATION_COPY = {
+  unsubmitted: {
+    label: "Documents needed",
+    tone: "info",
+    description:
+      "Upload your CPR card, passport, and a selfie so we can verify your identity.",
+  },
+  pending: {
+    label: "Under review",
+    tone: "info",
+    description:
+      "We're reviewing your documents. This usually takes one to two working days.",
+  },
+  approved: {
+    label: "Verified",
+    tone: "success",
+    description: "Your identity is verified. You can make your profile public.",
+  },
+  rejected: {
+    label: "Verification rejected",
+    tone: "error",
+    description:
+      "Some of your documents couldn't be accepted. Upload new copies of the rejected documents to try again.",
+  },
+  resubmission_requested: {
+    label: "Resubmission requested",
+    tone: "warning",
+    description:
+      "Our reviewers need clearer copies of some documents before they can finish verifying you.",
+  },
+};
+
+const STATUS_ALIASES = {
+  unsubmitted: VERIFICATION_STATUSES.unsubmitted,
+  not_submitted: VERIFICATION_STATUSES.unsubmitted,
+  pending: VERIFICATION_STATUSES.pending,
+  submitted: VERIFICATION_STATUSES.pending,
+  in_review: VERIFICATION_STATUSES.pending,
+  under_review: VERIFICATION_STATUSES.pending,
+  approved: VERIFICATION_STATUSES.approved,
+  verified: VERIFICATION_STATUSES.approved,
+  rejected: VERIFICATION_STATUSES.rejected,
+  declined: VERIFICATION_STATUSES.rejected,
+  resubmission_requested: VERIFICATION_STATUSES.resubmissionRequested,
+  resubmission_required: VERIFICATION_STATUSES.resubmissionRequested,
+  needs_resubmission: VERIFICATION_STATUSES.resubmissionRequested,
+};
+
+const NEEDS_ACTION = new Set([
+  VERIFICATION_STATUSES.unsubmitted,
+  VERIFICATION_STATUSES.rejected,
+  VERIFICATION_STATUSES.resubmissionRequested,
+]);
+
+const isRecord = (value) =>
+  value != null && typeof value === "object" && !Array.isArray(value);
+
+const normaliseStatus = (value) => {
+  if (typeof value !== "string") {
+    return null;
+  }
+  return STATUS_ALIASES[value.trim().toLowerCase()] ?? null;
+};
+
+const normaliseReason = (value) =>
+  typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+
+// Documents can be keyed by payload key ("cpr_front_url"), upload purpose
+// ("cpr_front"), or form field name ("cprFrontUrl").
+const findDocumentField = (key) => {
+  if (typeof key !== "string") {
+    return null;
+  }
+  const normalisedKey = key.trim();
+  return (
+    URL_FIELD_CONFIG.find(
+      ({ name, payloadKey, purpose }) =>
+        normalisedKey === name ||
+        normalisedKey === payloadKey ||
+        normalisedKey === purpose
+    ) ?? null
+  );
+};
+
+const readDocumentReviews = (verification) => {
+  const reviews = {};
+  const source =
+    verification?.documents ??
+    verification?.document_statuses ??
+    verification?.document_reviews ??
+    null;
+
+  const entries = Array.isArray(source)
+    ? source.map((entry) => [
+        entry?.document_type ?? entry?.type ?? entry?.field ?? entry?.name,
+        entry,
+      ])
+    : isRecord(source)
+    ? Object.entries(source)
+    : [];
+
+  entries.forEach(([key, entry]) => {
+    const field = findDocumentField(key);
+    if (!field) {
+      return;
+    }
+    const review = isRecord(entry) ? entry : { status: entry };
+    reviews[field.name] = {
+      status: normaliseStatus(review.status),
+      reason: normaliseReason(review.reason ?? review.rejection_reason),
+    };
+  });
+
+  const rejectedKeys = verification?.rejected_documents ?? verification?.rejected_fields;
+  if (Array.isArray(rejectedKeys)) {
+    rejectedKeys.forEach((key) => {
+      const field = findDocumentField(key);
+      if (field && !reviews[field.name]) {
+        reviews[field.name] = { status: VERIFICATION_STATUSES.rejected, reason: null };
+      }
+    });
+  }
+
+  return reviews;
+};
+
+const hasAnyDocument = (profile) =>
+  URL_FIELD_CONFIG.some(({ payloadKey }) => normaliseReason(profile?.[payloadKey]));
+
+// Reads the verification state from either a nested `verification` object or
+// flat `verification_*` fields on the freelancer profile.
+export const getVerificationState = (profile) => {
+  const nested = isRecord(profile?.verification) ? profile.verification : {};
+  const verification = { ...profile, ...nested };
+
+  const explicitStatus = normaliseStatus(
+    nested.status ?? profile?.verification_status ?? profile?.kyc_status
+  );
+  const status =
+    explicitStatus ??
+    (hasAnyDocument(profile)
+      ? VERIFICATION_STATUSES.pending
+      : VERIFICATION_STATUSES.unsubmitted);
+
+  const documents = readDocumentReviews(verification);
+  const rejectedFields = Object.entries(documents)
+    .filter(
+      ([, review]) =>
+        review.status === VERIFICATION_STATUSES.rejected ||
+        review.status === VERIFICATION_STATUSES.resubmissionRequested
+    )
+    .map(([name]) => name);
+
+  return {
+    status,
+    reason: normaliseReason(
+      nested.reason ??
+        nested.rejection_reason ??
+        profile?.verification_reason ??
+        profile?.verification_rejection_reason
+    ),
+    reviewedAt: nested.reviewed_at ?? profile?.verification_reviewed_at ?? null,
+    documents,
+    rejectedFields,
+  };
+};
+
+export const isVerificationApproved = (state) =>
+  state?.status === VERIFICATION_STATUSES.approved;
+
+export const needsVerificationAction = (state) => NEEDS_ACTION.has(state?.status);
+
+// Before the first submission every document is editable. After a rejection
+// only the documents the reviewer flagged can be replaced; when the review
+// doesn't name specific documents, all of them can be.
+export const canEditDocument = (state, fieldName) => {
+  if (!state || state.status === VERIFICATION_STATUSES.unsubmitted) {
+    return true;
+  }
+  if (!needsVerificationAction(state)) {
+    return false;
+  }
+  return state.rejectedFields.length === 0 || state.rejectedFields.includes(fieldName);
+};
+
+export const getDocumentLockMessage = (state) =>
+  isVerificationApproved(state)
+    ? "Verified. This document can't be changed."
+    : state?.status === VERIFICATION_STATUSES.pending
+    ? "Under review. You can replace this document if a reviewer asks for it."
+    : "Accepted by our reviewers. Only rejected documents need to be uploaded again.";
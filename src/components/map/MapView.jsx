@@ -0,0 +1,184 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  MAX_ZOOM,
+  MIN_ZOOM,
+  TILE_SIZE,
+  getCenter,
+  getFittingZoom,
+  projectToPixels,
+} from "../../utils/geo.js";
+import { buildTileUrl, getDefaultTileSource } from "./tileSources.js";
+
+const DEFAULT_WIDTH = 640;
+
+const MapMarker = ({ marker, style }) => {
+  const className = `map-view__marker${marker.highlighted ? " map-view__marker--highlighted" : ""}`;
+  const content = (
+    <>
+      <span className="map-view__pin" aria-hidden="true" />
+      <span className="map-view__marker-label">{marker.label}</span>
+    </>
+  );
+
+  if (marker.to) {
+    return (
+      <Link to={marker.to} className={className} style={style} title={marker.label}>
+        {content}
+      </Link>
+    );
+  }
+
+  return (
+    <span className={className} style={style} title={marker.label}>
+      {content}
+    </span>
+  );
+};
+
+const MapView = ({
+  markers,
+  tileSource = getDefaultTileSource(),
+  height = 320,
+  emptyMessage = "No locations with coordinates to show yet.",
+}) => {
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(DEFAULT_WIDTH);
+  const [zoomOffset, setZoomOffset] = useState(0);
+  const [failedTiles, setFailedTiles] = useState(() => new Set());
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) {
+      return undefined;
+    }
+
+    const measure = () => {
+      setWidth(element.clientWidth || DEFAULT_WIDTH);
+    };
+    measure();
+
+    if (typeof ResizeObserver === "undefined") {
+      window.addEventListener("resize", measure);
+      return () => window.removeEventListener("resize", measure);
+    }
+
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const points = useMemo(
+    () =>
+      (Array.isArray(markers) ? markers : []).filter(
+        (marker) =>
+          Number.isFinite(marker?.latitude) && Number.isFinite(marker?.longitude)
+      ),
+    [markers]
+  );
+
+  const fittedZoom = useMemo(
+    () => getFittingZoom(points, width, height),
+    [height, points, width]
+  );
+  const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, fittedZoom + zoomOffset));
+  const center = getCenter(points);
+
+  if (!center) {
+    return (
+      <div ref={containerRef} className="map-view map-view--empty" style={{ height }}>
+        <p>{emptyMessage}</p>
+      </div>
+    );
+  }
+
+  const centerPixel = projectToPixels(center, zoom);
+  const origin = {
+    x: centerPixel.x - width / 2,
+    y: centerPixel.y - height / 2,
+  };
+  const tileCount = 2 ** zoom;
+
+  const tiles = [];
+  if (tileSource?.url) {
+    const firstX = Math.floor(origin.x / TILE_SIZE);
+    const lastX = Math.floor((origin.x + width) / TILE_SIZE);
+    const firstY = Math.max(0, Math.floor(origin.y / TILE_SIZE));
+    const lastY = Math.min(tileCount - 1, Math.floor((origin.y + height) / TILE_SIZE));
+
+    for (let x = firstX; x <= lastX; x += 1) {
+      for (let y = firstY; y <= lastY; y += 1) {
+        const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+        const url = buildTileUrl(tileSource.url, { x: wrappedX, y, z: zoom });
+        if (!failedTiles.has(url)) {
+          tiles.push({
+            key: `${zoom}-${x}-${y}`,
+            url,
+            left: x * TILE_SIZE - origin.x,
+            top: y * TILE_SIZE - origin.y,
+          });
+        }
+      }
+    }
+  }
+
+  const handleTileError = (url) => {
+    setFailedTiles((previous) => new Set(previous).add(url));
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={`map-view${tileSource?.url ? "" : " map-view--offline"}`}
+      style={{ height }}
+    >
+      {tiles.map((tile) => (
+        <img
+          key={tile.key}
+          src={tile.url}
+          alt=""
+          className="map-view__tile"
+          style={{ left: tile.left, top: tile.top, width: TILE_SIZE, height: TILE_SIZE }}
+          onError={() => handleTileError(tile.url)}
+          draggable={false}
+        />
+      ))}
+
+      {points.map((marker) => {
+        const pixel = projectToPixels(marker, zoom);
+        return (
+          <MapMarker
+            key={marker.id}
+            marker={marker}
+            style={{ left: pixel.x - origin.x, top: pixel.y - origin.y }}
+          />
+        );
+      })}
+
+      <div className="map-view__controls">
+        <button
+          type="button"
+          onClick={() => setZoomOffset((previous) => previous + 1)}
+          disabled={zoom >= MAX_ZOOM}
+          aria-label="Zoom in"
+        >
+          +
+        </button>
+        <button
+          type="button"
+          onClick={() => setZoomOffset((previous) => previous - 1)}
+          disabled={zoom <= MIN_ZOOM}
+          aria-label="Zoom out"
+        >
+          −
+        </button>
+      </div>
+
+      <span className="map-view__attribution">
+        {tileSource?.url ? tileSource.attribution : "Offline map"}
+      </span>
+    </div>
+  );
+};
+
+export default MapView;
@@ -0,0 +1,22 @@
+// Tiles come from VITE_MAP_TILE_URL (for example
+// "https://tile.openstreetmap.org/{z}/{x}/{y}.png"). Leaving it unset, or
+// setting it to "offline", draws a plain grid so maps work without network.
+export const getDefaultTileSource = () => {
+  const url = import.meta.env.VITE_MAP_TILE_URL;
+  if (typeof url !== "string" || url.trim() === "" || url.trim() === "offline") {
+    return null;
+  }
+  return {
+    url: url.trim(),
+    attribution: import.meta.env.VITE_MAP_TILE_ATTRIBUTION ?? "",
+  };
+};
+
+const SUBDOMAINS = ["a", "b", "c"];
+
+export const buildTileUrl = (template, { x, y, z }) =>
+  template
+    .replace("{s}", SUBDOMAINS[Math.abs(x + y) % SUBDOMAINS.length])
+    .replace("{z}", String(z))
+    .replace("{x}", String(x))
+    .replace("{y}", String(y));
@@ -0,0 +1,124 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useNotifications } from "../../hooks/useNotifications.jsx";
+import {
+  formatNotificationTime,
+  getNotificationIcon,
+  isUnread,
+} from "./notificationHelpers.js";
+
+const MAX_BADGE_COUNT = 9;
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const { notifications, unreadCount, status, markRead, markAllRead } = useNotifications();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    const handleEscape = (event) => {
+      if (event.key === "Escape") {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+    document.addEventListener("keydown", handleEscape);
+
+    return () => {
+      document.removeEventListener("mousedown", handleClickOutside);
+      document.removeEventListener("keydown", handleEscape);
+    };
+  }, [isOpen]);
+
+  const handleSelect = (notification) => {
+    markRead(notification.id);
+    if (notification.link) {
+      setIsOpen(false);
+      navigate(notification.link);
+    }
+  };
+
+  const badgeLabel = unreadCount > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(unreadCount);
+
+  return (
+    <div className="notification-menu" ref={containerRef}>
+      <button
+        type="button"
+        className="notification-toggle"
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        aria-label={
+          unreadCount > 0 ? `Notifications, ${unreadCount} unread` : "Notifications"
+        }
+        onClick={() => setIsOpen((previous) => !previous)}
+      >
+        <svg viewBox="0 0 24 24" width="20" height="20" aria-hidden="true">
+          <path
+            fill="currentColor"
+            d="M12 22a2.5 2.5 0 0 0 2.45-2h-4.9A2.5 2.5 0 0 0 12 22Zm7-6V11a7 7 0 0 0-5.5-6.84V3.5a1.5 1.5 0 0 0-3 0v.66A7 7 0 0 0 5 11v5l-2 2v1h18v-1l-2-2Z"
+          />
+        </svg>
+        {unreadCount > 0 && <span className="notification-badge">{badgeLabel}</span>}
+      </button>
+
+      <div className={`notification-panel${isOpen ? " is-open" : ""}`}>
+        <div className="notification-panel-header">
+          <span className="notification-panel-title">Notifications</span>
+          <button
+            type="button"
+            className="notification-mark-all"
+            onClick={markAllRead}
+            disabled={unreadCount === 0}
+          >
+            Mark all as read
+          </button>
+        </div>
+
+        {notifications.length === 0 ? (
+          <p className="notification-empty">
+            {status === "syncing" ? "Loading notifications…" : "You're all caught up."}
+          </p>
+        ) : (
+          <ul className="notification-list">
+            {notifications.map((notification) => (
+              <li key={notification.id}>
+                <button
+                  type="button"
+                  className={`notification-item${isUnread(notification) ? " is-unread" : ""}`}
+                  onClick={() => handleSelect(notification)}
+                >
+                  <span className="notification-icon" aria-hidden="true">
+                    {getNotificationIcon(notification)}
+                  </span>
+                  <span className="notification-body">
+                    <span className="notification-title">{notification.title}</span>
+                    {notification.message && (
+                      <span className="notification-message">{notification.message}</span>
+                    )}
+                    <span className="notification-time">
+                      {formatNotificationTime(notification.createdAt)}
+                    </span>
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,210 @@
+export const NOTIFICATIONS_ENDPOINT = "/users/me/notifications";
+export const NOTIFICATIONS_READ_ALL_ENDPOINT = `${NOTIFICATIONS_ENDPOINT}/read-all`;
+export const getNotificationReadEndpoint = (id) =>
+  `${NOTIFICATIONS_ENDPOINT}/${encodeURIComponent(id)}/read`;
+
+const STORAGE_PREFIX = "notifications:";
+const MAX_STORED_NOTIFICATIONS = 50;
+
+export const NOTIFICATION_TYPES = {
+  verificationApproved: "verification_approved",
+  verificationRejected: "verification_rejected",
+  verificationResubmission: "verification_resubmission_requested",
+  bookingCreated: "booking_created",
+  bookingCancelled: "booking_cancelled",
+  bookingCompleted: "booking_completed",
+};
+
+// Fallback copy and destinations for when the backend only sends a type.
+export const NOTIFICATION_COPY = {
+  [NOTIFICATION_TYPES.verificationApproved]: {
+    icon: "✓",
+    title: "Identity verified",
+    message: "Your documents were approved. You can now make your profile public.",
+    link: "/dashboard/freelancer",
+  },
+  [NOTIFICATION_TYPES.verificationRejected]: {
+    icon: "⚠",
+    title: "Verification rejected",
+    message: "Your identity documents were rejected. Check the reviewer's note.",
+    link: "/settings",
+  },
+  [NOTIFICATION_TYPES.verificationResubmission]: {
+    icon: "↻",
+    title: "Documents needed",
+    message: "Please re-upload the documents flagged by our reviewer.",
+    link: "/settings",
+  },
+  [NOTIFICATION_TYPES.bookingCreated]: {
+    icon: "📅",
+    title: "New booking",
+    message: "You have a new booking request.",
+    link: "/dashboard",
+  },
+  [NOTIFICATION_TYPES.bookingCancelled]: {
+    icon: "✕",
+    title: "Booking cancelled",
+    message: "A booking was cancelled.",
+    link: "/dashboard",
+  },
+  [NOTIFICATION_TYPES.bookingCompleted]: {
+    icon: "★",
+    title: "How did it go?",
+    message: "Your booking is complete. Leave a review for your freelancer.",
+    link: (candidate) =>
+      candidate.booking_id != null ? `/bookings/${candidate.booking_id}/review` : "/dashboard",
+  },
+};
+
+const DEFAULT_COPY = {
+  icon: "i",
+  title: "Notification",
+  message: "",
+  link: null,
+};
+
+const toNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+
+export const normaliseNotification = (candidate) => {
+  if (!candidate || typeof candidate !== "object" || candidate.id == null) {
+    return null;
+  }
+
+  const type = toNonEmptyString(candidate.type) ?? "general";
+  const copy = NOTIFICATION_COPY[type] ?? DEFAULT_COPY;
+
+  return {
+    id: String(candidate.id),
+    type,
+    title: toNonEmptyString(candidate.title) ?? copy.title,
+    message: toNonEmptyString(candidate.message ?? candidate.body) ?? copy.message,
+    link:
+      toNonEmptyString(candidate.link ?? candidate.url) ??
+      (typeof copy.link === "function" ? copy.link(candidate) : copy.link),
+    createdAt: candidate.created_at ?? candidate.createdAt ?? null,
+    readAt: candidate.read_at ?? candidate.readAt ?? null,
+  };
+};
+
+export const extractNotifications = (payload) => {
+  const list = Array.isArray(payload)
+    ? payload
+    : payload?.notifications ?? payload?.items ?? payload?.data ?? [];
+  return Array.isArray(list) ? list.map(normaliseNotification).filter(Boolean) : [];
+};
+
+export const getNotificationIcon = (notification) =>
+  (NOTIFICATION_COPY[notification?.type] ?? DEFAULT_COPY).icon;
+
+export const isUnread = (notification) => !notification?.readAt;
+
+const toTimestamp = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? 0 : time;
+};
+
+export const sortNotifications = (notifications) =>
+  [...notifications].sort((left, right) => toTimestamp(right.createdAt) - toTimestamp(left.createdAt));
+
+export const formatNotificationTime = (value) => {
+  const time = toTimestamp(value);
+  if (!time) {
+    return "";
+  }
+
+  const minutes = Math.round((Date.now() - time) / 60000);
+  if (minutes < 1) {
+    return "Just now";
+  }
+  if (minutes < 60) {
+    return `${minutes} min ago`;
+  }
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) {
+    return `${hours} h ago`;
+  }
+  return new Date(time).toLocaleDateString(undefined, { dateStyle: "medium" });
+};
+
+export const getNotificationsStorageKey = (userId) => `${STORAGE_PREFIX}${userId}`;
+
+// Reads that haven't reached the server yet are kept in the store so they
+// survive reloads and are retried on the next sync.
+export const createNotificationsStore = (userId) => ({
+  userId: userId != null ? String(userId) : null,
+  items: [],
+  pendingReadIds: [],
+  readAllAt: null,
+  syncedAt: null,
+});
+
+export const readLocalNotifications = (userId) => {
+  const empty = createNotificationsStore(userId);
+  if (typeof window === "undefined" || userId == null) {
+    return empty;
+  }
+
+  try {
+    const raw = window.localStorage.getItem(getNotificationsStorageKey(userId));
+    if (!raw) {
+      return empty;
+    }
+    const stored = JSON.parse(raw);
+    return {
+      ...empty,
+      items: Array.isArray(stored?.items)
+        ? stored.items.map(normaliseNotification).filter(Boolean)
+        : [],
+      pendingReadIds: Array.isArray(stored?.pendingReadIds)
+        ? stored.pendingReadIds.map(String)
+        : [],
+      readAllAt: typeof stored?.readAllAt === "string" ? stored.readAllAt : null,
+      syncedAt: typeof stored?.syncedAt === "string" ? stored.syncedAt : null,
+    };
+  } catch (error) {
+    console.warn("Failed to read notifications", error);
+    return empty;
+  }
+};
+
+export const writeLocalNotifications = (store) => {
+  if (typeof window === "undefined" || store?.userId == null) {
+    return;
+  }
+
+  try {
+    const key = getNotificationsStorageKey(store.userId);
+    const serialised = JSON.stringify(store);
+    // Skipping identical writes keeps other tabs from receiving storage
+    // events for changes they made themselves.
+    if (window.localStorage.getItem(key) !== serialised) {
+      window.localStorage.setItem(key, serialised);
+    }
+  } catch (error) {
+    console.warn("Failed to save notifications", error);
+  }
+};
+
+export const mergeNotifications = (store, incoming) => {
+  const now = new Date().toISOString();
+  const pendingReads = new Set(store.pendingReadIds);
+  const readAllTime = toTimestamp(store.readAllAt);
+  const merged = new Map(store.items.map((item) => [item.id, item]));
+
+  incoming.forEach((item) => {
+    const local = merged.get(item.id);
+    const isLocallyRead =
+      pendingReads.has(item.id) ||
+      (readAllTime > 0 && toTimestamp(item.createdAt) <= readAllTime);
+    merged.set(item.id, {
+      ...item,
+      readAt: item.readAt ?? (isLocallyRead ? local?.readAt ?? now : null),
+    });
+  });
+
+  return {
+    ...store,
+    items: sortNotifications([...merged.values()]).slice(0, MAX_STORED_NOTIFICATIONS),
+  };
+};
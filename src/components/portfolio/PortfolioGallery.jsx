@@ -0,0 +1,292 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useApiFetch } from "../../hooks/useApiFetch.jsx";
+import { ERROR_KINDS, describeApiError } from "../../utils/apiErrors";
+import {
+  extractPortfolio,
+  getCategoryName,
+  getFreelancerPortfolioEndpoint,
+  getImageAlt,
+  getSrcSet,
+  getThumbnailUrl,
+} from "./portfolioHelpers.js";
+
+const GRID_SIZES = "(min-width: 1024px) 25vw, (min-width: 640px) 33vw, 50vw";
+const COVER_SIZES = "(min-width: 1024px) 50vw, (min-width: 640px) 66vw, 100vw";
+
+const Lightbox = ({ items, index, freelancerName, onClose, onNavigate }) => {
+  const closeButtonRef = useRef(null);
+  const item = items[index];
+  const category = getCategoryName(item.categoryId);
+
+  useEffect(() => {
+    closeButtonRef.current?.focus();
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.body.style.overflow = previousOverflow;
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        onClose();
+      } else if (event.key === "ArrowLeft") {
+        onNavigate(-1);
+      } else if (event.key === "ArrowRight") {
+        onNavigate(1);
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose, onNavigate]);
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Portfolio image"
+      className="fixed inset-0 z-50 flex flex-col bg-slate-950/90 p-4 text-white"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div className="flex items-center justify-between gap-4">
+        <span className="text-sm text-slate-300">
+          {index + 1} / {items.length}
+        </span>
+        <button
+          ref={closeButtonRef}
+          type="button"
+          onClick={onClose}
+          className="rounded-full px-3 py-1 text-2xl leading-none transition hover:bg-white/10"
+          aria-label="Close gallery"
+        >
+          ×
+        </button>
+      </div>
+
+      <div className="relative flex min-h-0 flex-1 items-center justify-center">
+        {items.length > 1 ? (
+          <button
+            type="button"
+            onClick={() => onNavigate(-1)}
+            className="absolute left-0 rounded-full bg-white/10 px-4 py-3 text-2xl transition hover:bg-white/20"
+            aria-label="Previous image"
+          >
+            ‹
+          </button>
+        ) : null}
+        <figure className="flex max-h-full flex-col items-center gap-3">
+          <img
+            key={item.url}
+            src={item.url}
+            srcSet={getSrcSet(item)}
+            sizes="100vw"
+            alt={getImageAlt(item, freelancerName)}
+            className="max-h-[75vh] max-w-full rounded-lg object-contain"
+          />
+          {item.caption || category ? (
+            <figcaption className="flex flex-wrap items-center justify-center gap-3 text-center text-sm text-slate-200">
+              {item.caption ? <span>{item.caption}</span> : null}
+              {category ? (
+                <span className="rounded-full bg-white/10 px-3 py-1 text-xs font-medium">{category}</span>
+              ) : null}
+            </figcaption>
+          ) : null}
+        </figure>
+        {items.length > 1 ? (
+          <button
+            type="button"
+            onClick={() => onNavigate(1)}
+            className="absolute right-0 rounded-full bg-white/10 px-4 py-3 text-2xl transition hover:bg-white/20"
+            aria-label="Next image"
+          >
+            ›
+          </button>
+        ) : null}
+      </div>
+    </div>
+  );
+};
+
+// Renders nothing until there is at least one image, so profiles without a
+// portfolio keep their current layout.
+const PortfolioGallery = ({ freelancerId, freelancerName }) => {
+  const apiFetch = useApiFetch();
+  const [items, setItems] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState(null);
+  const [refreshIndex, setRefreshIndex] = useState(0);
+  const [categoryId, setCategoryId] = useState("");
+  const [openIndex, setOpenIndex] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus("loading");
+    setError(null);
+
+    const fetchPortfolio = async () => {
+      try {
+        const payload = await apiFetch.getJson(getFreelancerPortfolioEndpoint(freelancerId));
+        if (cancelled) {
+          return;
+        }
+        setItems(extractPortfolio(payload));
+        setStatus("ready");
+      } catch (fetchError) {
+        if (cancelled) {
+          return;
+        }
+        if (describeApiError(fetchError).kind === ERROR_KINDS.notFound) {
+          setItems([]);
+          setStatus("ready");
+          return;
+        }
+        console.warn("[PortfolioGallery] Failed to load portfolio", fetchError);
+        setError(fetchError);
+        setStatus("error");
+      }
+    };
+
+    fetchPortfolio();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiFetch, freelancerId, refreshIndex]);
+
+  const categories = useMemo(() => {
+    const ids = [...new Set(items.map((item) => item.categoryId).filter(Boolean))];
+    return ids
+      .map((id) => ({ id, name: getCategoryName(id) }))
+      .filter((category) => category.name);
+  }, [items]);
+
+  // The cover leads the unfiltered grid at double size.
+  const visibleItems = useMemo(() => {
+    if (categoryId) {
+      return items.filter((item) => item.categoryId === categoryId);
+    }
+    const cover = items.find((item) => item.isCover);
+    return cover ? [cover, ...items.filter((item) => item !== cover)] : items;
+  }, [categoryId, items]);
+
+  const handleClose = useCallback(() => setOpenIndex(null), []);
+
+  const handleNavigate = useCallback(
+    (step) => {
+      setOpenIndex((previous) =>
+        previous == null ? previous : (previous + step + visibleItems.length) % visibleItems.length
+      );
+    },
+    [visibleItems.length]
+  );
+
+  if (status === "ready" && items.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="rounded-3xl border border-slate-200 bg-white/95 p-8 shadow-xl shadow-slate-200/70">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-semibold text-slate-900">Portfolio</h2>
+          <p className="text-sm text-slate-600">
+            Recent work by {freelancerName ?? "this freelancer"}.
+          </p>
+        </div>
+        {categories.length > 1 ? (
+          <div className="flex flex-wrap gap-2" role="group" aria-label="Filter by service">
+            {[{ id: "", name: "All" }, ...categories].map((category) => (
+              <button
+                key={category.id || "all"}
+                type="button"
+                onClick={() => {
+                  setCategoryId(category.id);
+                  setOpenIndex(null);
+                }}
+                aria-pressed={categoryId === category.id}
+                className={`rounded-full px-4 py-1.5 text-sm font-medium transition ${
+                  categoryId === category.id
+                    ? "bg-slate-900 text-white"
+                    : "bg-slate-100 text-slate-600 hover:bg-slate-200"
+                }`}
+              >
+                {category.name}
+              </button>
+            ))}
+          </div>
+        ) : null}
+      </div>
+
+      {status === "loading" ? (
+        <div className="mt-6 grid grid-cols-2 gap-3 sm:grid-cols-3 lg:grid-cols-4">
+          {Array.from({ length: 4 }).map((_, index) => (
+            <div key={index} className="aspect-square animate-pulse rounded-2xl bg-slate-100" />
+          ))}
+        </div>
+      ) : null}
+
+      {status === "error" ? (
+        <div className="mt-6 flex flex-wrap items-center gap-3 rounded-2xl border border-rose-200 bg-rose-50 px-6 py-4 text-sm text-rose-700">
+          <p>
+            {describeApiError(error, {
+              fallbackMessage: "We couldn't load this portfolio. Please try again.",
+            }).message}
+          </p>
+          <button
+            type="button"
+            onClick={() => setRefreshIndex((previous) => previous + 1)}
+            className="font-semibold underline"
+          >
+            Try again
+          </button>
+        </div>
+      ) : null}
+
+      {status === "ready" ? (
+        <ul className="mt-6 grid grid-cols-2 gap-3 sm:grid-cols-3 lg:grid-cols-4">
+          {visibleItems.map((item, index) => {
+            const isFeatured = !categoryId && index === 0 && item.isCover && visibleItems.length > 2;
+            return (
+              <li key={item.id ?? item.url} className={isFeatured ? "col-span-2 row-span-2" : ""}>
+                <button
+                  type="button"
+                  onClick={() => setOpenIndex(index)}
+                  className="group block aspect-square w-full overflow-hidden rounded-2xl bg-slate-100 focus:outline-none focus-visible:ring-2 focus-visible:ring-slate-900 focus-visible:ring-offset-2"
+                >
+                  <img
+                    src={getThumbnailUrl(item, isFeatured ? 1280 : 640)}
+                    srcSet={getSrcSet(item)}
+                    sizes={isFeatured ? COVER_SIZES : GRID_SIZES}
+                    alt={getImageAlt(item, freelancerName)}
+                    width={item.width ?? undefined}
+                    height={item.height ?? undefined}
+                    loading="lazy"
+                    decoding="async"
+                    className="h-full w-full object-cover transition duration-300 group-hover:scale-105"
+                  />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      ) : null}
+
+      {openIndex != null && visibleItems[openIndex] ? (
+        <Lightbox
+          items={visibleItems}
+          index={openIndex}
+          freelancerName={freelancerName}
+          onClose={handleClose}
+          onNavigate={handleNavigate}
+        />
+      ) : null}
+    </section>
+  );
+};
+
+export default PortfolioGallery;
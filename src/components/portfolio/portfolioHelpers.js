@@ -0,0 +1,103 @@
+import { SERVICE_CATEGORIES } from "../FreelancerServicesForm.jsx";
+
+export const PORTFOLIO_ENDPOINT = "/users/me/freelancer/portfolio";
+export const MAX_PORTFOLIO_ITEMS = 24;
+export const MAX_CAPTION_LENGTH = 160;
+
+// Uploads are capped at 1600px; the backend derives smaller variants from it.
+export const PORTFOLIO_UPLOAD_DIMENSION = 1600;
+
+export const getFreelancerPortfolioEndpoint = (freelancerId) =>
+  `/freelancers/${encodeURIComponent(freelancerId)}/portfolio`;
+
+const toNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+
+const CATEGORY_NAMES = new Map(
+  SERVICE_CATEGORIES.map((category) => [String(category.id), category.name])
+);
+
+export const getCategoryName = (categoryId) =>
+  categoryId == null ? null : CATEGORY_NAMES.get(String(categoryId)) ?? null;
+
+// Accepts `[{ width, url }]` or `{ "640": url }` and returns them smallest first.
+const normaliseVariants = (value) => {
+  const entries = Array.isArray(value)
+    ? value.map((variant) => [variant?.width, variant?.url])
+    : Object.entries(value ?? {});
+
+  return entries
+    .map(([width, url]) => ({ width: Number(width), url: toNonEmptyString(url) }))
+    .filter((variant) => Number.isFinite(variant.width) && variant.width > 0 && variant.url)
+    .sort((a, b) => a.width - b.width);
+};
+
+export const normalisePortfolioItem = (candidate, index = 0) => {
+  const url = toNonEmptyString(candidate?.image_url) ?? toNonEmptyString(candidate?.url);
+  if (!candidate || typeof candidate !== "object" || !url) {
+    return null;
+  }
+
+  const categoryId = candidate.service_category_id ?? candidate.category_id ?? null;
+  const position = Number(candidate.position);
+
+  return {
+    id: candidate.id != null ? String(candidate.id) : null,
+    url,
+    caption: typeof candidate.caption === "string" ? candidate.caption : "",
+    categoryId: categoryId != null ? String(categoryId) : "",
+    position: Number.isFinite(position) ? position : index,
+    isCover: Boolean(candidate.is_cover),
+    width: Number(candidate.width) || null,
+    height: Number(candidate.height) || null,
+    variants: normaliseVariants(candidate.variants),
+  };
+};
+
+export const extractPortfolio = (payload) => {
+  const list = Array.isArray(payload) ? payload : payload?.items ?? payload?.portfolio ?? [];
+  const items = (Array.isArray(list) ? list : [])
+    .map(normalisePortfolioItem)
+    .filter(Boolean)
+    .sort((a, b) => a.position - b.position);
+
+  // Exactly one cover: keep the first flagged item, or promote the first image.
+  const coverIndex = Math.max(
+    items.findIndex((item) => item.isCover),
+    0
+  );
+  return items.map((item, index) => ({ ...item, position: index, isCover: index === coverIndex }));
+};
+
+export const serialisePortfolio = (items) =>
+  items.map((item, index) => ({
+    ...(item.id ? { id: item.id } : {}),
+    image_url: item.url,
+    caption: item.caption.trim(),
+    service_category_id: item.categoryId ? Number(item.categoryId) : null,
+    position: index,
+    is_cover: item.isCover,
+  }));
+
+export const getCoverItem = (items) => items.find((item) => item.isCover) ?? items[0] ?? null;
+
+export const getSrcSet = (item) =>
+  item.variants.length > 0
+    ? item.variants.map((variant) => `${variant.url} ${variant.width}w`).join(", ")
+    : undefined;
+
+// Falls back to the original upload when no variants exist, so thumbnails
+// still render on backends that don't resize.
+export const getThumbnailUrl = (item, targetWidth = 640) =>
+  item.variants.find((variant) => variant.width >= targetWidth)?.url ??
+  item.variants[item.variants.length - 1]?.url ??
+  item.url;
+
+export const getImageAlt = (item, freelancerName) => {
+  if (item.caption.trim()) {
+    return item.caption.trim();
+  }
+  const category = getCategoryName(item.categoryId);
+  const owner = freelancerName ? `${freelancerName}'s` : "Portfolio";
+  return category ? `${owner} ${category.toLowerCase()} work` : `${owner} work`;
+};
@@ -0,0 +1,429 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useApiFetch } from "../../hooks/useApiFetch.jsx";
+import { useAuth } from "../../hooks/useAuth.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { useToast } from "../../hooks/useToast.jsx";
+import { ERROR_KINDS, describeApiError, getErrorMessage } from "../../utils/apiErrors";
+import StarRating from "./StarRating.jsx";
+import {
+  MAX_REVIEW_LENGTH,
+  RATING_VALUES,
+  REPORT_REASONS,
+  REPORT_REVIEW_ENDPOINT,
+  REVIEWS_PAGE_SIZE,
+  extractReviewPage,
+  formatRating,
+  formatReviewCount,
+  formatReviewDate,
+  getFreelancerReviewsEndpoint,
+  getReviewReplyEndpoint,
+  normaliseReview,
+} from "./reviewHelpers.js";
+
+const RatingHistogram = ({ summary }) => (
+  <div className="flex flex-col gap-6 sm:flex-row sm:items-center">
+    <div className="flex flex-col items-center gap-1 sm:w-40">
+      <span className="text-5xl font-semibold text-slate-900">{formatRating(summary.average)}</span>
+      <StarRating value={summary.average} />
+      <span className="text-sm text-slate-500">{formatReviewCount(summary.count)}</span>
+    </div>
+    <ul className="flex-1 space-y-2">
+      {RATING_VALUES.map((rating) => {
+        const count = summary.histogram[rating] ?? 0;
+        const percent = summary.count > 0 ? Math.round((count / summary.count) * 100) : 0;
+        return (
+          <li key={rating} className="flex items-center gap-3 text-sm text-slate-600">
+            <span className="w-10 text-right">{rating} ★</span>
+            <span className="h-2 flex-1 overflow-hidden rounded-full bg-slate-100">
+              <span
+                className="block h-full rounded-full bg-amber-400"
+                style={{ width: `${percent}%` }}
+              />
+            </span>
+            <span className="w-10 text-slate-500">{count}</span>
+          </li>
+        );
+      })}
+    </ul>
+  </div>
+);
+
+const ReplyForm = ({ review, onReplied }) => {
+  const authenticatedFetch = useAuthenticatedFetch();
+  const [body, setBody] = useState("");
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const trimmed = body.trim();
+    if (!trimmed) {
+      setError("Write a reply before sending it.");
+      return;
+    }
+
+    setStatus("submitting");
+    setError("");
+    try {
+      const payload = await authenticatedFetch.requestJson(getReviewReplyEndpoint(review.id), {
+        method: "POST",
+        body: JSON.stringify({ body: trimmed }),
+      });
+      onReplied(
+        normaliseReview(payload?.review ?? payload) ?? {
+          ...review,
+          reply: { body: trimmed, createdAt: new Date().toISOString() },
+        }
+      );
+    } catch (replyError) {
+      setError(
+        describeApiError(replyError, {
+          fallbackMessage: "We couldn't post your reply. Please try again.",
+          messages: {
+            [ERROR_KINDS.conflict]: "You've already replied to this review.",
+          },
+        }).message
+      );
+      setStatus("idle");
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+      <textarea
+        value={body}
+        onChange={(event) => setBody(event.target.value)}
+        maxLength={MAX_REVIEW_LENGTH}
+        rows={3}
+        placeholder="Reply publicly to this review. You can only reply once."
+        className="w-full rounded-2xl border border-slate-200 px-4 py-2 text-sm focus:border-violet-400 focus:outline-none"
+      />
+      {error && <p className="text-xs text-rose-600">{error}</p>}
+      <button
+        type="submit"
+        disabled={status === "submitting"}
+        className="rounded-full bg-slate-900 px-4 py-2 text-xs font-semibold text-white transition hover:bg-slate-700 disabled:opacity-60"
+      >
+        {status === "submitting" ? "Posting…" : "Post reply"}
+      </button>
+    </form>
+  );
+};
+
+const ReportForm = ({ review, onClose }) => {
+  const authenticatedFetch = useAuthenticatedFetch();
+  const toast = useToast();
+  const [reason, setReason] = useState(REPORT_REASONS[0].value);
+  const [details, setDetails] = useState("");
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus("submitting");
+    setError("");
+    try {
+      await authenticatedFetch.requestJson(REPORT_REVIEW_ENDPOINT, {
+        method: "POST",
+        body: JSON.stringify({
+          review_id: review.id,
+          reason,
+          details: details.trim() || null,
+        }),
+      });
+      toast?.success?.({
+        title: "Review reported",
+        message: "Thanks for letting us know. Our team will take a look.",
+      });
+      onClose();
+    } catch (reportError) {
+      setError(
+        describeApiError(reportError, {
+          fallbackMessage: "We couldn't send your report. Please try again.",
+          messages: {
+            [ERROR_KINDS.conflict]: "You've already reported this review.",
+          },
+        }).message
+      );
+      setStatus("idle");
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-2 rounded-2xl bg-slate-50 p-4">
+      <label className="block text-xs font-semibold uppercase tracking-[0.08em] text-slate-500">
+        Reason
+        <select
+          value={reason}
+          onChange={(event) => setReason(event.target.value)}
+          className="mt-1 block w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm normal-case tracking-normal text-slate-700"
+        >
+          {REPORT_REASONS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <textarea
+        value={details}
+        onChange={(event) => setDetails(event.target.value)}
+        rows={2}
+        maxLength={500}
+        placeholder="Anything else we should know? (optional)"
+        className="w-full rounded-xl border border-slate-200 px-3 py-2 text-sm focus:border-violet-400 focus:outline-none"
+      />
+      {error && <p className="text-xs text-rose-600">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={status === "submitting"}
+          className="rounded-full bg-rose-600 px-4 py-2 text-xs font-semibold text-white transition hover:bg-rose-500 disabled:opacity-60"
+        >
+          {status === "submitting" ? "Sending…" : "Report review"}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-full border border-slate-200 px-4 py-2 text-xs font-semibold text-slate-600 transition hover:bg-white"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ReviewItem = ({ review, canReply, canReport, onReplied }) => {
+  const [activeForm, setActiveForm] = useState(null);
+
+  return (
+    <li className="space-y-2 py-5">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-3">
+          <StarRating value={review.rating} size="sm" />
+          <span className="text-sm font-semibold text-slate-900">{review.authorName}</span>
+        </div>
+        <span className="text-xs text-slate-500">{formatReviewDate(review.createdAt)}</span>
+      </div>
+      {review.serviceName && (
+        <p className="text-xs uppercase tracking-[0.08em] text-slate-500">{review.serviceName}</p>
+      )}
+      {review.body && (
+        <p className="whitespace-pre-wrap text-sm leading-relaxed text-slate-700">{review.body}</p>
+      )}
+      {review.reply && (
+        <div className="rounded-2xl border-l-4 border-violet-300 bg-violet-50 px-4 py-3">
+          <p className="text-xs font-semibold uppercase tracking-[0.08em] text-violet-700">
+            Freelancer reply
+          </p>
+          <p className="mt-1 whitespace-pre-wrap text-sm text-slate-700">{review.reply.body}</p>
+        </div>
+      )}
+      <div className="flex gap-4 text-xs font-semibold">
+        {canReply && !review.reply && (
+          <button
+            type="button"
+            onClick={() => setActiveForm(activeForm === "reply" ? null : "reply")}
+            className="text-violet-700 hover:text-violet-600"
+          >
+            Reply
+          </button>
+        )}
+        {canReport && (
+          <button
+            type="button"
+            onClick={() => setActiveForm(activeForm === "report" ? null : "report")}
+            className="text-slate-500 hover:text-rose-600"
+          >
+            Report
+          </button>
+        )}
+      </div>
+      {activeForm === "reply" && (
+        <ReplyForm
+          review={review}
+          onReplied={(updated) => {
+            setActiveForm(null);
+            onReplied(updated);
+          }}
+        />
+      )}
+      {activeForm === "report" && (
+        <ReportForm review={review} onClose={() => setActiveForm(null)} />
+      )}
+    </li>
+  );
+};
+
+const ReviewSection = ({ freelancerId, services = [] }) => {
+  const apiFetch = useApiFetch();
+  const { user, freelancerProfile } = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [total, setTotal] = useState(null);
+  const [pageId, setPageId] = useState(1);
+  const [serviceId, setServiceId] = useState("");
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState(null);
+  const [refreshIndex, setRefreshIndex] = useState(0);
+
+  const isOwner =
+    user?.role === "freelancer" &&
+    freelancerProfile?.id != null &&
+    String(freelancerProfile.id) === String(freelancerId);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus("loading");
+    setError(null);
+
+    const fetchReviews = async () => {
+      try {
+        const payload = await apiFetch.getJson(
+          getFreelancerReviewsEndpoint(freelancerId, {
+            pageId,
+            pageSize: REVIEWS_PAGE_SIZE,
+            serviceId,
+          })
+        );
+        if (cancelled) {
+          return;
+        }
+        const page = extractReviewPage(payload);
+        setReviews(page.reviews);
+        setTotal(page.total);
+        setSummary(page.summary);
+        setStatus("ready");
+      } catch (fetchError) {
+        if (!cancelled) {
+          console.warn("[ReviewSection] Failed to load reviews", fetchError);
+          setError(fetchError);
+          setStatus("error");
+        }
+      }
+    };
+
+    fetchReviews();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiFetch, freelancerId, pageId, refreshIndex, serviceId]);
+
+  const handleServiceChange = (event) => {
+    setServiceId(event.target.value);
+    setPageId(1);
+  };
+
+  const handleReplied = useCallback((updated) => {
+    setReviews((previous) =>
+      previous.map((review) => (review.id === updated.id ? { ...review, ...updated } : review))
+    );
+  }, []);
+
+  const hasNextPage =
+    total != null ? pageId * REVIEWS_PAGE_SIZE < total : reviews.length === REVIEWS_PAGE_SIZE;
+  const reviewableServices = services.filter((service) => service?.id != null);
+
+  return (
+    <section className="rounded-3xl border border-slate-200 bg-white/95 p-8 shadow-xl shadow-slate-200/70">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-semibold text-slate-900">Reviews</h2>
+          <p className="text-sm text-slate-600">What customers said after their booking.</p>
+        </div>
+        {reviewableServices.length > 1 && (
+          <select
+            value={serviceId}
+            onChange={handleServiceChange}
+            aria-label="Filter reviews by service"
+            className="rounded-full border border-slate-200 bg-white px-4 py-2 text-sm text-slate-700"
+          >
+            <option value="">All services</option>
+            {reviewableServices.map((service) => (
+              <option key={service.id} value={service.id}>
+                {service.title ?? service.service_category_name ?? "Service"}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {summary && summary.count > 0 && (
+        <div className="mt-6">
+          <RatingHistogram summary={summary} />
+        </div>
+      )}
+
+      {status === "loading" && <p className="mt-6 text-sm text-slate-500">Loading reviews…</p>}
+
+      {status === "error" && (
+        <div className="mt-6 flex flex-wrap items-center gap-3 text-sm text-rose-700">
+          <p>{getErrorMessage(error, "We couldn't load reviews right now.")}</p>
+          <button
+            type="button"
+            onClick={() => setRefreshIndex((previous) => previous + 1)}
+            className="font-semibold underline"
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
+      {status === "ready" && reviews.length === 0 && (
+        <p className="mt-6 rounded-2xl border border-dashed border-slate-200 bg-slate-50 p-6 text-center text-sm text-slate-500">
+          {serviceId ? "No reviews for this service yet." : "No reviews yet."}
+        </p>
+      )}
+
+      {status === "ready" && reviews.length > 0 && (
+        <ul className="mt-6 divide-y divide-slate-200">
+          {reviews.map((review) => (
+            <ReviewItem
+              key={review.id}
+              review={review}
+              canReply={isOwner}
+              canReport={Boolean(user) && !isOwner}
+              onReplied={handleReplied}
+            />
+          ))}
+        </ul>
+      )}
+
+      {status === "ready" && (pageId > 1 || hasNextPage) && (
+        <div className="mt-6 flex items-center justify-between">
+          <button
+            type="button"
+            onClick={() => setPageId((previous) => Math.max(1, previous - 1))}
+            disabled={pageId === 1}
+            className="rounded-full border border-slate-200 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-slate-500">Page {pageId}</span>
+          <button
+            type="button"
+            onClick={() => setPageId((previous) => previous + 1)}
+            disabled={!hasNextPage}
+            className="rounded-full border border-slate-200 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {!user && status === "ready" && reviews.length > 0 && (
+        <p className="mt-4 text-xs text-slate-500">
+          <Link to="/login" className="font-semibold underline">
+            Log in
+          </Link>{" "}
+          to report a review.
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default ReviewSection;
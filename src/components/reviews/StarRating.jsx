@@ -0,0 +1,65 @@
+const STARS = [1, 2, 3, 4, 5];
+
+const SIZE_CLASSES = {
+  sm: "text-sm",
+  md: "text-lg",
+  lg: "text-2xl",
+};
+
+const StarRating = ({ value, size = "md", label }) => {
+  const rounded = Math.round((value ?? 0) * 2) / 2;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-0.5 leading-none ${SIZE_CLASSES[size] ?? SIZE_CLASSES.md}`}
+      role="img"
+      aria-label={label ?? `${rounded} out of 5 stars`}
+    >
+      {STARS.map((star) => {
+        const fill = rounded >= star ? "full" : rounded >= star - 0.5 ? "half" : "empty";
+        return (
+          <span
+            key={star}
+            aria-hidden="true"
+            className={
+              fill === "empty"
+                ? "text-slate-300"
+                : fill === "half"
+                  ? "bg-gradient-to-r from-amber-400 from-50% to-slate-300 to-50% bg-clip-text text-transparent"
+                  : "text-amber-400"
+            }
+          >
+            ★
+          </span>
+        );
+      })}
+    </span>
+  );
+};
+
+export const StarRatingInput = ({ name, value, onChange, disabled = false }) => (
+  <fieldset className="flex items-center gap-1" disabled={disabled}>
+    <legend className="sr-only">Rating</legend>
+    {STARS.map((star) => (
+      <label
+        key={star}
+        className={`cursor-pointer text-3xl leading-none transition ${
+          value >= star ? "text-amber-400" : "text-slate-300 hover:text-amber-200"
+        }`}
+      >
+        <input
+          type="radio"
+          name={name}
+          value={star}
+          checked={value === star}
+          onChange={() => onChange(star)}
+          className="sr-only"
+        />
+        <span aria-hidden="true">★</span>
+        <span className="sr-only">{`${star} star${star === 1 ? "" : "s"}`}</span>
+      </label>
+    ))}
+  </fieldset>
+);
+
+export default StarRating;
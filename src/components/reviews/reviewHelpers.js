@@ -0,0 +1,130 @@
+export const REVIEWS_PAGE_SIZE = 5;
+export const MAX_REVIEW_LENGTH = 2000;
+export const RATING_VALUES = [5, 4, 3, 2, 1];
+
+export const CREATE_REVIEW_ENDPOINT = "/users/me/reviews";
+export const REPORT_REVIEW_ENDPOINT = "/users/me/review-reports";
+
+export const getFreelancerReviewsEndpoint = (freelancerId, { pageId, pageSize, serviceId }) => {
+  const params = new URLSearchParams({
+    page_id: String(pageId),
+    page_size: String(pageSize),
+  });
+  if (serviceId) {
+    params.set("service_id", String(serviceId));
+  }
+  return `/freelancers/${encodeURIComponent(freelancerId)}/reviews?${params.toString()}`;
+};
+
+export const getReviewReplyEndpoint = (reviewId) =>
+  `/users/me/freelancer/reviews/${encodeURIComponent(reviewId)}/reply`;
+
+export const REPORT_REASONS = [
+  { value: "spam", label: "Spam or advertising" },
+  { value: "offensive", label: "Offensive or abusive" },
+  { value: "fake", label: "Not a genuine customer" },
+  { value: "other", label: "Something else" },
+];
+
+const toNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+
+const clampRating = (value) => {
+  const rating = Number(value);
+  return Number.isFinite(rating) ? Math.min(5, Math.max(0, rating)) : null;
+};
+
+export const normaliseReview = (candidate) => {
+  if (!candidate || typeof candidate !== "object" || candidate.id == null) {
+    return null;
+  }
+
+  const reply = candidate.reply ?? candidate.freelancer_reply ?? null;
+  const replyBody = toNonEmptyString(typeof reply === "string" ? reply : reply?.body);
+
+  return {
+    id: String(candidate.id),
+    rating: clampRating(candidate.rating) ?? 0,
+    body: typeof candidate.body === "string" ? candidate.body : candidate.comment ?? "",
+    serviceId: candidate.service_id != null ? String(candidate.service_id) : null,
+    serviceName:
+      toNonEmptyString(candidate.service_title) ??
+      toNonEmptyString(candidate.service_category_name) ??
+      toNonEmptyString(candidate.service?.title) ??
+      null,
+    authorName:
+      toNonEmptyString(candidate.customer_name) ??
+      toNonEmptyString(candidate.customer?.full_name) ??
+      "Verified customer",
+    createdAt: candidate.created_at ?? null,
+    reply: replyBody
+      ? { body: replyBody, createdAt: reply?.created_at ?? candidate.replied_at ?? null }
+      : null,
+  };
+};
+
+const emptyHistogram = () => ({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+
+// Accepts `{ "5": 12, "4": 3 }` or `[{ rating: 5, count: 12 }]`.
+const normaliseHistogram = (value) => {
+  const histogram = emptyHistogram();
+  const entries = Array.isArray(value)
+    ? value.map((entry) => [entry?.rating, entry?.count])
+    : Object.entries(value ?? {});
+
+  entries.forEach(([rating, count]) => {
+    const key = Math.round(Number(rating));
+    if (key >= 1 && key <= 5 && Number.isFinite(Number(count))) {
+      histogram[key] = Number(count);
+    }
+  });
+  return histogram;
+};
+
+export const extractReviewSummary = (payload) => {
+  const summary = payload?.summary ?? payload ?? {};
+  const histogram = normaliseHistogram(summary.histogram ?? summary.rating_histogram);
+  const histogramTotal = Object.values(histogram).reduce((total, count) => total + count, 0);
+  const count = Number.isFinite(Number(summary.review_count))
+    ? Number(summary.review_count)
+    : histogramTotal;
+
+  return {
+    average: clampRating(summary.average_rating),
+    count,
+    histogram,
+  };
+};
+
+export const extractReviewPage = (payload) => {
+  const list = Array.isArray(payload) ? payload : payload?.reviews ?? payload?.items ?? [];
+  const reviews = Array.isArray(list) ? list.map(normaliseReview).filter(Boolean) : [];
+  const total = Number(payload?.total ?? payload?.total_count);
+
+  return {
+    reviews,
+    total: Number.isFinite(total) ? total : null,
+    summary: extractReviewSummary(payload),
+  };
+};
+
+// Directory cards only get the aggregate fields on each freelancer.
+export const getFreelancerRating = (freelancer) => {
+  const average = clampRating(freelancer?.average_rating ?? freelancer?.rating_average);
+  const count = Number(freelancer?.review_count ?? freelancer?.rating_count);
+  if (average == null || !Number.isFinite(count) || count <= 0) {
+    return null;
+  }
+  return { average, count };
+};
+
+export const formatRating = (value) => (value == null ? "–" : value.toFixed(1));
+
+export const formatReviewCount = (count) => `${count} review${count === 1 ? "" : "s"}`;
+
+export const formatReviewDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime())
+    ? date.toLocaleDateString(undefined, { dateStyle: "medium" })
+    : "";
+};
@@ -1,9 +1,13 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import { AuthContext } from "./AuthContext.jsx";
 import { useAuthenticatedFetch } from "../hooks/useAuthenticatedFetch.jsx";
 import { useAuth } from "../hooks/useAuth.jsx";
 import { readStoredUser, writeStoredUser } from "../utils/storage";
 import { extractFreelancerProfile } from "../utils/freelancer";
+import { describeApiError } from "../utils/apiErrors";
+import { AUTH_EVENTS, publishAuthEvent, subscribeToAuthEvents } from "../utils/authChannel";
+import { getTokenTimestamps } from "../utils/jwt";
 
 const normalizeUser = (candidate) => {
   if (!candidate || typeof candidate !== "object") {
@@ -39,6 +43,18 @@ const normaliseFreelancerStatus = (value) => {
   return trimmed.length > 0 ? trimmed : "unknown";
 };
 
+const normaliseFreelancerServices = (nextServices) => {
+  if (Array.isArray(nextServices)) {
+    return [...nextServices];
+  }
+
+  if (nextServices && typeof nextServices === "object") {
+    return Object.values(nextServices);
+  }
+
+  return null;
+};
+
 export const AuthProvider = ({ children }) => {
   const [accessToken, setAccessToken] = useState(null);
   const [user, setUserState] = useState(() => normalizeUser(readStoredUser()));
@@ -46,6 +62,7 @@ export const AuthProvider = ({ children }) => {
   const [freelancerServices, setFreelancerServicesState] = useState(null);
   const [freelancerProfileStatus, setFreelancerProfileStatusState] =
     useState("unknown");
+  const [lastBookingEvent, setLastBookingEvent] = useState(null);
 
   const setUser = useCallback((nextUser) => {
     const normalizedUser = normalizeUser(nextUser);
@@ -69,29 +86,34 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
   const setFreelancerServices = useCallback((nextServices) => {
-    if (Array.isArray(nextServices)) {
-      setFreelancerServicesState([...nextServices]);
-      return;
-    }
-
-    if (nextServices && typeof nextServices === "object") {
-      setFreelancerServicesState(Object.values(nextServices));
+    if (typeof nextServices === "function") {
+      setFreelancerServicesState((previous) =>
+        normaliseFreelancerServices(nextServices(previous))
+      );
       return;
     }
 
-    setFreelancerServicesState(null);
+    setFreelancerServicesState(normaliseFreelancerServices(nextServices));
   }, []);
 
   const setFreelancerProfileStatus = useCallback((nextStatus) => {
     setFreelancerProfileStatusState(normaliseFreelancerStatus(nextStatus));
   }, []);
 
+  // Bookings aren't cached here; dashboards watch this to know when to reload.
+  const recordBookingEvent = useCallback((type, booking) => {
+    setLastBookingEvent({ type, booking: booking ?? null, receivedAt: Date.now() });
+  }, []);
+
   useEffect(() => {
     if (!user || user.role !== "freelancer") {
       setFreelancerProfileState(null);
       setFreelancerProfileStatusState("unknown");
       setFreelancerServicesState(null);
     }
+    if (!user) {
+      setLastBookingEvent(null);
+    }
   }, [user]);
 
   const value = useMemo(
@@ -113,6 +135,8 @@ export const AuthProvider = ({ children }) => {
         setFreelancerServices,
         freelancerProfileStatus,
         setFreelancerProfileStatus,
+        lastBookingEvent,
+        recordBookingEvent,
       };
     },
     [
@@ -120,6 +144,8 @@ export const AuthProvider = ({ children }) => {
       freelancerProfile,
       freelancerProfileStatus,
       freelancerServices,
+      lastBookingEvent,
+      recordBookingEvent,
       setFreelancerProfile,
       setFreelancerServices,
       setFreelancerProfileStatus,
@@ -137,6 +163,8 @@ export const AuthProvider = ({ children }) => {
   return (
     <AuthContext.Provider value={value}>
       <AuthBootstrapper />
+      <TokenRenewalScheduler />
+      <SessionSync />
       <FreelancerProfileBootstrapper />
       {children}
     </AuthContext.Provider>
@@ -236,6 +264,143 @@ const AuthBootstrapper = () => {
   return null;
 };
 
+const getUserKey = (user) =>
+  user ? String(user.id ?? user.email ?? "anonymous") : null;
+
+// Mirrors login and logout across tabs. Local transitions are published;
+// events from other tabs update this tab's state without being re-published.
+const SessionSync = () => {
+  const { accessToken, setAccessToken, user, setUser } = useAuth();
+  const navigate = useNavigate();
+  const userKey = getUserKey(user);
+  const previousUserKeyRef = useRef(userKey);
+  const remoteUserKeyRef = useRef(undefined);
+
+  useEffect(() => {
+    const previousUserKey = previousUserKeyRef.current;
+    const remoteUserKey = remoteUserKeyRef.current;
+    previousUserKeyRef.current = userKey;
+    remoteUserKeyRef.current = undefined;
+
+    if (previousUserKey === userKey || remoteUserKey === userKey) {
+      return;
+    }
+
+    if (userKey) {
+      publishAuthEvent(AUTH_EVENTS.login, { user, accessToken });
+    } else {
+      publishAuthEvent(AUTH_EVENTS.logout);
+    }
+  }, [accessToken, user, userKey]);
+
+  useEffect(
+    () =>
+      subscribeToAuthEvents((event) => {
+        if (event.type === AUTH_EVENTS.logout) {
+          console.log("[SessionSync] logout received from another tab");
+          remoteUserKeyRef.current = null;
+          setAccessToken(null);
+          setUser(null);
+          navigate("/login", { replace: true });
+          return;
+        }
+
+        if (event.type === AUTH_EVENTS.login && event.user) {
+          console.log("[SessionSync] login received from another tab");
+          remoteUserKeyRef.current = getUserKey(event.user);
+          if (event.accessToken) {
+            setAccessToken(event.accessToken);
+          }
+          setUser(event.user);
+          return;
+        }
+
+        if (event.type === AUTH_EVENTS.tokenRefreshed && event.accessToken) {
+          setAccessToken(event.accessToken);
+        }
+      }),
+    [navigate, setAccessToken, setUser]
+  );
+
+  return null;
+};
+
+// Renew this long before `exp` (or halfway through the lifetime of shorter
+// tokens) so requests already in flight still carry a valid token. Delays are
+// clamped to the largest value setTimeout accepts.
+const TOKEN_RENEWAL_LEAD_MS = 60 * 1000;
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+const TokenRenewalScheduler = () => {
+  const { accessToken } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+
+  useEffect(() => {
+    const { issuedAt, expiresAt } = getTokenTimestamps(accessToken);
+    if (!expiresAt || typeof document === "undefined") {
+      return;
+    }
+
+    const renewAt =
+      expiresAt -
+      (issuedAt && expiresAt > issuedAt
+        ? Math.min(TOKEN_RENEWAL_LEAD_MS, (expiresAt - issuedAt) / 2)
+        : TOKEN_RENEWAL_LEAD_MS);
+
+    let cancelled = false;
+    let timerId = null;
+
+    const clearTimer = () => {
+      if (timerId != null) {
+        window.clearTimeout(timerId);
+        timerId = null;
+      }
+    };
+
+    const renew = async () => {
+      clearTimer();
+      console.log("[TokenRenewalScheduler] renewing access token", { expiresAt });
+      try {
+        const token = await authenticatedFetch.refreshSession();
+        if (!token && !cancelled) {
+          console.warn("[TokenRenewalScheduler] refresh returned no token");
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.warn("[TokenRenewalScheduler] silent refresh failed", error);
+        }
+      }
+    };
+
+    // Background tabs throttle timers, so the schedule is dropped while the
+    // tab is hidden and recomputed from the wall clock once it's visible.
+    const schedule = () => {
+      clearTimer();
+      if (cancelled || document.visibilityState === "hidden") {
+        return;
+      }
+
+      const delay = renewAt - Date.now();
+      if (delay <= 0) {
+        renew();
+        return;
+      }
+      timerId = window.setTimeout(renew, Math.min(delay, MAX_TIMER_DELAY_MS));
+    };
+
+    schedule();
+    document.addEventListener("visibilitychange", schedule);
+
+    return () => {
+      cancelled = true;
+      clearTimer();
+      document.removeEventListener("visibilitychange", schedule);
+    };
+  }, [accessToken, authenticatedFetch]);
+
+  return null;
+};
+
 const BOOTSTRAP_STATUSES = new Set(["unknown", "loading"]);
 
 const FreelancerProfileBootstrapper = () => {
@@ -297,21 +462,8 @@ const FreelancerProfileBootstrapper = () => {
           return;
         }
 
-        const statusCode =
-          error?.status ??
-          error?.response?.status ??
-          error?.payload?.status ??
-          null;
-
         setFreelancerProfile(null);
-
-        if (statusCode === 401 || statusCode === 403) {
-          setFreelancerProfileStatus("unauthorized");
-        } else if (statusCode === 404) {
-          setFreelancerProfileStatus("missing");
-        } else {
-          setFreelancerProfileStatus("error");
-        }
+        setFreelancerProfileStatus(describeApiError(error).profileStatus);
       } finally {
         isFetchingRef.current = false;
       }
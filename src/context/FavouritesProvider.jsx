@@ -0,0 +1,239 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { FavouritesContext } from "./FavouritesContext.jsx";
+import { useAuth } from "../hooks/useAuth.jsx";
+import { useAuthenticatedFetch } from "../hooks/useAuthenticatedFetch.jsx";
+import { useToast } from "../hooks/useToast.jsx";
+import { ConflictError, NotFoundError, getErrorMessage } from "../utils/apiErrors";
+import {
+  ANONYMOUS_FAVOURITES_KEY,
+  FAVOURITES_ENDPOINT,
+  createFreelancerSnapshot,
+  extractFavourites,
+  getFavouriteEndpoint,
+  readAnonymousFavourites,
+  writeAnonymousFavourites,
+} from "../components/favourites/favouriteHelpers.js";
+
+const getFavouritesMode = (user) => {
+  if (!user) {
+    return "local";
+  }
+  return user.role === "customer" ? "server" : "disabled";
+};
+
+// Customers' saved freelancers live on the server. Signed-out visitors get a
+// localStorage list instead, which is pushed to the account (and cleared) the
+// next time they log in as a customer. Freelancers and admins can't save.
+export const FavouritesProvider = ({ children }) => {
+  const { user } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const toast = useToast();
+
+  const mode = getFavouritesMode(user);
+  const userId = user?.id != null ? String(user.id) : null;
+
+  const [favourites, setFavourites] = useState(() =>
+    mode === "local" ? readAnonymousFavourites() : []
+  );
+  const [status, setStatus] = useState(mode === "local" ? "ready" : "idle");
+  const [refreshIndex, setRefreshIndex] = useState(0);
+  const favouritesRef = useRef(favourites);
+  const mergePromiseRef = useRef(null);
+  // The fetch function changes identity on every token renewal; reading it
+  // through a ref means only userId, mode and refresh() resync the list.
+  const authenticatedFetchRef = useRef(authenticatedFetch);
+
+  useEffect(() => {
+    authenticatedFetchRef.current = authenticatedFetch;
+  }, [authenticatedFetch]);
+
+  const replaceFavourites = useCallback((next) => {
+    favouritesRef.current = next;
+    setFavourites(next);
+  }, []);
+
+  useEffect(() => {
+    if (mode === "server") {
+      return undefined;
+    }
+
+    replaceFavourites(mode === "local" ? readAnonymousFavourites() : []);
+    setStatus("ready");
+
+    if (mode !== "local" || typeof window === "undefined") {
+      return undefined;
+    }
+
+    const handleStorage = (event) => {
+      if (event.key === ANONYMOUS_FAVOURITES_KEY) {
+        replaceFavourites(readAnonymousFavourites());
+      }
+    };
+
+    window.addEventListener("storage", handleStorage);
+    return () => {
+      window.removeEventListener("storage", handleStorage);
+    };
+  }, [mode, replaceFavourites]);
+
+  // Shared between StrictMode's double effect run so each local favourite is
+  // only sent (and announced) once.
+  const mergeAnonymousFavourites = useCallback(() => {
+    if (mergePromiseRef.current) {
+      return mergePromiseRef.current;
+    }
+
+    const merge = async () => {
+      const pending = readAnonymousFavourites();
+      let merged = 0;
+
+      for (const [index, favourite] of pending.entries()) {
+        try {
+          await authenticatedFetchRef.current.requestJson(
+            getFavouriteEndpoint(favourite.freelancerId),
+            { method: "PUT" }
+          );
+          merged += 1;
+        } catch (error) {
+          // A removed freelancer or an existing favourite needs no retry.
+          if (!(error instanceof NotFoundError) && !(error instanceof ConflictError)) {
+            writeAnonymousFavourites(pending.slice(index));
+            throw error;
+          }
+        }
+      }
+
+      writeAnonymousFavourites([]);
+      if (merged > 0) {
+        toast?.info?.({
+          title: "Saved freelancers added",
+          message: `We added ${merged} saved freelancer${merged === 1 ? "" : "s"} to your account.`,
+        });
+      }
+    };
+
+    mergePromiseRef.current = merge().finally(() => {
+      mergePromiseRef.current = null;
+    });
+    return mergePromiseRef.current;
+  }, [toast]);
+
+  useEffect(() => {
+    if (mode !== "server" || !userId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const syncFavourites = async () => {
+      setStatus("loading");
+
+      try {
+        await mergeAnonymousFavourites();
+        const payload = await authenticatedFetchRef.current.requestJson(FAVOURITES_ENDPOINT, {
+          method: "GET",
+        });
+        if (cancelled) {
+          return;
+        }
+        replaceFavourites(extractFavourites(payload));
+        setStatus("ready");
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+        console.warn("[Favourites] Failed to sync saved freelancers", error);
+        setStatus("error");
+      }
+    };
+
+    syncFavourites();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mergeAnonymousFavourites, mode, refreshIndex, replaceFavourites, userId]);
+
+  const favouriteIds = useMemo(
+    () => new Set(favourites.map((favourite) => favourite.freelancerId)),
+    [favourites]
+  );
+
+  const isFavourite = useCallback(
+    (freelancerId) => freelancerId != null && favouriteIds.has(String(freelancerId)),
+    [favouriteIds]
+  );
+
+  const toggleFavourite = useCallback(
+    async (freelancer) => {
+      if (mode === "disabled" || freelancer?.id == null) {
+        return;
+      }
+
+      const freelancerId = String(freelancer.id);
+      const previous = favouritesRef.current;
+      const wasSaved = previous.some((favourite) => favourite.freelancerId === freelancerId);
+      const next = wasSaved
+        ? previous.filter((favourite) => favourite.freelancerId !== freelancerId)
+        : [
+            {
+              freelancerId,
+              freelancer: createFreelancerSnapshot(freelancer),
+              savedAt: new Date().toISOString(),
+            },
+            ...previous,
+          ];
+
+      replaceFavourites(next);
+
+      if (mode === "local") {
+        writeAnonymousFavourites(next);
+        return;
+      }
+
+      try {
+        await authenticatedFetchRef.current.requestJson(getFavouriteEndpoint(freelancerId), {
+          method: wasSaved ? "DELETE" : "PUT",
+        });
+      } catch (error) {
+        // Already in the requested state on the server.
+        if (error instanceof ConflictError || (wasSaved && error instanceof NotFoundError)) {
+          return;
+        }
+
+        console.warn("[Favourites] Failed to update saved freelancer", error);
+        const current = favouritesRef.current.filter(
+          (favourite) => favourite.freelancerId !== freelancerId
+        );
+        const original = previous.find((favourite) => favourite.freelancerId === freelancerId);
+        replaceFavourites(original ? [original, ...current] : current);
+        toast?.error?.({
+          title: wasSaved ? "Couldn't remove freelancer" : "Couldn't save freelancer",
+          message: getErrorMessage(error, "Please try again."),
+        });
+      }
+    },
+    [mode, replaceFavourites, toast]
+  );
+
+  const refresh = useCallback(() => {
+    setRefreshIndex((previous) => previous + 1);
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      favourites,
+      status,
+      isAvailable: mode !== "disabled",
+      isSynced: mode === "server",
+      isFavourite,
+      toggleFavourite,
+      refresh,
+    }),
+    [favourites, isFavourite, mode, refresh, status, toggleFavourite]
+  );
+
+  return <FavouritesContext.Provider value={value}>{children}</FavouritesContext.Provider>;
+};
+
+export default FavouritesProvider;
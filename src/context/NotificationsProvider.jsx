@@ -0,0 +1,332 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { NotificationsContext } from "./NotificationsContext.jsx";
+import { useAuth } from "../hooks/useAuth.jsx";
+import { useAuthenticatedFetch } from "../hooks/useAuthenticatedFetch.jsx";
+import { useOnlineStatus } from "../hooks/useOnlineStatus.jsx";
+import { useToast } from "../hooks/useToast.jsx";
+import { NetworkError, NotFoundError } from "../utils/apiErrors";
+import {
+  NOTIFICATIONS_ENDPOINT,
+  NOTIFICATIONS_READ_ALL_ENDPOINT,
+  extractNotifications,
+  getNotificationReadEndpoint,
+  getNotificationsStorageKey,
+  isUnread,
+  mergeNotifications,
+  normaliseNotification,
+  readLocalNotifications,
+  writeLocalNotifications,
+} from "../components/notifications/notificationHelpers.js";
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const NO_NOTIFICATIONS = [];
+
+// Notifications are kept in localStorage per user so the bell renders
+// instantly (and offline); the server list is merged in on every sync and
+// reads made locally are pushed back before each fetch.
+export const NotificationsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const isOnline = useOnlineStatus();
+  const toast = useToast();
+
+  const userId = user?.id != null ? String(user.id) : null;
+
+  const [store, setStore] = useState(() => readLocalNotifications(userId));
+  const [status, setStatus] = useState("idle");
+  const [isUnavailable, setIsUnavailable] = useState(false);
+  const storeRef = useRef(store);
+  const knownIdsRef = useRef(null);
+  const isSyncingRef = useRef(false);
+  const isFlushingRef = useRef(false);
+  const isReadAllMissingRef = useRef(false);
+
+  useEffect(() => {
+    setStore(readLocalNotifications(userId));
+    setStatus("idle");
+    setIsUnavailable(false);
+    knownIdsRef.current = null;
+    isReadAllMissingRef.current = false;
+  }, [userId]);
+
+  useEffect(() => {
+    storeRef.current = store;
+    writeLocalNotifications(store);
+  }, [store]);
+
+  useEffect(() => {
+    if (typeof window === "undefined" || !userId) {
+      return undefined;
+    }
+
+    const storageKey = getNotificationsStorageKey(userId);
+    const handleStorage = (event) => {
+      if (event.key !== storageKey) {
+        return;
+      }
+      const next = readLocalNotifications(userId);
+      next.items.forEach((item) => knownIdsRef.current?.add(item.id));
+      setStore(next);
+    };
+
+    window.addEventListener("storage", handleStorage);
+    return () => {
+      window.removeEventListener("storage", handleStorage);
+    };
+  }, [userId]);
+
+  const updateStore = useCallback(
+    (update) => {
+      setStore((previous) => (previous.userId === userId ? update(previous) : previous));
+    },
+    [userId]
+  );
+
+  const announce = useCallback(
+    (items) => {
+      if (!knownIdsRef.current) {
+        knownIdsRef.current = new Set(storeRef.current.items.map((item) => item.id));
+        items.forEach((item) => knownIdsRef.current.add(item.id));
+        return;
+      }
+
+      const fresh = items.filter((item) => !knownIdsRef.current.has(item.id) && isUnread(item));
+      items.forEach((item) => knownIdsRef.current.add(item.id));
+
+      if (fresh.length === 1) {
+        toast?.info?.({
+          title: fresh[0].title,
+          message: fresh[0].message || "Open the notification centre for details.",
+        });
+      } else if (fresh.length > 1) {
+        toast?.info?.({
+          title: "New notifications",
+          message: `You have ${fresh.length} new notifications.`,
+        });
+      }
+    },
+    [toast]
+  );
+
+  const flushPendingReads = useCallback(async () => {
+    if (isFlushingRef.current || !userId) {
+      return;
+    }
+    isFlushingRef.current = true;
+
+    try {
+      let { pendingReadIds } = storeRef.current;
+      const { items, readAllAt } = storeRef.current;
+
+      if (readAllAt) {
+        let isReadAllSent = false;
+        if (!isReadAllMissingRef.current) {
+          try {
+            await authenticatedFetch.requestJson(NOTIFICATIONS_READ_ALL_ENDPOINT, {
+              method: "POST",
+            });
+            isReadAllSent = true;
+          } catch (error) {
+            if (!(error instanceof NotFoundError)) {
+              throw error;
+            }
+            isReadAllMissingRef.current = true;
+          }
+        }
+
+        // Without a read-all endpoint, the items that "mark all" touched are
+        // sent one by one like any other local read.
+        const fallbackIds = isReadAllSent
+          ? []
+          : items
+              .filter((item) => item.readAt === readAllAt && !pendingReadIds.includes(item.id))
+              .map((item) => item.id);
+        pendingReadIds = [...pendingReadIds, ...fallbackIds];
+        updateStore((previous) =>
+          previous.readAllAt === readAllAt
+            ? {
+                ...previous,
+                readAllAt: null,
+                pendingReadIds: [
+                  ...previous.pendingReadIds,
+                  ...fallbackIds.filter((id) => !previous.pendingReadIds.includes(id)),
+                ],
+              }
+            : previous
+        );
+      }
+
+      for (const id of pendingReadIds) {
+        try {
+          await authenticatedFetch.requestJson(getNotificationReadEndpoint(id), { method: "POST" });
+        } catch (error) {
+          // The notification no longer exists server-side; nothing left to mark.
+          if (!(error instanceof NotFoundError)) {
+            throw error;
+          }
+        }
+        updateStore((previous) => ({
+          ...previous,
+          pendingReadIds: previous.pendingReadIds.filter((pendingId) => pendingId !== id),
+        }));
+      }
+    } finally {
+      isFlushingRef.current = false;
+    }
+  }, [authenticatedFetch, updateStore, userId]);
+
+  const syncNotifications = useCallback(async () => {
+    if (isSyncingRef.current || !userId) {
+      return;
+    }
+    isSyncingRef.current = true;
+    setStatus("syncing");
+
+    try {
+      await flushPendingReads();
+      const payload = await authenticatedFetch.requestJson(NOTIFICATIONS_ENDPOINT, {
+        method: "GET",
+      });
+      const incoming = extractNotifications(payload);
+      updateStore((previous) => ({
+        ...mergeNotifications(previous, incoming),
+        syncedAt: new Date().toISOString(),
+      }));
+      announce(incoming);
+      setStatus("ready");
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        // Backend without a notifications endpoint: keep the local store and
+        // stop polling.
+        setIsUnavailable(true);
+        setStatus("ready");
+        return;
+      }
+      if (!(error instanceof NetworkError)) {
+        console.warn("[Notifications] Failed to sync notifications", error);
+      }
+      setStatus("error");
+    } finally {
+      isSyncingRef.current = false;
+    }
+  }, [announce, authenticatedFetch, flushPendingReads, updateStore, userId]);
+
+  useEffect(() => {
+    if (!userId || !isOnline || isUnavailable || typeof document === "undefined") {
+      return undefined;
+    }
+
+    const syncIfVisible = () => {
+      if (document.visibilityState === "visible") {
+        syncNotifications();
+      }
+    };
+
+    syncIfVisible();
+    const intervalId = window.setInterval(syncIfVisible, POLL_INTERVAL_MS);
+    document.addEventListener("visibilitychange", syncIfVisible);
+
+    return () => {
+      window.clearInterval(intervalId);
+      document.removeEventListener("visibilitychange", syncIfVisible);
+    };
+  }, [isOnline, isUnavailable, syncNotifications, userId]);
+
+  const { pendingReadIds, readAllAt } = store;
+
+  useEffect(() => {
+    if ((pendingReadIds.length === 0 && !readAllAt) || !isOnline || isUnavailable) {
+      return;
+    }
+
+    flushPendingReads().catch((error) => {
+      if (!(error instanceof NetworkError)) {
+        console.warn("[Notifications] Failed to mark notifications as read", error);
+      }
+    });
+  }, [flushPendingReads, isOnline, isUnavailable, pendingReadIds, readAllAt]);
+
+  const markRead = useCallback(
+    (id) => {
+      const notificationId = String(id);
+      updateStore((previous) => {
+        const target = previous.items.find((item) => item.id === notificationId);
+        if (!target || !isUnread(target)) {
+          return previous;
+        }
+        const readAt = new Date().toISOString();
+        return {
+          ...previous,
+          items: previous.items.map((item) =>
+            item.id === notificationId ? { ...item, readAt } : item
+          ),
+          pendingReadIds: [...previous.pendingReadIds, notificationId],
+        };
+      });
+    },
+    [updateStore]
+  );
+
+  const markAllRead = useCallback(() => {
+    updateStore((previous) => {
+      if (!previous.items.some(isUnread)) {
+        return previous;
+      }
+      const readAt = new Date().toISOString();
+      return {
+        ...previous,
+        items: previous.items.map((item) => (isUnread(item) ? { ...item, readAt } : item)),
+        pendingReadIds: [],
+        readAllAt: readAt,
+      };
+    });
+  }, [updateStore]);
+
+  // Entry point for events that arrive outside the polling cycle.
+  const addNotification = useCallback(
+    (candidate, { silent = false } = {}) => {
+      const notification = normaliseNotification(candidate);
+      if (!notification || !userId) {
+        return null;
+      }
+      updateStore((previous) => mergeNotifications(previous, [notification]));
+      if (!silent && knownIdsRef.current) {
+        announce([notification]);
+      } else {
+        knownIdsRef.current?.add(notification.id);
+      }
+      return notification.id;
+    },
+    [announce, updateStore, userId]
+  );
+
+  const notifications = userId && store.userId === userId ? store.items : NO_NOTIFICATIONS;
+  const unreadCount = notifications.filter(isUnread).length;
+
+  const value = useMemo(
+    () => ({
+      notifications,
+      unreadCount,
+      status,
+      isSyncAvailable: !isUnavailable,
+      markRead,
+      markAllRead,
+      addNotification,
+      refresh: syncNotifications,
+    }),
+    [
+      addNotification,
+      isUnavailable,
+      markAllRead,
+      markRead,
+      notifications,
+      status,
+      syncNotifications,
+      unreadCount,
+    ]
+  );
+
+  return <NotificationsContext.Provider value={value}>{children}</NotificationsContext.Provider>;
+};
+
+export default NotificationsProvider;
@@ -3,13 +3,19 @@ import { useNavigate } from "react-router-dom";
 import { useAuth } from "../hooks/useAuth.jsx";
 import { useAuthenticatedFetch } from "../hooks/useAuthenticatedFetch.jsx";
 import { resolveCurrentUser, isOnboarded } from "../utils/session";
+import { describeApiError } from "../utils/apiErrors";
 import { extractFreelancerProfile } from "../utils/freelancer";
 
 const ROLE_REDIRECTS = {
   freelancer: "/dashboard/freelancer",
   customer: "/dashboard/customer",
+  admin: "/admin",
 };
 
+// Admin accounts are provisioned by the ops team and never go through the
+// customer/freelancer onboarding flow.
+const ROLES_WITHOUT_ONBOARDING = new Set(["admin"]);
+
 const capitalize = (value) => {
   if (!value || typeof value !== "string") {
     return "";
@@ -136,7 +142,14 @@ export const createWithRoleAuth = (expectedRole) => {
               return;
             }
 
-            const completedOnboarding = isOnboarded(resolvedUser);
+            const roleValue = resolvedUser.role;
+            const role =
+              typeof roleValue === "string"
+                ? roleValue.trim().toLowerCase()
+                : roleValue;
+
+            const completedOnboarding =
+              ROLES_WITHOUT_ONBOARDING.has(role) || isOnboarded(resolvedUser);
 
             log("Evaluating onboarding completion", {
               completedOnboarding,
@@ -149,12 +162,6 @@ export const createWithRoleAuth = (expectedRole) => {
               return;
             }
 
-            const roleValue = resolvedUser.role;
-            const role =
-              typeof roleValue === "string"
-                ? roleValue.trim().toLowerCase()
-                : roleValue;
-
             log("User role resolved", { role, targetRole });
 
             if (role !== targetRole) {
@@ -206,11 +213,11 @@ export const createWithRoleAuth = (expectedRole) => {
                   return;
                 }
 
-                const statusCode =
-                  verificationError?.status ??
-                  verificationError?.response?.status ??
-                  verificationError?.payload?.status ??
-                  null;
+                const {
+                  status: statusCode,
+                  isAuthError,
+                  profileStatus,
+                } = describeApiError(verificationError);
 
                 warn("Freelancer verification failed", {
                   status: statusCode ?? "unknown",
@@ -221,21 +228,17 @@ export const createWithRoleAuth = (expectedRole) => {
 
                 setStatus("redirect");
 
-                if (statusCode === 401 || statusCode === 403) {
+                if (isAuthError) {
                   log("Freelancer verification unauthorized; redirecting to login", {
                     status: statusCode,
                   });
-                  setFreelancerProfileStatus("unauthorized");
+                  setFreelancerProfileStatus(profileStatus);
                   navigate("/login", { replace: true });
                 } else {
                   log("Freelancer verification incomplete; redirecting to freelancer form", {
                     status: statusCode ?? "unknown",
                   });
-                  if (statusCode === 404) {
-                    setFreelancerProfileStatus("missing");
-                  } else {
-                    setFreelancerProfileStatus("error");
-                  }
+                  setFreelancerProfileStatus(profileStatus);
                   navigate("/freelancer/form", { replace: true });
                 }
                 return;
@@ -0,0 +1,5 @@
+import { createWithRoleAuth } from "./createWithRoleAuth.jsx";
+
+const withAdminAuth = createWithRoleAuth("admin");
+
+export default withAdminAuth;
@@ -1,16 +1,37 @@
 import { useCallback, useMemo } from "react";
-import { normaliseUrl, withJsonHeaders } from "../utils/http";
+import { NetworkError, createApiError, isAbortError } from "../utils/apiErrors";
+import {
+  normaliseUrl,
+  sendWithUploadProgress,
+  tryParseJson,
+  withJsonHeaders,
+} from "../utils/http";
 
 export const useApiFetch = () => {
   const baseUrl = import.meta.env.VITE_API_BASE_URL ?? "";
 
   const request = useCallback(
-    (endpoint, options = {}) => {
+    async (endpoint, options = {}) => {
       const targetUrl = normaliseUrl(baseUrl, endpoint);
-      return fetch(targetUrl, {
-        ...options,
-        credentials: "include",
-      });
+      const { onUploadProgress, ...fetchOptions } = options;
+      try {
+        if (onUploadProgress) {
+          return await sendWithUploadProgress(
+            targetUrl,
+            { ...fetchOptions, credentials: "include" },
+            onUploadProgress
+          );
+        }
+        return await fetch(targetUrl, {
+          ...fetchOptions,
+          credentials: "include",
+        });
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        throw new NetworkError(undefined, { cause: error });
+      }
     },
     [baseUrl]
   );
@@ -19,10 +40,11 @@ export const useApiFetch = () => {
     async (endpoint, options = {}) => {
       const response = await request(endpoint, options);
       if (!response.ok) {
-        const error = new Error(`Request failed with status ${response.status}`);
-        error.status = response.status;
-        error.response = response;
-        throw error;
+        throw createApiError({
+          status: response.status,
+          payload: await tryParseJson(response),
+          response,
+        });
       }
       return response.json();
     },
@@ -1,6 +1,14 @@
 import { useCallback, useMemo } from "react";
 import { useNavigate } from "react-router-dom";
+import { NetworkError, OfflineQueuedError, createApiError } from "../utils/apiErrors";
+import { AUTH_EVENTS, publishAuthEvent, waitForRemoteRefresh } from "../utils/authChannel";
 import { tryParseJson } from "../utils/http";
+import {
+  QUEUEABLE_METHODS,
+  createIdempotencyKey,
+  enqueueRequest,
+  isOfflineQueueSupported,
+} from "../utils/offlineQueue";
 import { useApiFetch } from "./useApiFetch.jsx";
 import { useAuth } from "./useAuth.jsx";
 
@@ -15,11 +23,42 @@ const DEFAULT_ALLOWED_ENDPOINTS = new Set([
   "/users/me/onboarding",
   "/users/me/freelancer",
   "/users/me/freelancer/services",
+  "/users/me/freelancer/onboarding-draft",
+  "/users/me/freelancer/schedules",
+  "/users/me/freelancer/schedule-exceptions",
+  "/users/me/freelancer/portfolio",
+  "/users/me/freelancer/bookings",
   "/users/me/addresses",
   "/users/me/addresses/default",
+  "/users/me/bookings",
+  "/users/me/uploads",
+  "/users/me/notifications",
+  "/users/me/conversations",
+  "/users/me/reviews",
+  "/users/me/review-reports",
+  "/users/me/favourites",
   "/sessions/logout",
 ]);
-const DEFAULT_ALLOWED_PREFIXES = ["/users/me/addresses/"];
+const DEFAULT_ALLOWED_PREFIXES = [
+  "/admin/",
+  "/users/me/addresses/",
+  "/users/me/freelancer/services/",
+  "/users/me/notifications/",
+  "/users/me/conversations/",
+  "/users/me/bookings/",
+  "/users/me/freelancer/reviews/",
+  "/users/me/freelancer/bookings/",
+  "/users/me/favourites/",
+];
+
+// Refresh state is shared by every hook instance so that concurrent callers
+// (AuthBootstrapper, Dashboard, Onboarding, resolveCurrentUser, and any
+// request that hits a 401) wait on the same /sessions/refresh call. Other tabs
+// are told when a refresh starts so they wait for its token too.
+let activeRefresh = null;
+let lastRefreshedToken = null;
+let refreshGeneration = 0;
+
 const normaliseEndpointForAllowList = (endpoint) => {
   if (typeof endpoint !== "string" || endpoint.length === 0) {
     return endpoint;
@@ -35,7 +74,7 @@ const normaliseEndpointForAllowList = (endpoint) => {
 };
 
 export const useAuthenticatedFetch = () => {
-  const { accessToken, setAccessToken, setUser } = useAuth();
+  const { accessToken, setAccessToken, user, setUser } = useAuth();
   const navigate = useNavigate();
   const { request } = useApiFetch();
 
@@ -86,7 +125,7 @@ export const useAuthenticatedFetch = () => {
     navigate("/login", { replace: true });
   }, [navigate, setAccessToken, setUser]);
 
-  const refreshAccessToken = useCallback(
+  const performRefresh = useCallback(
     async () => {
       const response = await request(DEFAULT_REFRESH_ENDPOINT, {
         method: "POST",
@@ -136,22 +175,83 @@ export const useAuthenticatedFetch = () => {
     [extractField, request]
   );
 
-  const authenticatedRequest = useCallback(
-    async (endpoint, options = {}, config = {}) => {
-      const { tokenOverride, disableRefresh = false, expectJson = false } = config;
+  const joinRefresh = useCallback(() => {
+    if (activeRefresh) {
+      return activeRefresh;
+    }
 
-      ensureAllowedEndpoint(endpoint);
+    const flight = { failureHandled: false };
+    flight.promise = waitForRemoteRefresh()
+      .then((remoteToken) => {
+        if (remoteToken) {
+          return { accessToken: remoteToken, expiresIn: null };
+        }
+
+        publishAuthEvent(AUTH_EVENTS.refreshStarted);
+        return performRefresh().then(
+          (refreshed) => {
+            publishAuthEvent(
+              refreshed?.accessToken ? AUTH_EVENTS.tokenRefreshed : AUTH_EVENTS.refreshFailed,
+              { accessToken: refreshed?.accessToken ?? null }
+            );
+            return refreshed;
+          },
+          (error) => {
+            publishAuthEvent(AUTH_EVENTS.refreshFailed);
+            throw error;
+          }
+        );
+      })
+      .then((refreshed) => {
+        if (refreshed?.accessToken) {
+          lastRefreshedToken = refreshed.accessToken;
+          refreshGeneration += 1;
+        }
+        return refreshed;
+      })
+      .finally(() => {
+        if (activeRefresh === flight) {
+          activeRefresh = null;
+        }
+      });
+    activeRefresh = flight;
+    return flight;
+  }, [performRefresh]);
+
+  const refreshAccessToken = useCallback(() => joinRefresh().promise, [joinRefresh]);
+
+  // Every request queued behind a failed refresh resolves with its 401, but
+  // only the first one clears the session and redirects to /login.
+  const handleRefreshFailure = useCallback(
+    (flight) => {
+      if (flight.failureHandled) {
+        return;
+      }
+      flight.failureHandled = true;
+      handleUnauthorized();
+    },
+    [handleUnauthorized]
+  );
+
+  const sendRequest = useCallback(
+    async (endpoint, options, config) => {
+      const { tokenOverride, disableRefresh = false, expectJson = false } = config;
 
-      const initialToken = tokenOverride ?? accessToken;
-      let activeToken = initialToken;
+      let activeToken = tokenOverride ?? accessToken;
 
-      if (!activeToken && !disableRefresh) {
-        const refreshed = await refreshAccessToken();
+      if (!disableRefresh && (activeRefresh || !activeToken)) {
+        const flight = joinRefresh();
+        const refreshed = await flight.promise;
         if (refreshed?.accessToken) {
           activeToken = refreshed.accessToken;
           if (!tokenOverride) {
             setAccessToken(refreshed.accessToken);
           }
+        } else if (!activeToken) {
+          // Sending without a token would only earn a 401 and a second
+          // refresh attempt; end the session now instead.
+          handleRefreshFailure(flight);
+          return new Response(null, { status: 401, statusText: "Unauthorized" });
         }
       }
 
@@ -171,6 +271,7 @@ export const useAuthenticatedFetch = () => {
         });
       };
 
+      const generation = refreshGeneration;
       let response = await execute(activeToken);
 
       if (response.status !== 401 || disableRefresh) {
@@ -180,12 +281,20 @@ export const useAuthenticatedFetch = () => {
         return response;
       }
 
-      const refreshed = await refreshAccessToken();
-      const refreshedToken = refreshed?.accessToken ?? null;
+      // A refresh may have completed while this request was in flight; replay
+      // with that token instead of starting another refresh.
+      let refreshedToken =
+        generation !== refreshGeneration && !activeRefresh ? lastRefreshedToken : null;
 
       if (!refreshedToken) {
-        handleUnauthorized();
-        return response;
+        const flight = joinRefresh();
+        const refreshed = await flight.promise;
+        refreshedToken = refreshed?.accessToken ?? null;
+
+        if (!refreshedToken) {
+          handleRefreshFailure(flight);
+          return response;
+        }
       }
 
       if (!tokenOverride) {
@@ -202,14 +311,77 @@ export const useAuthenticatedFetch = () => {
     },
     [
       accessToken,
-      ensureAllowedEndpoint,
+      handleRefreshFailure,
       handleUnauthorized,
-      refreshAccessToken,
+      joinRefresh,
       request,
       setAccessToken,
     ]
   );
 
+  // Requests made with `config.offlineLabel` are stored in IndexedDB when the
+  // device is offline or the network fails, then replayed by OfflineSync. The
+  // Idempotency-Key header lets the backend drop duplicate replays.
+  const authenticatedRequest = useCallback(
+    async (endpoint, options = {}, config = {}) => {
+      ensureAllowedEndpoint(endpoint);
+
+      const method = (options.method ?? "GET").toUpperCase();
+      const canQueue =
+        Boolean(config.offlineLabel) &&
+        QUEUEABLE_METHODS.has(method) &&
+        (options.body == null || typeof options.body === "string") &&
+        isOfflineQueueSupported();
+
+      if (!canQueue) {
+        return sendRequest(endpoint, options, config);
+      }
+
+      const headers = new Headers(options.headers || undefined);
+      if (!headers.has("Idempotency-Key")) {
+        headers.set("Idempotency-Key", createIdempotencyKey());
+      }
+      if (config.expectJson && !headers.has("Content-Type")) {
+        headers.set("Content-Type", "application/json");
+      }
+
+      const queueRequest = async (cause) => {
+        const storedHeaders = Object.fromEntries(headers.entries());
+        delete storedHeaders.authorization;
+        let entry;
+        try {
+          entry = await enqueueRequest({
+            endpoint,
+            method,
+            body: options.body ?? null,
+            headers: storedHeaders,
+            label: config.offlineLabel,
+            owner: user?.id != null ? String(user.id) : null,
+            idempotencyKey: headers.get("Idempotency-Key"),
+          });
+        } catch (queueError) {
+          console.warn("[useAuthenticatedFetch] Failed to queue offline request", queueError);
+          throw cause ?? new NetworkError(undefined, { cause: queueError });
+        }
+        throw new OfflineQueuedError(undefined, { entry, cause });
+      };
+
+      if (typeof navigator !== "undefined" && navigator.onLine === false) {
+        return queueRequest(null);
+      }
+
+      try {
+        return await sendRequest(endpoint, { ...options, headers }, config);
+      } catch (error) {
+        if (error instanceof NetworkError) {
+          return queueRequest(error);
+        }
+        throw error;
+      }
+    },
+    [ensureAllowedEndpoint, sendRequest, user?.id]
+  );
+
   const requestJson = useCallback(
     async (endpoint, options = {}, config = {}) => {
       const response = await authenticatedRequest(endpoint, options, {
@@ -218,11 +390,11 @@ export const useAuthenticatedFetch = () => {
       });
 
       if (!response.ok) {
-        const payload = await tryParseJson(response);
-        const error = new Error(`Request failed with status ${response.status}`);
-        error.status = response.status;
-        error.payload = payload;
-        throw error;
+        throw createApiError({
+          status: response.status,
+          payload: await tryParseJson(response),
+          response,
+        });
       }
 
       const payload = await tryParseJson(response);
@@ -1,6 +1,7 @@
 import { useCallback, useMemo } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuthenticatedFetch } from "./useAuthenticatedFetch.jsx";
+import { NotFoundError } from "../utils/apiErrors";
 
 const STATUS_NOT_FOUND = 404;
 
@@ -9,7 +10,7 @@ const isStatusNotFoundError = (error) => {
     return false;
   }
 
-  if (error.status === STATUS_NOT_FOUND) {
+  if (error instanceof NotFoundError || error.status === STATUS_NOT_FOUND) {
     return true;
   }
 
@@ -0,0 +1,95 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useAuth } from "./useAuth.jsx";
+import { useAuthenticatedFetch } from "./useAuthenticatedFetch.jsx";
+import {
+  BOOKINGS_PAGE_SIZE,
+  extractBookings,
+  getBookingsEndpoint,
+} from "../components/bookings/bookingHelpers.js";
+
+// Loads the signed-in customer's bookings page by page and starts over when a
+// booking event arrives, so every list reflects the latest server state.
+export const useCustomerBookings = () => {
+  const { lastBookingEvent } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+
+  const [bookings, setBookings] = useState([]);
+  const [pageId, setPageId] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState(null);
+  const [refreshIndex, setRefreshIndex] = useState(0);
+
+  useEffect(() => {
+    setPageId(1);
+  }, [lastBookingEvent, refreshIndex]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus(pageId === 1 ? "loading" : "loadingMore");
+    setError(null);
+
+    const fetchBookings = async () => {
+      try {
+        const payload = await authenticatedFetch.requestJson(
+          getBookingsEndpoint({ pageId }),
+          { method: "GET" }
+        );
+        if (cancelled) {
+          return;
+        }
+        const page = extractBookings(payload);
+        setBookings((previous) => {
+          if (pageId === 1) {
+            return page;
+          }
+          const known = new Set(previous.map((booking) => booking.id));
+          return [...previous, ...page.filter((booking) => !known.has(booking.id))];
+        });
+        setHasMore(page.length === BOOKINGS_PAGE_SIZE);
+        setStatus("ready");
+      } catch (fetchError) {
+        if (!cancelled) {
+          console.warn("[useCustomerBookings] Failed to load bookings", fetchError);
+          setError(fetchError);
+          setStatus("error");
+        }
+      }
+    };
+
+    fetchBookings();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, lastBookingEvent, pageId, refreshIndex]);
+
+  const loadMore = useCallback(() => {
+    setPageId((previous) => previous + 1);
+  }, []);
+
+  const reload = useCallback(() => {
+    setRefreshIndex((previous) => previous + 1);
+  }, []);
+
+  const updateBooking = useCallback((updated) => {
+    setBookings((previous) =>
+      previous.map((booking) => (booking.id === updated.id ? { ...booking, ...updated } : booking))
+    );
+  }, []);
+
+  return useMemo(
+    () => ({
+      bookings,
+      status,
+      error,
+      hasMore,
+      loadMore,
+      reload,
+      updateBooking,
+    }),
+    [bookings, error, hasMore, loadMore, reload, status, updateBooking]
+  );
+};
+
+export default useCustomerBookings;
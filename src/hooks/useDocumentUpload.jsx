@@ -0,0 +1,56 @@
+import { useCallback } from "react";
+import { useAuthenticatedFetch } from "./useAuthenticatedFetch.jsx";
+import { createApiError } from "../utils/apiErrors";
+import { tryParseJson } from "../utils/http";
+
+const UPLOAD_ENDPOINT = "/users/me/uploads/";
+
+const extractUploadedUrl = (payload) => {
+  const candidate =
+    payload?.url ??
+    payload?.file?.url ??
+    payload?.document?.url ??
+    payload?.data?.url ??
+    null;
+  return typeof candidate === "string" && candidate.trim().length > 0
+    ? candidate.trim()
+    : null;
+};
+
+export const useDocumentUpload = () => {
+  const authenticatedFetch = useAuthenticatedFetch();
+
+  // Multipart bodies go through the raw request rather than requestJson so
+  // the browser can set the Content-Type boundary itself. `onProgress`
+  // receives the uploaded fraction (0–1) as the browser sends the file.
+  return useCallback(
+    async (file, { purpose, onProgress } = {}) => {
+      const body = new FormData();
+      body.append("file", file, file.name);
+      if (purpose) {
+        body.append("purpose", purpose);
+      }
+
+      const response = await authenticatedFetch(UPLOAD_ENDPOINT, {
+        method: "POST",
+        body,
+        onUploadProgress: onProgress
+          ? ({ loaded, total }) => onProgress(total > 0 ? loaded / total : 0)
+          : undefined,
+      });
+      const payload = await tryParseJson(response);
+
+      if (!response.ok) {
+        throw createApiError({ status: response.status, payload, response });
+      }
+
+      const url = extractUploadedUrl(payload);
+      if (!url) {
+        throw new Error("The upload finished but no file URL was returned.");
+      }
+
+      return url;
+    },
+    [authenticatedFetch]
+  );
+};
@@ -0,0 +1,12 @@
+import { useContext } from "react";
+import { FavouritesContext } from "../context/FavouritesContext.jsx";
+
+export const useFavourites = () => {
+  const ctx = useContext(FavouritesContext);
+  if (!ctx) {
+    throw new Error("useFavourites must be used within FavouritesProvider");
+  }
+  return ctx;
+};
+
+export default useFavourites;
@@ -0,0 +1,123 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useAuth } from "./useAuth.jsx";
+import { useAuthenticatedFetch } from "./useAuthenticatedFetch.jsx";
+import {
+  BOOKING_STATUSES,
+  countBookingsByDay,
+  extractBooking,
+  extractBookings,
+  getFreelancerBookingActionEndpoint,
+  getFreelancerBookingsEndpoint,
+} from "../components/bookings/bookingHelpers.js";
+
+const byStartTime = (a, b) => (a.startTime?.getTime() ?? 0) - (b.startTime?.getTime() ?? 0);
+
+// The freelancer's upcoming bookings: pending requests to act on, plus the
+// confirmed ones that count towards each day's capacity.
+export const useFreelancerOrders = () => {
+  const { lastBookingEvent } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+
+  const [bookings, setBookings] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState(null);
+  const [refreshIndex, setRefreshIndex] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+
+    const fetchOrders = async () => {
+      // From the start of today, so bookings earlier today still count
+      // towards today's daily limit.
+      const startOfToday = new Date();
+      startOfToday.setHours(0, 0, 0, 0);
+
+      try {
+        const payload = await authenticatedFetch.requestJson(
+          getFreelancerBookingsEndpoint({ from: startOfToday }),
+          { method: "GET" }
+        );
+        if (cancelled) {
+          return;
+        }
+        setBookings(extractBookings(payload));
+        setStatus("ready");
+      } catch (fetchError) {
+        if (!cancelled) {
+          console.warn("[useFreelancerOrders] Failed to load bookings", fetchError);
+          setError(fetchError);
+          setStatus("error");
+        }
+      }
+    };
+
+    fetchOrders();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, lastBookingEvent, refreshIndex]);
+
+  const reload = useCallback(() => {
+    setRefreshIndex((previous) => previous + 1);
+  }, []);
+
+  // Sends an accept/decline/propose action and folds the server's copy of the
+  // booking back into the list. Errors are left to the caller to describe.
+  const respond = useCallback(
+    async (booking, action, body = {}) => {
+      const payload = await authenticatedFetch.requestJson(
+        getFreelancerBookingActionEndpoint(booking.id, action),
+        { method: "POST", body: JSON.stringify(body) }
+      );
+      const fallbackStatus =
+        action === "accept"
+          ? BOOKING_STATUSES.confirmed
+          : action === "decline"
+          ? BOOKING_STATUSES.cancelled
+          : booking.status;
+      const updated = extractBooking(payload) ?? { ...booking, status: fallbackStatus };
+      setBookings((previous) =>
+        previous.map((entry) => (entry.id === updated.id ? { ...entry, ...updated } : entry))
+      );
+      return updated;
+    },
+    [authenticatedFetch]
+  );
+
+  const requests = useMemo(
+    () =>
+      bookings
+        .filter((booking) => booking.status === BOOKING_STATUSES.requested)
+        .sort(byStartTime),
+    [bookings]
+  );
+  const confirmed = useMemo(
+    () =>
+      bookings
+        .filter(
+          (booking) =>
+            booking.status === BOOKING_STATUSES.confirmed ||
+            booking.status === BOOKING_STATUSES.inProgress
+        )
+        .sort(byStartTime),
+    [bookings]
+  );
+  const dailyCounts = useMemo(() => countBookingsByDay(bookings), [bookings]);
+
+  return useMemo(
+    () => ({
+      requests,
+      confirmed,
+      dailyCounts,
+      status,
+      error,
+      reload,
+      respond,
+    }),
+    [confirmed, dailyCounts, error, reload, requests, respond, status]
+  );
+};
+
+export default useFreelancerOrders;
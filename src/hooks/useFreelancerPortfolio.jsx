@@ -0,0 +1,170 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useAuth } from "./useAuth.jsx";
+import { useAuthenticatedFetch } from "./useAuthenticatedFetch.jsx";
+import { ERROR_KINDS, describeApiError } from "../utils/apiErrors";
+import {
+  PORTFOLIO_ENDPOINT,
+  extractPortfolio,
+  serialisePortfolio,
+} from "../components/portfolio/portfolioHelpers.js";
+
+const DEFAULT_LOAD_ERROR_MESSAGE =
+  "We couldn't load your portfolio. Please try again.";
+const DEFAULT_SAVE_ERROR_MESSAGE =
+  "Unable to save your portfolio. Please try again.";
+
+export const useFreelancerPortfolio = () => {
+  const {
+    setFreelancerProfile,
+    setFreelancerProfileStatus,
+    setFreelancerServices,
+  } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  // The fetch function changes identity on every token renewal; loading
+  // through a ref means only mount and reload() fetch the portfolio.
+  const authenticatedFetchRef = useRef(authenticatedFetch);
+
+  useEffect(() => {
+    authenticatedFetchRef.current = authenticatedFetch;
+  }, [authenticatedFetch]);
+
+  const [items, setItems] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [errorMessage, setErrorMessage] = useState("");
+  const [saveStatus, setSaveStatus] = useState("idle");
+  const [refreshIndex, setRefreshIndex] = useState(0);
+
+  const markUnauthorized = useCallback(() => {
+    setFreelancerProfile(null);
+    setFreelancerProfileStatus("unauthorized");
+    setFreelancerServices(null);
+  }, [setFreelancerProfile, setFreelancerProfileStatus, setFreelancerServices]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchPortfolio = async () => {
+      setStatus("loading");
+      setErrorMessage("");
+
+      try {
+        const payload = await authenticatedFetchRef.current.requestJson(
+          PORTFOLIO_ENDPOINT,
+          { method: "GET" }
+        );
+
+        if (cancelled) {
+          return;
+        }
+
+        setItems(extractPortfolio(payload));
+        setStatus("ready");
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+
+        const { kind, message, isAuthError } = describeApiError(error, {
+          fallbackMessage: DEFAULT_LOAD_ERROR_MESSAGE,
+        });
+
+        if (kind === ERROR_KINDS.notFound) {
+          // Nothing has been published yet; start from an empty portfolio.
+          setItems([]);
+          setStatus("ready");
+          return;
+        }
+
+        if (isAuthError) {
+          markUnauthorized();
+          setStatus("unauthorized");
+          return;
+        }
+
+        console.warn("[useFreelancerPortfolio] Failed to load portfolio", error);
+        setErrorMessage(message);
+        setStatus("error");
+      }
+    };
+
+    fetchPortfolio();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [markUnauthorized, refreshIndex]);
+
+  const reload = useCallback(() => {
+    setRefreshIndex((previous) => previous + 1);
+  }, []);
+
+  const savePortfolio = useCallback(
+    async (nextItems) => {
+      setSaveStatus("submitting");
+
+      try {
+        const responsePayload = await authenticatedFetch.requestJson(
+          PORTFOLIO_ENDPOINT,
+          {
+            method: "PUT",
+            body: JSON.stringify({ items: serialisePortfolio(nextItems) }),
+          }
+        );
+
+        // The response carries server ids for new images; fall back to what
+        // was sent when the backend answers with an empty body.
+        const savedItems = extractPortfolio(responsePayload);
+        const resolvedItems = savedItems.length > 0 ? savedItems : nextItems;
+        setItems(resolvedItems);
+        setSaveStatus("success");
+
+        return { ok: true, items: resolvedItems };
+      } catch (error) {
+        const { status: statusCode, message, isAuthError } = describeApiError(
+          error,
+          {
+            fallbackMessage: DEFAULT_SAVE_ERROR_MESSAGE,
+            messages: {
+              [ERROR_KINDS.validation]:
+                "Some portfolio details were rejected. Check captions and categories, then try again.",
+            },
+          }
+        );
+
+        console.error("[useFreelancerPortfolio] Failed to save portfolio", {
+          statusCode,
+          error,
+        });
+
+        setSaveStatus("failed");
+
+        if (isAuthError) {
+          markUnauthorized();
+          setStatus("unauthorized");
+          return {
+            ok: false,
+            message: "You must be signed in as a freelancer to continue.",
+          };
+        }
+
+        return { ok: false, message };
+      }
+    },
+    [authenticatedFetch, markUnauthorized]
+  );
+
+  return useMemo(
+    () => ({
+      items,
+      status,
+      errorMessage,
+      saveStatus,
+      isSaving: saveStatus === "submitting",
+      reload,
+      savePortfolio,
+    }),
+    [errorMessage, items, reload, savePortfolio, saveStatus, status]
+  );
+};
+
+export default useFreelancerPortfolio;
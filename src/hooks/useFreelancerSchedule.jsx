@@ -0,0 +1,188 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useAuth } from "./useAuth.jsx";
+import { useAuthenticatedFetch } from "./useAuthenticatedFetch.jsx";
+import { useToast } from "./useToast.jsx";
+import { ERROR_KINDS, PROFILE_ERROR_KINDS, describeApiError } from "../utils/apiErrors";
+import {
+  extractSchedules,
+  mapSchedulesToFormSchedule,
+} from "../components/freelancer/scheduleHelpers.js";
+
+const SCHEDULE_ENDPOINT = "/users/me/freelancer/schedules/";
+
+const DEFAULT_LOAD_ERROR_MESSAGE =
+  "We couldn't load your schedule. Please try again.";
+const DEFAULT_SAVE_ERROR_MESSAGE =
+  "Unable to save your schedule. Please review the times and try again.";
+
+export const useFreelancerSchedule = ({ load = true } = {}) => {
+  const {
+    setFreelancerProfile,
+    setFreelancerProfileStatus,
+    setFreelancerServices,
+  } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const toast = useToast();
+
+  const [schedule, setSchedule] = useState(null);
+  const [status, setStatus] = useState(load ? "loading" : "ready");
+  const [errorMessage, setErrorMessage] = useState("");
+  const [saveStatus, setSaveStatus] = useState("idle");
+  const [refreshIndex, setRefreshIndex] = useState(0);
+
+  const markUnauthorized = useCallback(() => {
+    setFreelancerProfile(null);
+    setFreelancerProfileStatus("unauthorized");
+    setFreelancerServices(null);
+  }, [setFreelancerProfile, setFreelancerProfileStatus, setFreelancerServices]);
+
+  useEffect(() => {
+    if (!load) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchSchedule = async () => {
+      setStatus("loading");
+      setErrorMessage("");
+
+      try {
+        const payload = await authenticatedFetch.requestJson(
+          SCHEDULE_ENDPOINT,
+          { method: "GET" }
+        );
+
+        if (cancelled) {
+          return;
+        }
+
+        setSchedule(mapSchedulesToFormSchedule(extractSchedules(payload)));
+        setStatus("ready");
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+
+        const { kind, message, isAuthError } = describeApiError(error, {
+          fallbackMessage: DEFAULT_LOAD_ERROR_MESSAGE,
+        });
+
+        if (kind === ERROR_KINDS.notFound) {
+          // No schedule has been published yet; start from an empty week.
+          setSchedule(mapSchedulesToFormSchedule([]));
+          setStatus("ready");
+          return;
+        }
+
+        if (isAuthError) {
+          markUnauthorized();
+          setStatus("unauthorized");
+          return;
+        }
+
+        console.warn("[useFreelancerSchedule] Failed to load schedule", error);
+        setErrorMessage(message);
+        setStatus("error");
+      }
+    };
+
+    fetchSchedule();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, load, markUnauthorized, refreshIndex]);
+
+  const reload = useCallback(() => {
+    setRefreshIndex((previous) => previous + 1);
+  }, []);
+
+  const saveSchedule = useCallback(
+    async (schedulesPayload) => {
+      setSaveStatus("submitting");
+
+      try {
+        const responsePayload = await authenticatedFetch.requestJson(
+          SCHEDULE_ENDPOINT,
+          {
+            method: "PUT",
+            body: JSON.stringify({ schedules: schedulesPayload }),
+          },
+          { offlineLabel: "Weekly schedule" }
+        );
+
+        const savedSchedules = extractSchedules(responsePayload);
+        setSaveStatus("success");
+
+        return {
+          ok: true,
+          schedule: mapSchedulesToFormSchedule(
+            savedSchedules.length > 0 ? savedSchedules : schedulesPayload
+          ),
+        };
+      } catch (error) {
+        const {
+          kind,
+          status: statusCode,
+          message,
+          isAuthError,
+          profileStatus,
+        } = describeApiError(error, {
+          fallbackMessage: DEFAULT_SAVE_ERROR_MESSAGE,
+          messages: {
+            [ERROR_KINDS.conflict]:
+              "Your schedule overlaps with existing availability. Reload and try again.",
+          },
+        });
+
+        if (kind === ERROR_KINDS.offline) {
+          setSaveStatus("queued");
+          return { ok: false, queued: true, message };
+        }
+
+        console.error("[useFreelancerSchedule] Failed to save schedule", {
+          statusCode,
+          error,
+        });
+
+        setSaveStatus("failed");
+
+        if (isAuthError) {
+          markUnauthorized();
+          setStatus("unauthorized");
+          return {
+            ok: false,
+            message: "You must be signed in as a freelancer to continue.",
+          };
+        }
+
+        if (PROFILE_ERROR_KINDS.has(kind)) {
+          setFreelancerProfileStatus(profileStatus);
+        }
+
+        toast?.error?.({
+          message,
+        });
+
+        return { ok: false, message };
+      }
+    },
+    [authenticatedFetch, markUnauthorized, setFreelancerProfileStatus, toast]
+  );
+
+  return useMemo(
+    () => ({
+      schedule,
+      status,
+      errorMessage,
+      saveStatus,
+      isSaving: saveStatus === "submitting",
+      reload,
+      saveSchedule,
+    }),
+    [errorMessage, reload, saveSchedule, saveStatus, schedule, status]
+  );
+};
+
+export default useFreelancerSchedule;
@@ -0,0 +1,180 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useAuth } from "./useAuth.jsx";
+import { useAuthenticatedFetch } from "./useAuthenticatedFetch.jsx";
+import { useToast } from "./useToast.jsx";
+import { ERROR_KINDS, describeApiError } from "../utils/apiErrors";
+import {
+  extractScheduleExceptions,
+  mapExceptionsToForm,
+} from "../components/freelancer/scheduleHelpers.js";
+
+const EXCEPTIONS_ENDPOINT = "/users/me/freelancer/schedule-exceptions/";
+
+const DEFAULT_LOAD_ERROR_MESSAGE =
+  "We couldn't load your schedule exceptions. Please try again.";
+const DEFAULT_SAVE_ERROR_MESSAGE =
+  "Unable to save your schedule exceptions. Please review the dates and try again.";
+
+export const useFreelancerScheduleExceptions = () => {
+  const {
+    setFreelancerProfile,
+    setFreelancerProfileStatus,
+    setFreelancerServices,
+  } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const toast = useToast();
+
+  const [exceptions, setExceptions] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [errorMessage, setErrorMessage] = useState("");
+  const [saveStatus, setSaveStatus] = useState("idle");
+  const [refreshIndex, setRefreshIndex] = useState(0);
+
+  const markUnauthorized = useCallback(() => {
+    setFreelancerProfile(null);
+    setFreelancerProfileStatus("unauthorized");
+    setFreelancerServices(null);
+  }, [setFreelancerProfile, setFreelancerProfileStatus, setFreelancerServices]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchExceptions = async () => {
+      setStatus("loading");
+      setErrorMessage("");
+
+      try {
+        const payload = await authenticatedFetch.requestJson(
+          EXCEPTIONS_ENDPOINT,
+          { method: "GET" }
+        );
+
+        if (cancelled) {
+          return;
+        }
+
+        setExceptions(mapExceptionsToForm(extractScheduleExceptions(payload)));
+        setStatus("ready");
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+
+        const { kind, message, isAuthError } = describeApiError(error, {
+          fallbackMessage: DEFAULT_LOAD_ERROR_MESSAGE,
+        });
+
+        if (kind === ERROR_KINDS.notFound) {
+          setExceptions([]);
+          setStatus("ready");
+          return;
+        }
+
+        if (isAuthError) {
+          markUnauthorized();
+          setStatus("unauthorized");
+          return;
+        }
+
+        console.warn(
+          "[useFreelancerScheduleExceptions] Failed to load exceptions",
+          error
+        );
+        setErrorMessage(message);
+        setStatus("error");
+      }
+    };
+
+    fetchExceptions();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, markUnauthorized, refreshIndex]);
+
+  const reload = useCallback(() => {
+    setRefreshIndex((previous) => previous + 1);
+  }, []);
+
+  const saveExceptions = useCallback(
+    async (exceptionsPayload) => {
+      setSaveStatus("submitting");
+
+      try {
+        const responsePayload = await authenticatedFetch.requestJson(
+          EXCEPTIONS_ENDPOINT,
+          {
+            method: "PUT",
+            body: JSON.stringify({ exceptions: exceptionsPayload }),
+          }
+        );
+
+        const savedExceptions = extractScheduleExceptions(responsePayload);
+        setSaveStatus("success");
+
+        return {
+          ok: true,
+          exceptions: mapExceptionsToForm(
+            savedExceptions.length > 0 ? savedExceptions : exceptionsPayload
+          ),
+        };
+      } catch (error) {
+        const {
+          kind,
+          status: statusCode,
+          message,
+          isAuthError,
+          profileStatus,
+        } = describeApiError(error, {
+          fallbackMessage: DEFAULT_SAVE_ERROR_MESSAGE,
+          messages: {
+            [ERROR_KINDS.conflict]:
+              "Some of these dates overlap existing exceptions. Reload and try again.",
+          },
+        });
+
+        console.error(
+          "[useFreelancerScheduleExceptions] Failed to save exceptions",
+          { statusCode, error }
+        );
+
+        setSaveStatus("failed");
+
+        if (isAuthError) {
+          markUnauthorized();
+          setStatus("unauthorized");
+          return {
+            ok: false,
+            message: "You must be signed in as a freelancer to continue.",
+          };
+        }
+
+        if (kind === ERROR_KINDS.notFound || kind === ERROR_KINDS.server) {
+          setFreelancerProfileStatus(profileStatus);
+        }
+
+        toast?.error?.({
+          message,
+        });
+
+        return { ok: false, message };
+      }
+    },
+    [authenticatedFetch, markUnauthorized, setFreelancerProfileStatus, toast]
+  );
+
+  return useMemo(
+    () => ({
+      exceptions,
+      status,
+      errorMessage,
+      saveStatus,
+      isSaving: saveStatus === "submitting",
+      reload,
+      saveExceptions,
+    }),
+    [errorMessage, exceptions, reload, saveExceptions, saveStatus, status]
+  );
+};
+
+export default useFreelancerScheduleExceptions;
@@ -0,0 +1,12 @@
+import { useContext } from "react";
+import { NotificationsContext } from "../context/NotificationsContext.jsx";
+
+export const useNotifications = () => {
+  const ctx = useContext(NotificationsContext);
+  if (!ctx) {
+    throw new Error("useNotifications must be used within NotificationsProvider");
+  }
+  return ctx;
+};
+
+export default useNotifications;
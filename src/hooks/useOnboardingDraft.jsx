@@ -0,0 +1,175 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useAuthenticatedFetch } from "./useAuthenticatedFetch.jsx";
+import { NotFoundError } from "../utils/apiErrors";
+import {
+  ONBOARDING_DRAFT_ENDPOINT,
+  clearLocalOnboardingDraft,
+  createOnboardingDraft,
+  isServerDraftSyncEnabled,
+  normaliseOnboardingDraft,
+  pickNewestDraft,
+  readLocalOnboardingDraft,
+  writeLocalOnboardingDraft,
+} from "../components/freelancer/onboardingDraft.js";
+
+const LOCAL_SAVE_DELAY_MS = 300;
+const SERVER_SAVE_DELAY_MS = 2000;
+
+// Loads the newest saved draft for `userId` (local, or server when enabled)
+// and autosaves step values. Nothing is written until `startDraft` has been
+// called, so an unanswered "resume?" prompt never overwrites the saved draft.
+export const useOnboardingDraft = ({ userId }) => {
+  const authenticatedFetch = useAuthenticatedFetch();
+  const serverSync = isServerDraftSyncEnabled();
+
+  const [savedDraft, setSavedDraft] = useState(() => readLocalOnboardingDraft(userId));
+  const [status, setStatus] = useState(serverSync && userId != null ? "loading" : "ready");
+  const currentDraftRef = useRef(null);
+  const localTimerRef = useRef(null);
+  const serverTimerRef = useRef(null);
+
+  useEffect(() => {
+    const localDraft = readLocalOnboardingDraft(userId);
+    setSavedDraft(localDraft);
+    currentDraftRef.current = null;
+
+    if (!serverSync || userId == null) {
+      setStatus("ready");
+      return undefined;
+    }
+
+    let cancelled = false;
+    setStatus("loading");
+
+    const fetchServerDraft = async () => {
+      try {
+        const payload = await authenticatedFetch.requestJson(ONBOARDING_DRAFT_ENDPOINT, {
+          method: "GET",
+        });
+        if (!cancelled) {
+          setSavedDraft(pickNewestDraft(localDraft, normaliseOnboardingDraft(payload, userId)));
+        }
+      } catch (error) {
+        if (!cancelled && !(error instanceof NotFoundError)) {
+          console.warn("[useOnboardingDraft] Failed to load server draft", error);
+        }
+      } finally {
+        if (!cancelled) {
+          setStatus("ready");
+        }
+      }
+    };
+
+    fetchServerDraft();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, serverSync, userId]);
+
+  const flushLocal = useCallback(() => {
+    window.clearTimeout(localTimerRef.current);
+    localTimerRef.current = null;
+    if (currentDraftRef.current) {
+      writeLocalOnboardingDraft(currentDraftRef.current);
+    }
+  }, []);
+
+  const pushToServer = useCallback(async () => {
+    serverTimerRef.current = null;
+    const draft = currentDraftRef.current;
+    if (!draft) {
+      return;
+    }
+    try {
+      await authenticatedFetch.requestJson(ONBOARDING_DRAFT_ENDPOINT, {
+        method: "PUT",
+        body: JSON.stringify(draft),
+      });
+    } catch (error) {
+      console.warn("[useOnboardingDraft] Failed to save server draft", error);
+    }
+  }, [authenticatedFetch]);
+
+  useEffect(() => {
+    window.addEventListener("pagehide", flushLocal);
+    return () => {
+      window.removeEventListener("pagehide", flushLocal);
+      flushLocal();
+      window.clearTimeout(serverTimerRef.current);
+    };
+  }, [flushLocal]);
+
+  const persist = useCallback(
+    (update) => {
+      if (!currentDraftRef.current) {
+        return;
+      }
+      currentDraftRef.current = {
+        ...update(currentDraftRef.current),
+        updatedAt: new Date().toISOString(),
+      };
+
+      window.clearTimeout(localTimerRef.current);
+      localTimerRef.current = window.setTimeout(flushLocal, LOCAL_SAVE_DELAY_MS);
+
+      if (serverSync) {
+        window.clearTimeout(serverTimerRef.current);
+        serverTimerRef.current = window.setTimeout(pushToServer, SERVER_SAVE_DELAY_MS);
+      }
+    },
+    [flushLocal, pushToServer, serverSync]
+  );
+
+  const startDraft = useCallback(
+    (draft = null) => {
+      if (userId == null) {
+        return;
+      }
+      currentDraftRef.current = draft ?? createOnboardingDraft(userId);
+    },
+    [userId]
+  );
+
+  const saveStep = useCallback(
+    (stepName, values) =>
+      persist((draft) => ({
+        ...draft,
+        steps: { ...draft.steps, [stepName]: values },
+      })),
+    [persist]
+  );
+
+  const saveActiveStep = useCallback(
+    (activeStep) => persist((draft) => ({ ...draft, activeStep })),
+    [persist]
+  );
+
+  const clearDraft = useCallback(() => {
+    window.clearTimeout(localTimerRef.current);
+    window.clearTimeout(serverTimerRef.current);
+    currentDraftRef.current = null;
+    setSavedDraft(null);
+    clearLocalOnboardingDraft(userId);
+
+    if (serverSync) {
+      authenticatedFetch(ONBOARDING_DRAFT_ENDPOINT, { method: "DELETE" }).catch((error) => {
+        console.warn("[useOnboardingDraft] Failed to delete server draft", error);
+      });
+    }
+  }, [authenticatedFetch, serverSync, userId]);
+
+  return useMemo(
+    () => ({
+      savedDraft,
+      status,
+      startDraft,
+      saveStep,
+      saveActiveStep,
+      clearDraft,
+    }),
+    [clearDraft, saveActiveStep, saveStep, savedDraft, startDraft, status]
+  );
+};
+
+export default useOnboardingDraft;
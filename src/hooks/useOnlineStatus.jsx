@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+
+const readOnlineStatus = () =>
+  typeof navigator === "undefined" || navigator.onLine !== false;
+
+export const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(readOnlineStatus);
+
+  useEffect(() => {
+    if (typeof window === "undefined") {
+      return undefined;
+    }
+
+    const handleChange = () => setIsOnline(readOnlineStatus());
+
+    window.addEventListener("online", handleChange);
+    window.addEventListener("offline", handleChange);
+
+    return () => {
+      window.removeEventListener("online", handleChange);
+      window.removeEventListener("offline", handleChange);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+export default useOnlineStatus;
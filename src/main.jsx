@@ -5,13 +5,19 @@ import './index.css'
 import App from './App.jsx'
 import { AuthProvider } from './context/AuthProvider.jsx'
 import { ToastProvider } from './context/ToastContext.jsx'
+import { NotificationsProvider } from './context/NotificationsProvider.jsx'
+import { FavouritesProvider } from './context/FavouritesProvider.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <BrowserRouter>
       <AuthProvider>
         <ToastProvider>
-          <App />
+          <NotificationsProvider>
+            <FavouritesProvider>
+              <App />
+            </FavouritesProvider>
+          </NotificationsProvider>
         </ToastProvider>
       </AuthProvider>
     </BrowserRouter>
@@ -5,6 +5,15 @@ import withAuth from "../../hoc/withAuth.jsx";
 import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
 import { useToast } from "../../hooks/useToast.jsx";
 import { STORAGE_KEY } from "../../components/address/formUtils.js";
+import MapView from "../../components/map/MapView.jsx";
+import {
+  ERROR_KINDS,
+  createApiError,
+  describeApiError,
+  getErrorMessage,
+} from "../../utils/apiErrors";
+import { getCoordinates } from "../../utils/geo.js";
+import { tryParseJson } from "../../utils/http";
 
 const fallbackLabel = (address) => {
   const rawLabel = address?.address_label ?? address?.addressLabel ?? "";
@@ -63,8 +72,8 @@ const AddressDetails = () => {
         setAddress(addressPayload);
         setStatus("ready");
       } catch (loadError) {
-        const statusCode = loadError?.status ?? null;
-        if (statusCode === 403 || statusCode === 500) {
+        const { kind } = describeApiError(loadError);
+        if (kind === ERROR_KINDS.forbidden || kind === ERROR_KINDS.server) {
           navigate("/dashboard", { replace: true });
           return;
         }
@@ -181,19 +190,16 @@ const AddressDetails = () => {
 
       await loadAddress({ silent: true });
     } catch (error) {
-      const statusCode = error?.status ?? null;
-
       console.error("Failed to set default address", error);
-      const payloadMessage =
-        error?.payload?.error ?? error?.payload?.message ?? error?.payload?.detail ?? null;
 
       toast.error({
         title: "Could not set default address",
-        message:
-          payloadMessage ??
-          (statusCode === 401
-            ? "Your session expired. Please sign in again."
-            : "Please try again or contact support if the issue persists."),
+        message: describeApiError(error, {
+          fallbackMessage: "Please try again or contact support if the issue persists.",
+          messages: {
+            [ERROR_KINDS.unauthorized]: "Your session expired. Please sign in again.",
+          },
+        }).message,
       });
     } finally {
       setSettingDefault(false);
@@ -221,9 +227,11 @@ const AddressDetails = () => {
       });
 
       if (response.status !== 204 && !response.ok) {
-        const error = new Error(`Failed to delete address (status ${response.status}).`);
-        error.status = response.status;
-        throw error;
+        throw createApiError({
+          status: response.status,
+          payload: await tryParseJson(response),
+          response,
+        });
       }
 
       if (address.is_default) {
@@ -248,26 +256,22 @@ const AddressDetails = () => {
         state: { refreshAddresses: Date.now() },
       });
     } catch (deleteError) {
-      const statusCode = deleteError?.status ?? null;
-      if (statusCode === 403 || statusCode === 500) {
+      const { kind } = describeApiError(deleteError);
+      if (kind === ERROR_KINDS.forbidden || kind === ERROR_KINDS.server) {
         navigate("/dashboard", { replace: true });
         return;
       }
 
       console.error("Failed to delete address", deleteError);
-      const payloadMessage =
-        deleteError?.payload?.error ??
-        deleteError?.payload?.message ??
-        deleteError?.payload?.detail ??
-        null;
 
       toast.error({
         title: "Could not delete address",
-        message:
-          payloadMessage ??
-          (statusCode === 401
-            ? "Your session expired. Please sign in again."
-            : "Please try again or contact support if the issue persists."),
+        message: describeApiError(deleteError, {
+          fallbackMessage: "Please try again or contact support if the issue persists.",
+          messages: {
+            [ERROR_KINDS.unauthorized]: "Your session expired. Please sign in again.",
+          },
+        }).message,
       });
     } finally {
       setDeleting(false);
@@ -285,16 +289,23 @@ const AddressDetails = () => {
       return null;
     }
 
-    if (error.payload?.error) {
-      return error.payload.error;
-    }
+    return getErrorMessage(error, "Something went wrong while loading this address.");
+  }, [error]);
 
-    if (error.payload?.message) {
-      return error.payload.message;
+  const mapMarkers = useMemo(() => {
+    const coordinates = getCoordinates(address);
+    if (!coordinates) {
+      return [];
     }
-
-    return error.message ?? "Something went wrong while loading this address.";
-  }, [error]);
+    return [
+      {
+        id: address.id ?? "address",
+        ...coordinates,
+        label: addressLabel,
+        highlighted: Boolean(address.is_default),
+      },
+    ];
+  }, [address, addressLabel]);
 
   if (!id) {
     return <Navigate to="/addresses" replace />;
@@ -379,6 +390,12 @@ const AddressDetails = () => {
             <EditAddressForm address={address} onSuccess={handleUpdateSuccess} />
           </section>
           <section className="address-details-meta">
+            <h3>Location</h3>
+            <MapView
+              markers={mapMarkers}
+              height={260}
+              emptyMessage="Add latitude and longitude to see this address on the map."
+            />
             <h3>Metadata</h3>
             <dl>
               <div>
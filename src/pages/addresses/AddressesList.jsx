@@ -2,6 +2,9 @@ import { useCallback, useEffect, useMemo, useState } from "react";
 import { Link, useLocation, useNavigate } from "react-router-dom";
 import withAuth from "../../hoc/withAuth.jsx";
 import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import MapView from "../../components/map/MapView.jsx";
+import { getErrorMessage } from "../../utils/apiErrors";
+import { getCoordinates } from "../../utils/geo.js";
 
 const DEFAULT_QUERY = Object.freeze({
   pageId: 1,
@@ -51,6 +54,7 @@ const AddressesList = () => {
   const [refreshIndex, setRefreshIndex] = useState(0);
   const [pageId, setPageId] = useState(DEFAULT_QUERY.pageId);
   const [hasNextPage, setHasNextPage] = useState(false);
+  const [viewMode, setViewMode] = useState("list");
   const pageSize = DEFAULT_QUERY.pageSize;
 
 
@@ -127,20 +131,32 @@ const AddressesList = () => {
     return formatLabel(addresses[0]);
   }, [addresses, hasAddresses, pageId]);
 
+  const mapMarkers = useMemo(
+    () =>
+      addresses
+        .map((address, index) => {
+          const coordinates = getCoordinates(address);
+          if (!coordinates) {
+            return null;
+          }
+          return {
+            id: address?.id ?? `address-${index}`,
+            ...coordinates,
+            label: formatLabel(address),
+            to: address?.id != null ? `/addresses/${address.id}` : null,
+            highlighted: Boolean(address?.is_default),
+          };
+        })
+        .filter(Boolean),
+    [addresses]
+  );
+
   const errorMessage = useMemo(() => {
     if (!error) {
       return null;
     }
 
-    if (error.payload?.error) {
-      return error.payload.error;
-    }
-
-    if (error.payload?.message) {
-      return error.payload.message;
-    }
-
-    return error.message ?? "Something went wrong while loading your addresses.";
+    return getErrorMessage(error, "Something went wrong while loading your addresses.");
   }, [error]);
 
   const handleNextPage = useCallback(() => {
@@ -172,6 +188,22 @@ const AddressesList = () => {
             </p>
           </div>
           <div className="addresses-hero__actions">
+            <div className="addresses-view-toggle" role="group" aria-label="Display addresses as">
+              <button
+                type="button"
+                aria-pressed={viewMode === "list"}
+                onClick={() => setViewMode("list")}
+              >
+                List
+              </button>
+              <button
+                type="button"
+                aria-pressed={viewMode === "map"}
+                onClick={() => setViewMode("map")}
+              >
+                Map
+              </button>
+            </div>
             <button
               type="button"
               className="btn btn-ghost"
@@ -278,7 +310,19 @@ const AddressesList = () => {
           </div>
         ) : null}
 
-        {!isLoading && !isError && hasAddresses ? (
+        {!isLoading && !isError && hasAddresses && viewMode === "map" ? (
+          <div>
+            <MapView markers={mapMarkers} height={420} />
+            {mapMarkers.length < addresses.length ? (
+              <p className="addresses-map-note">
+                {addresses.length - mapMarkers.length} of {addresses.length} addresses on this page
+                have no coordinates and are not shown on the map.
+              </p>
+            ) : null}
+          </div>
+        ) : null}
+
+        {!isLoading && !isError && hasAddresses && viewMode === "list" ? (
           <ul className="address-card-grid" aria-live="polite">
             {addresses.map((address, index) => {
               const label = formatLabel(address);
@@ -0,0 +1,397 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import AdminNav from "../../components/admin/AdminNav.jsx";
+import VerificationStatusNotice from "../../components/freelancer/VerificationStatusNotice.jsx";
+import { URL_FIELD_CONFIG } from "../../components/freelancer/formHelpers.js";
+import {
+  VERIFICATION_STATUSES,
+  getVerificationState,
+} from "../../components/freelancer/verificationHelpers.js";
+import withAdminAuth from "../../hoc/withAdminAuth.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { useToast } from "../../hooks/useToast.jsx";
+import { ERROR_KINDS, describeApiError, getErrorMessage } from "../../utils/apiErrors";
+import { extractFreelancerProfile } from "../../utils/freelancer";
+import {
+  formatDateTime,
+  getAdminFreelancerEndpoint,
+  getAdminSuspensionEndpoint,
+  getAdminVerificationEndpoint,
+  getDisplayName,
+  getEmail,
+} from "./adminHelpers.js";
+
+const DECISIONS = {
+  [VERIFICATION_STATUSES.approved]: {
+    label: "Approve",
+    success: "Freelancer approved",
+    className: "btn btn-primary",
+  },
+  [VERIFICATION_STATUSES.resubmissionRequested]: {
+    label: "Request resubmission",
+    success: "Resubmission requested",
+    className: "btn btn-secondary",
+  },
+  [VERIFICATION_STATUSES.rejected]: {
+    label: "Reject",
+    success: "Verification rejected",
+    className: "btn btn-danger",
+  },
+};
+
+const AdminFreelancerReview = () => {
+  const { id } = useParams();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const toast = useToast();
+
+  const [freelancer, setFreelancer] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [errorMessage, setErrorMessage] = useState("");
+  const [refreshIndex, setRefreshIndex] = useState(0);
+  const [notes, setNotes] = useState("");
+  const [flaggedFields, setFlaggedFields] = useState([]);
+  const [decisionError, setDecisionError] = useState("");
+  const [pendingAction, setPendingAction] = useState(null);
+  const [suspensionReason, setSuspensionReason] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchFreelancer = async () => {
+      setStatus("loading");
+      setErrorMessage("");
+
+      try {
+        const payload = await authenticatedFetch.requestJson(
+          getAdminFreelancerEndpoint(id),
+          { method: "GET" }
+        );
+        if (cancelled) {
+          return;
+        }
+        const profile = extractFreelancerProfile(payload);
+        if (!profile) {
+          throw new Error("Freelancer profile missing");
+        }
+        setFreelancer(profile);
+        setStatus("ready");
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+        console.warn("[AdminFreelancerReview] Failed to load freelancer", error);
+        const { kind, message } = describeApiError(error, {
+          fallbackMessage: "We couldn't load this freelancer. Please try again.",
+        });
+        if (kind === ERROR_KINDS.notFound) {
+          setStatus("missing");
+          return;
+        }
+        setErrorMessage(message);
+        setStatus("error");
+      }
+    };
+
+    fetchFreelancer();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, id, refreshIndex]);
+
+  const verificationState = useMemo(
+    () => (freelancer ? getVerificationState(freelancer) : null),
+    [freelancer]
+  );
+
+  useEffect(() => {
+    setFlaggedFields(verificationState?.rejectedFields ?? []);
+  }, [verificationState]);
+
+  const applyUpdatedProfile = useCallback((payload) => {
+    const updated = extractFreelancerProfile(payload);
+    if (updated?.id != null) {
+      setFreelancer((previous) => ({ ...previous, ...updated }));
+      return true;
+    }
+    return false;
+  }, []);
+
+  const toggleFlaggedField = (name) => {
+    setFlaggedFields((previous) =>
+      previous.includes(name)
+        ? previous.filter((field) => field !== name)
+        : [...previous, name]
+    );
+  };
+
+  const handleDecision = async (decision) => {
+    const trimmedNotes = notes.trim();
+    setDecisionError("");
+
+    if (decision !== VERIFICATION_STATUSES.approved && !trimmedNotes) {
+      setDecisionError("Add a note so the freelancer knows what to fix.");
+      return;
+    }
+
+    setPendingAction(decision);
+
+    try {
+      const payload = await authenticatedFetch.requestJson(
+        getAdminVerificationEndpoint(id),
+        {
+          method: "POST",
+          body: JSON.stringify({
+            status: decision,
+            reason: trimmedNotes || null,
+            rejected_documents:
+              decision === VERIFICATION_STATUSES.approved
+                ? []
+                : URL_FIELD_CONFIG.filter(({ name }) => flaggedFields.includes(name)).map(
+                    ({ payloadKey }) => payloadKey
+                  ),
+          }),
+        }
+      );
+      if (!applyUpdatedProfile(payload)) {
+        setRefreshIndex((previous) => previous + 1);
+      }
+      setNotes("");
+      toast?.success?.({
+        title: DECISIONS[decision].success,
+        message: `${getDisplayName(freelancer)} has been notified.`,
+      });
+    } catch (error) {
+      console.error("[AdminFreelancerReview] Failed to record decision", error);
+      const message = getErrorMessage(error, "We couldn't save this decision. Please try again.");
+      setDecisionError(message);
+      toast?.error?.({ message });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleSuspension = async (shouldSuspend) => {
+    if (
+      shouldSuspend &&
+      !window.confirm("Hide this freelancer's public profile until the suspension is lifted?")
+    ) {
+      return;
+    }
+
+    setPendingAction(shouldSuspend ? "suspend" : "unsuspend");
+
+    try {
+      const payload = await authenticatedFetch.requestJson(
+        getAdminSuspensionEndpoint(id),
+        shouldSuspend
+          ? {
+              method: "POST",
+              body: JSON.stringify({ reason: suspensionReason.trim() || null }),
+            }
+          : { method: "DELETE" }
+      );
+      if (!applyUpdatedProfile(payload)) {
+        setFreelancer((previous) => ({
+          ...previous,
+          is_suspended: shouldSuspend,
+          is_public: shouldSuspend ? false : previous?.is_public,
+        }));
+      }
+      setSuspensionReason("");
+      toast?.success?.({
+        title: shouldSuspend ? "Profile suspended" : "Suspension lifted",
+        message: shouldSuspend
+          ? "The profile is hidden from the public directory."
+          : "The freelancer can make their profile public again.",
+      });
+    } catch (error) {
+      console.error("[AdminFreelancerReview] Failed to update suspension", error);
+      toast?.error?.({
+        message: getErrorMessage(error, "We couldn't update the suspension. Please try again."),
+      });
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const isBusy = Boolean(pendingAction);
+  const isSuspended = Boolean(freelancer?.is_suspended);
+
+  return (
+    <section className="page admin-page">
+      <header className="page-header">
+        <h1>{freelancer ? getDisplayName(freelancer) : "Freelancer review"}</h1>
+        <p className="page-subtitle">
+          {freelancer
+            ? [getEmail(freelancer), `Freelancer #${freelancer.id ?? id}`]
+                .filter(Boolean)
+                .join(" · ")
+            : "Check identity documents and record a verification decision."}
+        </p>
+      </header>
+
+      <AdminNav />
+
+      {status === "loading" && (
+        <p className="notice info" aria-live="polite">
+          Loading freelancer…
+        </p>
+      )}
+
+      {status === "missing" && (
+        <div className="form-footer">
+          <p className="notice error" role="alert">
+            This freelancer doesn't exist or has been removed.
+          </p>
+          <Link to="/admin" className="btn btn-secondary">
+            Back to queue
+          </Link>
+        </div>
+      )}
+
+      {status === "error" && (
+        <div className="form-footer">
+          <p className="notice error" role="alert">
+            {errorMessage}
+          </p>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setRefreshIndex((previous) => previous + 1)}
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
+      {status === "ready" && freelancer && (
+        <>
+          <VerificationStatusNotice state={verificationState} />
+
+          <section className="admin-section">
+            <h2>Documents</h2>
+            <p className="field-hint">
+              Tick any document that needs to be uploaded again. Only flagged documents can be
+              replaced by the freelancer.
+            </p>
+            <div className="admin-documents">
+              {URL_FIELD_CONFIG.map(({ name, label, payloadKey }) => {
+                const url = freelancer[payloadKey];
+                return (
+                  <figure key={name} className="admin-document">
+                    {url ? (
+                      <a href={url} target="_blank" rel="noreferrer">
+                        <img src={url} alt={label} className="admin-document__image" />
+                      </a>
+                    ) : (
+                      <div className="admin-document__missing">Not uploaded</div>
+                    )}
+                    <figcaption>
+                      <span>{label}</span>
+                      <label className="field checkbox">
+                        <input
+                          type="checkbox"
+                          checked={flaggedFields.includes(name)}
+                          onChange={() => toggleFlaggedField(name)}
+                          disabled={isBusy}
+                        />
+                        <span>Needs re-upload</span>
+                      </label>
+                    </figcaption>
+                  </figure>
+                );
+              })}
+            </div>
+          </section>
+
+          <section className="admin-section">
+            <h2>Decision</h2>
+            <div className="field">
+              <label htmlFor="admin-review-notes">Notes for the freelancer</label>
+              <textarea
+                id="admin-review-notes"
+                value={notes}
+                onChange={(event) => setNotes(event.target.value)}
+                placeholder="e.g. The CPR photo is blurry; please retake it in better light."
+                disabled={isBusy}
+              />
+              {decisionError && <p className="field-error">{decisionError}</p>}
+            </div>
+            <div className="form-footer">
+              {Object.entries(DECISIONS).map(([decision, { label, className }]) => (
+                <button
+                  key={decision}
+                  type="button"
+                  className={className}
+                  onClick={() => handleDecision(decision)}
+                  disabled={isBusy}
+                >
+                  {pendingAction === decision ? "Saving…" : label}
+                </button>
+              ))}
+            </div>
+            {verificationState?.reviewedAt && (
+              <p className="field-hint">
+                Last reviewed {formatDateTime(verificationState.reviewedAt)}
+              </p>
+            )}
+          </section>
+
+          <section className="admin-section">
+            <h2>Public profile</h2>
+            <p className="field-hint">
+              {isSuspended
+                ? "This profile is suspended and hidden from the public directory."
+                : freelancer.is_public
+                ? "This profile is visible in the public directory."
+                : "This profile is currently hidden by the freelancer."}
+            </p>
+            {isSuspended ? (
+              <div className="form-footer">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => handleSuspension(false)}
+                  disabled={isBusy}
+                >
+                  {pendingAction === "unsuspend" ? "Lifting…" : "Lift suspension"}
+                </button>
+              </div>
+            ) : (
+              <>
+                <div className="field">
+                  <label htmlFor="admin-suspension-reason">Suspension reason</label>
+                  <input
+                    id="admin-suspension-reason"
+                    type="text"
+                    value={suspensionReason}
+                    onChange={(event) => setSuspensionReason(event.target.value)}
+                    placeholder="Shared with the freelancer"
+                    disabled={isBusy}
+                  />
+                </div>
+                <div className="form-footer">
+                  <button
+                    type="button"
+                    className="btn btn-danger"
+                    onClick={() => handleSuspension(true)}
+                    disabled={isBusy}
+                  >
+                    {pendingAction === "suspend" ? "Suspending…" : "Suspend public profile"}
+                  </button>
+                </div>
+              </>
+            )}
+          </section>
+        </>
+      )}
+    </section>
+  );
+};
+
+const AdminFreelancerReviewWithAuth = withAdminAuth(AdminFreelancerReview);
+
+AdminFreelancerReviewWithAuth.displayName = "AdminFreelancerReviewWithAuth";
+
+export default AdminFreelancerReviewWithAuth;
@@ -0,0 +1,159 @@
+import { useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import AdminNav from "../../components/admin/AdminNav.jsx";
+import withAdminAuth from "../../hoc/withAdminAuth.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { getErrorMessage } from "../../utils/apiErrors";
+import { isOnboarded } from "../../utils/session";
+import {
+  ADMIN_USERS_ENDPOINT,
+  extractList,
+  formatDateTime,
+  getDisplayName,
+  getEmail,
+  getFreelancerId,
+} from "./adminHelpers.js";
+
+const AdminUserLookup = () => {
+  const authenticatedFetch = useAuthenticatedFetch();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const email = (searchParams.get("email") ?? "").trim();
+
+  const [draftEmail, setDraftEmail] = useState(email);
+  const [users, setUsers] = useState([]);
+  const [status, setStatus] = useState(email ? "loading" : "idle");
+  const [errorMessage, setErrorMessage] = useState("");
+
+  useEffect(() => {
+    setDraftEmail(email);
+  }, [email]);
+
+  useEffect(() => {
+    if (!email) {
+      setUsers([]);
+      setStatus("idle");
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchUsers = async () => {
+      setStatus("loading");
+      setErrorMessage("");
+
+      try {
+        const query = new URLSearchParams({ email }).toString();
+        const payload = await authenticatedFetch.requestJson(
+          `${ADMIN_USERS_ENDPOINT}?${query}`,
+          { method: "GET" }
+        );
+        if (cancelled) {
+          return;
+        }
+        const list = extractList(payload, ["users"]);
+        setUsers(list.length > 0 ? list : payload?.user ? [payload.user] : []);
+        setStatus("ready");
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+        console.warn("[AdminUserLookup] Failed to search users", error);
+        setErrorMessage(getErrorMessage(error, "We couldn't search users. Please try again."));
+        setStatus("error");
+      }
+    };
+
+    fetchUsers();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, email]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const nextEmail = draftEmail.trim();
+    setSearchParams(nextEmail ? { email: nextEmail } : {});
+  };
+
+  return (
+    <section className="page admin-page">
+      <header className="page-header">
+        <h1>User lookup</h1>
+        <p className="page-subtitle">Find customers and freelancers by email address.</p>
+      </header>
+
+      <AdminNav />
+
+      <form className="admin-toolbar" onSubmit={handleSubmit} role="search">
+        <div className="field">
+          <label htmlFor="admin-user-email">Email</label>
+          <input
+            id="admin-user-email"
+            type="search"
+            value={draftEmail}
+            onChange={(event) => setDraftEmail(event.target.value)}
+            placeholder="name@example.com"
+            autoComplete="off"
+          />
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={status === "loading"}>
+          Search
+        </button>
+      </form>
+
+      {status === "loading" && (
+        <p className="notice info" aria-live="polite">
+          Searching…
+        </p>
+      )}
+
+      {status === "error" && (
+        <p className="notice error" role="alert">
+          {errorMessage}
+        </p>
+      )}
+
+      {status === "ready" && users.length === 0 && (
+        <p className="notice info">No users match “{email}”.</p>
+      )}
+
+      {status === "ready" && users.length > 0 && (
+        <ul className="admin-list">
+          {users.map((entry) => {
+            const freelancerId = getFreelancerId(entry);
+            const joinedAt = formatDateTime(entry?.created_at);
+            return (
+              <li key={entry.id ?? getEmail(entry)} className="admin-card">
+                <div>
+                  <p className="admin-card__title">{getDisplayName(entry)}</p>
+                  <p className="admin-card__meta">
+                    {[
+                      getEmail(entry),
+                      entry?.role,
+                      isOnboarded(entry) ? "Onboarded" : "Onboarding incomplete",
+                      joinedAt && `Joined ${joinedAt}`,
+                    ]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </p>
+                </div>
+                {freelancerId != null && (
+                  <Link to={`/admin/freelancers/${freelancerId}`} className="btn btn-secondary">
+                    Open freelancer
+                  </Link>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+const AdminUserLookupWithAuth = withAdminAuth(AdminUserLookup);
+
+AdminUserLookupWithAuth.displayName = "AdminUserLookupWithAuth";
+
+export default AdminUserLookupWithAuth;
@@ -0,0 +1,174 @@
+import { useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import AdminNav from "../../components/admin/AdminNav.jsx";
+import withAdminAuth from "../../hoc/withAdminAuth.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { getErrorMessage } from "../../utils/apiErrors";
+import {
+  VERIFICATION_COPY,
+  getVerificationState,
+} from "../../components/freelancer/verificationHelpers.js";
+import {
+  ADMIN_VERIFICATIONS_ENDPOINT,
+  QUEUE_STATUS_OPTIONS,
+  extractList,
+  formatDateTime,
+  getDisplayName,
+  getEmail,
+} from "./adminHelpers.js";
+
+const DEFAULT_STATUS = QUEUE_STATUS_OPTIONS[0].value;
+
+const AdminVerificationQueue = () => {
+  const authenticatedFetch = useAuthenticatedFetch();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const statusFilter = QUEUE_STATUS_OPTIONS.some(
+    ({ value }) => value === searchParams.get("status")
+  )
+    ? searchParams.get("status")
+    : DEFAULT_STATUS;
+
+  const [entries, setEntries] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [errorMessage, setErrorMessage] = useState("");
+  const [refreshIndex, setRefreshIndex] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchQueue = async () => {
+      setStatus("loading");
+      setErrorMessage("");
+
+      try {
+        const query = new URLSearchParams({ status: statusFilter }).toString();
+        const payload = await authenticatedFetch.requestJson(
+          `${ADMIN_VERIFICATIONS_ENDPOINT}?${query}`,
+          { method: "GET" }
+        );
+        if (cancelled) {
+          return;
+        }
+        setEntries(extractList(payload, ["verifications", "freelancers"]));
+        setStatus("ready");
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+        console.warn("[AdminVerificationQueue] Failed to load queue", error);
+        setErrorMessage(
+          getErrorMessage(error, "We couldn't load the verification queue. Please try again.")
+        );
+        setStatus("error");
+      }
+    };
+
+    fetchQueue();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, refreshIndex, statusFilter]);
+
+  const handleStatusChange = (event) => {
+    const nextStatus = event.target.value;
+    setSearchParams(nextStatus === DEFAULT_STATUS ? {} : { status: nextStatus });
+  };
+
+  return (
+    <section className="page admin-page">
+      <header className="page-header">
+        <h1>Freelancer verifications</h1>
+        <p className="page-subtitle">
+          Review identity documents and approve freelancers before their profiles go public.
+        </p>
+      </header>
+
+      <AdminNav />
+
+      <div className="admin-toolbar">
+        <div className="field">
+          <label htmlFor="admin-queue-status">Status</label>
+          <select
+            id="admin-queue-status"
+            value={statusFilter}
+            onChange={handleStatusChange}
+          >
+            {QUEUE_STATUS_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => setRefreshIndex((previous) => previous + 1)}
+          disabled={status === "loading"}
+        >
+          Refresh
+        </button>
+      </div>
+
+      {status === "loading" && (
+        <p className="notice info" aria-live="polite">
+          Loading verifications…
+        </p>
+      )}
+
+      {status === "error" && (
+        <div className="form-footer">
+          <p className="notice error" role="alert">
+            {errorMessage}
+          </p>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setRefreshIndex((previous) => previous + 1)}
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
+      {status === "ready" && entries.length === 0 && (
+        <p className="notice success">Nothing to review in this queue.</p>
+      )}
+
+      {status === "ready" && entries.length > 0 && (
+        <ul className="admin-list">
+          {entries.map((entry) => {
+            const verification = getVerificationState(entry);
+            const copy = VERIFICATION_COPY[verification.status] ?? VERIFICATION_COPY.pending;
+            const submittedAt = formatDateTime(
+              entry?.verification_submitted_at ?? entry?.submitted_at ?? entry?.updated_at
+            );
+            return (
+              <li key={entry.id} className="admin-card">
+                <div>
+                  <p className="admin-card__title">{getDisplayName(entry)}</p>
+                  <p className="admin-card__meta">
+                    {[getEmail(entry), submittedAt && `Submitted ${submittedAt}`]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </p>
+                </div>
+                <span className={`admin-badge admin-badge--${copy.tone}`}>{copy.label}</span>
+                <Link to={`/admin/freelancers/${entry.id}`} className="btn btn-secondary">
+                  Review
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+const AdminVerificationQueueWithAuth = withAdminAuth(AdminVerificationQueue);
+
+AdminVerificationQueueWithAuth.displayName = "AdminVerificationQueueWithAuth";
+
+export default AdminVerificationQueueWithAuth;
@@ -0,0 +1,64 @@
+export const ADMIN_VERIFICATIONS_ENDPOINT = "/admin/freelancers/verifications/";
+export const ADMIN_USERS_ENDPOINT = "/admin/users/";
+
+export const getAdminFreelancerEndpoint = (freelancerId) =>
+  `/admin/freelancers/${encodeURIComponent(freelancerId)}/`;
+
+export const getAdminVerificationEndpoint = (freelancerId) =>
+  `/admin/freelancers/${encodeURIComponent(freelancerId)}/verification/`;
+
+export const getAdminSuspensionEndpoint = (freelancerId) =>
+  `/admin/freelancers/${encodeURIComponent(freelancerId)}/suspension/`;
+
+export const QUEUE_STATUS_OPTIONS = [
+  { value: "pending", label: "Pending review" },
+  { value: "resubmission_requested", label: "Awaiting resubmission" },
+  { value: "rejected", label: "Rejected" },
+  { value: "approved", label: "Approved" },
+];
+
+const isRecord = (value) =>
+  value != null && typeof value === "object" && !Array.isArray(value);
+
+export const extractList = (payload, keys) => {
+  if (Array.isArray(payload)) {
+    return payload;
+  }
+  if (!isRecord(payload)) {
+    return [];
+  }
+  for (const key of [...keys, "results", "items", "data"]) {
+    if (Array.isArray(payload[key])) {
+      return payload[key];
+    }
+  }
+  return [];
+};
+
+// Queue entries and lookups may return the freelancer with the user nested
+// under `user`, or the user with the freelancer nested under `freelancer`.
+export const getDisplayName = (entry) =>
+  entry?.full_name ??
+  entry?.user?.full_name ??
+  entry?.email ??
+  entry?.user?.email ??
+  "Unnamed user";
+
+export const getEmail = (entry) => entry?.email ?? entry?.user?.email ?? null;
+
+export const getFreelancerId = (entry) =>
+  entry?.freelancer_id ?? entry?.freelancer?.id ?? null;
+
+export const formatDateTime = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+};
@@ -0,0 +1,473 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import withCustomerAuth from "../../hoc/withCustomerAuth.jsx";
+import { useAuth } from "../../hooks/useAuth.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { useToast } from "../../hooks/useToast.jsx";
+import { ERROR_KINDS, describeApiError } from "../../utils/apiErrors";
+import { REALTIME_EVENTS } from "../../utils/realtime.js";
+import BookingStatusBadge from "../../components/bookings/BookingStatusBadge.jsx";
+import {
+  BOOKING_STATUSES,
+  LOCATION_LABELS,
+  extractBooking,
+  formatAddress,
+  formatBookingDate,
+  formatBookingTimeRange,
+  getBookingCancelEndpoint,
+  getBookingEndpoint,
+  getBookingPolicy,
+  getBookingRescheduleEndpoint,
+  getRebookPath,
+  getReschedulePath,
+} from "../../components/bookings/bookingHelpers.js";
+
+const MAX_CANCEL_REASON_LENGTH = 500;
+
+// Bookings store the address id; the saved address is looked up so the
+// customer sees its current label, or a note if it has since been deleted.
+const BookingAddress = ({ booking }) => {
+  const authenticatedFetch = useAuthenticatedFetch();
+  const [address, setAddress] = useState(booking.address);
+  const [status, setStatus] = useState(booking.address ? "ready" : "loading");
+
+  const needsLookup = !booking.address && booking.addressId != null;
+
+  useEffect(() => {
+    if (!needsLookup) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    setStatus("loading");
+
+    const fetchAddress = async () => {
+      try {
+        const payload = await authenticatedFetch.requestJson(
+          `/users/me/addresses/${encodeURIComponent(booking.addressId)}`,
+          { method: "GET" }
+        );
+        if (!cancelled) {
+          setAddress(payload?.address ?? payload ?? null);
+          setStatus("ready");
+        }
+      } catch (fetchError) {
+        if (!cancelled) {
+          const { kind } = describeApiError(fetchError);
+          setStatus(kind === ERROR_KINDS.notFound ? "missing" : "error");
+        }
+      }
+    };
+
+    fetchAddress();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, booking.addressId, needsLookup]);
+
+  if (booking.addressId == null && !booking.address) {
+    return <span>{LOCATION_LABELS[booking.location] ?? LOCATION_LABELS.on_premise}</span>;
+  }
+
+  if (status === "loading") {
+    return <span className="text-slate-500">Loading address…</span>;
+  }
+
+  if (status === "missing") {
+    return (
+      <span className="text-slate-500">
+        This address has since been removed from your saved addresses.
+      </span>
+    );
+  }
+
+  if (status === "error" || !address) {
+    return <span className="text-slate-500">We couldn&apos;t load the address for this booking.</span>;
+  }
+
+  const label = address.address_label ?? address.label;
+
+  return (
+    <span className="flex flex-col items-end gap-1 text-right">
+      {label ? <span className="font-medium text-slate-900">{label}</span> : null}
+      <span>{formatAddress(address) || "Saved address"}</span>
+      {address.id != null ? (
+        <Link to={`/addresses/${address.id}`} className="text-xs font-semibold text-slate-700 underline">
+          View saved address
+        </Link>
+      ) : null}
+    </span>
+  );
+};
+
+const CancelBookingForm = ({ booking, onCancelled, onClose }) => {
+  const authenticatedFetch = useAuthenticatedFetch();
+  const [reason, setReason] = useState("");
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus("submitting");
+    setError("");
+
+    try {
+      const payload = await authenticatedFetch.requestJson(getBookingCancelEndpoint(booking.id), {
+        method: "POST",
+        body: JSON.stringify({ reason: reason.trim() || null }),
+      });
+      onCancelled(
+        extractBooking(payload) ?? {
+          ...booking,
+          status: BOOKING_STATUSES.cancelled,
+          cancellationReason: reason.trim() || null,
+        }
+      );
+    } catch (cancelError) {
+      const { message } = describeApiError(cancelError, {
+        fallbackMessage: "We couldn't cancel this booking. Please try again.",
+        messages: {
+          [ERROR_KINDS.conflict]: "This booking can no longer be cancelled.",
+          [ERROR_KINDS.forbidden]: "This booking is too close to its start time to cancel online.",
+        },
+      });
+      setError(message);
+      setStatus("idle");
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="space-y-3 rounded-2xl border border-rose-200 bg-rose-50 p-5"
+    >
+      <p className="text-sm font-semibold text-rose-800">Cancel this booking?</p>
+      <label className="block text-sm text-rose-800">
+        Reason (optional, shared with the freelancer)
+        <textarea
+          value={reason}
+          onChange={(event) => setReason(event.target.value)}
+          maxLength={MAX_CANCEL_REASON_LENGTH}
+          rows={3}
+          className="mt-1 w-full rounded-xl border border-rose-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-rose-400 focus:outline-none"
+        />
+      </label>
+      {error ? <p className="text-sm text-rose-700">{error}</p> : null}
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="submit"
+          disabled={status === "submitting"}
+          className="rounded-full bg-rose-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-rose-500 disabled:opacity-60"
+        >
+          {status === "submitting" ? "Cancelling…" : "Cancel booking"}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          disabled={status === "submitting"}
+          className="rounded-full border border-rose-200 bg-white px-4 py-2 text-sm font-semibold text-rose-700 transition hover:bg-rose-100"
+        >
+          Keep booking
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Shown while the freelancer has suggested a different slot for a pending
+// request. Accepting reuses the reschedule endpoint with the proposed times.
+const ProposedTimeNotice = ({ booking, onAccepted }) => {
+  const authenticatedFetch = useAuthenticatedFetch();
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState("");
+
+  const handleAccept = async () => {
+    setStatus("submitting");
+    setError("");
+
+    try {
+      const payload = await authenticatedFetch.requestJson(getBookingRescheduleEndpoint(booking.id), {
+        method: "POST",
+        body: JSON.stringify({
+          start_time: booking.proposedStartTime.toISOString(),
+          end_time: booking.proposedEndTime.toISOString(),
+        }),
+      });
+      onAccepted(
+        extractBooking(payload) ?? {
+          ...booking,
+          startTime: booking.proposedStartTime,
+          endTime: booking.proposedEndTime,
+          proposedStartTime: null,
+          proposedEndTime: null,
+          proposalMessage: null,
+        }
+      );
+    } catch (acceptError) {
+      const { message } = describeApiError(acceptError, {
+        fallbackMessage: "We couldn't accept the new time. Please try again.",
+        messages: {
+          [ERROR_KINDS.conflict]: "That time is no longer available. Message the freelancer to find another.",
+        },
+      });
+      setError(message);
+      setStatus("idle");
+    }
+  };
+
+  return (
+    <div className="space-y-3 rounded-2xl border border-violet-200 bg-violet-50 p-5 text-sm text-violet-900">
+      <p className="font-semibold">
+        {booking.freelancerName} suggested {formatBookingDate(booking.proposedStartTime)},{" "}
+        {formatBookingTimeRange(booking.proposedStartTime, booking.proposedEndTime)}
+      </p>
+      {booking.proposalMessage ? <p className="italic">“{booking.proposalMessage}”</p> : null}
+      {error ? <p className="text-rose-700">{error}</p> : null}
+      <button
+        type="button"
+        onClick={handleAccept}
+        disabled={status === "submitting"}
+        className="rounded-full bg-violet-600 px-4 py-2 font-semibold text-white transition hover:bg-violet-500 disabled:opacity-60"
+      >
+        {status === "submitting" ? "Accepting…" : "Accept new time"}
+      </button>
+    </div>
+  );
+};
+
+export const BookingDetail = () => {
+  const { bookingId } = useParams();
+  const { lastBookingEvent, recordBookingEvent } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const toast = useToast();
+  const [booking, setBooking] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState(null);
+  const [refreshIndex, setRefreshIndex] = useState(0);
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  // Only events about this booking trigger a reload.
+  const eventBookingId = lastBookingEvent?.booking?.id;
+  const eventKey =
+    eventBookingId != null && String(eventBookingId) === bookingId ? lastBookingEvent.receivedAt : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+
+    const fetchBooking = async () => {
+      try {
+        const payload = await authenticatedFetch.requestJson(getBookingEndpoint(bookingId), {
+          method: "GET",
+        });
+        if (cancelled) {
+          return;
+        }
+        setBooking(extractBooking(payload));
+        setStatus("ready");
+      } catch (fetchError) {
+        if (!cancelled) {
+          console.warn("[BookingDetail] Failed to load booking", fetchError);
+          setError(fetchError);
+          setStatus("error");
+        }
+      }
+    };
+
+    fetchBooking();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, bookingId, eventKey, refreshIndex]);
+
+  const policy = useMemo(() => (booking ? getBookingPolicy(booking) : null), [booking]);
+
+  const handleCancelled = (updated) => {
+    setBooking(updated);
+    setIsCancelling(false);
+    recordBookingEvent(REALTIME_EVENTS.bookingCancelled, { id: updated.id, status: updated.status });
+    toast?.success?.({
+      title: "Booking cancelled",
+      message: `We've let ${updated.freelancerName} know.`,
+    });
+  };
+
+  const handleProposalAccepted = (updated) => {
+    setBooking(updated);
+    toast?.success?.({
+      title: "New time accepted",
+      message: `Your booking with ${updated.freelancerName} has been updated.`,
+    });
+  };
+
+  const loadErrorMessage = describeApiError(error, {
+    fallbackMessage: "We couldn't load this booking. Please try again.",
+    messages: {
+      [ERROR_KINDS.notFound]: "We couldn't find that booking.",
+    },
+  }).message;
+
+  const rebookPath = booking ? getRebookPath(booking) : null;
+  const reschedulePath = booking ? getReschedulePath(booking) : null;
+  const canReview = booking?.status === BOOKING_STATUSES.completed && !booking.isReviewed;
+
+  return (
+    <section className="min-h-screen bg-gradient-to-b from-slate-50 via-white to-slate-50 py-12">
+      <div className="mx-auto flex w-full max-w-3xl flex-col gap-6 px-4 sm:px-6">
+        <Link
+          to="/bookings"
+          className="self-start rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 shadow-sm transition hover:border-slate-300 hover:text-slate-900"
+        >
+          ← All bookings
+        </Link>
+
+        {status === "loading" ? <p className="text-slate-600">Loading booking…</p> : null}
+
+        {status === "error" ? (
+          <div className="flex flex-wrap items-center gap-3 rounded-2xl border border-rose-200 bg-rose-50 px-6 py-4 text-rose-700">
+            <p>{loadErrorMessage}</p>
+            <button
+              type="button"
+              onClick={() => setRefreshIndex((previous) => previous + 1)}
+              className="font-semibold underline"
+            >
+              Try again
+            </button>
+          </div>
+        ) : null}
+
+        {status === "ready" && booking ? (
+          <article className="flex flex-col gap-6 rounded-3xl border border-slate-200 bg-white/95 p-8 shadow-xl shadow-slate-200/70">
+            <header className="flex flex-wrap items-start justify-between gap-4">
+              <div className="space-y-1">
+                <h1 className="text-2xl font-semibold text-slate-900">{booking.serviceTitle}</h1>
+                <p className="text-sm text-slate-600">Booking #{booking.id}</p>
+              </div>
+              <BookingStatusBadge status={booking.status} />
+            </header>
+
+            <dl className="grid gap-3 rounded-2xl bg-slate-50 p-5 text-sm text-slate-700">
+              <div className="flex justify-between gap-4">
+                <dt className="font-semibold text-slate-900">Freelancer</dt>
+                <dd>
+                  {booking.freelancerId ? (
+                    <Link to={`/freelancers/${booking.freelancerId}`} className="hover:underline">
+                      {booking.freelancerName}
+                    </Link>
+                  ) : (
+                    booking.freelancerName
+                  )}
+                </dd>
+              </div>
+              <div className="flex justify-between gap-4">
+                <dt className="font-semibold text-slate-900">When</dt>
+                <dd className="text-right">
+                  {formatBookingDate(booking.startTime)}
+                  {booking.startTime ? (
+                    <span className="block">{formatBookingTimeRange(booking.startTime, booking.endTime)}</span>
+                  ) : null}
+                </dd>
+              </div>
+              <div className="flex justify-between gap-4">
+                <dt className="font-semibold text-slate-900">Where</dt>
+                <dd>
+                  <BookingAddress key={booking.addressId ?? "none"} booking={booking} />
+                </dd>
+              </div>
+              {typeof booking.price === "number" ? (
+                <div className="flex justify-between gap-4">
+                  <dt className="font-semibold text-slate-900">Price</dt>
+                  <dd>{booking.price.toFixed(2)}</dd>
+                </div>
+              ) : null}
+              {booking.notes ? (
+                <div className="flex justify-between gap-4">
+                  <dt className="font-semibold text-slate-900">Your notes</dt>
+                  <dd className="text-right">{booking.notes}</dd>
+                </div>
+              ) : null}
+              {booking.cancellationReason ? (
+                <div className="flex justify-between gap-4">
+                  <dt className="font-semibold text-slate-900">Cancellation reason</dt>
+                  <dd className="text-right">{booking.cancellationReason}</dd>
+                </div>
+              ) : null}
+            </dl>
+
+            {booking.status === BOOKING_STATUSES.requested &&
+            booking.proposedStartTime &&
+            booking.proposedEndTime ? (
+              <ProposedTimeNotice booking={booking} onAccepted={handleProposalAccepted} />
+            ) : null}
+
+            {isCancelling ? (
+              <CancelBookingForm
+                booking={booking}
+                onCancelled={handleCancelled}
+                onClose={() => setIsCancelling(false)}
+              />
+            ) : null}
+
+            <footer className="flex flex-wrap gap-3">
+              {canReview ? (
+                <Link
+                  to={`/bookings/${booking.id}/review`}
+                  className="rounded-full bg-amber-400 px-5 py-2 text-sm font-semibold text-slate-900 transition hover:bg-amber-300"
+                >
+                  Leave a review
+                </Link>
+              ) : null}
+              {policy.reschedule.allowed && reschedulePath ? (
+                <Link
+                  to={reschedulePath}
+                  className="rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700"
+                >
+                  Reschedule
+                </Link>
+              ) : null}
+              {policy.cancel.allowed && !isCancelling ? (
+                <button
+                  type="button"
+                  onClick={() => setIsCancelling(true)}
+                  className="rounded-full border border-rose-300 px-5 py-2 text-sm font-semibold text-rose-700 transition hover:bg-rose-50"
+                >
+                  Cancel booking
+                </button>
+              ) : null}
+              {rebookPath ? (
+                <Link
+                  to={rebookPath}
+                  className="rounded-full border border-slate-900 px-5 py-2 text-sm font-semibold text-slate-900 transition hover:bg-slate-900 hover:text-white"
+                >
+                  Book again
+                </Link>
+              ) : null}
+              {booking.freelancerId ? (
+                <Link
+                  to={`/freelancers/${booking.freelancerId}/message`}
+                  className="rounded-full border border-slate-300 px-5 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100"
+                >
+                  Message freelancer
+                </Link>
+              ) : null}
+            </footer>
+
+            {!policy.cancel.allowed &&
+            booking.status !== BOOKING_STATUSES.cancelled &&
+            booking.status !== BOOKING_STATUSES.completed ? (
+              <p className="text-sm text-slate-500">{policy.cancel.reason}</p>
+            ) : null}
+          </article>
+        ) : null}
+      </div>
+    </section>
+  );
+};
+
+const BookingDetailWithAuth = withCustomerAuth(BookingDetail);
+
+BookingDetailWithAuth.displayName = "BookingDetailWithAuth";
+
+export default BookingDetailWithAuth;
@@ -0,0 +1,808 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import withCustomerAuth from "../../hoc/withCustomerAuth.jsx";
+import { useApiFetch } from "../../hooks/useApiFetch.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { useToast } from "../../hooks/useToast.jsx";
+import { ERROR_KINDS, NotFoundError, describeApiError } from "../../utils/apiErrors";
+import {
+  extractScheduleExceptions,
+  extractSchedules,
+  mapExceptionsToForm,
+  mapSchedulesToFormSchedule,
+} from "../../components/freelancer/scheduleHelpers.js";
+import {
+  durationSecondsToMinutes,
+  getAvailableSlots,
+} from "../../utils/availability.js";
+import {
+  BOOKINGS_ENDPOINT,
+  LOCATION_LABELS,
+  extractBooking,
+  extractBusyIntervals,
+  formatAddress,
+  getBookingEndpoint,
+  getBookingRescheduleEndpoint,
+  getFreelancerBusyEndpoint,
+} from "../../components/bookings/bookingHelpers.js";
+
+const BOOKING_WINDOW_DAYS = 14;
+const ADDRESS_PAGE_SIZE = 20;
+
+const STEP_LABELS = {
+  service: "Service",
+  slot: "Date & time",
+  address: "Address",
+  confirm: "Confirm",
+};
+
+const getIntervalTime = (interval, field) => {
+  const value = interval?.[`${field}_time`] ?? interval?.[`${field}Time`] ?? interval?.[field];
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.getTime() : null;
+};
+
+// The booking being rescheduled is in the freelancer's busy list too; leave it
+// out so slots overlapping its current time can still be picked.
+const withoutBooking = (intervals, booking) => {
+  if (!booking?.startTime || !booking?.endTime) {
+    return intervals;
+  }
+  const start = booking.startTime.getTime();
+  const end = booking.endTime.getTime();
+  return intervals.filter(
+    (interval) =>
+      getIntervalTime(interval, "start") !== start || getIntervalTime(interval, "end") !== end
+  );
+};
+
+const getFreelancerFromPayload = (payload) => {
+  if (!payload || typeof payload !== "object") {
+    return null;
+  }
+
+  if (payload.freelancer && typeof payload.freelancer === "object") {
+    return payload.freelancer;
+  }
+
+  return payload;
+};
+
+const extractAddresses = (payload) => {
+  if (!payload) {
+    return [];
+  }
+
+  if (Array.isArray(payload.addresses)) {
+    return payload.addresses;
+  }
+
+  if (Array.isArray(payload)) {
+    return payload;
+  }
+
+  return [];
+};
+
+const getServiceKey = (service) =>
+  service?.id != null ? String(service.id) : null;
+
+const formatPrice = (service) => {
+  if (typeof service?.fixed_price === "number") {
+    return `${service.fixed_price.toFixed(2)}`;
+  }
+  if (typeof service?.min_price === "number" && typeof service?.max_price === "number") {
+    return `${service.min_price.toFixed(2)} – ${service.max_price.toFixed(2)}`;
+  }
+  return null;
+};
+
+const formatDateLabel = (date) =>
+  date.toLocaleDateString(undefined, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+  });
+
+const StepIndicator = ({ steps, activeStep }) => (
+  <ol className="flex flex-wrap items-center gap-3 text-sm">
+    {steps.map((step, index) => {
+      const isActive = step === activeStep;
+      const isComplete = steps.indexOf(activeStep) > index;
+      return (
+        <li
+          key={step}
+          className={`inline-flex items-center gap-2 rounded-full px-4 py-1 font-semibold ${
+            isActive
+              ? "bg-slate-900 text-white"
+              : isComplete
+              ? "bg-emerald-100 text-emerald-700"
+              : "bg-slate-100 text-slate-500"
+          }`}
+        >
+          <span>{index + 1}.</span>
+          {STEP_LABELS[step]}
+        </li>
+      );
+    })}
+  </ol>
+);
+
+const BookingWizard = () => {
+  const { id: routeId } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const apiFetch = useApiFetch();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const toast = useToast();
+
+  const freelancerId = routeId?.trim() ?? "";
+  // `?reschedule=<bookingId>` reuses the slot picker to move an existing
+  // booking; the service and address stay as they were.
+  const rescheduleId = searchParams.get("reschedule");
+  const isRescheduling = Boolean(rescheduleId);
+
+  const [status, setStatus] = useState("loading");
+  const [loadError, setLoadError] = useState(null);
+  const [freelancer, setFreelancer] = useState(null);
+  const [weeklySchedule, setWeeklySchedule] = useState(null);
+  const [scheduleExceptions, setScheduleExceptions] = useState([]);
+  const [busyIntervals, setBusyIntervals] = useState([]);
+  const [rescheduledBooking, setRescheduledBooking] = useState(null);
+  const [addresses, setAddresses] = useState([]);
+  const [addressStatus, setAddressStatus] = useState("loading");
+  const [refreshIndex, setRefreshIndex] = useState(0);
+
+  const [activeStep, setActiveStep] = useState(isRescheduling ? "slot" : "service");
+  const [serviceKey, setServiceKey] = useState(() => searchParams.get("service"));
+  const [dateKey, setDateKey] = useState(null);
+  const [startTime, setStartTime] = useState(null);
+  const [addressId, setAddressId] = useState(null);
+  const [notes, setNotes] = useState("");
+  const [submitStatus, setSubmitStatus] = useState("idle");
+  const [submitError, setSubmitError] = useState(null);
+  const [takenSlots, setTakenSlots] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setStatus("loading");
+      setLoadError(null);
+
+      try {
+        const allowMissing = (error) => {
+          if (error instanceof NotFoundError) {
+            return null;
+          }
+          throw error;
+        };
+        const windowStart = new Date();
+        windowStart.setHours(0, 0, 0, 0);
+        const windowEnd = new Date(windowStart);
+        windowEnd.setDate(windowStart.getDate() + BOOKING_WINDOW_DAYS);
+        const [freelancerPayload, schedulePayload, exceptionsPayload, busyPayload] =
+          await Promise.all([
+            apiFetch.getJson(`/freelancers/${freelancerId}`),
+            apiFetch.getJson(`/freelancers/${freelancerId}/schedules`).catch(allowMissing),
+            apiFetch
+              .getJson(`/freelancers/${freelancerId}/schedule-exceptions`)
+              .catch(allowMissing),
+            apiFetch
+              .getJson(getFreelancerBusyEndpoint(freelancerId, { from: windowStart, to: windowEnd }))
+              .catch(allowMissing),
+          ]);
+
+        if (cancelled) {
+          return;
+        }
+
+        setFreelancer(getFreelancerFromPayload(freelancerPayload));
+        setWeeklySchedule(mapSchedulesToFormSchedule(extractSchedules(schedulePayload)));
+        setScheduleExceptions(mapExceptionsToForm(extractScheduleExceptions(exceptionsPayload)));
+        setBusyIntervals(extractBusyIntervals(busyPayload));
+        setStatus("ready");
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+        setLoadError(error);
+        setStatus("error");
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiFetch, freelancerId, refreshIndex]);
+
+  useEffect(() => {
+    if (!rescheduleId) {
+      setRescheduledBooking(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const loadRescheduledBooking = async () => {
+      try {
+        const payload = await authenticatedFetch.requestJson(getBookingEndpoint(rescheduleId), {
+          method: "GET",
+        });
+        if (!cancelled) {
+          setRescheduledBooking(extractBooking(payload));
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.warn("[BookingWizard] Failed to load the booking being rescheduled", error);
+        }
+      }
+    };
+
+    loadRescheduledBooking();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, rescheduleId]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadAddresses = async () => {
+      setAddressStatus("loading");
+      try {
+        const params = new URLSearchParams({
+          page_id: "1",
+          page_size: String(ADDRESS_PAGE_SIZE),
+        });
+        const payload = await authenticatedFetch.requestJson(
+          `/users/me/addresses?${params.toString()}`,
+          { method: "GET" }
+        );
+        if (cancelled) {
+          return;
+        }
+        const nextAddresses = extractAddresses(payload);
+        setAddresses(nextAddresses);
+        setAddressId((previous) => {
+          if (previous != null) {
+            return previous;
+          }
+          const preferred =
+            nextAddresses.find((address) => address?.is_default) ?? nextAddresses[0];
+          return preferred?.id ?? null;
+        });
+        setAddressStatus("ready");
+      } catch (error) {
+        if (cancelled) {
+          return;
+        }
+        console.warn("[BookingWizard] Failed to load addresses", error);
+        setAddressStatus("error");
+      }
+    };
+
+    loadAddresses();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch]);
+
+  const services = useMemo(
+    () =>
+      (Array.isArray(freelancer?.services) ? freelancer.services : []).filter(
+        (service) => getServiceKey(service) != null
+      ),
+    [freelancer]
+  );
+
+  const selectedService = useMemo(
+    () => services.find((service) => getServiceKey(service) === serviceKey) ?? null,
+    [serviceKey, services]
+  );
+
+  const requiresAddress = selectedService?.location === "door_step";
+
+  const steps = useMemo(() => {
+    if (isRescheduling) {
+      return ["slot", "confirm"];
+    }
+    return requiresAddress
+      ? ["service", "slot", "address", "confirm"]
+      : ["service", "slot", "confirm"];
+  }, [isRescheduling, requiresAddress]);
+
+  const durationMinutes = durationSecondsToMinutes(selectedService?.service_duration_seconds);
+
+  const availableDays = useMemo(() => {
+    const now = new Date();
+    const lastDay = new Date(now);
+    lastDay.setDate(now.getDate() + BOOKING_WINDOW_DAYS - 1);
+
+    return getAvailableSlots({
+      schedule: weeklySchedule,
+      serviceDurationSeconds: selectedService?.service_duration_seconds,
+      bookings: [...withoutBooking(busyIntervals, rescheduledBooking), ...takenSlots],
+      exceptions: scheduleExceptions,
+      from: now,
+      to: lastDay,
+      now,
+    });
+  }, [
+    busyIntervals,
+    rescheduledBooking,
+    scheduleExceptions,
+    selectedService,
+    takenSlots,
+    weeklySchedule,
+  ]);
+
+  const selectedDay = availableDays.find((entry) => entry.dateKey === dateKey) ?? null;
+  const selectedSlot = selectedDay?.slots.find((slot) => slot.time === startTime) ?? null;
+
+  const selectedAddress = useMemo(
+    () => addresses.find((address) => address?.id === addressId) ?? null,
+    [addressId, addresses]
+  );
+
+  const goToStep = useCallback((step) => {
+    setSubmitError(null);
+    setActiveStep(step);
+  }, []);
+
+  const goToNextStep = useCallback(() => {
+    const index = steps.indexOf(activeStep);
+    if (index >= 0 && index < steps.length - 1) {
+      goToStep(steps[index + 1]);
+    }
+  }, [activeStep, goToStep, steps]);
+
+  const goToPreviousStep = useCallback(() => {
+    const index = steps.indexOf(activeStep);
+    if (index > 0) {
+      goToStep(steps[index - 1]);
+    }
+  }, [activeStep, goToStep, steps]);
+
+  const handleSelectService = (service) => {
+    const key = getServiceKey(service);
+    if (key !== serviceKey) {
+      setDateKey(null);
+      setStartTime(null);
+    }
+    setServiceKey(key);
+  };
+
+  const handleSelectDate = (key) => {
+    if (key !== dateKey) {
+      setStartTime(null);
+    }
+    setDateKey(key);
+  };
+
+  const canContinue =
+    (activeStep === "service" && Boolean(selectedService)) ||
+    (activeStep === "slot" && Boolean(selectedSlot)) ||
+    (activeStep === "address" && Boolean(selectedAddress));
+
+  const handleReschedule = async (start, end) => {
+    setSubmitError(null);
+    setSubmitStatus("submitting");
+
+    try {
+      await authenticatedFetch.requestJson(getBookingRescheduleEndpoint(rescheduleId), {
+        method: "POST",
+        body: JSON.stringify({
+          start_time: start.toISOString(),
+          end_time: end.toISOString(),
+        }),
+      });
+
+      setSubmitStatus("success");
+      toast?.success?.({
+        title: "Booking rescheduled",
+        message: `${selectedService.title ?? "Your service"} moved to ${formatDateLabel(
+          start
+        )} at ${startTime}.`,
+      });
+      navigate(`/bookings/${rescheduleId}`, { replace: true });
+    } catch (error) {
+      const { kind, status: statusCode, message } = describeApiError(error, {
+        fallbackMessage: "We couldn't reschedule your booking. Please try again.",
+        messages: {
+          [ERROR_KINDS.conflict]: "That slot was just taken. Please pick another time.",
+          [ERROR_KINDS.forbidden]: "This booking can no longer be rescheduled online.",
+        },
+      });
+      console.error("[BookingWizard] Failed to reschedule booking", { statusCode, error });
+
+      if (kind === ERROR_KINDS.conflict) {
+        setTakenSlots((previous) => [...previous, { start, end }]);
+        setStartTime(null);
+        goToStep("slot");
+      }
+
+      setSubmitError(message);
+      setSubmitStatus("failed");
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (submitStatus === "submitting" || !selectedService || !selectedSlot) {
+      return;
+    }
+
+    const { start, end } = selectedSlot;
+    if (start <= new Date()) {
+      setStartTime(null);
+      goToStep("slot");
+      setSubmitError("That time has already passed. Please pick another slot.");
+      return;
+    }
+
+    if (isRescheduling) {
+      await handleReschedule(start, end);
+      return;
+    }
+
+    const payload = {
+      freelancer_id: Number.parseInt(freelancerId, 10),
+      service_id: selectedService.id,
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      notes: notes.trim() || null,
+    };
+
+    if (requiresAddress) {
+      payload.address_id = selectedAddress?.id ?? null;
+    }
+
+    setSubmitError(null);
+    setSubmitStatus("submitting");
+
+    try {
+      await authenticatedFetch.requestJson(BOOKINGS_ENDPOINT, {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+
+      setSubmitStatus("success");
+      toast?.success?.({
+        title: "Booking requested",
+        message: `${selectedService.title ?? "Your service"} on ${formatDateLabel(
+          start
+        )} at ${startTime} is waiting for confirmation.`,
+      });
+      navigate("/bookings", { replace: true });
+    } catch (error) {
+      const { kind, status: statusCode, message } = describeApiError(error, {
+        fallbackMessage: "We couldn't create your booking. Please try again.",
+        messages: {
+          [ERROR_KINDS.conflict]: "That slot was just taken. Please pick another time.",
+          [ERROR_KINDS.forbidden]: "Only customer accounts can book services.",
+        },
+      });
+      console.error("[BookingWizard] Failed to create booking", { statusCode, error });
+
+      if (kind === ERROR_KINDS.conflict) {
+        setTakenSlots((previous) => [...previous, { start, end }]);
+        setStartTime(null);
+        setSubmitStatus("failed");
+        goToStep("slot");
+        setSubmitError(message);
+        return;
+      }
+
+      setSubmitError(message);
+      toast?.error?.({ message });
+      setSubmitStatus("failed");
+    }
+  };
+
+  const isSubmitting = submitStatus === "submitting";
+  const confirmLabel = isRescheduling ? "Confirm new time" : "Confirm booking";
+  const submittingLabel = isRescheduling ? "Rescheduling…" : "Booking…";
+
+  const loadErrorMessage = loadError
+    ? describeApiError(loadError, {
+        fallbackMessage: "Unable to load booking details. Please try again.",
+        messages: {
+          [ERROR_KINDS.notFound]: "We could not find a freelancer with that ID.",
+        },
+      }).message
+    : "Unable to load booking details. Please try again.";
+
+  return (
+    <section className="min-h-screen bg-gradient-to-b from-slate-50 via-white to-slate-50 py-12">
+      <div className="mx-auto flex w-full max-w-4xl flex-col gap-8 px-4 sm:px-6 lg:px-8">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <Link
+            to={isRescheduling ? `/bookings/${rescheduleId}` : `/freelancers/${freelancerId}`}
+            className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 shadow-sm transition hover:border-slate-300 hover:text-slate-900"
+          >
+            {isRescheduling ? "← Back to booking" : "← Back to profile"}
+          </Link>
+        </div>
+
+        <header className="space-y-3">
+          <h1 className="text-3xl font-semibold text-slate-900">
+            {isRescheduling ? "Reschedule with" : "Book"} {freelancer?.full_name ?? "a freelancer"}
+          </h1>
+          <StepIndicator steps={steps} activeStep={activeStep} />
+        </header>
+
+        {status === "loading" ? (
+          <p className="rounded-2xl border border-slate-200 bg-white px-6 py-4 text-slate-600 shadow">
+            Loading availability…
+          </p>
+        ) : null}
+
+        {status === "error" ? (
+          <div className="flex flex-col gap-4 rounded-3xl border border-red-200 bg-red-50 p-8 text-red-700">
+            <p>{loadErrorMessage}</p>
+            <button
+              type="button"
+              onClick={() => setRefreshIndex((previous) => previous + 1)}
+              className="self-start rounded-full bg-red-600 px-5 py-2 text-sm font-semibold text-white hover:bg-red-500"
+            >
+              Try again
+            </button>
+          </div>
+        ) : null}
+
+        {status === "ready" ? (
+          <article className="flex flex-col gap-6 rounded-3xl border border-slate-200 bg-white/95 p-8 shadow-xl shadow-slate-200/70">
+            {submitError ? (
+              <p className="rounded-2xl bg-rose-50 px-4 py-3 text-sm text-rose-700" role="alert">
+                {submitError}
+              </p>
+            ) : null}
+
+            {activeStep === "service" ? (
+              <section className="space-y-4">
+                <h2 className="text-xl font-semibold text-slate-900">Choose a service</h2>
+                {services.length === 0 ? (
+                  <p className="text-sm text-slate-500">
+                    This freelancer hasn&apos;t listed any bookable services yet.
+                  </p>
+                ) : (
+                  <div className="grid gap-4 md:grid-cols-2">
+                    {services.map((service) => {
+                      const key = getServiceKey(service);
+                      const isSelected = key === serviceKey;
+                      const minutes = durationSecondsToMinutes(service.service_duration_seconds);
+                      const price = formatPrice(service);
+                      return (
+                        <button
+                          type="button"
+                          key={key}
+                          onClick={() => handleSelectService(service)}
+                          aria-pressed={isSelected}
+                          className={`flex flex-col gap-2 rounded-2xl border p-5 text-left transition ${
+                            isSelected
+                              ? "border-violet-400 bg-violet-50 shadow-md"
+                              : "border-slate-200 bg-white hover:border-slate-300"
+                          }`}
+                        >
+                          <span className="text-lg font-semibold text-slate-900">
+                            {service.title ?? service.service_category_name ?? "Service"}
+                          </span>
+                          <span className="text-sm text-slate-600">
+                            {[
+                              minutes ? `${minutes} min` : null,
+                              price,
+                              LOCATION_LABELS[service.location] ?? null,
+                            ]
+                              .filter(Boolean)
+                              .join(" · ")}
+                          </span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+              </section>
+            ) : null}
+
+            {activeStep === "slot" ? (
+              <section className="space-y-4">
+                <h2 className="text-xl font-semibold text-slate-900">Pick a date and time</h2>
+                {!selectedService ? (
+                  <p className="text-sm text-slate-500">
+                    This service is no longer offered. Cancel the booking and book again instead.
+                  </p>
+                ) : availableDays.length === 0 ? (
+                  <p className="text-sm text-slate-500">
+                    There are no open slots in the next {BOOKING_WINDOW_DAYS} days for this
+                    service.
+                  </p>
+                ) : (
+                  <>
+                    <div className="flex flex-wrap gap-2">
+                      {availableDays.map((entry) => (
+                        <button
+                          type="button"
+                          key={entry.dateKey}
+                          onClick={() => handleSelectDate(entry.dateKey)}
+                          aria-pressed={entry.dateKey === dateKey}
+                          className={`rounded-full border px-4 py-2 text-sm font-medium transition ${
+                            entry.dateKey === dateKey
+                              ? "border-slate-900 bg-slate-900 text-white"
+                              : "border-slate-200 bg-white text-slate-700 hover:border-slate-400"
+                          }`}
+                        >
+                          {formatDateLabel(entry.date)}
+                        </button>
+                      ))}
+                    </div>
+                    {selectedDay ? (
+                      <div className="grid grid-cols-3 gap-2 sm:grid-cols-5">
+                        {selectedDay.slots.map(({ time }) => (
+                          <button
+                            type="button"
+                            key={time}
+                            onClick={() => setStartTime(time)}
+                            aria-pressed={time === startTime}
+                            className={`rounded-xl border px-3 py-2 text-sm font-semibold transition ${
+                              time === startTime
+                                ? "border-violet-500 bg-violet-500 text-white"
+                                : "border-slate-200 bg-white text-slate-700 hover:border-violet-300"
+                            }`}
+                          >
+                            {time}
+                          </button>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="text-sm text-slate-500">Select a day to see open times.</p>
+                    )}
+                  </>
+                )}
+              </section>
+            ) : null}
+
+            {activeStep === "address" ? (
+              <section className="space-y-4">
+                <h2 className="text-xl font-semibold text-slate-900">Where should they come?</h2>
+                {addressStatus === "loading" ? (
+                  <p className="text-sm text-slate-500">Loading your addresses…</p>
+                ) : null}
+                {addressStatus === "error" ? (
+                  <p className="text-sm text-rose-700">
+                    We couldn&apos;t load your saved addresses. Please refresh and try again.
+                  </p>
+                ) : null}
+                {addressStatus === "ready" && addresses.length === 0 ? (
+                  <p className="text-sm text-slate-600">
+                    You don&apos;t have any saved addresses yet.{" "}
+                    <Link to="/addresses/new" className="font-semibold">
+                      Add an address
+                    </Link>{" "}
+                    and come back to finish your booking.
+                  </p>
+                ) : null}
+                {addressStatus === "ready" && addresses.length > 0 ? (
+                  <ul className="grid gap-3">
+                    {addresses.map((address) => (
+                      <li key={address.id}>
+                        <label
+                          className={`flex cursor-pointer items-start gap-3 rounded-2xl border p-4 transition ${
+                            address.id === addressId
+                              ? "border-violet-400 bg-violet-50"
+                              : "border-slate-200 bg-white hover:border-slate-300"
+                          }`}
+                        >
+                          <input
+                            type="radio"
+                            name="booking-address"
+                            checked={address.id === addressId}
+                            onChange={() => setAddressId(address.id)}
+                          />
+                          <span className="space-y-1">
+                            <span className="block font-semibold text-slate-900">
+                              {address.address_label ?? "Unnamed address"}
+                              {address.is_default ? " (default)" : ""}
+                            </span>
+                            <span className="block text-sm text-slate-600">
+                              {formatAddress(address)}
+                            </span>
+                          </span>
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                ) : null}
+              </section>
+            ) : null}
+
+            {activeStep === "confirm" ? (
+              <section className="space-y-4">
+                <h2 className="text-xl font-semibold text-slate-900">Review and confirm</h2>
+                <dl className="grid gap-3 rounded-2xl bg-slate-50 p-5 text-sm text-slate-700">
+                  <div className="flex justify-between gap-4">
+                    <dt className="font-semibold text-slate-900">Service</dt>
+                    <dd>{selectedService?.title ?? "Service"}</dd>
+                  </div>
+                  <div className="flex justify-between gap-4">
+                    <dt className="font-semibold text-slate-900">When</dt>
+                    <dd>
+                      {selectedDay ? formatDateLabel(selectedDay.date) : dateKey} at {startTime}
+                      {durationMinutes ? ` (${durationMinutes} min)` : ""}
+                    </dd>
+                  </div>
+                  <div className="flex justify-between gap-4">
+                    <dt className="font-semibold text-slate-900">Where</dt>
+                    <dd>
+                      {isRescheduling
+                        ? "Same as your original booking"
+                        : requiresAddress
+                        ? formatAddress(selectedAddress) || "Selected address"
+                        : LOCATION_LABELS.on_premise}
+                    </dd>
+                  </div>
+                  {formatPrice(selectedService) ? (
+                    <div className="flex justify-between gap-4">
+                      <dt className="font-semibold text-slate-900">Price</dt>
+                      <dd>{formatPrice(selectedService)}</dd>
+                    </div>
+                  ) : null}
+                </dl>
+                {!isRescheduling ? (
+                  <label className="grid gap-2 text-sm text-slate-700">
+                    <span className="font-semibold text-slate-900">Notes for the freelancer (optional)</span>
+                    <textarea
+                      value={notes}
+                      onChange={(event) => setNotes(event.target.value)}
+                      maxLength={500}
+                      className="rounded-xl border border-slate-200 p-3"
+                    />
+                  </label>
+                ) : null}
+              </section>
+            ) : null}
+
+            <footer className="flex flex-wrap items-center justify-between gap-3">
+              <button
+                type="button"
+                onClick={goToPreviousStep}
+                disabled={activeStep === steps[0] || isSubmitting}
+                className="rounded-full border border-slate-300 px-5 py-2 text-sm font-medium text-slate-700 transition disabled:cursor-not-allowed disabled:text-slate-400"
+              >
+                Back
+              </button>
+              {activeStep === "confirm" ? (
+                <button
+                  type="button"
+                  onClick={handleConfirm}
+                  disabled={isSubmitting}
+                  className="rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700 disabled:cursor-not-allowed disabled:bg-slate-300"
+                >
+                  {isSubmitting ? submittingLabel : confirmLabel}
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={goToNextStep}
+                  disabled={!canContinue}
+                  className="rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700 disabled:cursor-not-allowed disabled:bg-slate-300"
+                >
+                  Continue
+                </button>
+              )}
+            </footer>
+          </article>
+        ) : null}
+      </div>
+    </section>
+  );
+};
+
+const BookingWizardWithAuth = withCustomerAuth(BookingWizard);
+
+BookingWizardWithAuth.displayName = "BookingWizardWithAuth";
+
+export default BookingWizardWithAuth;
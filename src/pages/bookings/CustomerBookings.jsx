@@ -0,0 +1,177 @@
+import { useMemo } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import withCustomerAuth from "../../hoc/withCustomerAuth.jsx";
+import { useCustomerBookings } from "../../hooks/useCustomerBookings.jsx";
+import { describeApiError } from "../../utils/apiErrors";
+import BookingStatusBadge from "../../components/bookings/BookingStatusBadge.jsx";
+import {
+  BOOKING_STATUSES,
+  formatBookingDate,
+  formatBookingTimeRange,
+  getRebookPath,
+  splitBookings,
+} from "../../components/bookings/bookingHelpers.js";
+
+const TABS = [
+  { id: "upcoming", label: "Upcoming" },
+  { id: "past", label: "Past" },
+];
+
+const BookingCard = ({ booking }) => {
+  const rebookPath = getRebookPath(booking);
+  const canReview = booking.status === BOOKING_STATUSES.completed && !booking.isReviewed;
+
+  return (
+    <li className="flex flex-col gap-4 rounded-3xl border border-slate-200 bg-white/95 p-6 shadow-lg shadow-slate-200/60 sm:flex-row sm:items-center sm:justify-between">
+      <div className="space-y-2">
+        <div className="flex flex-wrap items-center gap-3">
+          <h2 className="text-lg font-semibold text-slate-900">{booking.serviceTitle}</h2>
+          <BookingStatusBadge status={booking.status} />
+        </div>
+        <p className="text-sm text-slate-600">
+          with{" "}
+          {booking.freelancerId ? (
+            <Link to={`/freelancers/${booking.freelancerId}`} className="font-medium text-slate-900 hover:underline">
+              {booking.freelancerName}
+            </Link>
+          ) : (
+            booking.freelancerName
+          )}
+        </p>
+        <p className="text-sm text-slate-600">
+          {formatBookingDate(booking.startTime)}
+          {booking.startTime ? ` · ${formatBookingTimeRange(booking.startTime, booking.endTime)}` : ""}
+        </p>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {canReview ? (
+          <Link
+            to={`/bookings/${booking.id}/review`}
+            className="rounded-full bg-amber-400 px-4 py-2 text-sm font-semibold text-slate-900 transition hover:bg-amber-300"
+          >
+            Leave a review
+          </Link>
+        ) : null}
+        {rebookPath && (booking.status === BOOKING_STATUSES.completed || booking.status === BOOKING_STATUSES.cancelled) ? (
+          <Link
+            to={rebookPath}
+            className="rounded-full border border-slate-900 px-4 py-2 text-sm font-semibold text-slate-900 transition hover:bg-slate-900 hover:text-white"
+          >
+            Book again
+          </Link>
+        ) : null}
+        <Link
+          to={`/bookings/${booking.id}`}
+          className="rounded-full bg-slate-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-slate-700"
+        >
+          View details
+        </Link>
+      </div>
+    </li>
+  );
+};
+
+export const CustomerBookings = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { bookings, status, error, hasMore, loadMore, reload } = useCustomerBookings();
+
+  const activeTab = searchParams.get("tab") === "past" ? "past" : "upcoming";
+  const { upcoming, past } = useMemo(() => splitBookings(bookings), [bookings]);
+  const visibleBookings = activeTab === "past" ? past : upcoming;
+  const isLoading = status === "loading";
+
+  const handleTabChange = (tab) => {
+    setSearchParams(tab === "upcoming" ? {} : { tab }, { replace: true });
+  };
+
+  const errorMessage = describeApiError(error, {
+    fallbackMessage: "We couldn't load your bookings. Please try again.",
+  }).message;
+
+  return (
+    <section className="min-h-screen bg-gradient-to-b from-slate-50 via-white to-slate-50 py-12">
+      <div className="mx-auto flex w-full max-w-4xl flex-col gap-6 px-4 sm:px-6 lg:px-8">
+        <header className="flex flex-wrap items-end justify-between gap-4">
+          <div className="space-y-2">
+            <h1 className="text-3xl font-semibold text-slate-900">Your bookings</h1>
+            <p className="text-sm text-slate-600">
+              Track requests, manage upcoming appointments and book your favourites again.
+            </p>
+          </div>
+          <Link
+            to="/freelancers"
+            className="rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700"
+          >
+            New booking
+          </Link>
+        </header>
+
+        <div className="flex gap-2" role="tablist" aria-label="Bookings">
+          {TABS.map((tab) => {
+            const count = tab.id === "past" ? past.length : upcoming.length;
+            const isActive = tab.id === activeTab;
+            return (
+              <button
+                key={tab.id}
+                type="button"
+                role="tab"
+                aria-selected={isActive}
+                onClick={() => handleTabChange(tab.id)}
+                className={`rounded-full px-4 py-2 text-sm font-semibold transition ${
+                  isActive ? "bg-slate-900 text-white" : "bg-slate-100 text-slate-600 hover:bg-slate-200"
+                }`}
+              >
+                {tab.label}
+                {!isLoading ? ` (${count})` : ""}
+              </button>
+            );
+          })}
+        </div>
+
+        {isLoading ? <p className="text-slate-600">Loading bookings…</p> : null}
+
+        {status === "error" ? (
+          <div className="flex flex-wrap items-center gap-3 rounded-2xl border border-rose-200 bg-rose-50 px-6 py-4 text-rose-700">
+            <p>{errorMessage}</p>
+            <button type="button" onClick={reload} className="font-semibold underline">
+              Try again
+            </button>
+          </div>
+        ) : null}
+
+        {!isLoading && status !== "error" && visibleBookings.length === 0 ? (
+          <div className="rounded-3xl border border-dashed border-slate-200 bg-white p-10 text-center text-slate-600">
+            {activeTab === "upcoming"
+              ? "You have no upcoming bookings."
+              : "Bookings you've completed or cancelled will appear here."}
+          </div>
+        ) : null}
+
+        {!isLoading && visibleBookings.length > 0 ? (
+          <ul className="flex flex-col gap-4">
+            {visibleBookings.map((booking) => (
+              <BookingCard key={booking.id} booking={booking} />
+            ))}
+          </ul>
+        ) : null}
+
+        {hasMore && !isLoading && status !== "error" ? (
+          <button
+            type="button"
+            onClick={loadMore}
+            disabled={status === "loadingMore"}
+            className="self-center rounded-full border border-slate-300 px-5 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100 disabled:opacity-60"
+          >
+            {status === "loadingMore" ? "Loading…" : "Load older bookings"}
+          </button>
+        ) : null}
+      </div>
+    </section>
+  );
+};
+
+const CustomerBookingsWithAuth = withCustomerAuth(CustomerBookings);
+
+CustomerBookingsWithAuth.displayName = "CustomerBookingsWithAuth";
+
+export default CustomerBookingsWithAuth;
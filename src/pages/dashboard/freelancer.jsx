@@ -3,13 +3,32 @@ import { Link } from "react-router-dom";
 import withFreelancerAuth from "../../hoc/withFreelancerAuth.jsx";
 import { useAuth } from "../../hooks/useAuth.jsx";
 import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import OrderRequestsQueue from "../../components/bookings/OrderRequestsQueue.jsx";
 import { extractFreelancerProfile } from "../../utils/freelancer";
+import { isRealtimeEnabled } from "../../utils/realtime.js";
+import {
+  PUBLIC_PROFILE_LOCKED_MESSAGE,
+  URL_FIELD_CONFIG,
+} from "../../components/freelancer/formHelpers.js";
+import {
+  VERIFICATION_COPY,
+  getVerificationState,
+  isVerificationApproved,
+  needsVerificationAction,
+} from "../../components/freelancer/verificationHelpers.js";
 
 const LOCATION_LABELS = {
   on_premise: "At my location",
   door_step: "At client's location",
 };
 
+const VERIFICATION_TONE_CLASSES = {
+  info: "border-sky-200 bg-sky-50/80 text-sky-900",
+  success: "border-emerald-200 bg-emerald-50/80 text-emerald-900",
+  warning: "border-amber-300 bg-amber-50/80 text-amber-900",
+  error: "border-rose-200 bg-rose-50/80 text-rose-800",
+};
+
 const DEFAULT_ERROR_MESSAGE =
   "We couldn't load your freelancer workspace right now. Please refresh and try again.";
 
@@ -136,6 +155,17 @@ export const FreelancerDashboard = () => {
     });
   }, [freelancerProfile?.is_public, freelancerProfile?.is_accepting_orders]);
 
+  const verificationState = useMemo(
+    () => getVerificationState(freelancerProfile),
+    [freelancerProfile]
+  );
+  const isVerified = isVerificationApproved(verificationState);
+  const verificationCopy =
+    VERIFICATION_COPY[verificationState.status] ?? VERIFICATION_COPY.pending;
+  const rejectedDocuments = URL_FIELD_CONFIG.filter(({ name }) =>
+    verificationState.rejectedFields.includes(name)
+  );
+
   const handleToggleChange = useCallback(
     async (fieldKey) => {
       if (!freelancerProfile) {
@@ -143,26 +173,51 @@ export const FreelancerDashboard = () => {
       }
 
       const payloadKey = fieldKey === "isPublic" ? "is_public" : "is_accepting_orders";
+      const nextValue = !toggleState[fieldKey];
+
+      if (fieldKey === "isPublic" && nextValue && !isVerified) {
+        setToggleFeedback({
+          type: "error",
+          message: PUBLIC_PROFILE_LOCKED_MESSAGE,
+        });
+        return;
+      }
 
       setToggleFeedback({ type: null, message: "" });
       setActiveToggle(fieldKey);
-      const nextValue = !toggleState[fieldKey];
       setToggleState((previous) => ({ ...previous, [fieldKey]: nextValue }));
 
       try {
-        await authenticatedFetch.requestJson("/users/me/freelancer/", {
+        const payload = await authenticatedFetch.requestJson("/users/me/freelancer/", {
           method: "PATCH",
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify({ [payloadKey]: nextValue }),
         });
 
-        const refreshedPayload = await authenticatedFetch.requestJson("/users/me/freelancer/", {
-          method: "GET",
-        });
-        const refreshedProfile = extractFreelancerProfile(refreshedPayload);
-        if (refreshedProfile) {
-          setFreelancerProfile(refreshedProfile);
-          setFreelancerProfileStatus("ready");
+        const updatedProfile = extractFreelancerProfile(payload);
+        setFreelancerProfile(
+          updatedProfile && payloadKey in updatedProfile
+            ? updatedProfile
+            : { ...freelancerProfile, [payloadKey]: nextValue }
+        );
+        setFreelancerProfileStatus("ready");
+
+        // With realtime on, later changes (verification results, edits from
+        // another device) arrive through RealtimeSync. Without it, refetch so
+        // the dashboard picks them up.
+        if (!isRealtimeEnabled()) {
+          try {
+            const refreshedPayload = await authenticatedFetch.requestJson(
+              "/users/me/freelancer/",
+              { method: "GET" }
+            );
+            const refreshedProfile = extractFreelancerProfile(refreshedPayload);
+            if (refreshedProfile) {
+              setFreelancerProfile(refreshedProfile);
+            }
+          } catch (refreshError) {
+            console.warn("[FreelancerDashboard] Failed to refresh freelancer profile", refreshError);
+          }
         }
         setToggleFeedback({
           type: "success",
@@ -188,6 +243,7 @@ export const FreelancerDashboard = () => {
     [
       authenticatedFetch,
       freelancerProfile,
+      isVerified,
       setFreelancerProfile,
       setFreelancerProfileStatus,
       toggleState,
@@ -260,6 +316,55 @@ export const FreelancerDashboard = () => {
         {pageStatus === "ready" && (
           <>
             <div className="grid gap-6 lg:grid-cols-2">
+              <article className="flex flex-col gap-4 rounded-3xl border border-slate-200 bg-white/90 p-6 shadow-lg shadow-slate-200/60">
+                <div className="flex items-center gap-4">
+                  <span className="grid h-12 w-12 place-items-center rounded-full bg-sky-100 text-xl text-sky-600">
+                    🪪
+                  </span>
+                  <div>
+                    <h2 className="text-xl font-semibold text-slate-900">Identity verification</h2>
+                    <p className="text-sm text-slate-600">
+                      Customers only see verified freelancers in search results.
+                    </p>
+                  </div>
+                </div>
+
+                <div
+                  className={`rounded-2xl border p-4 text-sm ${
+                    VERIFICATION_TONE_CLASSES[verificationCopy.tone] ?? VERIFICATION_TONE_CLASSES.info
+                  }`}
+                >
+                  <p className="font-semibold">{verificationCopy.label}</p>
+                  <p className="mt-2">{verificationCopy.description}</p>
+                  {verificationState.reason && (
+                    <p className="mt-2">
+                      <span className="font-semibold">Reviewer note:</span> {verificationState.reason}
+                    </p>
+                  )}
+                  {rejectedDocuments.length > 0 && (
+                    <ul className="mt-2 list-disc space-y-1 pl-5">
+                      {rejectedDocuments.map(({ name, label }) => (
+                        <li key={name}>
+                          {label}
+                          {verificationState.documents[name]?.reason
+                            ? ` — ${verificationState.documents[name].reason}`
+                            : ""}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {needsVerificationAction(verificationState) && (
+                    <Link
+                      to="/settings/freelancer-profile"
+                      className="mt-4 inline-flex items-center gap-2 rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white shadow hover:bg-slate-700"
+                    >
+                      Upload documents
+                      <span aria-hidden="true">→</span>
+                    </Link>
+                  )}
+                </div>
+              </article>
+
               <article className="flex flex-col gap-4 rounded-3xl border border-slate-200 bg-white/90 p-6 shadow-lg shadow-slate-200/60">
                 <div className="flex items-center gap-4">
                   <span className="grid h-12 w-12 place-items-center rounded-full bg-violet-100 text-xl text-violet-600">
@@ -289,7 +394,9 @@ export const FreelancerDashboard = () => {
                       <p className="text-xs text-slate-600">
                         {toggleState.isPublic
                           ? "Your profile is visible to customers."
-                          : "Hidden from discovery until you turn it on."}
+                          : isVerified
+                          ? "Hidden from discovery until you turn it on."
+                          : "Available once your identity has been verified."}
                       </p>
                     </div>
                     <span
@@ -465,6 +572,8 @@ export const FreelancerDashboard = () => {
               </article>
             </div>
 
+            <OrderRequestsQueue />
+
             {hasServices && (
               <section className="rounded-3xl border border-slate-200 bg-white/95 p-6 shadow-lg shadow-slate-200/60">
                 <header className="mb-4 flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
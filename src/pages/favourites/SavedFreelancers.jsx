@@ -0,0 +1,164 @@
+import { Link } from "react-router-dom";
+import withCustomerAuth from "../../hoc/withCustomerAuth.jsx";
+import { useFavourites } from "../../hooks/useFavourites.jsx";
+import FavouriteButton from "../../components/favourites/FavouriteButton.jsx";
+import {
+  formatRating,
+  formatReviewCount,
+  getFreelancerRating,
+} from "../../components/reviews/reviewHelpers.js";
+
+const getServiceNames = (services) =>
+  (Array.isArray(services) ? services : [])
+    .map((service) => service?.service_category_name ?? service?.name)
+    .filter((value) => typeof value === "string" && value.trim().length > 0);
+
+const getInitial = (name) =>
+  typeof name === "string" && name.trim() ? name.trim().charAt(0).toUpperCase() : "U";
+
+const SavedFreelancerCard = ({ favourite }) => {
+  // Server rows always carry the freelancer; fall back to the id alone if a
+  // snapshot is missing.
+  const freelancer = { ...favourite.freelancer, id: favourite.freelancerId };
+  const name = freelancer.full_name ?? "Freelancer";
+  const services = getServiceNames(freelancer.services);
+  const rating = getFreelancerRating(freelancer);
+
+  return (
+    <li className="flex flex-col gap-4 rounded-3xl border border-slate-200 bg-white/95 p-6 shadow-lg shadow-slate-200/60">
+      <div className="flex items-start justify-between gap-4">
+        <Link to={`/freelancers/${freelancer.id}`} className="flex items-center gap-4">
+          {freelancer.avatar_url ? (
+            <img
+              src={freelancer.avatar_url}
+              alt=""
+              className="h-14 w-14 flex-shrink-0 rounded-full border border-slate-100 object-cover"
+              referrerPolicy="no-referrer"
+              loading="lazy"
+            />
+          ) : (
+            <span className="grid h-14 w-14 flex-shrink-0 place-items-center rounded-full bg-gradient-to-br from-violet-500 via-fuchsia-500 to-sky-500 text-xl font-semibold text-white">
+              {getInitial(freelancer.full_name)}
+            </span>
+          )}
+          <span className="space-y-1">
+            <span className="block text-lg font-semibold text-slate-900">{name}</span>
+            <span className="flex flex-wrap items-center gap-2 text-sm text-slate-600">
+              {freelancer.is_accepting_orders ? (
+                <span className="text-emerald-700">Accepting orders</span>
+              ) : (
+                <span>Not accepting orders</span>
+              )}
+              {rating ? (
+                <span className="text-amber-700">
+                  ★ {formatRating(rating.average)} · {formatReviewCount(rating.count)}
+                </span>
+              ) : null}
+            </span>
+          </span>
+        </Link>
+        <FavouriteButton freelancer={freelancer} size="sm" />
+      </div>
+
+      {services.length > 0 ? (
+        <div className="flex flex-wrap gap-2">
+          {services.map((service) => (
+            <span
+              key={service}
+              className="rounded-full bg-violet-50 px-3 py-1 text-sm font-medium text-violet-700"
+            >
+              {service}
+            </span>
+          ))}
+        </div>
+      ) : null}
+
+      <div className="mt-auto flex flex-wrap gap-3">
+        <Link
+          to={`/freelancers/${freelancer.id}`}
+          className="rounded-full border border-slate-300 px-4 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100"
+        >
+          View profile
+        </Link>
+        <Link
+          to={`/freelancers/${freelancer.id}/message`}
+          className="rounded-full border border-slate-900 px-4 py-2 text-sm font-semibold text-slate-900 transition hover:bg-slate-900 hover:text-white"
+        >
+          Message
+        </Link>
+        {freelancer.is_accepting_orders ? (
+          <Link
+            to={`/freelancers/${freelancer.id}/book`}
+            className="rounded-full bg-slate-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-slate-700"
+          >
+            Book now
+          </Link>
+        ) : null}
+      </div>
+    </li>
+  );
+};
+
+export const SavedFreelancers = () => {
+  const { favourites, status, refresh } = useFavourites();
+
+  return (
+    <section className="min-h-screen bg-gradient-to-b from-slate-50 via-white to-slate-50 py-12">
+      <div className="mx-auto flex w-full max-w-5xl flex-col gap-6 px-4 sm:px-6 lg:px-8">
+        <header className="flex flex-wrap items-end justify-between gap-4">
+          <div className="space-y-2">
+            <h1 className="text-3xl font-semibold text-slate-900">Saved freelancers</h1>
+            <p className="text-sm text-slate-600">
+              Your shortlist. Tap the heart on any profile to add or remove someone.
+            </p>
+          </div>
+          <Link
+            to="/dashboard/customer"
+            className="text-sm font-semibold text-slate-700 underline-offset-4 hover:underline"
+          >
+            ← Back to dashboard
+          </Link>
+        </header>
+
+        {status === "loading" && favourites.length === 0 ? (
+          <p className="text-slate-600">Loading saved freelancers…</p>
+        ) : null}
+
+        {status === "error" ? (
+          <div className="flex flex-wrap items-center gap-3 rounded-2xl border border-rose-200 bg-rose-50 px-6 py-4 text-rose-700">
+            <p>We couldn&apos;t load your saved freelancers.</p>
+            <button type="button" onClick={refresh} className="font-semibold underline">
+              Try again
+            </button>
+          </div>
+        ) : null}
+
+        {status === "ready" && favourites.length === 0 ? (
+          <div className="rounded-3xl border border-dashed border-slate-200 bg-white p-10 text-center">
+            <p className="text-slate-600">You haven&apos;t saved anyone yet.</p>
+            <Link
+              to="/freelancers"
+              className="mt-4 inline-flex rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700"
+            >
+              Browse freelancers
+            </Link>
+          </div>
+        ) : null}
+
+        {favourites.length > 0 ? (
+          <ul className="grid gap-6 md:grid-cols-2">
+            {favourites.map((favourite) => (
+              <SavedFreelancerCard key={favourite.freelancerId} favourite={favourite} />
+            ))}
+          </ul>
+        ) : null}
+      </div>
+    </section>
+  );
+};
+
+const SavedFreelancersWithAuth = withCustomerAuth(SavedFreelancers);
+
+SavedFreelancersWithAuth.displayName = "SavedFreelancersWithAuth";
+
+export default SavedFreelancersWithAuth;
@@ -1,6 +1,16 @@
 import { useCallback, useEffect, useMemo, useState } from "react";
 import { Link, useParams } from "react-router-dom";
 import { useApiFetch } from "../../hooks/useApiFetch.jsx";
+import { useAuth } from "../../hooks/useAuth.jsx";
+import FavouriteButton from "../../components/favourites/FavouriteButton.jsx";
+import PortfolioGallery from "../../components/portfolio/PortfolioGallery.jsx";
+import ReviewSection from "../../components/reviews/ReviewSection.jsx";
+import {
+  formatRating,
+  formatReviewCount,
+  getFreelancerRating,
+} from "../../components/reviews/reviewHelpers.js";
+import { ERROR_KINDS, describeApiError } from "../../utils/apiErrors";
 
 const getFreelancerFromPayload = (payload) => {
   if (!payload || typeof payload !== "object") {
@@ -146,6 +156,7 @@ const DetailErrorState = ({ message, onRetry }) => (
 const PublicFreelancerDetail = () => {
   const { id: routeId } = useParams();
   const apiFetch = useApiFetch();
+  const { user } = useAuth();
   const [status, setStatus] = useState("idle");
   const [error, setError] = useState(null);
   const [freelancer, setFreelancer] = useState(null);
@@ -155,9 +166,7 @@ const PublicFreelancerDetail = () => {
 
   const loadFreelancer = useCallback(async () => {
     if (!freelancerId) {
-      const missingIdError = new Error("Freelancer ID is required.");
-      missingIdError.status = 400;
-      throw missingIdError;
+      throw new Error("Freelancer ID is required.");
     }
     return apiFetch.getJson(`/freelancers/${freelancerId}`);
   }, [apiFetch, freelancerId]);
@@ -211,17 +220,22 @@ const PublicFreelancerDetail = () => {
     [freelancer]
   );
   const avatarUrl = useMemo(() => resolveAvatarUrl(freelancer), [freelancer]);
+  const rating = getFreelancerRating(freelancer);
+
+  // Signed-out visitors see the button too; the customer guard on the message
+  // route sends them to log in first.
+  const canMessage = !user || user.role === "customer";
 
   const isLoading = status === "loading";
   const isError = status === "error";
   const isReady = status === "ready" && Boolean(freelancer);
 
-  let errorMessage = "Unable to load freelancer details. Please try again.";
-  if (error?.status === 404) {
-    errorMessage = "We could not find a freelancer with that ID.";
-  } else if (error?.message) {
-    errorMessage = error.message;
-  }
+  const errorMessage = describeApiError(error, {
+    fallbackMessage: "Unable to load freelancer details. Please try again.",
+    messages: {
+      [ERROR_KINDS.notFound]: "We could not find a freelancer with that ID.",
+    },
+  }).message;
 
   return (
     <section className="min-h-screen bg-gradient-to-b from-slate-50 via-white to-slate-50 py-12">
@@ -285,9 +299,22 @@ const PublicFreelancerDetail = () => {
                             {yearsExperience} {yearsExperience === 1 ? "year" : "years"} experience
                           </span>
                         ) : null}
+                        {rating ? (
+                          <a
+                            href="#reviews"
+                            className="inline-flex items-center gap-2 rounded-full bg-amber-100 px-3 py-1 font-medium text-amber-700"
+                          >
+                            <span className="text-base leading-none">★</span>
+                            {formatRating(rating.average)} · {formatReviewCount(rating.count)}
+                          </a>
+                        ) : null}
                       </div>
                     </div>
                   </div>
+                  <FavouriteButton
+                    freelancer={{ ...freelancer, id: freelancer?.id ?? freelancerId }}
+                    className="self-start lg:self-center"
+                  />
                 </header>
 
                 <section className="space-y-4">
@@ -356,13 +383,33 @@ const PublicFreelancerDetail = () => {
                 <div className="rounded-3xl border border-slate-200 bg-white/95 p-6 shadow-lg shadow-slate-200/70">
                   <h2 className="text-lg font-semibold text-slate-900">Contact</h2>
                   <p className="mt-4 text-sm text-slate-600">
-                    For bookings, reach out through the E8GHT platform or request a service directly from this
-                    freelancer&apos;s offerings below.
+                    Ask a question before you book, or request a service directly from this freelancer&apos;s
+                    offerings below.
                   </p>
+                  <div className="mt-4 flex flex-wrap gap-3">
+                    {acceptingOrders && services.length > 0 ? (
+                      <Link
+                        to={`/freelancers/${freelancerId}/book`}
+                        className="inline-flex items-center justify-center rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700"
+                      >
+                        Book now
+                      </Link>
+                    ) : null}
+                    {canMessage ? (
+                      <Link
+                        to={`/freelancers/${freelancerId}/message`}
+                        className="inline-flex items-center justify-center rounded-full border border-slate-900 px-5 py-2 text-sm font-semibold text-slate-900 transition hover:bg-slate-900 hover:text-white"
+                      >
+                        Message
+                      </Link>
+                    ) : null}
+                  </div>
                 </div>
               </aside>
             </div>
 
+            <PortfolioGallery freelancerId={freelancerId} freelancerName={freelancer?.full_name ?? null} />
+
             <section className="rounded-3xl border border-slate-200 bg-white/95 p-8 shadow-xl shadow-slate-200/70">
               <div className="flex flex-wrap items-center justify-between gap-4">
                 <div>
@@ -441,6 +488,14 @@ const PublicFreelancerDetail = () => {
                             ))}
                         </div>
                       ) : null}
+                      {acceptingOrders && service?.id != null ? (
+                        <Link
+                          to={`/freelancers/${freelancerId}/book?service=${encodeURIComponent(service.id)}`}
+                          className="mt-auto inline-flex items-center justify-center self-start rounded-full border border-slate-900 px-4 py-2 text-sm font-semibold text-slate-900 transition hover:bg-slate-900 hover:text-white"
+                        >
+                          Book this service
+                        </Link>
+                      ) : null}
                     </article>
                   ))}
                 </div>
@@ -450,6 +505,10 @@ const PublicFreelancerDetail = () => {
                 </div>
               )}
             </section>
+
+            <div id="reviews">
+              <ReviewSection freelancerId={freelancerId} services={services} />
+            </div>
           </div>
         ) : null}
       </div>
@@ -1,6 +1,29 @@
 import { useCallback, useEffect, useMemo, useState } from "react";
 import { Link, useSearchParams } from "react-router-dom";
+import { SERVICE_CATEGORIES } from "../../components/FreelancerServicesForm.jsx";
+import { readStoredDefaultAddress } from "../../components/address/formUtils.js";
+import FavouriteButton from "../../components/favourites/FavouriteButton.jsx";
 import { useApiFetch } from "../../hooks/useApiFetch.jsx";
+import {
+  formatRating,
+  formatReviewCount,
+  getFreelancerRating,
+} from "../../components/reviews/reviewHelpers.js";
+import { getErrorMessage } from "../../utils/apiErrors";
+import { formatDistance, getCoordinates } from "../../utils/geo.js";
+import {
+  DEFAULT_FILTERS,
+  LOCATION_FILTER_OPTIONS,
+  SORT_OPTIONS,
+  applyFilters,
+  buildFilterQuery,
+  buildFilterSearchParams,
+  countActiveFilters,
+  getFreelancerDistanceKm,
+  normaliseFilters,
+  readFiltersFromSearchParams,
+  sortFreelancers,
+} from "./filters.js";
 
 const DEFAULT_QUERY = Object.freeze({
   pageId: 1,
@@ -38,10 +61,11 @@ const getInitialPageId = (searchParams) => {
   return DEFAULT_QUERY.pageId;
 };
 
-const buildEndpoint = (pageId, pageSize) => {
+const buildEndpoint = (pageId, pageSize, filters) => {
   const params = new URLSearchParams({
     page_id: String(pageId),
     page_size: String(pageSize),
+    ...buildFilterQuery(filters),
   });
   return `/freelancers?${params.toString()}`;
 };
@@ -67,7 +91,7 @@ const getAvatarFallback = (freelancer) => {
 
 const isAcceptingOrders = (freelancer) => Boolean(freelancer?.is_accepting_orders);
 
-const FreelancersEmptyState = ({ onReset }) => (
+const FreelancersEmptyState = ({ onReset, hasFilters = false }) => (
   <div className="flex flex-col items-center justify-center gap-4 rounded-3xl border border-dashed border-slate-200 bg-white/60 p-10 text-center shadow-sm">
     <div className="grid h-16 w-16 place-items-center rounded-full bg-violet-100 text-2xl font-semibold text-violet-600">
       ✨
@@ -75,8 +99,9 @@ const FreelancersEmptyState = ({ onReset }) => (
     <div className="max-w-md space-y-2">
       <h2 className="text-2xl font-semibold text-slate-900">No freelancers found</h2>
       <p className="text-base text-slate-600">
-        We couldn&apos;t find any public freelancers on this page. Try going back to the first page or
-        check again later when more freelancers become available.
+        {hasFilters
+          ? "No freelancers on this page match your filters. Try widening your search or clearing the filters."
+          : "We couldn't find any public freelancers on this page. Try going back to the first page or check again later when more freelancers become available."}
       </p>
     </div>
     <button
@@ -84,16 +109,164 @@ const FreelancersEmptyState = ({ onReset }) => (
       onClick={onReset}
       className="inline-flex items-center gap-2 rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white shadow-lg shadow-slate-900/10 transition hover:bg-slate-700 hover:shadow-slate-900/20 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-slate-900"
     >
-      Go to first page
+      {hasFilters ? "Clear filters" : "Go to first page"}
     </button>
   </div>
 );
 
+const FILTER_INPUT_CLASS =
+  "w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 shadow-sm focus:border-violet-400 focus:outline-none focus:ring-2 focus:ring-violet-200";
+
+const FreelancerFilters = ({ filters, onApply, onReset, disabled, canSortByDistance }) => {
+  const [draft, setDraft] = useState(filters);
+
+  useEffect(() => {
+    setDraft(filters);
+  }, [filters]);
+
+  const handleChange = (event) => {
+    const { name, value, type, checked } = event.target;
+    setDraft((previous) => ({
+      ...previous,
+      [name]: type === "checkbox" ? (checked ? "true" : "") : value,
+    }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onApply(normaliseFilters(draft));
+  };
+
+  const priceRangeInvalid =
+    draft.minPrice !== "" &&
+    draft.maxPrice !== "" &&
+    Number.parseFloat(draft.maxPrice) < Number.parseFloat(draft.minPrice);
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="grid gap-4 rounded-3xl border border-slate-200 bg-white/95 p-6 shadow-lg shadow-slate-200/70 md:grid-cols-2 lg:grid-cols-4"
+    >
+      <label className="flex flex-col gap-1 text-sm font-medium text-slate-700">
+        Category
+        <select name="category" value={draft.category} onChange={handleChange} className={FILTER_INPUT_CLASS}>
+          <option value="">All categories</option>
+          {SERVICE_CATEGORIES.map(({ id, name }) => (
+            <option key={id} value={String(id)}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col gap-1 text-sm font-medium text-slate-700">
+        Location
+        <select name="location" value={draft.location} onChange={handleChange} className={FILTER_INPUT_CLASS}>
+          {LOCATION_FILTER_OPTIONS.map(({ value, label }) => (
+            <option key={value || "any"} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="flex flex-col gap-1 text-sm font-medium text-slate-700">
+        Price range
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            name="minPrice"
+            min="0"
+            step="1"
+            placeholder="Min"
+            aria-label="Minimum price"
+            value={draft.minPrice}
+            onChange={handleChange}
+            className={FILTER_INPUT_CLASS}
+          />
+          <span className="text-slate-400">–</span>
+          <input
+            type="number"
+            name="maxPrice"
+            min="0"
+            step="1"
+            placeholder="Max"
+            aria-label="Maximum price"
+            value={draft.maxPrice}
+            onChange={handleChange}
+            className={FILTER_INPUT_CLASS}
+          />
+        </div>
+        {priceRangeInvalid ? (
+          <span className="text-xs font-normal text-red-600">Max price must be above the min price.</span>
+        ) : null}
+      </div>
+      <label className="flex flex-col gap-1 text-sm font-medium text-slate-700">
+        Minimum experience (years)
+        <input
+          type="number"
+          name="minExperience"
+          min="0"
+          step="1"
+          placeholder="Any"
+          value={draft.minExperience}
+          onChange={handleChange}
+          className={FILTER_INPUT_CLASS}
+        />
+      </label>
+      <label className="flex flex-col gap-1 text-sm font-medium text-slate-700">
+        Sort by
+        <select name="sort" value={draft.sort} onChange={handleChange} className={FILTER_INPUT_CLASS}>
+          {SORT_OPTIONS.map(({ value, label }) => (
+            <option
+              key={value || "default"}
+              value={value}
+              disabled={value === "distance_asc" && !canSortByDistance}
+            >
+              {label}
+            </option>
+          ))}
+        </select>
+        {!canSortByDistance ? (
+          <span className="text-xs font-normal text-slate-500">
+            Set a default address with coordinates to sort by distance.
+          </span>
+        ) : null}
+      </label>
+      <label className="flex items-center gap-2 self-end pb-2 text-sm font-medium text-slate-700">
+        <input
+          type="checkbox"
+          name="accepting"
+          checked={draft.accepting === "true"}
+          onChange={handleChange}
+          className="h-4 w-4 rounded border-slate-300 text-violet-600"
+        />
+        Accepting orders only
+      </label>
+      <div className="flex items-end gap-2 md:col-span-2 lg:col-span-2 lg:justify-end">
+        <button
+          type="button"
+          onClick={onReset}
+          disabled={disabled}
+          className="inline-flex items-center gap-2 rounded-full border border-slate-300 px-4 py-2 text-sm font-medium text-slate-700 transition disabled:cursor-not-allowed disabled:text-slate-400 hover:border-slate-400 hover:text-slate-900"
+        >
+          Clear
+        </button>
+        <button
+          type="submit"
+          disabled={disabled || priceRangeInvalid}
+          className="inline-flex items-center gap-2 rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition disabled:cursor-not-allowed disabled:bg-slate-300 hover:bg-slate-700"
+        >
+          Apply filters
+        </button>
+      </div>
+    </form>
+  );
+};
+
 const FreelancersErrorState = ({ error, onRetry }) => {
-  const message =
-    error?.message ??
-    error?.payload?.error ??
-    "Something went wrong while loading freelancers. Please try again.";
+  const message = getErrorMessage(
+    error,
+    "Something went wrong while loading freelancers. Please try again."
+  );
 
   return (
     <div className="flex flex-col gap-4 rounded-3xl border border-red-200 bg-red-50 p-8 shadow-inner shadow-red-200/40">
@@ -161,12 +334,13 @@ const resolveAvatarUrl = (freelancer) => {
   return null;
 };
 
-const FreelancerCard = ({ freelancer }) => {
+const FreelancerCard = ({ freelancer, distanceLabel = null }) => {
   const services = useMemo(() => formatServices(freelancer?.services), [freelancer]);
   const acceptingOrders = isAcceptingOrders(freelancer);
   const yearsExperience = freelancer?.years_of_experience;
   const hasYearsExperience = Number.isFinite(yearsExperience) && yearsExperience > 0;
   const avatarUrl = useMemo(() => resolveAvatarUrl(freelancer), [freelancer]);
+  const rating = getFreelancerRating(freelancer);
   const freelancerId = freelancer?.id;
 
   const cardContent = (
@@ -206,6 +380,21 @@ const FreelancerCard = ({ freelancer }) => {
                   {yearsExperience} {yearsExperience === 1 ? "year" : "years"} experience
                 </span>
               ) : null}
+              {rating ? (
+                <span
+                  className="inline-flex items-center gap-1 rounded-full bg-amber-100 px-3 py-1 text-sm text-amber-700"
+                  aria-label={`Rated ${formatRating(rating.average)} out of 5 from ${formatReviewCount(rating.count)}`}
+                >
+                  <span className="text-base leading-none">★</span>
+                  {formatRating(rating.average)} ({rating.count})
+                </span>
+              ) : null}
+              {distanceLabel ? (
+                <span className="inline-flex items-center gap-1 rounded-full bg-sky-100 px-3 py-1 text-sm text-sky-700">
+                  <span className="text-base leading-none">📍</span>
+                  {distanceLabel}
+                </span>
+              ) : null}
             </div>
           </div>
         </div>
@@ -248,14 +437,19 @@ const FreelancerCard = ({ freelancer }) => {
 
   const targetUrl = `/freelancers/${freelancerId}`;
 
+  // The heart sits beside the link rather than inside it so it stays a
+  // separate control for keyboard and screen reader users.
   return (
-    <Link
-      to={targetUrl}
-      className="block focus:outline-none focus-visible:ring-2 focus-visible:ring-violet-500 focus-visible:ring-offset-2 focus-visible:ring-offset-slate-50"
-      aria-label={`View details for ${freelancer?.full_name ?? "freelancer"}`}
-    >
-      {cardContent}
-    </Link>
+    <div className="relative">
+      <Link
+        to={targetUrl}
+        className="block focus:outline-none focus-visible:ring-2 focus-visible:ring-violet-500 focus-visible:ring-offset-2 focus-visible:ring-offset-slate-50"
+        aria-label={`View details for ${freelancer?.full_name ?? "freelancer"}`}
+      >
+        {cardContent}
+      </Link>
+      <FavouriteButton freelancer={freelancer} size="sm" className="absolute right-5 top-5" />
+    </div>
   );
 };
 
@@ -263,6 +457,8 @@ const PublicFreelancers = () => {
   const apiFetch = useApiFetch();
   const [searchParams, setSearchParams] = useSearchParams();
   const [pageId, setPageId] = useState(() => getInitialPageId(searchParams));
+  const [filters, setFilters] = useState(() => readFiltersFromSearchParams(searchParams));
+  const [origin] = useState(() => getCoordinates(readStoredDefaultAddress()));
   const [freelancers, setFreelancers] = useState([]);
   const [status, setStatus] = useState("idle");
   const [error, setError] = useState(null);
@@ -271,13 +467,16 @@ const PublicFreelancers = () => {
   const pageSize = DEFAULT_QUERY.pageSize;
 
   useEffect(() => {
-    setSearchParams({ page: String(pageId) }, { replace: true });
-  }, [pageId, setSearchParams]);
+    setSearchParams(
+      { page: String(pageId), ...buildFilterSearchParams(filters) },
+      { replace: true }
+    );
+  }, [filters, pageId, setSearchParams]);
 
   const loadFreelancers = useCallback(async () => {
-    const endpoint = buildEndpoint(pageId, pageSize);
+    const endpoint = buildEndpoint(pageId, pageSize, filters);
     return apiFetch.getJson(endpoint);
-  }, [apiFetch, pageId, pageSize]);
+  }, [apiFetch, filters, pageId, pageSize]);
 
   useEffect(() => {
     let cancelled = false;
@@ -293,6 +492,7 @@ const PublicFreelancers = () => {
         }
         const data = extractFreelancers(payload);
         setFreelancers(data);
+        // Page size is judged on the raw response, before any local filtering.
         setHasNextPage(data.length === pageSize);
         setStatus("ready");
       } catch (loadError) {
@@ -336,9 +536,25 @@ const PublicFreelancers = () => {
     setRefreshIndex((previous) => previous + 1);
   }, []);
 
+  const handleApplyFilters = useCallback((nextFilters) => {
+    setFilters(nextFilters);
+    setPageId(DEFAULT_QUERY.pageId);
+  }, []);
+
+  const handleClearFilters = useCallback(() => {
+    setFilters(DEFAULT_FILTERS);
+    setPageId(DEFAULT_QUERY.pageId);
+  }, []);
+
+  const visibleFreelancers = useMemo(
+    () => sortFreelancers(applyFilters(freelancers, filters), filters.sort, origin),
+    [filters, freelancers, origin]
+  );
+
+  const activeFilterCount = countActiveFilters(filters);
   const isLoading = status === "loading";
   const isError = status === "error";
-  const hasFreelancers = freelancers.length > 0;
+  const hasFreelancers = visibleFreelancers.length > 0;
 
   return (
     <section className="min-h-screen bg-gradient-to-b from-slate-50 via-white to-slate-50 py-12">
@@ -383,6 +599,14 @@ const PublicFreelancers = () => {
           </div>
         </header>
 
+        <FreelancerFilters
+          filters={filters}
+          onApply={handleApplyFilters}
+          onReset={handleClearFilters}
+          disabled={isLoading}
+          canSortByDistance={Boolean(origin)}
+        />
+
         {isLoading ? <FreelancersLoadingState /> : null}
 
         {isError ? (
@@ -390,12 +614,15 @@ const PublicFreelancers = () => {
         ) : null}
 
         {!isLoading && !isError && !hasFreelancers ? (
-          <FreelancersEmptyState onReset={handleResetToFirstPage} />
+          <FreelancersEmptyState
+            onReset={activeFilterCount > 0 ? handleClearFilters : handleResetToFirstPage}
+            hasFilters={activeFilterCount > 0}
+          />
         ) : null}
 
         {!isLoading && !isError && hasFreelancers ? (
           <div className="grid gap-6 md:grid-cols-2 xl:grid-cols-3">
-            {freelancers.map((freelancer, index) => {
+            {visibleFreelancers.map((freelancer, index) => {
               const fallbackKey =
                 freelancer?.full_name ??
                 freelancer?.display_name ??
@@ -404,6 +631,7 @@ const PublicFreelancers = () => {
                 <FreelancerCard
                   key={freelancer?.id ?? fallbackKey}
                   freelancer={freelancer}
+                  distanceLabel={formatDistance(getFreelancerDistanceKm(freelancer, origin))}
                 />
               );
             })}
@@ -0,0 +1,233 @@
+import { getCoordinates, getDistanceKm } from "../../utils/geo.js";
+
+export const DEFAULT_FILTERS = Object.freeze({
+  category: "",
+  accepting: "",
+  location: "",
+  minPrice: "",
+  maxPrice: "",
+  minExperience: "",
+  sort: "",
+});
+
+export const SORT_OPTIONS = [
+  { value: "", label: "Recommended" },
+  { value: "experience_desc", label: "Most experienced" },
+  { value: "price_asc", label: "Price: low to high" },
+  { value: "price_desc", label: "Price: high to low" },
+  { value: "name_asc", label: "Name: A to Z" },
+  { value: "distance_asc", label: "Nearest to me" },
+];
+
+export const LOCATION_FILTER_OPTIONS = [
+  { value: "", label: "Any location" },
+  { value: "on_premise", label: "At the freelancer's location" },
+  { value: "door_step", label: "At my address" },
+];
+
+// Maps each filter to its URL search param and to the query param sent to
+// the API, so bookmarked URLs and API requests stay in step.
+const FILTER_PARAMS = {
+  category: { search: "category", api: "service_category_id" },
+  accepting: { search: "accepting", api: "is_accepting_orders" },
+  location: { search: "location", api: "location" },
+  minPrice: { search: "min_price", api: "min_price" },
+  maxPrice: { search: "max_price", api: "max_price" },
+  minExperience: { search: "experience", api: "min_years_of_experience" },
+  sort: { search: "sort", api: "sort" },
+};
+
+const parseNonNegativeNumber = (value) => {
+  if (value == null || value === "") {
+    return null;
+  }
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+};
+
+export const normaliseFilters = (filters) => {
+  const next = { ...DEFAULT_FILTERS };
+
+  const category = Number.parseInt(filters?.category ?? "", 10);
+  if (Number.isInteger(category) && category > 0) {
+    next.category = String(category);
+  }
+
+  if (filters?.accepting === "true") {
+    next.accepting = "true";
+  }
+
+  if (LOCATION_FILTER_OPTIONS.some(({ value }) => value && value === filters?.location)) {
+    next.location = filters.location;
+  }
+
+  for (const key of ["minPrice", "maxPrice", "minExperience"]) {
+    const parsed = parseNonNegativeNumber(filters?.[key]);
+    if (parsed != null) {
+      next[key] = String(parsed);
+    }
+  }
+
+  if (SORT_OPTIONS.some(({ value }) => value && value === filters?.sort)) {
+    next.sort = filters.sort;
+  }
+
+  return next;
+};
+
+export const readFiltersFromSearchParams = (searchParams) =>
+  normaliseFilters(
+    Object.fromEntries(
+      Object.entries(FILTER_PARAMS).map(([key, { search }]) => [
+        key,
+        searchParams.get(search) ?? "",
+      ])
+    )
+  );
+
+const toParamEntries = (filters, target) =>
+  Object.entries(FILTER_PARAMS)
+    .filter(([key]) => filters[key] !== "")
+    .map(([key, names]) => [names[target], filters[key]]);
+
+export const buildFilterSearchParams = (filters) =>
+  Object.fromEntries(toParamEntries(filters, "search"));
+
+export const buildFilterQuery = (filters) =>
+  Object.fromEntries(toParamEntries(filters, "api"));
+
+export const countActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).filter(
+    (key) => key !== "sort" && filters[key] !== ""
+  ).length;
+
+const getServicePriceRange = (service) => {
+  const fixed = Number(service?.fixed_price);
+  if (service?.fixed_price != null && Number.isFinite(fixed)) {
+    return { min: fixed, max: fixed };
+  }
+  const min = Number(service?.min_price);
+  const max = Number(service?.max_price);
+  if (service?.min_price != null && Number.isFinite(min)) {
+    return { min, max: service?.max_price != null && Number.isFinite(max) ? max : min };
+  }
+  return null;
+};
+
+const getServices = (freelancer) =>
+  Array.isArray(freelancer?.services) ? freelancer.services : [];
+
+const getStartingPrice = (freelancer) => {
+  const prices = getServices(freelancer)
+    .map(getServicePriceRange)
+    .filter(Boolean)
+    .map(({ min }) => min);
+  return prices.length > 0 ? Math.min(...prices) : null;
+};
+
+const serviceMatches = (service, filters) => {
+  if (
+    filters.category &&
+    String(service?.service_category_id ?? "") !== filters.category
+  ) {
+    return false;
+  }
+
+  if (filters.location && service?.location !== filters.location) {
+    return false;
+  }
+
+  const minPrice = parseNonNegativeNumber(filters.minPrice);
+  const maxPrice = parseNonNegativeNumber(filters.maxPrice);
+  if (minPrice != null || maxPrice != null) {
+    const range = getServicePriceRange(service);
+    if (!range) {
+      return false;
+    }
+    if (minPrice != null && range.max < minPrice) {
+      return false;
+    }
+    if (maxPrice != null && range.min > maxPrice) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+// The API receives the same filters as query params; applying them again
+// here keeps the page consistent when a response includes extra matches.
+export const applyFilters = (freelancers, filters) => {
+  const minExperience = parseNonNegativeNumber(filters.minExperience);
+  const needsServiceMatch = Boolean(
+    filters.category || filters.location || filters.minPrice || filters.maxPrice
+  );
+
+  return freelancers.filter((freelancer) => {
+    if (filters.accepting === "true" && !freelancer?.is_accepting_orders) {
+      return false;
+    }
+
+    if (minExperience != null) {
+      const years = Number(freelancer?.years_of_experience);
+      if (!Number.isFinite(years) || years < minExperience) {
+        return false;
+      }
+    }
+
+    if (needsServiceMatch) {
+      return getServices(freelancer).some((service) => serviceMatches(service, filters));
+    }
+
+    return true;
+  });
+};
+
+const compareNullableNumbers = (first, second, direction) => {
+  if (first == null && second == null) {
+    return 0;
+  }
+  if (first == null) {
+    return 1;
+  }
+  if (second == null) {
+    return -1;
+  }
+  return direction === "desc" ? second - first : first - second;
+};
+
+export const getFreelancerDistanceKm = (freelancer, origin) =>
+  origin ? getDistanceKm(origin, getCoordinates(freelancer)) : null;
+
+export const sortFreelancers = (freelancers, sort, origin = null) => {
+  if (!sort || (sort === "distance_asc" && !origin)) {
+    return freelancers;
+  }
+
+  const sorted = [...freelancers];
+  sorted.sort((first, second) => {
+    switch (sort) {
+      case "experience_desc":
+        return compareNullableNumbers(
+          Number.isFinite(first?.years_of_experience) ? first.years_of_experience : null,
+          Number.isFinite(second?.years_of_experience) ? second.years_of_experience : null,
+          "desc"
+        );
+      case "price_asc":
+        return compareNullableNumbers(getStartingPrice(first), getStartingPrice(second), "asc");
+      case "price_desc":
+        return compareNullableNumbers(getStartingPrice(first), getStartingPrice(second), "desc");
+      case "distance_asc":
+        return compareNullableNumbers(
+          getFreelancerDistanceKm(first, origin),
+          getFreelancerDistanceKm(second, origin),
+          "asc"
+        );
+      case "name_asc":
+        return String(first?.full_name ?? "").localeCompare(String(second?.full_name ?? ""));
+      default:
+        return 0;
+    }
+  });
+  return sorted;
+};
@@ -0,0 +1,487 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import withAuth from "../../hoc/withAuth.jsx";
+import { useAuth } from "../../hooks/useAuth.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { useDocumentUpload } from "../../hooks/useDocumentUpload.jsx";
+import { ERROR_KINDS, describeApiError, getErrorMessage } from "../../utils/apiErrors";
+import { REALTIME_EVENTS, subscribeToRealtimeEvents } from "../../utils/realtime";
+import {
+  ATTACHMENT_ACCEPT,
+  createClientMessageId,
+  extractConversation,
+  extractMessages,
+  formatMessageTime,
+  getConversationEndpoint,
+  getConversationReadEndpoint,
+  getMessagesEndpoint,
+  isAfter,
+  normaliseMessage,
+  validateAttachments,
+} from "./inboxHelpers.js";
+
+// Replaces the optimistic copy (matched by client id) or appends a message
+// that isn't in the thread yet.
+const upsertMessage = (messages, message) => {
+  const index = messages.findIndex(
+    (entry) => entry.id === message.id || (message.clientId && entry.clientId === message.clientId)
+  );
+  if (index === -1) {
+    return [...messages, message];
+  }
+  const next = [...messages];
+  next[index] = message;
+  return next;
+};
+
+// A refetch must not drop messages that are still sending or failed: those
+// only exist locally, and their retry payload lives in `outgoingRef`.
+const mergeFetchedMessages = (fetched, current) => {
+  const fetchedClientIds = new Set(fetched.map((message) => message.clientId).filter(Boolean));
+  const pending = current.filter(
+    (message) =>
+      (message.status === "sending" || message.status === "failed") &&
+      !fetchedClientIds.has(message.clientId)
+  );
+  return [...fetched, ...pending];
+};
+
+const MessageAttachments = ({ attachments }) => (
+  <ul className="mt-2 flex flex-wrap gap-2">
+    {attachments.map((attachment) => (
+      <li key={attachment.url ?? attachment.name}>
+        {attachment.url ? (
+          <a
+            href={attachment.url}
+            target="_blank"
+            rel="noreferrer"
+            className="inline-flex items-center gap-1 rounded-full bg-white/80 px-3 py-1 text-xs font-medium text-slate-700 underline-offset-2 hover:underline"
+          >
+            📎 {attachment.name}
+          </a>
+        ) : (
+          <span className="inline-flex items-center gap-1 rounded-full bg-white/60 px-3 py-1 text-xs font-medium text-slate-500">
+            📎 {attachment.name}
+          </span>
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+const ConversationThread = () => {
+  const { conversationId } = useParams();
+  const { user } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const uploadFile = useDocumentUpload();
+
+  const [conversation, setConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState(null);
+  const [refreshIndex, setRefreshIndex] = useState(0);
+  const [firstUnreadId, setFirstUnreadId] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [files, setFiles] = useState([]);
+  const [attachmentError, setAttachmentError] = useState("");
+
+  const outgoingRef = useRef(new Map());
+  const fileInputRef = useRef(null);
+  const endRef = useRef(null);
+  // The fetch function changes identity on every token renewal; reading it
+  // through a ref keeps the thread from refetching on each one.
+  const authenticatedFetchRef = useRef(authenticatedFetch);
+  authenticatedFetchRef.current = authenticatedFetch;
+
+  const role = user?.role ?? null;
+  const userId = user?.id != null ? String(user.id) : null;
+
+  const markAsRead = useCallback(() => {
+    authenticatedFetchRef
+      .current(getConversationReadEndpoint(conversationId), { method: "POST" })
+      .catch((markError) => {
+        console.warn("[ConversationThread] Failed to mark conversation as read", markError);
+      });
+  }, [conversationId]);
+
+  useEffect(() => {
+    outgoingRef.current.clear();
+    setMessages([]);
+  }, [conversationId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus("loading");
+    setError(null);
+
+    const fetchThread = async () => {
+      try {
+        const [conversationPayload, messagesPayload] = await Promise.all([
+          authenticatedFetchRef.current.requestJson(getConversationEndpoint(conversationId), {
+            method: "GET",
+          }),
+          authenticatedFetchRef.current.requestJson(getMessagesEndpoint(conversationId), {
+            method: "GET",
+          }),
+        ]);
+        if (cancelled) {
+          return;
+        }
+
+        const nextConversation = extractConversation(conversationPayload, role);
+        const nextMessages = extractMessages(messagesPayload);
+        setConversation(nextConversation);
+        setMessages((previous) => mergeFetchedMessages(nextMessages, previous));
+        setFirstUnreadId(
+          nextMessages.find(
+            (message) =>
+              message.senderId !== userId &&
+              isAfter(message.createdAt, nextConversation?.lastReadAt)
+          )?.id ?? null
+        );
+        setStatus("ready");
+
+        if (nextConversation?.unreadCount > 0) {
+          markAsRead();
+        }
+      } catch (fetchError) {
+        if (!cancelled) {
+          console.warn("[ConversationThread] Failed to load conversation", fetchError);
+          setError(fetchError);
+          setStatus("error");
+        }
+      }
+    };
+
+    fetchThread();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId, markAsRead, refreshIndex, role, userId]);
+
+  useEffect(
+    () =>
+      subscribeToRealtimeEvents(({ type, data }) => {
+        if (
+          type !== REALTIME_EVENTS.messageCreated ||
+          String(data?.conversation_id ?? data?.conversationId) !== String(conversationId)
+        ) {
+          return;
+        }
+        const message = normaliseMessage(data?.message ?? data);
+        if (!message) {
+          return;
+        }
+        setMessages((previous) => upsertMessage(previous, message));
+        if (message.senderId !== userId) {
+          markAsRead();
+        }
+      }),
+    [conversationId, markAsRead, userId]
+  );
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: "end" });
+  }, [messages.length]);
+
+  const deliver = useCallback(
+    async (clientId) => {
+      const outgoing = outgoingRef.current.get(clientId);
+      if (!outgoing) {
+        return;
+      }
+
+      setMessages((previous) =>
+        previous.map((message) =>
+          message.clientId === clientId ? { ...message, status: "sending", error: null } : message
+        )
+      );
+
+      try {
+        // Uploads are kept between retries so a failed send doesn't upload
+        // the same file twice.
+        if (!outgoing.attachments) {
+          outgoing.attachments = await Promise.all(
+            outgoing.files.map(async (file) => ({
+              url: await uploadFile(file, { purpose: "message_attachment" }),
+              name: file.name,
+              content_type: file.type,
+            }))
+          );
+        }
+
+        const payload = await authenticatedFetch.requestJson(getMessagesEndpoint(conversationId), {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            client_id: clientId,
+            body: outgoing.body,
+            attachments: outgoing.attachments,
+          }),
+        });
+
+        const saved = normaliseMessage(payload?.message ?? payload);
+        outgoingRef.current.delete(clientId);
+        setMessages((previous) =>
+          saved
+            ? upsertMessage(previous, { ...saved, clientId })
+            : previous.map((message) =>
+                message.clientId === clientId ? { ...message, status: "sent" } : message
+              )
+        );
+      } catch (sendError) {
+        console.warn("[ConversationThread] Failed to send message", sendError);
+        setMessages((previous) =>
+          previous.map((message) =>
+            message.clientId === clientId
+              ? {
+                  ...message,
+                  status: "failed",
+                  error: getErrorMessage(sendError, "Your message wasn't sent."),
+                }
+              : message
+          )
+        );
+      }
+    },
+    [authenticatedFetch, conversationId, uploadFile]
+  );
+
+  const handleFilesChange = (event) => {
+    const selected = Array.from(event.target.files ?? []);
+    const nextFiles = [...files, ...selected];
+    const validationMessage = validateAttachments(nextFiles);
+    setAttachmentError(validationMessage ?? "");
+    if (!validationMessage) {
+      setFiles(nextFiles);
+    }
+    event.target.value = "";
+  };
+
+  const removeFile = (index) => {
+    setFiles((previous) => previous.filter((_, fileIndex) => fileIndex !== index));
+    setAttachmentError("");
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const body = draft.trim();
+    if (!body && files.length === 0) {
+      return;
+    }
+
+    const clientId = createClientMessageId();
+    outgoingRef.current.set(clientId, { body, files, attachments: null });
+    setMessages((previous) => [
+      ...previous,
+      {
+        id: `local-${clientId}`,
+        clientId,
+        senderId: userId,
+        body,
+        attachments: files.map((file) => ({ url: null, name: file.name, contentType: file.type })),
+        createdAt: new Date().toISOString(),
+        status: "sending",
+      },
+    ]);
+    setDraft("");
+    setFiles([]);
+    setAttachmentError("");
+    deliver(clientId);
+  };
+
+  const handleComposerKeyDown = (event) => {
+    if (event.key === "Enter" && !event.shiftKey) {
+      handleSubmit(event);
+    }
+  };
+
+  const counterpartName = conversation?.counterpart?.name ?? "Conversation";
+  const loadError = useMemo(
+    () =>
+      describeApiError(error, {
+        fallbackMessage: "We couldn't load this conversation.",
+        messages: {
+          [ERROR_KINDS.notFound]: "This conversation doesn't exist or was removed.",
+          [ERROR_KINDS.forbidden]: "You don't have access to this conversation.",
+        },
+      }),
+    [error]
+  );
+
+  return (
+    <section className="min-h-screen bg-gradient-to-b from-white via-slate-50 to-white py-8">
+      <div className="mx-auto flex h-[calc(100vh-8rem)] w-full max-w-3xl flex-col gap-4 px-4 sm:px-6">
+        <header className="flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <Link
+              to="/inbox"
+              className="rounded-full border border-slate-200 bg-white px-3 py-1 text-sm font-medium text-slate-700 transition hover:border-slate-300"
+            >
+              ← Inbox
+            </Link>
+            <h1 className="truncate text-xl font-semibold text-slate-900">{counterpartName}</h1>
+          </div>
+          {role === "customer" && conversation?.counterpart?.id && (
+            <Link
+              to={`/freelancers/${conversation.counterpart.id}`}
+              className="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+            >
+              View profile
+            </Link>
+          )}
+        </header>
+
+        {status === "loading" && (
+          <p className="rounded-2xl border border-slate-200 bg-white px-6 py-4 text-slate-600 shadow">
+            Loading conversation…
+          </p>
+        )}
+
+        {status === "error" && (
+          <div className="flex flex-wrap items-center justify-between gap-4 rounded-2xl border border-rose-200 bg-rose-50 px-6 py-4 text-rose-700 shadow">
+            <p>{loadError.message}</p>
+            {loadError.kind !== ERROR_KINDS.notFound && loadError.kind !== ERROR_KINDS.forbidden && (
+              <button
+                type="button"
+                onClick={() => setRefreshIndex((previous) => previous + 1)}
+                className="rounded-full bg-rose-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-rose-500"
+              >
+                Try again
+              </button>
+            )}
+          </div>
+        )}
+
+        {status === "ready" && (
+          <>
+            <ol className="flex-1 space-y-3 overflow-y-auto rounded-3xl border border-slate-200 bg-white p-4 shadow-inner">
+              {messages.length === 0 && (
+                <li className="py-10 text-center text-sm text-slate-500">
+                  No messages yet. Say hello to {counterpartName}.
+                </li>
+              )}
+              {messages.map((message) => {
+                const isOwn = message.senderId === userId;
+                return (
+                  <li key={message.clientId ?? message.id}>
+                    {message.id === firstUnreadId && (
+                      <div className="my-3 flex items-center gap-3 text-xs font-semibold uppercase tracking-[0.14em] text-indigo-600">
+                        <span className="h-px flex-1 bg-indigo-200" />
+                        New messages
+                        <span className="h-px flex-1 bg-indigo-200" />
+                      </div>
+                    )}
+                    <div className={`flex ${isOwn ? "justify-end" : "justify-start"}`}>
+                      <div
+                        className={`max-w-[80%] rounded-2xl px-4 py-2 text-sm shadow-sm ${
+                          isOwn ? "bg-indigo-600 text-white" : "bg-slate-100 text-slate-900"
+                        } ${message.status === "sending" ? "opacity-70" : ""}`}
+                      >
+                        {message.body && <p className="whitespace-pre-wrap break-words">{message.body}</p>}
+                        {message.attachments.length > 0 && (
+                          <MessageAttachments attachments={message.attachments} />
+                        )}
+                        <p
+                          className={`mt-1 text-[0.7rem] ${
+                            isOwn ? "text-white/70" : "text-slate-500"
+                          }`}
+                        >
+                          {message.status === "sending"
+                            ? "Sending…"
+                            : formatMessageTime(message.createdAt)}
+                        </p>
+                      </div>
+                    </div>
+                    {message.status === "failed" && (
+                      <p className="mt-1 text-right text-xs text-rose-600">
+                        {message.error}{" "}
+                        <button
+                          type="button"
+                          onClick={() => deliver(message.clientId)}
+                          className="font-semibold underline"
+                        >
+                          Retry
+                        </button>
+                      </p>
+                    )}
+                  </li>
+                );
+              })}
+              <li ref={endRef} aria-hidden="true" />
+            </ol>
+
+            <form
+              onSubmit={handleSubmit}
+              className="space-y-2 rounded-3xl border border-slate-200 bg-white p-4 shadow-lg shadow-slate-200/60"
+            >
+              {files.length > 0 && (
+                <ul className="flex flex-wrap gap-2">
+                  {files.map((file, index) => (
+                    <li
+                      key={`${file.name}-${index}`}
+                      className="inline-flex items-center gap-2 rounded-full bg-slate-100 px-3 py-1 text-xs text-slate-700"
+                    >
+                      📎 {file.name}
+                      <button
+                        type="button"
+                        onClick={() => removeFile(index)}
+                        aria-label={`Remove ${file.name}`}
+                        className="text-slate-500 hover:text-slate-900"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {attachmentError && <p className="text-xs text-rose-600">{attachmentError}</p>}
+              <div className="flex items-end gap-2">
+                <label className="sr-only" htmlFor="message-composer">
+                  Message
+                </label>
+                <textarea
+                  id="message-composer"
+                  rows={2}
+                  value={draft}
+                  onChange={(event) => setDraft(event.target.value)}
+                  onKeyDown={handleComposerKeyDown}
+                  placeholder={`Message ${counterpartName}`}
+                  className="flex-1 resize-none rounded-2xl border border-slate-200 px-4 py-2 text-sm focus:border-indigo-400 focus:outline-none"
+                />
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept={ATTACHMENT_ACCEPT}
+                  multiple
+                  onChange={handleFilesChange}
+                  className="hidden"
+                />
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  className="rounded-full border border-slate-200 px-3 py-2 text-sm text-slate-700 transition hover:border-slate-300"
+                  aria-label="Attach files"
+                >
+                  📎
+                </button>
+                <button
+                  type="submit"
+                  disabled={!draft.trim() && files.length === 0}
+                  className="rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                  Send
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+const ProtectedConversationThread = withAuth(ConversationThread);
+
+export default ProtectedConversationThread;
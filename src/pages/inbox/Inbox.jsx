@@ -0,0 +1,202 @@
+import { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import withAuth from "../../hoc/withAuth.jsx";
+import { useAuth } from "../../hooks/useAuth.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { getErrorMessage } from "../../utils/apiErrors";
+import { REALTIME_EVENTS, subscribeToRealtimeEvents } from "../../utils/realtime";
+import {
+  CONVERSATIONS_ENDPOINT,
+  extractConversations,
+  formatMessageTime,
+} from "./inboxHelpers.js";
+
+const getInitial = (name) => (name ? name.trim().charAt(0).toUpperCase() : "?");
+
+const getPreview = (message) => {
+  if (!message) {
+    return "No messages yet";
+  }
+  if (message.body.trim()) {
+    return message.body;
+  }
+  return message.attachments.length > 0 ? "Sent an attachment" : "";
+};
+
+const Inbox = () => {
+  const { user } = useAuth();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const [conversations, setConversations] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState(null);
+  const [refreshIndex, setRefreshIndex] = useState(0);
+
+  const role = user?.role ?? null;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchConversations = async () => {
+      try {
+        const payload = await authenticatedFetch.requestJson(CONVERSATIONS_ENDPOINT, {
+          method: "GET",
+        });
+        if (!cancelled) {
+          setConversations(extractConversations(payload, role));
+          setError(null);
+          setStatus("ready");
+        }
+      } catch (fetchError) {
+        if (!cancelled) {
+          console.warn("[Inbox] Failed to load conversations", fetchError);
+          setError(fetchError);
+          setStatus("error");
+        }
+      }
+    };
+
+    fetchConversations();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, refreshIndex, role]);
+
+  const reload = useCallback(() => {
+    setRefreshIndex((previous) => previous + 1);
+  }, []);
+
+  useEffect(
+    () =>
+      subscribeToRealtimeEvents((event) => {
+        if (event.type === REALTIME_EVENTS.messageCreated) {
+          reload();
+        }
+      }),
+    [reload]
+  );
+
+  const emptyCopy =
+    role === "freelancer"
+      ? "When customers message you about your services, their conversations will appear here."
+      : "Have a question before booking? Open a freelancer's profile and send them a message.";
+
+  return (
+    <section className="min-h-screen bg-gradient-to-b from-white via-slate-50 to-white py-12">
+      <div className="mx-auto flex w-full max-w-4xl flex-col gap-8 px-4 sm:px-6 lg:px-8">
+        <header className="space-y-2">
+          <span className="inline-flex items-center gap-2 rounded-full bg-slate-900 px-4 py-1 text-xs font-semibold uppercase tracking-[0.2em] text-white">
+            Inbox
+          </span>
+          <h1 className="text-3xl font-semibold text-slate-900">Messages</h1>
+          <p className="text-sm text-slate-600">
+            {role === "freelancer"
+              ? "Answer questions from customers before they book."
+              : "Talk to freelancers before you book."}
+          </p>
+        </header>
+
+        {status === "loading" && (
+          <p className="rounded-2xl border border-slate-200 bg-white px-6 py-4 text-slate-600 shadow">
+            Loading conversations…
+          </p>
+        )}
+
+        {status === "error" && (
+          <div className="flex flex-wrap items-center justify-between gap-4 rounded-2xl border border-rose-200 bg-rose-50 px-6 py-4 text-rose-700 shadow">
+            <p>{getErrorMessage(error, "We couldn't load your conversations.")}</p>
+            <button
+              type="button"
+              onClick={reload}
+              className="rounded-full bg-rose-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-rose-500"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {status === "ready" && conversations.length === 0 && (
+          <div className="rounded-3xl border border-dashed border-slate-200 bg-white p-10 text-center text-slate-600">
+            <p>{emptyCopy}</p>
+            {role !== "freelancer" && (
+              <Link
+                to="/freelancers"
+                className="mt-4 inline-flex items-center gap-2 rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700"
+              >
+                Browse freelancers
+              </Link>
+            )}
+          </div>
+        )}
+
+        {status === "ready" && conversations.length > 0 && (
+          <ul className="divide-y divide-slate-200 overflow-hidden rounded-3xl border border-slate-200 bg-white shadow-lg shadow-slate-200/60">
+            {conversations.map((conversation) => {
+              const name = conversation.counterpart?.name ?? "Conversation";
+              const hasUnread = conversation.unreadCount > 0;
+              return (
+                <li key={conversation.id}>
+                  <Link
+                    to={`/inbox/${conversation.id}`}
+                    className={`flex items-center gap-4 px-6 py-4 transition hover:bg-slate-50 ${
+                      hasUnread ? "bg-indigo-50/60" : ""
+                    }`}
+                  >
+                    {conversation.counterpart?.avatarUrl ? (
+                      <img
+                        src={conversation.counterpart.avatarUrl}
+                        alt=""
+                        className="h-12 w-12 flex-shrink-0 rounded-full object-cover"
+                        loading="lazy"
+                        referrerPolicy="no-referrer"
+                      />
+                    ) : (
+                      <span className="grid h-12 w-12 flex-shrink-0 place-items-center rounded-full bg-gradient-to-br from-violet-500 to-sky-500 text-lg font-semibold text-white">
+                        {getInitial(name)}
+                      </span>
+                    )}
+                    <div className="min-w-0 flex-1">
+                      <div className="flex items-center justify-between gap-3">
+                        <p
+                          className={`truncate text-slate-900 ${
+                            hasUnread ? "font-semibold" : "font-medium"
+                          }`}
+                        >
+                          {name}
+                        </p>
+                        <span className="flex-shrink-0 text-xs text-slate-500">
+                          {formatMessageTime(
+                            conversation.lastMessage?.createdAt ?? conversation.updatedAt
+                          )}
+                        </span>
+                      </div>
+                      <p
+                        className={`truncate text-sm ${
+                          hasUnread ? "text-slate-900" : "text-slate-500"
+                        }`}
+                      >
+                        {getPreview(conversation.lastMessage)}
+                      </p>
+                    </div>
+                    {hasUnread && (
+                      <span
+                        className="grid h-6 min-w-6 place-items-center rounded-full bg-indigo-600 px-2 text-xs font-semibold text-white"
+                        aria-label={`${conversation.unreadCount} unread`}
+                      >
+                        {conversation.unreadCount}
+                      </span>
+                    )}
+                  </Link>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+};
+
+const ProtectedInbox = withAuth(Inbox);
+
+export default ProtectedInbox;
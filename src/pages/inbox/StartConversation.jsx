@@ -0,0 +1,90 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import withCustomerAuth from "../../hoc/withCustomerAuth.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { ERROR_KINDS, describeApiError } from "../../utils/apiErrors";
+import { CONVERSATIONS_ENDPOINT, extractConversation } from "./inboxHelpers.js";
+
+// Opens (or reuses) the customer's thread with a freelancer and forwards to
+// it. Only customers can start conversations; freelancers reply from /inbox.
+export const StartConversation = () => {
+  const { id: freelancerId } = useParams();
+  const navigate = useNavigate();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const [error, setError] = useState(null);
+  const [refreshIndex, setRefreshIndex] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+
+    const openConversation = async () => {
+      try {
+        const payload = await authenticatedFetch.requestJson(CONVERSATIONS_ENDPOINT, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ freelancer_id: freelancerId }),
+        });
+        if (cancelled) {
+          return;
+        }
+        const conversation = extractConversation(payload, "customer");
+        if (!conversation) {
+          throw new Error("The conversation could not be opened.");
+        }
+        navigate(`/inbox/${conversation.id}`, { replace: true });
+      } catch (openError) {
+        if (!cancelled) {
+          console.warn("[StartConversation] Failed to open conversation", openError);
+          setError(openError);
+        }
+      }
+    };
+
+    openConversation();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, freelancerId, navigate, refreshIndex]);
+
+  const { message } = describeApiError(error, {
+    fallbackMessage: "We couldn't start this conversation. Please try again.",
+    messages: {
+      [ERROR_KINDS.notFound]: "This freelancer is no longer available.",
+    },
+  });
+
+  return (
+    <section className="mx-auto flex min-h-[50vh] w-full max-w-xl flex-col items-center justify-center gap-4 px-4 text-center">
+      {error ? (
+        <>
+          <p className="text-rose-700">{message}</p>
+          <div className="flex flex-wrap justify-center gap-3">
+            <button
+              type="button"
+              onClick={() => setRefreshIndex((previous) => previous + 1)}
+              className="rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700"
+            >
+              Try again
+            </button>
+            <Link
+              to={`/freelancers/${freelancerId}`}
+              className="rounded-full border border-slate-300 px-5 py-2 text-sm font-semibold text-slate-700 transition hover:bg-slate-100"
+            >
+              Back to profile
+            </Link>
+          </div>
+        </>
+      ) : (
+        <p className="text-slate-600">Opening conversation…</p>
+      )}
+    </section>
+  );
+};
+
+const StartConversationWithAuth = withCustomerAuth(StartConversation);
+
+StartConversationWithAuth.displayName = "StartConversationWithAuth";
+
+export default StartConversationWithAuth;
@@ -0,0 +1,150 @@
+export const CONVERSATIONS_ENDPOINT = "/users/me/conversations";
+
+export const getConversationEndpoint = (conversationId) =>
+  `${CONVERSATIONS_ENDPOINT}/${encodeURIComponent(conversationId)}`;
+export const getMessagesEndpoint = (conversationId) =>
+  `${getConversationEndpoint(conversationId)}/messages`;
+export const getConversationReadEndpoint = (conversationId) =>
+  `${getConversationEndpoint(conversationId)}/read`;
+
+export const MAX_ATTACHMENTS = 3;
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const ATTACHMENT_ACCEPT = "image/*,application/pdf";
+
+const toNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+
+const normaliseParticipant = (candidate) => {
+  if (!candidate || typeof candidate !== "object") {
+    return null;
+  }
+  return {
+    id: candidate.id != null ? String(candidate.id) : null,
+    name:
+      toNonEmptyString(candidate.full_name) ??
+      toNonEmptyString(candidate.display_name) ??
+      toNonEmptyString(candidate.email) ??
+      "Unknown user",
+    avatarUrl: toNonEmptyString(candidate.avatar_url ?? candidate.avatarUrl),
+  };
+};
+
+const getFileNameFromUrl = (url) => {
+  const lastSegment = url.split("?")[0].split("/").pop();
+  try {
+    return decodeURIComponent(lastSegment) || "Attachment";
+  } catch {
+    return lastSegment || "Attachment";
+  }
+};
+
+const normaliseAttachment = (candidate) => {
+  const url = toNonEmptyString(typeof candidate === "string" ? candidate : candidate?.url);
+  if (!url) {
+    return null;
+  }
+  return {
+    url,
+    name: toNonEmptyString(candidate?.name) ?? getFileNameFromUrl(url),
+    contentType: toNonEmptyString(candidate?.content_type ?? candidate?.contentType),
+  };
+};
+
+export const normaliseMessage = (candidate) => {
+  if (!candidate || typeof candidate !== "object" || candidate.id == null) {
+    return null;
+  }
+  return {
+    id: String(candidate.id),
+    clientId: toNonEmptyString(candidate.client_id ?? candidate.clientId),
+    senderId: candidate.sender_id != null ? String(candidate.sender_id) : null,
+    body: typeof candidate.body === "string" ? candidate.body : "",
+    attachments: Array.isArray(candidate.attachments)
+      ? candidate.attachments.map(normaliseAttachment).filter(Boolean)
+      : [],
+    createdAt: candidate.created_at ?? candidate.createdAt ?? null,
+    status: "sent",
+  };
+};
+
+// The other side of the thread depends on who is looking at it: customers
+// talk to freelancers and freelancers to customers.
+export const normaliseConversation = (candidate, role) => {
+  if (!candidate || typeof candidate !== "object" || candidate.id == null) {
+    return null;
+  }
+  const counterpart =
+    role === "freelancer"
+      ? candidate.customer ?? candidate.counterpart
+      : candidate.freelancer ?? candidate.counterpart;
+
+  return {
+    id: String(candidate.id),
+    counterpart: normaliseParticipant(counterpart),
+    lastMessage: normaliseMessage(candidate.last_message ?? candidate.lastMessage),
+    unreadCount: Number.isFinite(Number(candidate.unread_count))
+      ? Number(candidate.unread_count)
+      : 0,
+    lastReadAt: candidate.last_read_at ?? candidate.lastReadAt ?? null,
+    updatedAt: candidate.updated_at ?? candidate.updatedAt ?? null,
+  };
+};
+
+export const extractConversations = (payload, role) => {
+  const list = Array.isArray(payload) ? payload : payload?.conversations ?? payload?.items ?? [];
+  return Array.isArray(list)
+    ? list.map((entry) => normaliseConversation(entry, role)).filter(Boolean)
+    : [];
+};
+
+export const extractMessages = (payload) => {
+  const list = Array.isArray(payload) ? payload : payload?.messages ?? payload?.items ?? [];
+  return Array.isArray(list) ? list.map(normaliseMessage).filter(Boolean) : [];
+};
+
+export const extractConversation = (payload, role) =>
+  normaliseConversation(payload?.conversation ?? payload, role);
+
+export const createClientMessageId = () =>
+  typeof crypto !== "undefined" && typeof crypto.randomUUID === "function"
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+export const validateAttachments = (files) => {
+  if (files.length > MAX_ATTACHMENTS) {
+    return `You can attach up to ${MAX_ATTACHMENTS} files per message.`;
+  }
+  const tooLarge = files.find((file) => file.size > MAX_ATTACHMENT_BYTES);
+  if (tooLarge) {
+    return `${tooLarge.name} is larger than 10 MB.`;
+  }
+  const unsupported = files.find(
+    (file) => !file.type.startsWith("image/") && file.type !== "application/pdf"
+  );
+  if (unsupported) {
+    return `${unsupported.name} isn't an image or PDF.`;
+  }
+  return null;
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+export const formatMessageTime = (value) => {
+  const date = toDate(value);
+  if (!date) {
+    return "";
+  }
+  const isToday = date.toDateString() === new Date().toDateString();
+  return isToday
+    ? date.toLocaleTimeString(undefined, { timeStyle: "short" })
+    : date.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+};
+
+export const isAfter = (value, reference) => {
+  const date = toDate(value);
+  const referenceDate = toDate(reference);
+  return Boolean(date) && (!referenceDate || date > referenceDate);
+};
@@ -0,0 +1,258 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import withCustomerAuth from "../../hoc/withCustomerAuth.jsx";
+import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
+import { useToast } from "../../hooks/useToast.jsx";
+import { ERROR_KINDS, describeApiError } from "../../utils/apiErrors";
+import { StarRatingInput } from "../../components/reviews/StarRating.jsx";
+import {
+  CREATE_REVIEW_ENDPOINT,
+  MAX_REVIEW_LENGTH,
+} from "../../components/reviews/reviewHelpers.js";
+
+const getBookingFromPayload = (payload) => payload?.booking ?? payload ?? null;
+
+// A booking covers one service today, but the API already returns a list for
+// multi-service bookings, so each gets its own rating.
+const getBookingServices = (booking) => {
+  if (Array.isArray(booking?.services) && booking.services.length > 0) {
+    return booking.services.filter((service) => service?.id != null);
+  }
+  const id = booking?.service?.id ?? booking?.service_id;
+  if (id == null) {
+    return [];
+  }
+  return [
+    {
+      id,
+      title: booking.service?.title ?? booking.service_title ?? booking.service?.service_category_name,
+    },
+  ];
+};
+
+const getReviewedServiceIds = (booking) => {
+  const ids = Array.isArray(booking?.reviewed_service_ids)
+    ? booking.reviewed_service_ids
+    : (Array.isArray(booking?.reviews) ? booking.reviews : []).map((review) => review?.service_id);
+  return new Set(ids.filter((id) => id != null).map(String));
+};
+
+const ServiceReviewForm = ({ bookingId, service, onSubmitted }) => {
+  const authenticatedFetch = useAuthenticatedFetch();
+  const [rating, setRating] = useState(0);
+  const [body, setBody] = useState("");
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (rating < 1) {
+      setError("Choose a star rating.");
+      return;
+    }
+
+    setStatus("submitting");
+    setError("");
+    try {
+      await authenticatedFetch.requestJson(CREATE_REVIEW_ENDPOINT, {
+        method: "POST",
+        body: JSON.stringify({
+          booking_id: bookingId,
+          service_id: service.id,
+          rating,
+          body: body.trim(),
+        }),
+      });
+      onSubmitted(service);
+    } catch (submitError) {
+      const { kind, message } = describeApiError(submitError, {
+        fallbackMessage: "We couldn't save your review. Please try again.",
+        messages: {
+          [ERROR_KINDS.conflict]: "You've already reviewed this service.",
+          [ERROR_KINDS.forbidden]: "Only the customer who booked can review this service.",
+        },
+      });
+      if (kind === ERROR_KINDS.conflict) {
+        onSubmitted(service, { alreadyReviewed: true });
+        return;
+      }
+      setError(message);
+      setStatus("idle");
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="space-y-4 rounded-3xl border border-slate-200 bg-white p-6 shadow-lg shadow-slate-200/60"
+    >
+      <h2 className="text-lg font-semibold text-slate-900">{service.title ?? "Service"}</h2>
+      <StarRatingInput
+        name={`rating-${service.id}`}
+        value={rating}
+        onChange={setRating}
+        disabled={status === "submitting"}
+      />
+      <label className="block text-sm font-medium text-slate-700">
+        Your review
+        <textarea
+          value={body}
+          onChange={(event) => setBody(event.target.value)}
+          maxLength={MAX_REVIEW_LENGTH}
+          rows={4}
+          placeholder="What went well? What could be better?"
+          className="mt-1 w-full rounded-2xl border border-slate-200 px-4 py-2 text-sm focus:border-violet-400 focus:outline-none"
+        />
+      </label>
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+      <button
+        type="submit"
+        disabled={status === "submitting"}
+        className="rounded-full bg-slate-900 px-5 py-2 text-sm font-semibold text-white transition hover:bg-slate-700 disabled:opacity-60"
+      >
+        {status === "submitting" ? "Submitting…" : "Submit review"}
+      </button>
+    </form>
+  );
+};
+
+export const LeaveReview = () => {
+  const { bookingId } = useParams();
+  const authenticatedFetch = useAuthenticatedFetch();
+  const toast = useToast();
+  const [booking, setBooking] = useState(null);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState(null);
+  const [refreshIndex, setRefreshIndex] = useState(0);
+  const [reviewedIds, setReviewedIds] = useState(() => new Set());
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus("loading");
+    setError(null);
+
+    const fetchBooking = async () => {
+      try {
+        const payload = await authenticatedFetch.requestJson(
+          `/users/me/bookings/${encodeURIComponent(bookingId)}`,
+          { method: "GET" }
+        );
+        if (cancelled) {
+          return;
+        }
+        const nextBooking = getBookingFromPayload(payload);
+        setBooking(nextBooking);
+        setReviewedIds(getReviewedServiceIds(nextBooking));
+        setStatus("ready");
+      } catch (fetchError) {
+        if (!cancelled) {
+          console.warn("[LeaveReview] Failed to load booking", fetchError);
+          setError(fetchError);
+          setStatus("error");
+        }
+      }
+    };
+
+    fetchBooking();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authenticatedFetch, bookingId, refreshIndex]);
+
+  const services = useMemo(() => getBookingServices(booking), [booking]);
+  const pendingServices = services.filter((service) => !reviewedIds.has(String(service.id)));
+  const freelancerId = booking?.freelancer_id ?? booking?.freelancer?.id ?? null;
+  const freelancerName = booking?.freelancer?.full_name ?? booking?.freelancer_name ?? "your freelancer";
+  const isCompleted = booking?.status === "completed";
+
+  const handleSubmitted = (service, { alreadyReviewed = false } = {}) => {
+    setReviewedIds((previous) => new Set(previous).add(String(service.id)));
+    if (alreadyReviewed) {
+      toast?.info?.({ message: `You've already reviewed ${service.title ?? "this service"}.` });
+      return;
+    }
+    toast?.success?.({
+      title: "Review published",
+      message: `Thanks for reviewing ${service.title ?? "this service"}.`,
+    });
+  };
+
+  const loadErrorMessage = describeApiError(error, {
+    fallbackMessage: "We couldn't load this booking. Please try again.",
+    messages: {
+      [ERROR_KINDS.notFound]: "We couldn't find that booking.",
+    },
+  }).message;
+
+  return (
+    <section className="min-h-screen bg-gradient-to-b from-slate-50 via-white to-slate-50 py-12">
+      <div className="mx-auto flex w-full max-w-2xl flex-col gap-6 px-4 sm:px-6">
+        <header className="space-y-2">
+          <h1 className="text-3xl font-semibold text-slate-900">Review {freelancerName}</h1>
+          <p className="text-sm text-slate-600">
+            Your rating and review are shown publicly on the freelancer&apos;s profile.
+          </p>
+        </header>
+
+        {status === "loading" && <p className="text-slate-600">Loading booking…</p>}
+
+        {status === "error" && (
+          <div className="flex flex-wrap items-center gap-3 rounded-2xl border border-rose-200 bg-rose-50 px-6 py-4 text-rose-700">
+            <p>{loadErrorMessage}</p>
+            <button
+              type="button"
+              onClick={() => setRefreshIndex((previous) => previous + 1)}
+              className="font-semibold underline"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {status === "ready" && !isCompleted && (
+          <p className="rounded-2xl border border-amber-200 bg-amber-50 px-6 py-4 text-amber-800">
+            You can leave a review once this booking has been completed.
+          </p>
+        )}
+
+        {status === "ready" &&
+          isCompleted &&
+          pendingServices.map((service) => (
+            <ServiceReviewForm
+              key={service.id}
+              bookingId={booking.id ?? bookingId}
+              service={service}
+              onSubmitted={handleSubmitted}
+            />
+          ))}
+
+        {status === "ready" && isCompleted && services.length === 0 && (
+          <p className="rounded-2xl border border-slate-200 bg-white px-6 py-4 text-slate-600">
+            There&apos;s nothing to review in this booking.
+          </p>
+        )}
+
+        {status === "ready" && isCompleted && services.length > 0 && pendingServices.length === 0 && (
+          <div className="rounded-3xl border border-emerald-200 bg-emerald-50 p-6 text-emerald-800">
+            <p className="font-semibold">Thanks, you&apos;ve reviewed everything in this booking.</p>
+            {freelancerId != null && (
+              <Link
+                to={`/freelancers/${freelancerId}`}
+                className="mt-3 inline-flex text-sm font-semibold underline"
+              >
+                See it on {freelancerName}&apos;s profile
+              </Link>
+            )}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+const LeaveReviewWithAuth = withCustomerAuth(LeaveReview);
+
+LeaveReviewWithAuth.displayName = "LeaveReviewWithAuth";
+
+export default LeaveReviewWithAuth;
@@ -0,0 +1,392 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Link, Navigate } from "react-router-dom";
+import { SERVICE_CATEGORIES } from "../../components/FreelancerServicesForm.jsx";
+import withFreelancerAuth from "../../hoc/withFreelancerAuth.jsx";
+import { useAuth } from "../../hooks/useAuth.jsx";
+import { useDocumentUpload } from "../../hooks/useDocumentUpload.jsx";
+import { useFreelancerPortfolio } from "../../hooks/useFreelancerPortfolio.jsx";
+import { useToast } from "../../hooks/useToast.jsx";
+import { getErrorMessage } from "../../utils/apiErrors";
+import { compressImage, validateImageFile } from "../../utils/images.js";
+import {
+  MAX_CAPTION_LENGTH,
+  MAX_PORTFOLIO_ITEMS,
+  PORTFOLIO_UPLOAD_DIMENSION,
+  getImageAlt,
+  getThumbnailUrl,
+  serialisePortfolio,
+} from "../../components/portfolio/portfolioHelpers.js";
+
+const getItemKey = (item) => item.id ?? item.url;
+
+const isSamePortfolio = (a, b) =>
+  JSON.stringify(serialisePortfolio(a)) === JSON.stringify(serialisePortfolio(b));
+
+const moveItem = (items, from, to) => {
+  if (to < 0 || to >= items.length) {
+    return items;
+  }
+  const next = [...items];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+// Removing the cover hands it to the first remaining image.
+const ensureCover = (items) =>
+  items.length === 0 || items.some((item) => item.isCover)
+    ? items
+    : items.map((item, index) => ({ ...item, isCover: index === 0 }));
+
+const PortfolioItemEditor = ({
+  item,
+  index,
+  total,
+  disabled,
+  freelancerName,
+  onChange,
+  onMove,
+  onRemove,
+}) => {
+  const idPrefix = `portfolio-${index}`;
+
+  return (
+    <li className="portfolio-editor__item">
+      <img
+        src={getThumbnailUrl(item, 320)}
+        alt={getImageAlt(item, freelancerName)}
+        className="portfolio-editor__thumbnail"
+        loading="lazy"
+      />
+      <div className="portfolio-editor__fields">
+        <div className="field">
+          <label htmlFor={`${idPrefix}-caption`}>Caption</label>
+          <input
+            id={`${idPrefix}-caption`}
+            type="text"
+            value={item.caption}
+            maxLength={MAX_CAPTION_LENGTH}
+            placeholder="Describe the look or technique"
+            disabled={disabled}
+            onChange={(event) => onChange(index, { caption: event.target.value })}
+          />
+        </div>
+        <div className="field">
+          <label htmlFor={`${idPrefix}-category`}>Service category</label>
+          <select
+            id={`${idPrefix}-category`}
+            value={item.categoryId}
+            disabled={disabled}
+            onChange={(event) => onChange(index, { categoryId: event.target.value })}
+          >
+            <option value="">Not tagged</option>
+            {SERVICE_CATEGORIES.map((category) => (
+              <option key={category.id} value={String(category.id)}>
+                {category.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <label className="portfolio-editor__cover">
+          <input
+            type="radio"
+            name="portfolio-cover"
+            checked={item.isCover}
+            disabled={disabled}
+            onChange={() => onChange(index, { isCover: true })}
+          />
+          <span>Cover image</span>
+        </label>
+      </div>
+      <div className="portfolio-editor__actions">
+        <button
+          type="button"
+          className="btn btn-secondary"
+          disabled={disabled || index === 0}
+          onClick={() => onMove(index, index - 1)}
+          aria-label={`Move image ${index + 1} earlier`}
+        >
+          ↑
+        </button>
+        <button
+          type="button"
+          className="btn btn-secondary"
+          disabled={disabled || index === total - 1}
+          onClick={() => onMove(index, index + 1)}
+          aria-label={`Move image ${index + 1} later`}
+        >
+          ↓
+        </button>
+        <button
+          type="button"
+          className="btn btn-danger"
+          disabled={disabled}
+          onClick={() => onRemove(index)}
+        >
+          Remove
+        </button>
+      </div>
+    </li>
+  );
+};
+
+const FreelancerPortfolioPage = () => {
+  const toast = useToast();
+  const { freelancerProfile } = useAuth();
+  const uploadFile = useDocumentUpload();
+  const { items, status, errorMessage, isSaving, reload, savePortfolio } =
+    useFreelancerPortfolio();
+  const fileInputRef = useRef(null);
+
+  const [draft, setDraft] = useState([]);
+  const [upload, setUpload] = useState(null);
+  const [uploadErrors, setUploadErrors] = useState([]);
+  const [saveError, setSaveError] = useState("");
+
+  const draftRef = useRef(draft);
+  const syncedItemsRef = useRef(null);
+
+  useEffect(() => {
+    draftRef.current = draft;
+  }, [draft]);
+
+  // Adopt freshly loaded items only while the draft still matches what was
+  // last loaded, so a reload never wipes unsaved edits or uploads.
+  useEffect(() => {
+    if (!items) {
+      return;
+    }
+    const syncedItems = syncedItemsRef.current;
+    syncedItemsRef.current = items;
+    if (syncedItems && !isSamePortfolio(draftRef.current, syncedItems)) {
+      return;
+    }
+    setDraft(items);
+  }, [items]);
+
+  const isDirty = useMemo(() => !isSamePortfolio(draft, items ?? []), [draft, items]);
+
+  const isUploading = upload !== null;
+  const isBusy = isUploading || isSaving;
+  const remainingSlots = MAX_PORTFOLIO_ITEMS - draft.length;
+  const freelancerName = freelancerProfile?.full_name ?? null;
+
+  const handleChange = (index, changes) => {
+    setDraft((previous) =>
+      previous.map((item, itemIndex) => {
+        if (itemIndex === index) {
+          return { ...item, ...changes };
+        }
+        return changes.isCover ? { ...item, isCover: false } : item;
+      })
+    );
+  };
+
+  const handleMove = (from, to) => {
+    setDraft((previous) => moveItem(previous, from, to));
+  };
+
+  const handleRemove = (index) => {
+    setDraft((previous) =>
+      ensureCover(previous.filter((_, itemIndex) => itemIndex !== index))
+    );
+  };
+
+  const handleFiles = async (event) => {
+    const files = Array.from(event.target.files ?? []);
+    event.target.value = "";
+    if (files.length === 0) {
+      return;
+    }
+
+    const errors = [];
+    const accepted = files.slice(0, Math.max(remainingSlots, 0));
+    if (accepted.length < files.length) {
+      errors.push(
+        `Your portfolio can hold ${MAX_PORTFOLIO_ITEMS} images, so ${
+          files.length - accepted.length
+        } were skipped.`
+      );
+    }
+
+    // Uploads run one at a time to keep memory low on phones.
+    for (const [index, file] of accepted.entries()) {
+      const validationError = validateImageFile(file);
+      if (validationError) {
+        errors.push(`${file.name}: ${validationError}`);
+        continue;
+      }
+
+      setUpload({ current: index + 1, total: accepted.length });
+      try {
+        const compressed = await compressImage(file, {
+          maxDimension: PORTFOLIO_UPLOAD_DIMENSION,
+        });
+        const url = await uploadFile(compressed, { purpose: "portfolio" });
+        setDraft((previous) =>
+          ensureCover([
+            ...previous,
+            {
+              id: null,
+              url,
+              caption: "",
+              categoryId: "",
+              position: previous.length,
+              isCover: false,
+              width: null,
+              height: null,
+              variants: [],
+            },
+          ])
+        );
+      } catch (uploadError) {
+        console.error("[FreelancerPortfolioPage] Upload failed", uploadError);
+        errors.push(
+          `${file.name}: ${getErrorMessage(uploadError, "The upload failed. Please try again.")}`
+        );
+      }
+    }
+
+    setUpload(null);
+    setUploadErrors(errors);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaveError("");
+    const result = await savePortfolio(draft);
+    if (result.ok) {
+      setDraft(result.items);
+      toast?.success?.({
+        title: "Portfolio saved",
+        message: "Clients will see these images on your public profile.",
+      });
+      return;
+    }
+    setSaveError(result.message);
+  };
+
+  if (status === "unauthorized") {
+    return <Navigate to="/login" replace />;
+  }
+
+  return (
+    <section className="page freelancer-portfolio-page">
+      <header className="page-header">
+        <h1>Portfolio</h1>
+        <p className="page-subtitle">
+          Show clients your best work. Tag each image with a service so they
+          can find examples of what they want to book.
+        </p>
+      </header>
+
+      {status === "loading" && (
+        <p className="notice info" aria-live="polite">
+          Loading your portfolio…
+        </p>
+      )}
+
+      {status === "error" && (
+        <div className="form-footer">
+          <p className="notice error" role="alert">
+            {errorMessage}
+          </p>
+          <button type="button" className="btn btn-secondary" onClick={reload}>
+            Try again
+          </button>
+        </div>
+      )}
+
+      {status === "ready" && (
+        <form className="portfolio-editor" onSubmit={handleSubmit}>
+          <div className="portfolio-editor__upload">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              multiple
+              hidden
+              onChange={handleFiles}
+            />
+            <button
+              type="button"
+              className="btn btn-secondary"
+              disabled={isBusy || remainingSlots <= 0}
+              onClick={() => fileInputRef.current?.click()}
+            >
+              Add images
+            </button>
+            <p className="field-hint">
+              {remainingSlots > 0
+                ? `${draft.length} of ${MAX_PORTFOLIO_ITEMS} images, up to 10 MB each.`
+                : "Your portfolio is full. Remove an image to add another."}
+            </p>
+            {isUploading && (
+              <p className="notice info" aria-live="polite">
+                Uploading image {upload.current} of {upload.total}…
+              </p>
+            )}
+            {uploadErrors.length > 0 && (
+              <ul className="notice error" role="alert">
+                {uploadErrors.map((message) => (
+                  <li key={message}>{message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {draft.length === 0 ? (
+            <p className="portfolio-editor__empty">
+              No images yet. Add a few photos of recent work to get started.
+            </p>
+          ) : (
+            <ol className="portfolio-editor__list">
+              {draft.map((item, index) => (
+                <PortfolioItemEditor
+                  key={getItemKey(item)}
+                  item={item}
+                  index={index}
+                  total={draft.length}
+                  disabled={isBusy}
+                  freelancerName={freelancerName}
+                  onChange={handleChange}
+                  onMove={handleMove}
+                  onRemove={handleRemove}
+                />
+              ))}
+            </ol>
+          )}
+
+          <footer className="form-footer">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={isBusy || !isDirty}
+            >
+              {isSaving ? "Saving…" : "Save portfolio"}
+            </button>
+            {freelancerProfile?.id != null && (
+              <Link to={`/freelancers/${freelancerProfile.id}`} className="btn-ghost">
+                View public profile
+              </Link>
+            )}
+            {saveError && (
+              <p className="notice error" role="alert">
+                {saveError}
+              </p>
+            )}
+          </footer>
+        </form>
+      )}
+    </section>
+  );
+};
+
+const FreelancerPortfolioPageWithAuth = withFreelancerAuth(
+  FreelancerPortfolioPage
+);
+
+FreelancerPortfolioPageWithAuth.displayName =
+  "FreelancerPortfolioPageWithAuth";
+
+export default FreelancerPortfolioPageWithAuth;
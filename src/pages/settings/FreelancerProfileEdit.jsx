@@ -2,6 +2,8 @@ import withFreelancerAuth from "../../hoc/withFreelancerAuth.jsx";
 import { useAuth } from "../../hooks/useAuth.jsx";
 import FreelancerProfileEditForm from "../../components/freelancer/FreelancerProfileEditForm.jsx";
 import FreelancerScheduleManageButton from "../../components/freelancer/FreelancerScheduleManageButton.jsx";
+import VerificationStatusNotice from "../../components/freelancer/VerificationStatusNotice.jsx";
+import { getVerificationState } from "../../components/freelancer/verificationHelpers.js";
 
 const STATUS_COPY = {
   loading: "Loading your freelancer profile…",
@@ -38,6 +40,7 @@ const FreelancerProfileEdit = () => {
           verification documents.
         </p>
       </header>
+      <VerificationStatusNotice state={getVerificationState(freelancerProfile)} />
       <FreelancerScheduleManageButton />
       <FreelancerProfileEditForm freelancer={freelancerProfile} />
     </section>
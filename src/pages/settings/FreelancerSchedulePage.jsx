@@ -1,36 +1,114 @@
 import { useCallback } from "react";
+import { Navigate } from "react-router-dom";
 import FreelancerScheduleForm from "../../components/FreelancerScheduleForm.jsx";
+import FreelancerScheduleExceptionsForm from "../../components/FreelancerScheduleExceptionsForm.jsx";
 import withFreelancerAuth from "../../hoc/withFreelancerAuth.jsx";
+import { useFreelancerSchedule } from "../../hooks/useFreelancerSchedule.jsx";
+import { useFreelancerScheduleExceptions } from "../../hooks/useFreelancerScheduleExceptions.jsx";
 import { useToast } from "../../hooks/useToast.jsx";
 
 const FreelancerSchedulePage = () => {
   const toast = useToast();
+  const { schedule, status, errorMessage, isSaving, reload, saveSchedule } =
+    useFreelancerSchedule();
+  const {
+    exceptions,
+    status: exceptionsStatus,
+    errorMessage: exceptionsErrorMessage,
+    isSaving: isSavingExceptions,
+    reload: reloadExceptions,
+    saveExceptions,
+  } = useFreelancerScheduleExceptions();
 
   const handleSubmit = useCallback(
-    (payload) => {
-      console.log("[FreelancerSchedulePage] Schedule submitted", {
-        schedules: payload,
-      });
-      toast?.success?.({
-        title: "Schedule saved",
-        message:
-          "Mock schedule saved locally. Check the console to review the payload.",
-      });
+    async (payload) => {
+      const result = await saveSchedule(payload);
+      if (result.ok) {
+        toast?.success?.({
+          title: "Schedule saved",
+          message: "Clients will see your updated availability.",
+        });
+      }
+      return result;
     },
-    [toast]
+    [saveSchedule, toast]
   );
 
+  const handleExceptionsSubmit = useCallback(
+    async (payload) => {
+      const result = await saveExceptions(payload);
+      if (result.ok) {
+        toast?.success?.({
+          title: "Exceptions saved",
+          message: "These dates now override your weekly availability.",
+        });
+      }
+      return result;
+    },
+    [saveExceptions, toast]
+  );
+
+  if (status === "unauthorized" || exceptionsStatus === "unauthorized") {
+    return <Navigate to="/login" replace />;
+  }
+
   return (
     <section className="page freelancer-schedule-page">
       <header className="page-header">
         <h1>Manage your schedule</h1>
         <p className="page-subtitle">
-          Adjust availability and break times. All changes are kept locally for
-          now.
+          Adjust availability and break times. Clients can only book you
+          during the hours you publish here.
         </p>
       </header>
 
-      <FreelancerScheduleForm onSubmit={handleSubmit} />
+      {status === "loading" && (
+        <p className="notice info" aria-live="polite">
+          Loading your schedule…
+        </p>
+      )}
+
+      {status === "error" && (
+        <div className="form-footer">
+          <p className="notice error" role="alert">
+            {errorMessage}
+          </p>
+          <button type="button" className="btn btn-secondary" onClick={reload}>
+            Try again
+          </button>
+        </div>
+      )}
+
+      {status === "ready" && (
+        <FreelancerScheduleForm
+          initialSchedule={schedule}
+          onSubmit={handleSubmit}
+          disabled={isSaving}
+        />
+      )}
+
+      {exceptionsStatus === "error" && (
+        <div className="form-footer">
+          <p className="notice error" role="alert">
+            {exceptionsErrorMessage}
+          </p>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={reloadExceptions}
+          >
+            Try again
+          </button>
+        </div>
+      )}
+
+      {status === "ready" && exceptionsStatus === "ready" && (
+        <FreelancerScheduleExceptionsForm
+          initialExceptions={exceptions}
+          onSubmit={handleExceptionsSubmit}
+          disabled={isSavingExceptions}
+        />
+      )}
     </section>
   );
 };
@@ -43,5 +121,3 @@ FreelancerSchedulePageWithAuth.displayName =
   "FreelancerSchedulePageWithAuth";
 
 export default FreelancerSchedulePageWithAuth;
-
-
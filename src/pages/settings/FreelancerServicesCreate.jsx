@@ -5,6 +5,7 @@ import { useAuth } from "../../hooks/useAuth.jsx";
 import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
 import { useToast } from "../../hooks/useToast.jsx";
 import FreelancerServicesForm from "../../components/FreelancerServicesForm.jsx";
+import { ERROR_KINDS, PROFILE_ERROR_KINDS, describeApiError } from "../../utils/apiErrors";
 
 const FreelancerServicesCreate = () => {
   const {
@@ -40,7 +41,8 @@ const FreelancerServicesCreate = () => {
         {
           method: "POST",
           body: JSON.stringify(servicesPayload),
-        }
+        },
+        { offlineLabel: "New services" }
       );
 
       const createdServices = Array.isArray(responsePayload?.services)
@@ -58,13 +60,18 @@ const FreelancerServicesCreate = () => {
       });
       navigate("/dashboard/freelancer", { replace: true });
     } catch (error) {
-      const statusCode =
-        error?.status ??
-        error?.response?.status ??
-        error?.payload?.status ??
-        null;
+      const { kind, message, isAuthError, profileStatus } = describeApiError(error, {
+        fallbackMessage:
+          "Unable to save your services. Please review the details and try again.",
+      });
+
+      if (kind === ERROR_KINDS.offline) {
+        toast?.info?.({ title: "Services saved offline", message });
+        setSubmitStatus("queued");
+        return;
+      }
 
-      if (statusCode === 401 || statusCode === 403) {
+      if (isAuthError) {
         setFreelancerProfile(null);
         setFreelancerProfileStatus("unauthorized");
         setFreelancerServices(null);
@@ -72,25 +79,10 @@ const FreelancerServicesCreate = () => {
         return;
       }
 
-      if (statusCode === 404) {
-        setFreelancerProfileStatus("missing");
-      } else if (statusCode === 409) {
-        setFreelancerProfileStatus("error");
-      } else if (statusCode && statusCode >= 500) {
-        setFreelancerProfileStatus("error");
+      if (PROFILE_ERROR_KINDS.has(kind)) {
+        setFreelancerProfileStatus(profileStatus);
       }
 
-      const backendMessage =
-        error?.payload?.error ??
-        error?.payload?.message ??
-        error?.message ??
-        null;
-
-      const message =
-        typeof backendMessage === "string" && backendMessage.trim().length > 0
-          ? backendMessage
-          : "Unable to save your services. Please review the details and try again.";
-
       setSubmitError(message);
       toast?.error?.({
         message,
@@ -98,7 +90,7 @@ const FreelancerServicesCreate = () => {
       setSubmitStatus("failed");
     } finally {
       setSubmitStatus((previous) => {
-        if (previous === "success" || previous === "failed") {
+        if (previous === "success" || previous === "failed" || previous === "queued") {
           return previous;
         }
         return "idle";
@@ -116,10 +108,15 @@ const FreelancerServicesCreate = () => {
       </header>
 
       {submitError && <p className="notice error">{submitError}</p>}
+      {submitStatus === "queued" && (
+        <p className="notice info">
+          Your services are saved on this device and will be created once you're back online.
+        </p>
+      )}
 
       <FreelancerServicesForm
         onSubmit={handleSubmit}
-        isSubmitting={isSubmitting}
+        isSubmitting={isSubmitting || submitStatus === "queued"}
       />
     </section>
   );
@@ -1,8 +1,20 @@
 import { useCallback, useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { SERVICE_CATEGORIES } from "../../components/FreelancerServicesForm.jsx";
+import {
+  SERVICE_CATEGORIES,
+  ServiceCard,
+  validateServices,
+} from "../../components/FreelancerServicesForm.jsx";
+import {
+  extractServicePayload,
+  mapServiceToFormValues,
+} from "../../components/freelancer/serviceHelpers.js";
+import { useAuth } from "../../hooks/useAuth.jsx";
 import { useAuthenticatedFetch } from "../../hooks/useAuthenticatedFetch.jsx";
 import { useAuthenticatedGetRedirect } from "../../hooks/useAuthenticatedGetRedirect.jsx";
+import { useToast } from "../../hooks/useToast.jsx";
+import { ERROR_KINDS, createApiError, describeApiError } from "../../utils/apiErrors";
+import { tryParseJson } from "../../utils/http";
 
 const LOCATION_LABELS = {
   on_premise: "At my location",
@@ -12,6 +24,25 @@ const LOCATION_LABELS = {
 const DEFAULT_ERROR_MESSAGE =
   "We couldn't load your freelancer services. Please try again.";
 
+const replaceService = (services, serviceId, nextService) =>
+  Array.isArray(services)
+    ? services.map((service) => (service?.id === serviceId ? nextService : service))
+    : services;
+
+const removeService = (services, serviceId) =>
+  Array.isArray(services)
+    ? services.filter((service) => service?.id !== serviceId)
+    : services;
+
+const restoreService = (services, service, index) => {
+  if (!Array.isArray(services) || services.some((entry) => entry?.id === service.id)) {
+    return services;
+  }
+  const next = [...services];
+  next.splice(Math.min(index, next.length), 0, service);
+  return next;
+};
+
 const FreelancerServicesView = () => {
   const navigate = useNavigate();
   const ensureFreelancer = useAuthenticatedGetRedirect(
@@ -19,10 +50,16 @@ const FreelancerServicesView = () => {
     "/dashboard"
   );
   const authenticatedFetch = useAuthenticatedFetch();
+  const { setFreelancerServices } = useAuth();
+  const toast = useToast();
 
   const [services, setServices] = useState([]);
   const [status, setStatus] = useState("loading");
   const [errorMessage, setErrorMessage] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState(null);
+  const [editErrors, setEditErrors] = useState(null);
+  const [pendingId, setPendingId] = useState(null);
 
   const categoryNameById = useMemo(() => {
     const lookup = new Map();
@@ -36,15 +73,6 @@ const FreelancerServicesView = () => {
     navigate("/login", { replace: true });
   }, [navigate]);
 
-  const extractStatusCode = useCallback((error) => {
-    return (
-      error?.status ??
-      error?.response?.status ??
-      error?.payload?.status ??
-      null
-    );
-  }, []);
-
   useEffect(() => {
     let isActive = true;
 
@@ -59,9 +87,7 @@ const FreelancerServicesView = () => {
           return;
         }
 
-        const statusCode = extractStatusCode(error);
-
-        if (statusCode === 404) {
+        if (describeApiError(error).kind === ERROR_KINDS.notFound) {
           return;
         }
 
@@ -86,35 +112,28 @@ const FreelancerServicesView = () => {
           : [];
 
         setServices(nextServices);
+        setFreelancerServices(nextServices);
         setStatus("ready");
       } catch (error) {
         if (!isActive) {
           return;
         }
 
-        const statusCode = extractStatusCode(error);
+        const { kind, message, isAuthError } = describeApiError(error, {
+          fallbackMessage: DEFAULT_ERROR_MESSAGE,
+        });
 
-        if (statusCode === 401 || statusCode === 403) {
+        if (isAuthError) {
           redirectToLogin();
           return;
         }
 
-        if (statusCode === 404) {
+        if (kind === ERROR_KINDS.notFound) {
           // `useAuthenticatedGetRedirect` handles redirecting to the dashboard.
           return;
         }
 
-        const backendMessage =
-          error?.payload?.error ??
-          error?.payload?.message ??
-          error?.message ??
-          null;
-
-        setErrorMessage(
-          typeof backendMessage === "string" && backendMessage.trim().length > 0
-            ? backendMessage
-            : DEFAULT_ERROR_MESSAGE
-        );
+        setErrorMessage(message);
         setStatus("error");
       }
     };
@@ -127,10 +146,198 @@ const FreelancerServicesView = () => {
   }, [
     authenticatedFetch,
     ensureFreelancer,
-    extractStatusCode,
     redirectToLogin,
+    setFreelancerServices,
   ]);
 
+  const handleStartEdit = (service) => {
+    setEditingId(service.id);
+    setEditValues(mapServiceToFormValues(service));
+    setEditErrors(null);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setEditValues(null);
+    setEditErrors(null);
+  };
+
+  const handleEditChange = (_index, event) => {
+    const { name, value } = event.target;
+    // The hidden fields of the pricing mode being left must be blank, or
+    // validation fails on an error the card doesn't show.
+    const clearedFields =
+      name === "pricing"
+        ? value === "range"
+          ? { fixedPrice: "" }
+          : { minPrice: "", maxPrice: "" }
+        : {};
+    setEditValues((previous) => ({ ...previous, [name]: value, ...clearedFields }));
+    setEditErrors((previous) =>
+      previous
+        ? {
+            ...previous,
+            [name]: null,
+            ...Object.fromEntries(Object.keys(clearedFields).map((field) => [field, null])),
+          }
+        : previous
+    );
+  };
+
+  const handleSaveEdit = async (event) => {
+    event.preventDefault();
+    if (pendingId != null) {
+      return;
+    }
+
+    const originalService = services.find((service) => service.id === editingId);
+    if (!originalService) {
+      handleCancelEdit();
+      return;
+    }
+
+    const { payload, errors } = validateServices([editValues]);
+    if (payload.length === 0) {
+      setEditErrors(errors[0] ?? null);
+      return;
+    }
+
+    const [servicePayload] = payload;
+    // Null out the fields of the pricing mode being left so the server drops
+    // the old price instead of keeping it alongside the new one.
+    const patchBody = {
+      ...servicePayload,
+      ...(servicePayload.pricing === "fixed"
+        ? { min_price: null, max_price: null }
+        : { fixed_price: null }),
+    };
+    const optimisticService = { ...originalService, ...patchBody };
+
+    setPendingId(originalService.id);
+    setServices((previous) =>
+      replaceService(previous, originalService.id, optimisticService)
+    );
+    setFreelancerServices((previous) =>
+      replaceService(previous, originalService.id, optimisticService)
+    );
+    handleCancelEdit();
+
+    try {
+      const responsePayload = await authenticatedFetch.requestJson(
+        `/users/me/freelancer/services/${originalService.id}`,
+        {
+          method: "PATCH",
+          body: JSON.stringify(patchBody),
+        }
+      );
+
+      const savedService = extractServicePayload(responsePayload);
+      if (savedService) {
+        setServices((previous) =>
+          replaceService(previous, originalService.id, savedService)
+        );
+        setFreelancerServices((previous) =>
+          replaceService(previous, originalService.id, savedService)
+        );
+      }
+
+      toast?.success?.({
+        message: `"${servicePayload.title}" was updated.`,
+      });
+    } catch (error) {
+      setServices((previous) =>
+        replaceService(previous, originalService.id, originalService)
+      );
+      setFreelancerServices((previous) =>
+        replaceService(previous, originalService.id, originalService)
+      );
+
+      const { status: statusCode, message, isAuthError } = describeApiError(error, {
+        fallbackMessage: "Unable to update this service. Please try again.",
+        messages: {
+          [ERROR_KINDS.notFound]:
+            "This service no longer exists. Refresh the page to see your latest services.",
+        },
+      });
+      console.error("[FreelancerServicesView] Failed to update service", {
+        statusCode,
+        error,
+      });
+
+      if (isAuthError) {
+        redirectToLogin();
+        return;
+      }
+
+      toast?.error?.({ message });
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleDelete = async (service) => {
+    if (pendingId != null) {
+      return;
+    }
+
+    const confirmed = window.confirm(
+      `Are you sure you want to delete "${service.title ?? "this service"}"? This action cannot be undone.`
+    );
+    if (!confirmed) {
+      return;
+    }
+
+    const originalIndex = services.findIndex((entry) => entry.id === service.id);
+    setPendingId(service.id);
+    setServices((previous) => removeService(previous, service.id));
+    setFreelancerServices((previous) => removeService(previous, service.id));
+    if (editingId === service.id) {
+      handleCancelEdit();
+    }
+
+    try {
+      const response = await authenticatedFetch(
+        `/users/me/freelancer/services/${service.id}`,
+        { method: "DELETE" }
+      );
+
+      // A 404 means the service is already gone, which is what we wanted.
+      if (!response.ok && response.status !== 404) {
+        throw createApiError({
+          status: response.status,
+          payload: await tryParseJson(response),
+          response,
+        });
+      }
+
+      toast?.success?.({
+        message: `"${service.title ?? "Service"}" was deleted.`,
+      });
+    } catch (error) {
+      setServices((previous) => restoreService(previous, service, originalIndex));
+      setFreelancerServices((previous) =>
+        restoreService(previous, service, originalIndex)
+      );
+
+      const { status: statusCode, message, isAuthError } = describeApiError(error, {
+        fallbackMessage: "Unable to delete this service. Please try again.",
+      });
+      console.error("[FreelancerServicesView] Failed to delete service", {
+        statusCode,
+        error,
+      });
+
+      if (isAuthError) {
+        redirectToLogin();
+        return;
+      }
+
+      toast?.error?.({ message });
+    } finally {
+      setPendingId(null);
+    }
+  };
+
   const formatDuration = (seconds) => {
     if (typeof seconds !== "number" || !Number.isFinite(seconds)) {
       return null;
@@ -211,6 +418,37 @@ const FreelancerServicesView = () => {
             const locationLabel =
               LOCATION_LABELS[service.location] ?? service.location;
 
+            if (editingId != null && service.id === editingId && editValues) {
+              return (
+                <form
+                  key={service.id}
+                  className="freelancer-services-view__item"
+                  onSubmit={handleSaveEdit}
+                  noValidate
+                >
+                  <ServiceCard
+                    index={0}
+                    heading={`Edit ${service.title ?? "service"}`}
+                    service={editValues}
+                    onChange={handleEditChange}
+                    errors={editErrors}
+                  />
+                  <footer className="form-footer">
+                    <button type="submit" className="btn btn-primary">
+                      Save changes
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={handleCancelEdit}
+                    >
+                      Cancel
+                    </button>
+                  </footer>
+                </form>
+              );
+            }
+
             return (
               <article
                 key={service.id ?? service.title}
@@ -254,6 +492,26 @@ const FreelancerServicesView = () => {
                       </>
                     )}
                 </dl>
+                {service.id != null && (
+                  <footer className="form-footer">
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => handleStartEdit(service)}
+                      disabled={pendingId != null}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-ghost"
+                      onClick={() => handleDelete(service)}
+                      disabled={pendingId != null}
+                    >
+                      {pendingId === service.id ? "Saving…" : "Delete"}
+                    </button>
+                  </footer>
+                )}
               </article>
             );
           })}
@@ -1,6 +1,8 @@
 import { useEffect, useMemo, useState } from 'react'
 import { Link } from 'react-router-dom'
 import { useAuth } from '../../hooks/useAuth.jsx'
+import VerificationStatusNotice from '../../components/freelancer/VerificationStatusNotice.jsx'
+import { getVerificationState } from '../../components/freelancer/verificationHelpers.js'
 
 const SECTIONS = [
   {
@@ -37,7 +39,7 @@ const SECTIONS = [
 ]
 
 export default function Settings() {
-  const { user, freelancerProfileStatus } = useAuth()
+  const { user, freelancerProfile, freelancerProfileStatus } = useAuth()
   const [openSection, setOpenSection] = useState(() => (SECTIONS.length > 0 ? SECTIONS[0].id : null))
 
   console.log('[Settings] render start', {
@@ -88,6 +90,12 @@ export default function Settings() {
             to: '/settings/freelancer-schedule',
             variant: 'primary',
           },
+          {
+            id: 'manage-freelancer-portfolio',
+            label: 'Manage portfolio',
+            to: '/settings/freelancer-portfolio',
+            variant: 'secondary',
+          },
           {
             id: 'edit-freelancer-profile',
             label: 'Edit freelancer profile',
@@ -106,6 +114,14 @@ export default function Settings() {
     })
   }, [freelancerProfileStatus, user?.role])
 
+  const verificationState = useMemo(
+    () =>
+      user?.role === 'freelancer' && freelancerProfile
+        ? getVerificationState(freelancerProfile)
+        : null,
+    [freelancerProfile, user?.role]
+  )
+
   useEffect(() => {
     console.log('[Settings] openSection changed', { openSection })
   }, [openSection])
@@ -121,6 +137,8 @@ export default function Settings() {
         <p className="page-subtitle">Manage your account preferences and quick actions.</p>
       </header>
 
+      <VerificationStatusNotice state={verificationState} showAction />
+
       <div className="settings-accordion">
         {sections.map((section) => {
           const isOpen = openSection === section.id
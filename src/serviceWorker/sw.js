@@ -0,0 +1,156 @@
+// Service worker template. The build (scripts/serviceWorkerPlugin.js) replaces
+// the two `self.__…__` placeholders with the hashed bundle file list and the
+// API base URL, so every release ships a byte-different worker and the
+// browser picks it up as an update.
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST__ ?? { version: "dev", files: [] };
+const API_BASE_URL = self.__API_BASE_URL__ ?? "";
+
+const SHELL_CACHE = `app-shell-${PRECACHE_MANIFEST.version}`;
+const FREELANCERS_CACHE = "public-freelancers-v2";
+const FREELANCERS_CACHE_LIMIT = 60;
+const OFFLINE_PAGE = "/offline.html";
+const SHELL_PAGE = "/index.html";
+
+const SHELL_FILES = [
+  "/",
+  SHELL_PAGE,
+  OFFLINE_PAGE,
+  "/manifest.webmanifest",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png",
+  ...PRECACHE_MANIFEST.files,
+];
+
+// Routes the SPA can render from cached data; other navigations fall back to
+// the offline page when the network is unavailable.
+const OFFLINE_CAPABLE_ROUTES = [/^\/$/, /^\/freelancers(\/[^/]+)?\/?$/];
+
+const resolveApiUrl = (path) => {
+  try {
+    return new URL(`${API_BASE_URL.replace(/\/+$/, "")}${path}`, self.location.origin);
+  } catch {
+    return null;
+  }
+};
+
+const FREELANCERS_API_URL = resolveApiUrl("/freelancers");
+
+// Only the directory list and `/freelancers/:id` are served stale. Schedules,
+// exceptions, busy times, reviews and portfolios always go to the network so
+// the booking wizard never offers slots from an outdated schedule.
+const isPublicFreelancersRequest = (url) => {
+  if (!FREELANCERS_API_URL || url.origin !== FREELANCERS_API_URL.origin) {
+    return false;
+  }
+  const basePath = FREELANCERS_API_URL.pathname.replace(/\/+$/, "");
+  if (url.pathname === basePath || url.pathname === `${basePath}/`) {
+    return true;
+  }
+  if (!url.pathname.startsWith(`${basePath}/`)) {
+    return false;
+  }
+  const segments = url.pathname.slice(basePath.length + 1).split("/").filter(Boolean);
+  return segments.length === 1;
+};
+
+const trimCache = async (cacheName, limit) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - limit, 0)).map((key) => cache.delete(key)));
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_FILES)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(
+        keys
+          .filter(
+            (key) =>
+              (key.startsWith("app-shell-") && key !== SHELL_CACHE) ||
+              (key.startsWith("public-freelancers-") && key !== FREELANCERS_CACHE)
+          )
+          .map((key) => caches.delete(key))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+// The page asks the waiting worker to take over once the user accepts the
+// "new version available" prompt.
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    const { pathname } = new URL(request.url);
+    const cache = await caches.open(SHELL_CACHE);
+    if (OFFLINE_CAPABLE_ROUTES.some((pattern) => pattern.test(pathname))) {
+      const shell = await cache.match(SHELL_PAGE);
+      if (shell) {
+        return shell;
+      }
+    }
+    return (await cache.match(OFFLINE_PAGE)) ?? Response.error();
+  }
+};
+
+const staleWhileRevalidate = async (event) => {
+  const cache = await caches.open(FREELANCERS_CACHE);
+  const cached = await cache.match(event.request);
+
+  const network = fetch(event.request)
+    .then(async (response) => {
+      if (response.ok) {
+        await cache.put(event.request, response.clone());
+        await trimCache(FREELANCERS_CACHE, FREELANCERS_CACHE_LIMIT);
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+
+  return (await network) ?? Response.error();
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  return cached ?? fetch(request);
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") {
+    return;
+  }
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (isPublicFreelancersRequest(url)) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+
+  if (url.origin === self.location.origin && SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
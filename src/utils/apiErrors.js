@@ -0,0 +1,240 @@
+export const ERROR_KINDS = {
+  unauthorized: "unauthorized",
+  forbidden: "forbidden",
+  notFound: "notFound",
+  conflict: "conflict",
+  validation: "validation",
+  server: "server",
+  network: "network",
+  offline: "offline",
+  unknown: "unknown",
+};
+
+const DEFAULT_ERROR_MESSAGE = "Something went wrong. Please try again.";
+const NETWORK_ERROR_MESSAGE =
+  "We couldn't reach the server. Check your connection and try again.";
+const OFFLINE_QUEUED_MESSAGE =
+  "You're offline. We saved this on your device and will send it when you're back online.";
+
+const isRecord = (value) =>
+  value != null && typeof value === "object" && !Array.isArray(value);
+
+const toNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+
+export const getBackendMessage = (payload) => {
+  if (!isRecord(payload)) {
+    return toNonEmptyString(payload);
+  }
+  return (
+    toNonEmptyString(payload.error) ??
+    toNonEmptyString(payload.error?.message) ??
+    toNonEmptyString(payload.message) ??
+    toNonEmptyString(payload.detail) ??
+    null
+  );
+};
+
+// Accepts `{ field: "message" }`, `{ field: ["message", …] }` or
+// `[{ field, message }]` and always returns `{ field: "message" }`.
+export const extractFieldErrors = (payload) => {
+  const source = isRecord(payload)
+    ? payload.errors ?? payload.field_errors ?? payload.fields ?? null
+    : null;
+  const fieldErrors = {};
+
+  if (Array.isArray(source)) {
+    source.forEach((entry) => {
+      const field = toNonEmptyString(entry?.field ?? entry?.name);
+      const message = toNonEmptyString(entry?.message ?? entry?.msg);
+      if (field && message) {
+        fieldErrors[field] = message;
+      }
+    });
+  } else if (isRecord(source)) {
+    Object.entries(source).forEach(([field, value]) => {
+      const message = Array.isArray(value)
+        ? value.map(toNonEmptyString).find(Boolean)
+        : toNonEmptyString(value);
+      if (message) {
+        fieldErrors[field] = message;
+      }
+    });
+  }
+
+  return fieldErrors;
+};
+
+export class ApiError extends Error {
+  constructor(message, { status = null, payload = null, response = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ApiError";
+    this.kind = ERROR_KINDS.unknown;
+    this.status = status;
+    this.payload = payload;
+    this.response = response;
+  }
+}
+
+export class UnauthorizedError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "UnauthorizedError";
+    this.kind = ERROR_KINDS.unauthorized;
+  }
+}
+
+export class ForbiddenError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ForbiddenError";
+    this.kind = ERROR_KINDS.forbidden;
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NotFoundError";
+    this.kind = ERROR_KINDS.notFound;
+  }
+}
+
+export class ConflictError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ConflictError";
+    this.kind = ERROR_KINDS.conflict;
+  }
+}
+
+export class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ValidationError";
+    this.kind = ERROR_KINDS.validation;
+    this.fieldErrors = extractFieldErrors(options?.payload);
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ServerError";
+    this.kind = ERROR_KINDS.server;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message = NETWORK_ERROR_MESSAGE, options) {
+    super(message, options);
+    this.name = "NetworkError";
+    this.kind = ERROR_KINDS.network;
+  }
+}
+
+// Thrown instead of a NetworkError when the request was stored in the offline
+// queue; `entry` is the queued record so callers can reference it.
+export class OfflineQueuedError extends NetworkError {
+  constructor(message = OFFLINE_QUEUED_MESSAGE, { entry = null, ...options } = {}) {
+    super(message, options);
+    this.name = "OfflineQueuedError";
+    this.kind = ERROR_KINDS.offline;
+    this.entry = entry;
+  }
+}
+
+const ERROR_CLASS_BY_STATUS = {
+  400: ValidationError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  422: ValidationError,
+};
+
+const resolveErrorClass = (status) => {
+  if (ERROR_CLASS_BY_STATUS[status]) {
+    return ERROR_CLASS_BY_STATUS[status];
+  }
+  return status >= 500 ? ServerError : ApiError;
+};
+
+export const createApiError = ({ status, payload = null, response = null }) => {
+  const ErrorClass = resolveErrorClass(status);
+  return new ErrorClass(`Request failed with status ${status}`, {
+    status,
+    payload,
+    response,
+  });
+};
+
+export const isAbortError = (error) => error?.name === "AbortError";
+
+// The one place that knows the legacy shapes: errors thrown before the typed
+// client existed carry the status on `status`, `response` or `payload`.
+export const getErrorStatus = (error) =>
+  error?.status ?? error?.response?.status ?? error?.payload?.status ?? null;
+
+export const toApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error instanceof TypeError) {
+    return new NetworkError(undefined, { cause: error });
+  }
+  const status = getErrorStatus(error);
+  if (typeof status === "number") {
+    return createApiError({
+      status,
+      payload: error?.payload ?? null,
+      response: error?.response ?? null,
+    });
+  }
+  return null;
+};
+
+export const getErrorMessage = (error, fallback = DEFAULT_ERROR_MESSAGE) => {
+  const backendMessage = getBackendMessage(error?.payload);
+  if (backendMessage) {
+    return backendMessage;
+  }
+  if (error instanceof NetworkError) {
+    return error.message;
+  }
+  if (error instanceof ApiError || getErrorStatus(error) != null) {
+    return fallback;
+  }
+  return toNonEmptyString(error?.message) ?? fallback;
+};
+
+// Kinds that leave the freelancer profile in a state the UI has to react to;
+// validation and unknown errors only affect the form that raised them.
+export const PROFILE_ERROR_KINDS = new Set([
+  ERROR_KINDS.notFound,
+  ERROR_KINDS.conflict,
+  ERROR_KINDS.server,
+]);
+
+const PROFILE_STATUS_BY_KIND = {
+  [ERROR_KINDS.unauthorized]: "unauthorized",
+  [ERROR_KINDS.forbidden]: "unauthorized",
+  [ERROR_KINDS.notFound]: "missing",
+};
+
+// Shared error-to-UI mapping. The backend message always wins; `messages`
+// lets a page supply its own fallback copy per kind (e.g. for conflicts), and
+// `fallbackMessage` covers everything else.
+export const describeApiError = (error, { fallbackMessage, messages = {} } = {}) => {
+  const apiError = toApiError(error);
+  const kind = apiError?.kind ?? ERROR_KINDS.unknown;
+  return {
+    kind,
+    status: apiError?.status ?? null,
+    message: getErrorMessage(apiError ?? error, messages[kind] ?? fallbackMessage),
+    fieldErrors: apiError instanceof ValidationError ? apiError.fieldErrors : {},
+    profileStatus: PROFILE_STATUS_BY_KIND[kind] ?? "error",
+    isAuthError:
+      kind === ERROR_KINDS.unauthorized || kind === ERROR_KINDS.forbidden,
+  };
+};
@@ -0,0 +1,207 @@
+const CHANNEL_NAME = "auth:events";
+const STORAGE_EVENT_KEY = "auth:event";
+const REMOTE_REFRESH_TIMEOUT_MS = 10 * 1000;
+
+export const AUTH_EVENTS = {
+  login: "login",
+  logout: "logout",
+  refreshStarted: "refresh-started",
+  refreshFailed: "refresh-failed",
+  tokenRefreshed: "token-refreshed",
+};
+
+const isBrowser = () => typeof window !== "undefined";
+
+// Identifies this tab so it can ignore its own storage-event echoes.
+const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+const listeners = new Set();
+let channel = null;
+let isConnected = false;
+let remoteRefresh = null;
+
+const settleRemoteRefresh = (token) => {
+  if (!remoteRefresh) {
+    return;
+  }
+  window.clearTimeout(remoteRefresh.timerId);
+  remoteRefresh.resolve(token);
+  remoteRefresh = null;
+};
+
+const trackRemoteRefresh = (event) => {
+  if (event.type === AUTH_EVENTS.refreshStarted && !remoteRefresh) {
+    let resolve;
+    const promise = new Promise((next) => {
+      resolve = next;
+    });
+    remoteRefresh = {
+      promise,
+      resolve,
+      timerId: window.setTimeout(() => settleRemoteRefresh(null), REMOTE_REFRESH_TIMEOUT_MS),
+    };
+    return;
+  }
+  if (event.type === AUTH_EVENTS.tokenRefreshed) {
+    settleRemoteRefresh(event.accessToken ?? null);
+    return;
+  }
+  if (event.type === AUTH_EVENTS.refreshFailed || event.type === AUTH_EVENTS.logout) {
+    settleRemoteRefresh(null);
+  }
+};
+
+const dispatch = (event) => {
+  if (!event || typeof event.type !== "string" || event.source === tabId) {
+    return;
+  }
+  trackRemoteRefresh(event);
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.warn("[authChannel] listener failed", error);
+    }
+  });
+};
+
+const handleStorage = (event) => {
+  if (event.key !== STORAGE_EVENT_KEY || !event.newValue) {
+    return;
+  }
+  try {
+    dispatch(JSON.parse(event.newValue));
+  } catch (error) {
+    console.warn("[authChannel] Failed to parse storage event", error);
+  }
+};
+
+const connect = () => {
+  if (isConnected || !isBrowser()) {
+    return;
+  }
+  isConnected = true;
+
+  if (typeof window.BroadcastChannel === "function") {
+    channel = new window.BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (message) => dispatch(message.data);
+    return;
+  }
+
+  window.addEventListener("storage", handleStorage);
+};
+
+export const publishAuthEvent = (type, data = {}) => {
+  if (!isBrowser()) {
+    return;
+  }
+  connect();
+
+  const event = { ...data, type, source: tabId, sentAt: Date.now() };
+
+  if (channel) {
+    channel.postMessage(event);
+    return;
+  }
+
+  // The storage fallback goes through localStorage, so access tokens are never
+  // written there; tabs on that path refresh for themselves instead.
+  const { accessToken: _accessToken, ...storageEvent } = event;
+  try {
+    window.localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify(storageEvent));
+    window.localStorage.removeItem(STORAGE_EVENT_KEY);
+  } catch (error) {
+    console.warn("[authChannel] Failed to publish auth event", error);
+  }
+};
+
+export const subscribeToAuthEvents = (listener) => {
+  connect();
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+// Resolves with the token another tab is currently refreshing, or null when no
+// refresh is running elsewhere (or it failed or timed out).
+export const waitForRemoteRefresh = () => {
+  connect();
+  return remoteRefresh ? remoteRefresh.promise : Promise.resolve(null);
+};
+
+const LEADER_EVENTS = {
+  heartbeat: "leader-heartbeat",
+  resigned: "leader-resigned",
+};
+const LEADER_HEARTBEAT_MS = 2 * 1000;
+const LEADER_TIMEOUT_MS = 5 * 1000;
+
+// Elects one open tab to run a background job (named by `role`). The leader
+// sends a heartbeat over the auth channel; the others take over once it
+// stops. If two tabs claim at once, the lower tab id keeps the role.
+// `onChange(isLeader)` fires whenever this tab gains or loses leadership.
+export const electTabLeader = (role, onChange) => {
+  if (!isBrowser()) {
+    return () => {};
+  }
+  connect();
+
+  let isLeader = false;
+  let leaderId = null;
+  // Wait a full timeout for an existing leader before claiming the role.
+  let leaderSeenAt = Date.now();
+
+  const setLeader = (next) => {
+    if (next !== isLeader) {
+      isLeader = next;
+      onChange(next);
+    }
+  };
+
+  const listener = (event) => {
+    if (event.role !== role) {
+      return;
+    }
+    if (event.type === LEADER_EVENTS.heartbeat) {
+      if (isLeader && event.source > tabId) {
+        return;
+      }
+      setLeader(false);
+      leaderId = event.source;
+      leaderSeenAt = Date.now();
+      return;
+    }
+    if (event.type === LEADER_EVENTS.resigned && event.source === leaderId) {
+      leaderId = null;
+      leaderSeenAt = 0;
+    }
+  };
+
+  const tick = () => {
+    if (!isLeader && Date.now() - leaderSeenAt > LEADER_TIMEOUT_MS) {
+      setLeader(true);
+    }
+    if (isLeader) {
+      publishAuthEvent(LEADER_EVENTS.heartbeat, { role });
+    }
+  };
+
+  const resign = () => {
+    if (isLeader) {
+      publishAuthEvent(LEADER_EVENTS.resigned, { role });
+      isLeader = false;
+    }
+  };
+
+  listeners.add(listener);
+  const intervalId = window.setInterval(tick, LEADER_HEARTBEAT_MS);
+  window.addEventListener("pagehide", resign);
+
+  return () => {
+    window.clearInterval(intervalId);
+    window.removeEventListener("pagehide", resign);
+    listeners.delete(listener);
+    resign();
+  };
+};
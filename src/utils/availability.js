@@ -0,0 +1,243 @@
+const DEFAULT_SLOT_STEP_MINUTES = 30;
+const MILLISECONDS_PER_MINUTE = 60 * 1000;
+
+export const timeToMinutes = (value) => {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})/);
+  if (!match) {
+    return null;
+  }
+  const hours = Number.parseInt(match[1], 10);
+  const minutes = Number.parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+export const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+};
+
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(
+    date.getDate()
+  ).padStart(2, "0")}`;
+
+export const fromDateKey = (dateKey) => {
+  const match =
+    typeof dateKey === "string" ? dateKey.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+  if (!match) {
+    return null;
+  }
+  return new Date(
+    Number.parseInt(match[1], 10),
+    Number.parseInt(match[2], 10) - 1,
+    Number.parseInt(match[3], 10)
+  );
+};
+
+export const combineDateAndTime = (dateKey, time) => {
+  const date = fromDateKey(dateKey);
+  const minutes = timeToMinutes(time);
+  if (!date || minutes == null) {
+    return null;
+  }
+  date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return date;
+};
+
+export const getUpcomingDates = (count, from = new Date()) => {
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  return Array.from({ length: count }, (_, index) => {
+    const date = new Date(start);
+    date.setDate(start.getDate() + index);
+    return date;
+  });
+};
+
+// Start times for one day of the weekly schedule. A slot is only offered if
+// the whole service fits before closing time without running into a break.
+export const getDaySlots = (
+  day,
+  durationMinutes,
+  stepMinutes = DEFAULT_SLOT_STEP_MINUTES
+) => {
+  if (!day?.isActive || !Number.isFinite(durationMinutes) || durationMinutes <= 0) {
+    return [];
+  }
+
+  const dayStart = timeToMinutes(day.startTime);
+  const dayEnd = timeToMinutes(day.endTime);
+  if (dayStart == null || dayEnd == null || dayStart >= dayEnd) {
+    return [];
+  }
+
+  const breaks = (Array.isArray(day.breaks) ? day.breaks : [])
+    .map((breakPeriod) => ({
+      start: timeToMinutes(breakPeriod.startTime),
+      end: timeToMinutes(breakPeriod.endTime),
+    }))
+    .filter(({ start, end }) => start != null && end != null && start < end);
+
+  const slots = [];
+  for (
+    let start = dayStart;
+    start + durationMinutes <= dayEnd;
+    start += stepMinutes
+  ) {
+    const end = start + durationMinutes;
+    const overlapsBreak = breaks.some(
+      (breakPeriod) => start < breakPeriod.end && end > breakPeriod.start
+    );
+    if (!overlapsBreak) {
+      slots.push(minutesToTime(start));
+    }
+  }
+
+  return slots;
+};
+
+export const durationSecondsToMinutes = (seconds) => {
+  const parsed = Number(seconds);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.ceil(parsed / 60) : null;
+};
+
+const toDate = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value === "string" || typeof value === "number") {
+    const parsed = new Date(value);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+  }
+  return null;
+};
+
+const normaliseBookings = (bookings) =>
+  (Array.isArray(bookings) ? bookings : [])
+    .filter((booking) => booking?.status !== "cancelled" && booking?.status !== "declined")
+    .map((booking) => ({
+      start: toDate(booking?.start_time ?? booking?.startTime ?? booking?.start),
+      end: toDate(booking?.end_time ?? booking?.endTime ?? booking?.end),
+    }))
+    .filter(({ start, end }) => start && end && start < end);
+
+const findException = (exceptions, dateKey) =>
+  (Array.isArray(exceptions) ? exceptions : []).find(
+    (exception) =>
+      typeof exception?.startDate === "string" &&
+      exception.startDate <= dateKey &&
+      (exception.endDate || exception.startDate) >= dateKey
+  ) ?? null;
+
+// Date-specific exceptions win over the weekly template: a closed exception
+// removes the day entirely and a custom one replaces its hours and breaks.
+export const resolveDaySchedule = (schedule, exceptions, date) => {
+  const exception = findException(exceptions, toDateKey(date));
+  if (exception) {
+    return exception.isClosed
+      ? null
+      : {
+          dayOfWeek: date.getDay(),
+          isActive: true,
+          startTime: exception.startTime,
+          endTime: exception.endTime,
+          breaks: Array.isArray(exception.breaks) ? exception.breaks : [],
+        };
+  }
+
+  return (
+    (Array.isArray(schedule) ? schedule : []).find(
+      (entry) => entry?.dayOfWeek === date.getDay()
+    ) ?? null
+  );
+};
+
+// Free start times between `from` and `to` (both inclusive, by calendar day).
+// Slots that have already started, or that overlap an existing booking, are
+// dropped; days without any free slot are left out of the result.
+export const getAvailableSlots = ({
+  schedule,
+  serviceDurationSeconds,
+  bookings = [],
+  exceptions = [],
+  from = new Date(),
+  to,
+  now = new Date(),
+  stepMinutes = DEFAULT_SLOT_STEP_MINUTES,
+} = {}) => {
+  const durationMinutes = durationSecondsToMinutes(serviceDurationSeconds);
+  const rangeStart = toDate(from);
+  const rangeEnd = toDate(to ?? from);
+  if (!Array.isArray(schedule) || !durationMinutes || !rangeStart || !rangeEnd) {
+    return [];
+  }
+
+  const firstDay = new Date(
+    rangeStart.getFullYear(),
+    rangeStart.getMonth(),
+    rangeStart.getDate()
+  );
+  const lastDay = new Date(rangeEnd.getFullYear(), rangeEnd.getMonth(), rangeEnd.getDate());
+  const busy = normaliseBookings(bookings);
+  const days = [];
+
+  for (const date = new Date(firstDay); date <= lastDay; date.setDate(date.getDate() + 1)) {
+    const dateKey = toDateKey(date);
+    const day = resolveDaySchedule(schedule, exceptions, date);
+
+    const slots = getDaySlots(day, durationMinutes, stepMinutes)
+      .map((time) => {
+        const start = combineDateAndTime(dateKey, time);
+        const end = new Date(start.getTime() + durationMinutes * MILLISECONDS_PER_MINUTE);
+        return { time, start, end };
+      })
+      .filter(
+        ({ start, end }) =>
+          start > now &&
+          !busy.some((booking) => start < booking.end && end > booking.start)
+      );
+
+    if (slots.length > 0) {
+      days.push({ dateKey, date: fromDateKey(dateKey), slots });
+    }
+  }
+
+  return days;
+};
+
+// Whether a booking sits entirely inside the published hours for its day,
+// honouring exceptions and breaks. Used to decide what can be auto-accepted.
+export const isWithinSchedule = ({ schedule, exceptions = [], start, end } = {}) => {
+  const startDate = toDate(start);
+  const endDate = toDate(end);
+  if (!startDate || !endDate || startDate >= endDate || toDateKey(startDate) !== toDateKey(endDate)) {
+    return false;
+  }
+
+  const day = resolveDaySchedule(schedule, exceptions, startDate);
+  const dayStart = timeToMinutes(day?.startTime);
+  const dayEnd = timeToMinutes(day?.endTime);
+  if (!day?.isActive || dayStart == null || dayEnd == null) {
+    return false;
+  }
+
+  const startMinutes = startDate.getHours() * 60 + startDate.getMinutes();
+  const endMinutes = endDate.getHours() * 60 + endDate.getMinutes();
+  if (startMinutes < dayStart || endMinutes > dayEnd) {
+    return false;
+  }
+
+  return !(Array.isArray(day.breaks) ? day.breaks : []).some((breakPeriod) => {
+    const breakStart = timeToMinutes(breakPeriod.startTime);
+    const breakEnd = timeToMinutes(breakPeriod.endTime);
+    return (
+      breakStart != null && breakEnd != null && startMinutes < breakEnd && endMinutes > breakStart
+    );
+  });
+};
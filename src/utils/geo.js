@@ -0,0 +1,114 @@
+const EARTH_RADIUS_KM = 6371;
+export const TILE_SIZE = 256;
+const MAX_LATITUDE = 85.05112878;
+
+export const MIN_ZOOM = 2;
+export const MAX_ZOOM = 18;
+
+const toFiniteNumber = (value) => {
+  if (value == null || value === "") {
+    return null;
+  }
+  const parsed = typeof value === "number" ? value : Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const readCoordinates = (source) => {
+  if (!source || typeof source !== "object") {
+    return null;
+  }
+  const latitude = toFiniteNumber(source.latitude ?? source.lat);
+  const longitude = toFiniteNumber(source.longitude ?? source.lng ?? source.lon);
+  if (
+    latitude == null ||
+    longitude == null ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    return null;
+  }
+  return { latitude, longitude };
+};
+
+// Addresses carry coordinates at the top level; freelancer payloads may nest
+// them under a location or address object.
+export const getCoordinates = (entity) =>
+  readCoordinates(entity) ??
+  readCoordinates(entity?.location) ??
+  readCoordinates(entity?.address) ??
+  null;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const getDistanceKm = (from, to) => {
+  if (!from || !to) {
+    return null;
+  }
+  const deltaLatitude = toRadians(to.latitude - from.latitude);
+  const deltaLongitude = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(deltaLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+export const formatDistance = (distanceKm) => {
+  if (!Number.isFinite(distanceKm)) {
+    return null;
+  }
+  if (distanceKm < 1) {
+    return `${Math.max(10, Math.round((distanceKm * 1000) / 10) * 10)} m away`;
+  }
+  return `${distanceKm < 10 ? distanceKm.toFixed(1) : Math.round(distanceKm)} km away`;
+};
+
+// Web Mercator projection in pixels at the given zoom, matching the
+// {z}/{x}/{y} layout used by standard slippy-map tile servers.
+export const projectToPixels = ({ latitude, longitude }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const clampedLatitude = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+  const sinLatitude = Math.sin(toRadians(clampedLatitude));
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y:
+      (0.5 - Math.log((1 + sinLatitude) / (1 - sinLatitude)) / (4 * Math.PI)) *
+      scale,
+  };
+};
+
+export const getCenter = (points) => {
+  if (!Array.isArray(points) || points.length === 0) {
+    return null;
+  }
+  const totals = points.reduce(
+    (accumulator, point) => ({
+      latitude: accumulator.latitude + point.latitude,
+      longitude: accumulator.longitude + point.longitude,
+    }),
+    { latitude: 0, longitude: 0 }
+  );
+  return {
+    latitude: totals.latitude / points.length,
+    longitude: totals.longitude / points.length,
+  };
+};
+
+export const getFittingZoom = (points, width, height, padding = 48) => {
+  if (!Array.isArray(points) || points.length < 2) {
+    return 15;
+  }
+  for (let zoom = MAX_ZOOM; zoom > MIN_ZOOM; zoom -= 1) {
+    const projected = points.map((point) => projectToPixels(point, zoom));
+    const xs = projected.map(({ x }) => x);
+    const ys = projected.map(({ y }) => y);
+    if (
+      Math.max(...xs) - Math.min(...xs) <= width - padding * 2 &&
+      Math.max(...ys) - Math.min(...ys) <= height - padding * 2
+    ) {
+      return zoom;
+    }
+  }
+  return MIN_ZOOM;
+};
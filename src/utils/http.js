@@ -30,6 +30,61 @@ export const tryParseJson = async (response) => {
   }
 };
 
+const parseXhrHeaders = (rawHeaders) => {
+  const headers = new Headers();
+  rawHeaders
+    .trim()
+    .split(/[\r\n]+/)
+    .forEach((line) => {
+      const separatorIndex = line.indexOf(":");
+      if (separatorIndex > 0) {
+        headers.append(line.slice(0, separatorIndex).trim(), line.slice(separatorIndex + 1).trim());
+      }
+    });
+  return headers;
+};
+
+// fetch() can't report upload progress, so uploads that need a progress bar
+// go through XMLHttpRequest. The result is wrapped in a Response so callers
+// handle it exactly like a fetch() result.
+export const sendWithUploadProgress = (url, options = {}, onUploadProgress) =>
+  new Promise((resolve, reject) => {
+    const { method = "GET", headers, body = null, credentials, signal } = options;
+    const xhr = new XMLHttpRequest();
+
+    if (signal?.aborted) {
+      reject(new DOMException("The request was aborted.", "AbortError"));
+      return;
+    }
+
+    xhr.open(method, url);
+    xhr.withCredentials = credentials === "include";
+    xhr.responseType = "blob";
+    new Headers(headers || undefined).forEach((value, name) => {
+      xhr.setRequestHeader(name, value);
+    });
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onUploadProgress({ loaded: event.loaded, total: event.total });
+      }
+    };
+    xhr.onload = () => {
+      resolve(
+        new Response(xhr.status === 204 ? null : xhr.response, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: parseXhrHeaders(xhr.getAllResponseHeaders()),
+        })
+      );
+    };
+    xhr.onerror = () => reject(new TypeError("Network request failed"));
+    xhr.onabort = () => reject(new DOMException("The request was aborted.", "AbortError"));
+    signal?.addEventListener("abort", () => xhr.abort(), { once: true });
+
+    xhr.send(body);
+  });
+
 export const safeUrl = (value) => {
   if (typeof value !== "string") {
     return null;
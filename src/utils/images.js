@@ -0,0 +1,94 @@
+const DEFAULT_MAX_DIMENSION = 1920;
+const DEFAULT_QUALITY = 0.85;
+const OUTPUT_TYPE = "image/jpeg";
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const loadWithImageElement = (file) =>
+  new Promise((resolve, reject) => {
+    const objectUrl = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(objectUrl);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(objectUrl);
+      reject(new Error("This file could not be read as an image."));
+    };
+    image.src = objectUrl;
+  });
+
+const loadImage = async (file) => {
+  if (typeof createImageBitmap === "function") {
+    try {
+      // Applies the EXIF orientation before the metadata is thrown away.
+      return await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch {
+      // Some browsers reject the options bag; fall back to an <img>.
+    }
+  }
+  return loadWithImageElement(file);
+};
+
+const toJpegName = (name) => {
+  const base = typeof name === "string" && name.trim() ? name.replace(/\.[^.]+$/, "") : "upload";
+  return `${base}.jpg`;
+};
+
+// Re-encoding through a canvas drops every metadata block (EXIF, GPS, camera
+// details) and shrinks large phone photos before they leave the device.
+export const compressImage = async (
+  file,
+  { maxDimension = DEFAULT_MAX_DIMENSION, quality = DEFAULT_QUALITY } = {}
+) => {
+  const image = await loadImage(file);
+  const sourceWidth = image.width;
+  const sourceHeight = image.height;
+  if (!sourceWidth || !sourceHeight) {
+    throw new Error("This image appears to be empty.");
+  }
+
+  const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+  const width = Math.round(sourceWidth * scale);
+  const height = Math.round(sourceHeight * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  // JPEG has no alpha channel; paint white so transparent PNGs don't turn black.
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  if (typeof image.close === "function") {
+    image.close();
+  }
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) =>
+        result ? resolve(result) : reject(new Error("Unable to compress this image.")),
+      OUTPUT_TYPE,
+      quality
+    );
+  });
+
+  return new File([blob], toJpegName(file.name), {
+    type: OUTPUT_TYPE,
+    lastModified: Date.now(),
+  });
+};
+
+export const validateImageFile = (file) => {
+  if (!file) {
+    return "Choose a file to upload.";
+  }
+  if (file.type && !file.type.startsWith("image/")) {
+    return "Only image files can be uploaded.";
+  }
+  if (file.size > MAX_UPLOAD_BYTES) {
+    return `Images must be smaller than ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB.`;
+  }
+  return null;
+};
@@ -0,0 +1,43 @@
+const decodeBase64Url = (segment) => {
+  const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "=");
+  const binary = atob(padded);
+  const bytes = Uint8Array.from(binary, (character) => character.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+// Reads the claims without verifying the signature; only use the result for
+// client-side scheduling, never for authorisation decisions.
+export const decodeJwtPayload = (token) => {
+  if (typeof token !== "string") {
+    return null;
+  }
+
+  const [, payloadSegment] = token.split(".");
+  if (!payloadSegment) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(decodeBase64Url(payloadSegment));
+    return payload && typeof payload === "object" ? payload : null;
+  } catch (error) {
+    console.warn("Failed to decode access token payload", error);
+    return null;
+  }
+};
+
+const toMilliseconds = (seconds) => {
+  const value = Number(seconds);
+  return Number.isFinite(value) && value > 0 ? value * 1000 : null;
+};
+
+// Returns the `iat`/`exp` claims as millisecond timestamps; `expiresAt` is
+// null when the token is opaque or carries no expiry.
+export const getTokenTimestamps = (token) => {
+  const payload = decodeJwtPayload(token);
+  return {
+    issuedAt: toMilliseconds(payload?.iat),
+    expiresAt: toMilliseconds(payload?.exp),
+  };
+};
@@ -0,0 +1,128 @@
+const DB_NAME = "offline-queue";
+const DB_VERSION = 1;
+const STORE_NAME = "requests";
+
+const listeners = new Set();
+let databasePromise = null;
+
+const isSupported = () => typeof indexedDB !== "undefined";
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = () => {
+  if (!isSupported()) {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+
+  if (!databasePromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(STORE_NAME)) {
+        const store = database.createObjectStore(STORE_NAME, { keyPath: "id" });
+        store.createIndex("createdAt", "createdAt");
+      }
+    };
+    databasePromise = promisifyRequest(request).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+};
+
+const withStore = async (mode, callback) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE_NAME, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const result = await promisifyRequest(callback(transaction.objectStore(STORE_NAME)));
+  await completed;
+  return result;
+};
+
+const notifyListeners = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (error) {
+      console.warn("[offlineQueue] listener failed", error);
+    }
+  });
+};
+
+export const QUEUEABLE_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+export const createIdempotencyKey = () => {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+};
+
+export const isOfflineQueueSupported = isSupported;
+
+// The idempotency key doubles as the record id, so replaying the same entry
+// from two tabs (or twice after a flaky reconnect) is safe on the backend.
+export const enqueueRequest = async ({
+  endpoint,
+  method,
+  body = null,
+  headers = {},
+  label = null,
+  owner = null,
+  idempotencyKey,
+}) => {
+  const entry = {
+    id: idempotencyKey ?? createIdempotencyKey(),
+    owner,
+    endpoint,
+    method,
+    body,
+    headers,
+    label,
+    createdAt: Date.now(),
+    attempts: 0,
+    lastError: null,
+  };
+  await withStore("readwrite", (store) => store.put(entry));
+  notifyListeners();
+  return entry;
+};
+
+// Entries are tagged with the user who queued them so a different account
+// signing in on the same device never replays someone else's changes.
+export const listQueuedRequests = async (owner) => {
+  if (!isSupported()) {
+    return [];
+  }
+  const entries = await withStore("readonly", (store) => store.getAll());
+  return entries
+    .filter((entry) => owner === undefined || entry.owner === owner)
+    .sort((left, right) => left.createdAt - right.createdAt);
+};
+
+export const updateQueuedRequest = async (entry) => {
+  await withStore("readwrite", (store) => store.put(entry));
+  notifyListeners();
+};
+
+export const removeQueuedRequest = async (id) => {
+  await withStore("readwrite", (store) => store.delete(id));
+  notifyListeners();
+};
+
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
@@ -0,0 +1,266 @@
+import { normaliseUrl } from "./http";
+
+export const REALTIME_EVENTS = {
+  bookingCreated: "booking.created",
+  bookingCancelled: "booking.cancelled",
+  verificationUpdated: "verification.updated",
+  freelancerProfileUpdated: "freelancer.updated",
+  userUpdated: "user.updated",
+  messageCreated: "message.created",
+  notification: "notification",
+};
+
+const WEBSOCKET_ENDPOINT = "/realtime/ws";
+const EVENT_STREAM_ENDPOINT = "/realtime/stream";
+const INITIAL_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+// A WebSocket that fails this many times in a row without ever opening is
+// assumed to be blocked (proxies, corporate firewalls) and SSE is used instead.
+const WEBSOCKET_FAILURES_BEFORE_FALLBACK = 2;
+// Close codes the backend uses for a rejected or expired token.
+const AUTH_CLOSE_CODES = new Set([1008, 4401, 4403]);
+
+// Opt-in until the realtime gateway is deployed everywhere.
+export const isRealtimeEnabled = () => import.meta.env.VITE_REALTIME_ENABLED === "true";
+
+const getRealtimeBaseUrl = () =>
+  import.meta.env.VITE_REALTIME_URL ?? import.meta.env.VITE_API_BASE_URL ?? "";
+
+const toWebSocketUrl = (endpoint) => {
+  const url = new URL(normaliseUrl(getRealtimeBaseUrl(), endpoint), window.location.origin);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  return url.toString();
+};
+
+// EventSource can't send headers, so the stream authenticates with the token
+// in the query string. The WebSocket sends it as its first message instead,
+// which keeps it out of proxy access logs.
+const toEventStreamUrl = (token) => {
+  const url = new URL(
+    normaliseUrl(getRealtimeBaseUrl(), EVENT_STREAM_ENDPOINT),
+    window.location.origin
+  );
+  url.searchParams.set("access_token", token);
+  return url.toString();
+};
+
+const parseMessage = (raw, fallbackType) => {
+  try {
+    const message = typeof raw === "string" ? JSON.parse(raw) : raw;
+    if (!message || typeof message !== "object") {
+      return null;
+    }
+    const type = typeof message.type === "string" ? message.type : fallbackType;
+    return type ? { type, data: message.data ?? message.payload ?? null } : null;
+  } catch (error) {
+    console.warn("[realtime] Failed to parse message", error);
+    return null;
+  }
+};
+
+// Pages that care about a particular event (an open conversation, say)
+// subscribe here; RealtimeSync republishes everything it receives.
+const listeners = new Set();
+
+export const publishRealtimeEvent = (event) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.warn("[realtime] listener failed", error);
+    }
+  });
+};
+
+export const subscribeToRealtimeEvents = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+const getRetryDelay = (attempt) => {
+  const delay = Math.min(INITIAL_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+  // Full jitter so every tab doesn't reconnect in lockstep after an outage.
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+// Keeps one authenticated connection open (WebSocket first, SSE as fallback)
+// and reconnects with exponential backoff. `onAuthError` is called when the
+// server rejects the token and may resolve with a fresh one to retry with.
+export const createRealtimeConnection = ({ token, onEvent, onStatusChange, onAuthError }) => {
+  let currentToken = token;
+  let transport = typeof window.WebSocket === "function" ? "websocket" : "sse";
+  let socket = null;
+  let eventSource = null;
+  let retryTimerId = null;
+  let attempt = 0;
+  let websocketFailures = 0;
+  let stopped = false;
+
+  const setStatus = (status) => {
+    onStatusChange?.({ status, transport });
+  };
+
+  const emit = (message) => {
+    if (message && message.type !== "ping") {
+      onEvent(message);
+    }
+  };
+
+  const teardown = () => {
+    window.clearTimeout(retryTimerId);
+    retryTimerId = null;
+    if (socket) {
+      socket.onopen = null;
+      socket.onmessage = null;
+      socket.onclose = null;
+      socket.onerror = null;
+      socket.close();
+      socket = null;
+    }
+    if (eventSource) {
+      eventSource.close();
+      eventSource = null;
+    }
+  };
+
+  const scheduleReconnect = () => {
+    teardown();
+    if (stopped) {
+      return;
+    }
+    setStatus("reconnecting");
+    retryTimerId = window.setTimeout(open, getRetryDelay(attempt));
+    attempt += 1;
+  };
+
+  const handleAuthError = async () => {
+    teardown();
+    setStatus("unauthorized");
+    const nextToken = await Promise.resolve(onAuthError?.()).catch(() => null);
+    // The token may already have been handed over through `updateToken`,
+    // which reconnects on its own.
+    if (stopped || socket || eventSource) {
+      return;
+    }
+    if (nextToken && nextToken !== currentToken) {
+      currentToken = nextToken;
+      attempt = 0;
+      open();
+      return;
+    }
+    scheduleReconnect();
+  };
+
+  const openWebSocket = () => {
+    let didOpen = false;
+    socket = new window.WebSocket(toWebSocketUrl(WEBSOCKET_ENDPOINT));
+
+    socket.onopen = () => {
+      didOpen = true;
+      attempt = 0;
+      websocketFailures = 0;
+      socket.send(JSON.stringify({ type: "auth", token: currentToken }));
+      setStatus("open");
+    };
+
+    socket.onmessage = (message) => {
+      emit(parseMessage(message.data));
+    };
+
+    socket.onclose = (event) => {
+      if (stopped) {
+        return;
+      }
+      if (AUTH_CLOSE_CODES.has(event.code)) {
+        handleAuthError();
+        return;
+      }
+      if (!didOpen) {
+        websocketFailures += 1;
+        if (
+          websocketFailures >= WEBSOCKET_FAILURES_BEFORE_FALLBACK &&
+          typeof window.EventSource === "function"
+        ) {
+          console.warn("[realtime] WebSocket unavailable, falling back to server-sent events");
+          transport = "sse";
+          attempt = 0;
+        }
+      }
+      scheduleReconnect();
+    };
+  };
+
+  const openEventSource = () => {
+    eventSource = new window.EventSource(toEventStreamUrl(currentToken), {
+      withCredentials: true,
+    });
+
+    eventSource.onopen = () => {
+      attempt = 0;
+      setStatus("open");
+    };
+
+    eventSource.onmessage = (message) => {
+      emit(parseMessage(message.data));
+    };
+
+    Object.values(REALTIME_EVENTS).forEach((type) => {
+      eventSource.addEventListener(type, (message) => {
+        emit(parseMessage(message.data, type));
+      });
+    });
+
+    eventSource.addEventListener("unauthorized", () => {
+      if (!stopped) {
+        handleAuthError();
+      }
+    });
+
+    // EventSource retries on its own with the same (possibly stale) token URL,
+    // so errors go through the shared backoff instead.
+    eventSource.onerror = () => {
+      if (!stopped) {
+        scheduleReconnect();
+      }
+    };
+  };
+
+  const open = () => {
+    teardown();
+    if (stopped || !currentToken) {
+      return;
+    }
+    setStatus("connecting");
+    try {
+      if (transport === "websocket") {
+        openWebSocket();
+      } else {
+        openEventSource();
+      }
+    } catch (error) {
+      console.warn("[realtime] Failed to open connection", error);
+      scheduleReconnect();
+    }
+  };
+
+  open();
+
+  return {
+    // Reconnects with the new token; the server only checks it on connect.
+    updateToken(nextToken) {
+      if (nextToken === currentToken) {
+        return;
+      }
+      currentToken = nextToken;
+      attempt = 0;
+      open();
+    },
+    close() {
+      stopped = true;
+      teardown();
+      setStatus("closed");
+    },
+  };
+};
@@ -0,0 +1,73 @@
+const SERVICE_WORKER_URL = "/sw.js";
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+export const isServiceWorkerSupported = () =>
+  typeof navigator !== "undefined" && "serviceWorker" in navigator;
+
+// Registers the production worker and calls `onUpdateReady(worker)` whenever a
+// new version has installed and is waiting to take over. Returns a cleanup
+// function; the dev server never registers a worker.
+export const registerServiceWorker = ({ onUpdateReady }) => {
+  if (!import.meta.env.PROD || !isServiceWorkerSupported()) {
+    return () => {};
+  }
+
+  let cancelled = false;
+  let intervalId = null;
+
+  const notifyIfWaiting = (registration) => {
+    if (!cancelled && registration.waiting && navigator.serviceWorker.controller) {
+      onUpdateReady(registration.waiting);
+    }
+  };
+
+  const register = async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+      notifyIfWaiting(registration);
+
+      registration.addEventListener("updatefound", () => {
+        const installing = registration.installing;
+        installing?.addEventListener("statechange", () => {
+          if (installing.state === "installed") {
+            notifyIfWaiting(registration);
+          }
+        });
+      });
+
+      intervalId = window.setInterval(() => {
+        registration.update().catch(() => {});
+      }, UPDATE_CHECK_INTERVAL_MS);
+    } catch (error) {
+      console.warn("[serviceWorker] Registration failed", error);
+    }
+  };
+
+  if (document.readyState === "complete") {
+    register();
+  } else {
+    window.addEventListener("load", register, { once: true });
+  }
+
+  return () => {
+    cancelled = true;
+    window.removeEventListener("load", register);
+    window.clearInterval(intervalId);
+  };
+};
+
+// Activates the waiting worker and reloads once it controls the page.
+export const applyServiceWorkerUpdate = (worker) => {
+  if (!worker || !isServiceWorkerSupported()) {
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener(
+    "controllerchange",
+    () => {
+      window.location.reload();
+    },
+    { once: true }
+  );
+  worker.postMessage({ type: "SKIP_WAITING" });
+};
@@ -1,11 +1,13 @@
 import { defineConfig } from 'vite'
 import tailwindcss from '@tailwindcss/vite'
 import react from '@vitejs/plugin-react'
+import serviceWorkerPlugin from './scripts/serviceWorkerPlugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     react(),
     tailwindcss(),
+    serviceWorkerPlugin(),
   ],
 })